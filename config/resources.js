@@ -243,7 +243,9 @@ module.exports = {
     maxMemoryPerContainer: 48, // GB
     maxCpusPerContainer: 16,
     maxGpusPerContainer: 2,
-    maxContainersPerUser: 1 // Currently 1, could be expanded
+    // Workspaces per user, the default one included (services/workspaces.js); only the default
+    // one unless an admin raises user_quotas.max_workspaces for that user
+    maxContainersPerUser: parseInt(process.env.MAX_WORKSPACES_PER_USER || '1', 10)
   },
 
   // Approval settings
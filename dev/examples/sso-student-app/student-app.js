@@ -74,12 +74,17 @@ async function verifyWithHydra(token) {
 /**
  * Middleware: require New Paltz identity & allowed role(s)
  * Reads np_access cookie, verifies with Hydra /check, and attaches req.user.
+ * np_access only lives 15 minutes: when it's missing or expired, page loads are sent
+ * through Hydra /token/refresh, which renews it silently (or falls back to /login).
  */
 async function requireNP(req, res, next) {
   try {
     const token = req.cookies?.np_access;
     const result = await verifyWithHydra(token);
     if (!result.ok || !result.data?.active) {
+      if (req.method === 'GET' && (!token || result.status === 401)) {
+        return res.redirect(`${HYDRA_BASE_URL}/token/refresh?returnTo=${encodeURIComponent(fullUrl(req))}`);
+      }
       return res.status(401).send('Please log in with your New Paltz account.');
     }
     const roles = (result.data.roles || []).map(s => String(s).toLowerCase());
@@ -7,11 +7,9 @@ const session = require('express-session');
 const passport = require('passport');
 const { Strategy: SamlStrategy } = require('passport-saml');
 const path = require('path');
-const { XMLParser } = require('fast-xml-parser');
 const cookieParser = require('cookie-parser');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const fs = require('fs');
 
 const app = express();
 expressWs(app); // Enable WebSocket support
@@ -19,22 +17,37 @@ const PORT = process.env.PORT || 6969;
 
 // ---------- REQUIRED CONFIG ----------
 const BASE_URL = process.env.BASE_URL || 'https://hydra.newpaltz.edu';
-const METADATA_URL = process.env.METADATA_URL; // Azure federation metadata URL
 const CALLBACK_PATH = process.env.SAML_CALLBACK_PATH || '/login/callback';
 const CALLBACK_URL = process.env.CALLBACK_URL || `${BASE_URL}${CALLBACK_PATH}`;
 
+// Local development: DEV_IDP=true replaces Azure with the built-in IdP at /dev-idp
+// (services/dev-idp.js). Refused in production.
+const devIdp = require('./services/dev-idp');
+const DEV_IDP = devIdp.isEnabled();
+if (DEV_IDP) {
+  try {
+    devIdp.assertAllowed();
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+  if (process.env.METADATA_URL) console.warn('[dev-idp] DEV_IDP=true: ignoring METADATA_URL');
+}
+const METADATA_URL = DEV_IDP ? `${BASE_URL}/dev-idp/metadata` : process.env.METADATA_URL; // Azure federation metadata URL
+
 // *** MUST MATCH Azure "Identifier (Entity ID)" EXACTLY (yours was "hydra.newpaltz.edu") ***
-const SAML_SP_ENTITY_ID = process.env.SAML_SP_ENTITY_ID;
+const SAML_SP_ENTITY_ID = process.env.SAML_SP_ENTITY_ID || (DEV_IDP ? 'hydra.local' : undefined);
 
 // JWT / cookie config
 const COOKIE_DOMAIN = process.env.COOKIE_DOMAIN || 'hydra.newpaltz.edu';
 const JWT_TTL_SECONDS = parseInt(process.env.JWT_TTL_SECONDS || '900', 10); // 15m
 const JWT_AUDIENCE = process.env.JWT_AUDIENCE || 'npsites';
-const JWT_KEY_ID = process.env.JWT_KEY_ID || 'hydra-key-1';
-
-// Optional static RSA keys (PEM). If not provided, we generate an ephemeral pair on boot.
-const JWT_PRIVATE_KEY_PEM = process.env.JWT_PRIVATE_KEY_FILE ? fs.readFileSync(process.env.JWT_PRIVATE_KEY_FILE, 'utf8') : null;
-const JWT_PUBLIC_KEY_PEM = process.env.JWT_PUBLIC_KEY_FILE ? fs.readFileSync(process.env.JWT_PUBLIC_KEY_FILE, 'utf8') : null;
+const REFRESH_COOKIE_PATH = '/token'; // np_refresh is only ever sent to /token/*
+// SAML Single Logout: /logout also ends the IdP session, and the IdP can end ours via /logout/callback
+const SAML_SLO_ENABLED = process.env.SAML_SLO_ENABLED !== 'false';
+const LOGOUT_CALLBACK_PATH = '/logout/callback';
+// Signing keys: see services/jwt-keys.js (JWT_KEYS_DIR, JWT_KEY_ROTATION_DAYS).
+// A static JWT_PRIVATE_KEY_FILE is imported into the key ring under JWT_KEY_ID.
 
 if (!METADATA_URL) {
   console.error('Missing METADATA_URL (Azure federation metadata URL).');
@@ -55,53 +68,6 @@ function sanitizeReturnTo(input) {
   return '/';
 }
 
-/**
- * Loads Identity Provider (IdP) SAML metadata from a given URL and extracts key information.
- *
- * @async
- * @param {string} url - The URL to fetch the IdP metadata XML from.
- * @returns {Promise<{ entryPoint: string, certificate: string, logoutUrl: string | null }>} 
- *   Resolves with an object containing:
- *   - entryPoint: The SSO endpoint URL (preferably HTTP-Redirect binding).
- *   - certificate: The IdP's signing X.509 certificate (base64, no whitespace).
- *   - logoutUrl: The SLO endpoint URL, or null if not present.
- * @throws {Error} If the metadata cannot be fetched, parsed, or required fields are missing.
- */
-async function loadIdPFromMetadata(url) {
-  const resp = await fetch(url);
-  if (!resp.ok) throw new Error(`Metadata fetch failed: ${resp.status}`);
-  const xml = await resp.text();
-  const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@_' });
-  const md = parser.parse(xml);
-
-  const ed = md['EntityDescriptor'] || md['md:EntityDescriptor'];
-  const idp = ed?.['IDPSSODescriptor'] || ed?.['md:IDPSSODescriptor'];
-  if (!idp) throw new Error('Metadata missing IDPSSODescriptor');
-
-  // SSO endpoint (prefer HTTP-Redirect)
-  let sso = idp['SingleSignOnService'] || idp['md:SingleSignOnService'];
-  sso = Array.isArray(sso) ? sso : [sso];
-  const redirect = sso.find(s => (s['@_Binding'] || '').includes('HTTP-Redirect'));
-  const entryPoint = (redirect || sso[0])?.['@_Location'];
-  if (!entryPoint) throw new Error('Metadata missing SSO Location');
-
-  // Signing certificate
-  let kd = idp['KeyDescriptor'] || idp['md:KeyDescriptor'];
-  kd = Array.isArray(kd) ? kd : [kd];
-  const signing = kd.find(k => !k?.['@_use'] || k['@_use'] === 'signing') || kd[0];
-  const ki = signing?.['KeyInfo'] || signing?.['ds:KeyInfo'];
-  const x = ki?.['X509Data'] || ki?.['ds:X509Data'];
-  const certRaw = x?.['X509Certificate'] || x?.['ds:X509Certificate'];
-  const cert = (Array.isArray(certRaw) ? certRaw[0] : certRaw || '').replace(/\s+/g, '');
-  if (!cert) throw new Error('Metadata missing IdP X509Certificate');
-
-  // Optional SLO
-  const slo = idp['SingleLogoutService'] || idp['md:SingleLogoutService'];
-  const logoutUrl = (Array.isArray(slo) ? slo[0] : slo)?.['@_Location'] || null;
-
-  return { entryPoint, certificate: cert, logoutUrl };
-}
-
 // SAML claim URIs
 const URI = {
   groups: 'http://schemas.microsoft.com/ws/2008/06/identity/claims/groups',
@@ -167,46 +133,59 @@ function collectUserFromSaml(profile) {
 }
 
 // ---------- JWT keys (PEM) & JWKS ----------
-let privateKeyPem = JWT_PRIVATE_KEY_PEM;
-let publicKeyPem = JWT_PUBLIC_KEY_PEM;
-let jwk = null;
+// Signing keys live in a rotating key ring; retired public keys stay in the JWKS
+// until every token they signed has expired.
+const jwtKeys = require('./services/jwt-keys');
 
-/**
- * Ensures that RSA key pairs and their corresponding JWK are available.
- * If PEM-encoded private and public keys are provided, builds a JWK from the public key.
- * Otherwise, generates an ephemeral RSA key pair and exports them in PEM and JWK formats.
- * Sets the global variables `privateKeyPem`, `publicKeyPem`, and `jwk`.
- * Warns if ephemeral keys are used (not suitable for production).
- *
- * @throws {Error} If key generation or export fails.
- */
-function ensureKeys() {
-  if (privateKeyPem && publicKeyPem) {
-    // build JWK from provided public key
-    const pubObj = crypto.createPublicKey(publicKeyPem);
-    try {
-      const jwkExport = pubObj.export({ format: 'jwk' }); // Node 16+ supports this
-      jwk = { ...jwkExport, use: 'sig', kid: JWT_KEY_ID, alg: 'RS256' };
-    } catch {
-      // Fallback: no JWKS if export unsupported
-      jwk = null;
-    }
-    return;
-  }
+// Rotating refresh tokens let np_access be renewed without a SAML round-trip
+const refreshTokens = require('./services/refresh-tokens');
 
-  // Generate ephemeral RSA key pair
-  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
-  privateKeyPem = privateKey.export({ type: 'pkcs8', format: 'pem' });
-  publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
-  try {
-    const jwkExport = publicKey.export({ format: 'jwk' });
-    jwk = { ...jwkExport, use: 'sig', kid: JWT_KEY_ID, alg: 'RS256' };
-  } catch {
-    jwk = null;
-  }
-  console.warn('[JWT] Using ephemeral RSA key pair — set JWT_PRIVATE_KEY_PEM/JWT_PUBLIC_KEY_PEM for prod.');
-}
-ensureKeys();
+// Login sessions + server-side revocation (jti denylist, revoked sids)
+const authSessions = require('./services/auth-sessions');
+
+// Personal access tokens (hpat_...) for scripting against /dashboard/api
+const accessTokens = require('./services/access-tokens');
+
+// IdP metadata: background refresh, certificate rollover, last-known-good disk cache
+const idpMetadata = require('./services/idp-metadata');
+
+// OpenID Connect provider facade (authorization code + PKCE) over the SAML login
+const oidc = require('./services/oidc');
+// Retired keys are kept until the longest-lived token they signed (np_access or an ID token) expires
+jwtKeys.initialize({ maxTokenLifetimeSec: Math.max(JWT_TTL_SECONDS, oidc.ID_TOKEN_TTL_SECONDS) });
+
+// Central authorization policy: named permissions for the admin/faculty/ta roles
+const authz = require('./services/authz');
+
+// Allow/deny rules for who may sign in and who may get a container
+const accessPolicy = require('./services/access-policy');
+
+// Persistent express-session store (SESSION_STORE=sqlite|memory)
+const sessionStore = require('./services/session-store');
+
+// Who may open each /students/{owner}/{endpoint} route behind ForwardAuth
+const routeAccess = require('./services/route-access');
+
+// Admin "view as student" sessions
+const impersonation = require('./services/impersonation');
+
+// Recent-MFA requirement for sensitive admin operations
+const stepUp = require('./services/step-up');
+
+// Time-boxed guest accounts for workshops, signed in with one-time access codes
+const guestCohorts = require('./services/guest-cohorts');
+
+// Stable Hydra usernames keyed by Azure object ID
+const users = require('./services/users');
+
+// Per-route-group request budgets for auth endpoints and the containers API
+const rateLimit = require('./services/rate-limit');
+
+// RFC 8693 exchange of np_access for tokens scoped to one internal service
+const tokenExchange = require('./services/token-exchange');
+
+// Several named workspaces (containers) per user
+const workspaces = require('./services/workspaces');
 
 /**
  * Signs and generates a JWT access token using the provided user claims.
@@ -225,9 +204,16 @@ ensureKeys();
  * @param {Array<string>} claims.roles - The user's roles.
  * @param {Array<string>} claims.amr - The authentication methods references.
  * @param {string} claims.sub - The subject identifier for the JWT.
+ * @param {string} claims.username - The user's Hydra username (services/users.js).
+ * @param {string} [claims.sid] - The login session the token belongs to (revocable as a unit).
+ * @param {number} [claims.auth_time] - When the user authenticated with the IdP (epoch seconds).
+ * @param {Object} [options] - Extra claims for tokens issued to OIDC clients.
+ * @param {string} [options.clientId] - The OIDC client the token was issued to.
+ * @param {string} [options.scope] - The scopes granted to that client.
+ * @param {string} [options.audience] - The client's audience (defaults to JWT_AUDIENCE, i.e. np_access).
  * @returns {string} The signed JWT access token.
  */
-function signAccessToken(claims) {
+function signAccessToken(claims, options = {}) {
   // Payload kept reasonably small; students can also call /check for details
   const payload = {
     email: claims.email,
@@ -237,36 +223,56 @@ function signAccessToken(claims) {
     display_name: claims.display_name, // Full name
     school_id: claims.tenant_id, // This is the Azure AD tenant ID which means "New Paltz"
     id: claims.oid, // This is the user's unique object ID in Azure AD (unlikely to be phished/spoofed)
+    username: claims.username, // Hydra username, keyed by id; unlike the email prefix it never changes
     idp: claims.idp, // Identity Provider (e.g. "https://sts.windows.net/..."). 
     groups: claims.groups,
     affiliation: claims.affiliation,
     roles: claims.roles,
-    amr: claims.amr
+    amr: claims.amr,
+    auth_time: claims.auth_time,
+    sid: claims.sid, // Login session; revoking it revokes every token minted from it
+    client_id: options.clientId,
+    scope: options.scope,
+    // Set while an admin views as this user (services/impersonation.js), so the token says so too
+    act: claims.act,
+    impersonator: claims.impersonator
   };
 
+  const { kid, privateKeyPem } = jwtKeys.getSigningKey();
   return jwt.sign(payload, privateKeyPem, {
     algorithm: 'RS256',
-    keyid: JWT_KEY_ID,
+    keyid: kid,
+    jwtid: crypto.randomUUID(),
     subject: claims.sub,
     issuer: BASE_URL,
-    audience: JWT_AUDIENCE,
+    audience: options.audience || JWT_AUDIENCE,
     expiresIn: JWT_TTL_SECONDS
   });
 }
 
 /**
- * Verifies a JWT access token using the provided public key and validation options.
+ * Verifies a JWT access token against the key ring entry named by its `kid` header.
+ * Tokens without a `kid` are checked against the current signing key.
+ * Rejects tokens whose jti or session (sid) has been revoked server-side.
  *
  * @param {string} token - The JWT access token to verify.
+ * @param {Object} [options]
+ * @param {string|null} [options.audience] - Required audience (defaults to JWT_AUDIENCE; null accepts any app's token).
  * @returns {object} The decoded token payload if verification is successful.
- * @throws {Error} If the token is invalid or verification fails.
+ * @throws {Error} If the token is invalid, revoked, signed by an unknown key, or verification fails.
  */
-function verifyAccessToken(token) {
-  return jwt.verify(token, publicKeyPem, {
+function verifyAccessToken(token, { audience = JWT_AUDIENCE } = {}) {
+  const decoded = jwt.decode(token, { complete: true });
+  const kid = decoded?.header?.kid || jwtKeys.getSigningKey().kid;
+  const publicKeyPem = jwtKeys.getPublicKey(kid);
+  if (!publicKeyPem) throw new jwt.JsonWebTokenError(`unknown signing key: ${kid}`);
+  const payload = jwt.verify(token, publicKeyPem, {
     algorithms: ['RS256'],
     issuer: BASE_URL,
-    audience: JWT_AUDIENCE
+    ...(audience ? { audience } : {})
   });
+  if (authSessions.isRevoked(payload)) throw new jwt.JsonWebTokenError('token revoked');
+  return payload;
 }
 
 /**
@@ -286,6 +292,28 @@ function setNpCookie(res, token) {
   });
 }
 
+/**
+ * Sets the 'np_refresh' cookie. Scoped to /token so student apps on this host never see it.
+ *
+ * @param {import('express').Response} res - The Express response object.
+ * @param {string} token - The raw refresh token.
+ */
+function setRefreshCookie(res, token) {
+  res.cookie('np_refresh', token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    domain: COOKIE_DOMAIN,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: refreshTokens.REFRESH_TTL_SECONDS * 1000
+  });
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie('np_access', { domain: COOKIE_DOMAIN, path: '/' });
+  res.clearCookie('np_refresh', { domain: COOKIE_DOMAIN, path: REFRESH_COOKIE_PATH });
+}
+
 // ---------- App + middleware ----------
 app.set('trust proxy', 1); // Trust first proxy (Traefik) for secure cookies behind HTTPS
 app.set('view engine', 'ejs');
@@ -295,6 +323,7 @@ app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 app.use(cookieParser());
 app.use(session({
+  store: sessionStore.getStore(), // SQLite by default so restarts and extra replicas keep everyone signed in
   secret: process.env.SESSION_SECRET || 'change-me',
   resave: false,
   saveUninitialized: false,
@@ -310,8 +339,148 @@ app.use(passport.session());
 passport.serializeUser((u, d) => d(null, u));
 passport.deserializeUser((u, d) => d(null, u));
 
+// End passport sessions whose login was revoked (dashboard "sessions" view, admin kill switch)
+app.use((req, res, next) => {
+  if (!req.user?.sid || !authSessions.isSessionRevoked(req.user.sid)) return next();
+  res.clearCookie('np_access', { domain: COOKIE_DOMAIN, path: '/' });
+  req.logout(err => next(err));
+});
+
+// Impersonation: an admin's session can carry another user's claims (services/impersonation.js).
+// /impersonation/stop and /logout always run as the admin; /logout ends the impersonation first.
+app.use(async (req, res, next) => {
+  const state = req.session?.impersonation;
+  if (!state) return next();
+  if (!req.isAuthenticated?.() || String(req.user?.email || '').toLowerCase() !== state.act.email) {
+    delete req.session.impersonation;
+    return next();
+  }
+  // Compared the way Express routes: case-insensitively, ignoring a trailing slash
+  const path = req.path.toLowerCase().replace(/\/+$/, '');
+  if (impersonation.isExpired(state) || path === '/logout') {
+    delete req.session.impersonation;
+    await impersonation.stop(state, { cause: path === '/logout' ? 'logout' : 'expired', ip: req.ip });
+    return next();
+  }
+  if (path === '/impersonation/stop') return next();
+
+  const blocked = impersonation.blockedAction(req.method, req.path);
+  if (blocked) {
+    await impersonation.recordBlocked(state, req.method, req.path, req.ip);
+    const message = `While viewing as ${state.claims.email} you cannot ${blocked}. Stop impersonating first.`;
+    return req.accepts(['html', 'json']) === 'html' && req.method === 'GET'
+      ? res.status(403).render('error', { error: { title: 'Blocked while impersonating', message } })
+      : res.status(403).json({ success: false, error: 'impersonation_blocked', message });
+  }
+
+  req.impersonator = req.user;
+  req.user = state.claims;
+  next();
+});
+
+/**
+ * User claims (collectUserFromSaml shape, plus sid/auth_time) from a verified np_access payload
+ */
+function claimsFromAccessToken(p) {
+  return {
+    sub: p.sub, email: p.email, name: p.name,
+    given_name: p.given_name, family_name: p.family_name, display_name: p.display_name,
+    tenant_id: p.school_id, oid: p.id, idp: p.idp, username: p.username,
+    groups: p.groups || [], affiliation: p.affiliation, roles: p.roles || [], amr: p.amr || [],
+    auth_time: p.auth_time, sid: p.sid, act: p.act, impersonator: p.impersonator
+  };
+}
+
+/**
+ * Full user claims for the browser's login: the passport session, or np_access when only the
+ * cookie is left. Tokens issued to OIDC clients never count as a browser login.
+ *
+ * @returns {Object|null} Claims in collectUserFromSaml shape (plus sid/auth_time), or null.
+ */
+function currentUserClaims(req) {
+  if (req.isAuthenticated?.() && req.user?.email) {
+    const { saml: _saml, ...claims } = req.user;
+    return claims;
+  }
+  const token = req.cookies?.np_access;
+  if (!token) return null;
+  try {
+    const p = verifyAccessToken(token);
+    if (p.client_id) return null;
+    return claimsFromAccessToken(p);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Authenticate an API request with a bearer token and enforce its scopes: either a personal
+ * access token (hpat_...) or a device-flow JWT issued for the dashboard API audience.
+ * The token must carry the scope the route needs (see services/access-tokens.js).
+ */
+async function authenticateBearerToken(req, res, next, token) {
+  try {
+    let principal = null;
+    if (accessTokens.isPersonalAccessToken(token)) {
+      const pat = await accessTokens.verifyToken(token, { ip: req.ip });
+      if (pat) principal = { email: pat.email, claims: pat.claims, scopes: pat.scopes, pat: { id: pat.id, scopes: pat.scopes } };
+    } else {
+      try {
+        const p = verifyAccessToken(token, { audience: oidc.API_AUDIENCE });
+        principal = {
+          email: p.email,
+          claims: {
+            oid: p.id,
+            username: p.username,
+            given_name: p.given_name || p.email?.split('@')[0],
+            family_name: p.family_name || '',
+            display_name: p.display_name || p.email,
+            affiliation: p.affiliation || '',
+            roles: p.roles || [],
+            groups: p.groups || [],
+            amr: p.amr || [],
+            auth_time: p.auth_time,
+            sid: p.sid
+          },
+          scopes: String(p.scope || '').split(' ').filter(Boolean),
+          oauth: { client_id: p.client_id, scopes: String(p.scope || '').split(' ').filter(Boolean) }
+        };
+      } catch { /* invalid, expired or revoked */ }
+    }
+    if (!principal) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({ error: 'invalid_token', message: 'Token is invalid, expired or revoked' });
+    }
+
+    const scope = accessTokens.requiredScope(req.method, req.originalUrl.split('?')[0]);
+    if (!scope || !principal.scopes.includes(scope)) {
+      res.set('WWW-Authenticate', `Bearer error="insufficient_scope"${scope ? `, scope="${scope}"` : ''}`);
+      return res.status(403).json({
+        error: 'insufficient_scope',
+        message: scope ? `This request needs the ${scope} scope` : 'API tokens cannot be used here'
+      });
+    }
+
+    req.user = {
+      email: principal.email,
+      ...principal.claims,
+      ...(principal.pat ? { pat: principal.pat } : { oauth: principal.oauth })
+    };
+    return next();
+  } catch (e) {
+    console.error('[auth] Bearer token check failed:', e);
+    return res.status(500).json({ error: 'Authentication failed' });
+  }
+}
+
 // Enhanced ensureAuthenticated: check passport session OR valid JWT cookie
-const ensureAuthenticated = (req, res, next) => {
+// Scripts authenticate with a bearer token instead: a personal access token (hpat_...)
+// or an access token from the device flow (hydra-cli)
+const authenticateRequest = (req, res, next) => {
+  const hdr = req.headers.authorization || '';
+  const bearer = hdr.startsWith('Bearer ') ? hdr.slice(7).trim() : null;
+  if (bearer) return authenticateBearerToken(req, res, next, bearer);
+
   // First try passport session
   if (req.isAuthenticated()) return next();
 
@@ -319,74 +488,145 @@ const ensureAuthenticated = (req, res, next) => {
   const token = req.cookies?.np_access;
   if (token) {
     try {
-      const payload = jwt.verify(token, JWT_PUBLIC_KEY_PEM, { algorithms: ['RS256'] });
+      const payload = verifyAccessToken(token);
       // Restore user from JWT payload
       req.user = {
         email: payload.email,
+        oid: payload.id,
+        username: payload.username,
         given_name: payload.given_name || payload.email?.split('@')[0],
         family_name: payload.family_name || '',
         display_name: payload.name || payload.email,
         affiliation: payload.affiliation || '',
-        roles: payload.roles || []
+        roles: payload.roles || [],
+        groups: payload.groups || [],
+        amr: payload.amr || [],
+        auth_time: payload.auth_time,
+        sid: payload.sid
       };
       return next();
     } catch (e) {
-      // Invalid token, clear it and redirect to login
+      // Invalid token, clear it and try a silent refresh below
       res.clearCookie('np_access', { domain: COOKIE_DOMAIN, path: '/' });
     }
   }
 
+  // Page loads and API GETs go through /token/refresh, which falls back to /login
+  if (req.method === 'GET') {
+    return res.redirect(`/token/refresh?returnTo=${encodeURIComponent(req.originalUrl)}`);
+  }
   return res.redirect('/login');
 };
 
+// Every authenticated request carries the user's Hydra username (services/users.js); logins
+// put it in the claims, and sessions and tokens from before it existed look it up once
+const ensureAuthenticated = (req, res, next) => authenticateRequest(req, res, (err) => {
+  if (err) return next(err);
+  users.usernameFor(req.user).then((username) => {
+    req.user.username = username;
+    next();
+  }, next);
+});
+
 // ---------- Boot ----------
 (async function start() {
   try {
-    const { entryPoint, certificate, logoutUrl } = await loadIdPFromMetadata(METADATA_URL);
+    // IdP metadata is refreshed in the background; the strategy reads certs through a callback
+    // so an Azure certificate rollover needs no restart (see services/idp-metadata.js)
+    const { entryPoint, logoutUrl, certificates } = DEV_IDP
+      ? idpMetadata.loadStatic(devIdp.getMetadataXml(BASE_URL), METADATA_URL)
+      : await idpMetadata.initialize(METADATA_URL);
 
     console.log('[SAML] Using:');
     console.log('  SP Entity ID (issuer):', SAML_SP_ENTITY_ID);
     console.log('  ACS (Reply URL):       ', CALLBACK_URL);
     console.log('  IdP SSO entryPoint:    ', entryPoint);
     console.log('  IdP SLO (optional):    ', logoutUrl || '(none)');
+    console.log('  IdP signing certs:     ', certificates.length);
 
-    const saml = new SamlStrategy(
-      {
-        issuer: SAML_SP_ENTITY_ID,       // *** must match Azure Identifier (Entity ID) ***
-        callbackUrl: CALLBACK_URL,       // must match Azure Reply URL (ACS)
-        entryPoint,
-        cert: certificate,               // base64, no PEM headers
-        logoutUrl,
-
-        // Security / compat
-        identifierFormat: null,
-        validateInResponseTo: false, // Disabled for mock IdP compatibility
-        disableRequestedAuthnContext: true,
-        acceptedClockSkewMs: 2 * 60 * 1000,
-        wantAssertionsSigned: true,
-        wantAuthnResponseSigned: true,
-        passReqToCallback: true
-      },
-      (req, profile, done) => {
-        try {
-          if (process.env.NODE_ENV !== 'production') {
-            console.log('Authentication successful. Profile:', JSON.stringify(profile, null, 2));
-          }
-          const user = collectUserFromSaml(profile);
+    // Both strategies below sign users in through this
+    const verifySamlLogin = (req, profile, done) => {
+      try {
+        if (process.env.NODE_ENV !== 'production') {
+          console.log('Authentication successful. Profile:', JSON.stringify(profile, null, 2));
+        }
+        // When the IdP actually authenticated the user (not when they reached us), for step-up checks
+        const authnInstant = Date.parse(profile.getAssertionXml?.().match(/AuthnInstant="([^"]+)"/)?.[1]);
+        // Each SAML login is a new session; the sid ties its cookies and tokens together
+        const user = {
+          ...collectUserFromSaml(profile),
+          sid: crypto.randomUUID(),
+          auth_time: Math.floor((Number.isFinite(authnInstant) ? Math.min(authnInstant, Date.now()) : Date.now()) / 1000)
+        };
+        // Kept for Single Logout only; never put into tokens
+        user.saml = {
+          nameID: profile.nameID,
+          nameIDFormat: profile.nameIDFormat,
+          sessionIndex: profile.sessionIndex
+        };
+        // Looked up by oid (allocated on first login), so an email change keeps the same username
+        users.resolve(user).then((row) => {
+          user.username = row.username;
           if (process.env.NODE_ENV !== 'production') {
             console.log('Extracted user data:', user);
           }
           done(null, user);
-        } catch (e) {
-          done(e);
-        }
+        }, done);
+      } catch (e) {
+        done(e);
       }
-    );
+    };
+
+    const samlOptions = {
+      issuer: SAML_SP_ENTITY_ID,       // *** must match Azure Identifier (Entity ID) ***
+      callbackUrl: CALLBACK_URL,       // must match Azure Reply URL (ACS)
+      entryPoint,
+      cert: (cb) => cb(null, idpMetadata.getCertificates()), // base64, no PEM headers
+      logoutUrl,
+      logoutCallbackUrl: SAML_SLO_ENABLED ? `${BASE_URL}${LOGOUT_CALLBACK_PATH}` : undefined, // Azure "Logout Url"
+
+      // Security / compat
+      identifierFormat: null,
+      validateInResponseTo: DEV_IDP, // Request IDs live in process memory, so only checked against the single-process dev IdP
+      disableRequestedAuthnContext: true,
+      acceptedClockSkewMs: 2 * 60 * 1000,
+      wantAssertionsSigned: true,
+      wantAuthnResponseSigned: true,
+      passReqToCallback: true
+    };
+    const saml = new SamlStrategy(samlOptions, verifySamlLogin);
+
+    // Step-up (services/step-up.js): same SP, but the AuthnRequest forces a fresh sign-in and asks
+    // for an MFA authentication context. Responses come back to the same ACS and 'saml' strategy,
+    // so the two share a request-ID cache.
+    const stepUpSaml = new SamlStrategy({
+      ...samlOptions,
+      name: 'saml-step-up',
+      forceAuthn: true,
+      disableRequestedAuthnContext: false,
+      authnContext: stepUp.AUTHN_CONTEXT,
+      racComparison: 'exact',
+      cacheProvider: saml._saml.cacheProvider
+    }, verifySamlLogin);
 
     passport.use(saml);
+    passport.use(stepUpSaml);
+
+    idpMetadata.onChange(config => {
+      for (const strategy of [saml, stepUpSaml]) {
+        strategy._saml.options.entryPoint = config.entryPoint;
+        strategy._saml.options.logoutUrl = config.logoutUrl || config.entryPoint;
+      }
+      console.log('[SAML] IdP metadata updated. entryPoint:', config.entryPoint);
+    });
 
     // ----- Routes -----
 
+    if (DEV_IDP) {
+      app.use('/dev-idp', require('./routes/dev-idp'));
+      console.warn('[dev-idp] Development IdP enabled at /dev-idp — never use this in production');
+    }
+
     // Publish SP metadata (minimal)
     app.get('/saml/metadata', (_req, res) => {
       res.type('application/xml').send(saml.generateServiceProviderMetadata());
@@ -403,29 +643,119 @@ const ensureAuthenticated = (req, res, next) => {
       })(req, res, next);
     });
 
+    // Re-authenticate with MFA before a sensitive operation (services/step-up.js)
+    app.get(stepUp.STEP_UP_PATH, (req, res, next) => {
+      const returnTo = sanitizeReturnTo(req.query.returnTo || req.get('referer') || '/dashboard');
+      console.log('Step-up login requested. ReturnTo:', returnTo);
+      req.session.returnTo = returnTo;
+      req.session.stepUp = true;
+      passport.authenticate('saml-step-up', {
+        failureRedirect: '/login-failed',
+        additionalParams: { RelayState: returnTo }
+      })(req, res, next);
+    });
+
+    // Read before passport replaces the session on login
     function captureRelayState(req, _res, next) {
       req._relayState = req.body?.RelayState;
+      req._stepUp = !!req.session?.stepUp;
       next();
     }
 
+    /**
+     * Mint np_access and np_refresh for a login that just completed (SAML or guest code)
+     * and record its session.
+     */
+    async function issueLoginTokens(req, res) {
+      const token = signAccessToken(req.user);
+      setNpCookie(res, token);
+
+      try {
+        await authSessions.createSession(req.user, { ip: req.ip, userAgent: req.get('user-agent') });
+        const refresh = await refreshTokens.issue(req.user, { ip: req.ip, userAgent: req.get('user-agent') });
+        setRefreshCookie(res, refresh.token);
+        req.session.refreshFamily = refresh.familyId;
+      } catch (e) {
+        console.warn('[refresh] Could not issue refresh token:', e.message);
+      }
+    }
+
     // ACS (SAML callback) — mint JWT + cookie, then bounce back
     app.post(
       CALLBACK_PATH,
       captureRelayState,
       passport.authenticate('saml', { failureRedirect: '/login-failed' }),
-      (req, res) => {
-        const token = signAccessToken(req.user);
-        setNpCookie(res, token);
+      async (req, res, next) => {
+        // Access policy (services/access-policy.js): denied users never get a session or token
+        let decision;
+        try {
+          decision = await accessPolicy.evaluate(req.user, 'login', { ip: req.ip });
+        } catch (e) {
+          return next(e);
+        }
+        if (!decision.allowed) {
+          return req.logout(err => {
+            if (err) return next(err);
+            res.status(403).render('error', { error: { title: 'Access restricted', message: decision.message } });
+          });
+        }
+        // The user is signed in either way; only the sensitive operation stays out of reach
+        const stepUpMissed = req._stepUp && stepUp.check(req.user);
+
+        await issueLoginTokens(req, res);
 
         const returnTo = sanitizeReturnTo(req._relayState || req.session.returnTo || '/dashboard');
-        console.log('SAML callback. Redirecting to:', returnTo);
         delete req.session.returnTo;
+        delete req.session.stepUp;
+        if (stepUpMissed) {
+          console.warn(`[step-up] ${req.user.email} signed in again without MFA (amr: ${(req.user.amr || []).join(', ') || 'none'})`);
+          return res.status(403).render('error', {
+            error: {
+              title: 'Multi-factor sign-in required',
+              message: 'You signed in, but without multi-factor authentication, so the action you started is still blocked. Set up MFA for your account and try again.'
+            }
+          });
+        }
+        console.log('SAML callback. Redirecting to:', returnTo);
         res.redirect(returnTo);
       }
     );
 
+    // Guest sign-in (services/guest-cohorts.js): the invite link carries the code, so a GET only
+    // fills in the form and link previewers can't use it up
+    app.get('/guest', (req, res) => {
+      res.render('guest', { code: String(req.query.code || '').slice(0, 32), error: null });
+    });
+
+    app.post('/guest', rateLimit.limit('code_entry'), async (req, res, next) => {
+      const code = String(req.body?.code || '').slice(0, 32);
+      let user;
+      try {
+        user = await guestCohorts.redeem(code, { name: req.body?.name, ip: req.ip });
+      } catch (e) {
+        if (!(e instanceof guestCohorts.GuestCohortError)) return next(e);
+        return res.status(e.status).render('guest', { code, error: e.message });
+      }
+
+      let decision;
+      try {
+        decision = await accessPolicy.evaluate(user, 'login', { ip: req.ip });
+      } catch (e) {
+        return next(e);
+      }
+      if (!decision.allowed) {
+        return res.status(403).render('error', { error: { title: 'Access restricted', message: decision.message } });
+      }
+
+      req.login(user, async (err) => {
+        if (err) return next(err);
+        await issueLoginTokens(req, res);
+        res.redirect('/dashboard');
+      });
+    });
+
     // Optional: exchange session -> fresh token (for XHR use-cases)
-    app.post('/token', (req, res) => {
+    app.post('/token', rateLimit.limit('token_issue'), (req, res) => {
       if (!req.isAuthenticated?.() || !req.user) return res.status(401).json({ error: 'not_authenticated' });
       try {
         const access_token = signAccessToken(req.user);
@@ -443,19 +773,118 @@ const ensureAuthenticated = (req, res, next) => {
       }
     });
 
+    /**
+     * Re-run the login policy when a refresh token is rotated, so a user a newer rule denies loses
+     * access at the next renewal rather than when the refresh token expires. A denial ends the
+     * whole login: its session, its refresh family and the app families derived from it.
+     * @returns {Promise<Object>} The policy decision
+     */
+    async function checkRefreshPolicy(claims, familyId, ip) {
+      const decision = await accessPolicy.evaluate(claims, 'login', { ip, recordAllowed: false });
+      if (!decision.allowed) {
+        if (claims.sid) await authSessions.revokeSession(claims.sid, { by: 'access_policy', reason: 'access_policy' });
+        else await refreshTokens.revokeFamily(familyId, 'access_policy');
+        console.warn(`[refresh] Access policy now denies ${claims.email}; login ${claims.sid || familyId} revoked`);
+      }
+      return decision;
+    }
+
+    /**
+     * Rotate np_refresh and mint a fresh np_access.
+     * Returns null (after clearing cookies) when the refresh token is unusable.
+     */
+    async function renewFromRefreshCookie(req, res) {
+      try {
+        const next = await refreshTokens.rotate(req.cookies?.np_refresh, { ip: req.ip, userAgent: req.get('user-agent') });
+        const decision = await checkRefreshPolicy(next.claims, next.familyId, req.ip);
+        if (!decision.allowed) {
+          clearAuthCookies(res);
+          return { error: 'access_denied', message: decision.message };
+        }
+        const access_token = signAccessToken(next.claims);
+        setNpCookie(res, access_token);
+        setRefreshCookie(res, next.token);
+        if (req.session) req.session.refreshFamily = next.familyId;
+        authSessions.touchSession(next.familyId, { ip: req.ip, userAgent: req.get('user-agent') })
+          .catch(e => console.warn('[refresh] Could not update session:', e.message));
+        return { access_token, claims: next.claims };
+      } catch (e) {
+        if (e instanceof refreshTokens.RefreshTokenError && e.code === 'concurrent') {
+          // Another tab rotated it a moment ago; that response carries the new cookies
+          return { concurrent: true };
+        }
+        if (!(e instanceof refreshTokens.RefreshTokenError)) {
+          console.error('[refresh] Rotation failed:', e);
+        }
+        clearAuthCookies(res);
+        return { error: e.code || 'refresh_failed' };
+      }
+    }
+
+    // Silent renewal for browsers: rotate and bounce back, or fall back to SAML login
+    app.get('/token/refresh', rateLimit.limit('token_issue'), async (req, res) => {
+      const returnTo = sanitizeReturnTo(req.query.returnTo || '/dashboard');
+      if (!req.cookies?.np_refresh) {
+        return res.redirect(`/login?returnTo=${encodeURIComponent(returnTo)}`);
+      }
+      const result = await renewFromRefreshCookie(req, res);
+      if (result.error === 'access_denied') {
+        return res.status(403).render('error', { error: { title: 'Access restricted', message: result.message } });
+      }
+      if (result.error) return res.redirect(`/login?returnTo=${encodeURIComponent(returnTo)}`);
+      return res.redirect(returnTo);
+    });
+
+    // Silent renewal for XHR: JSON response, cookies rotated
+    app.post('/token/refresh', rateLimit.limit('token_issue'), async (req, res) => {
+      if (!req.cookies?.np_refresh) return res.status(401).json({ error: 'missing_refresh_token' });
+      const result = await renewFromRefreshCookie(req, res);
+      if (result.concurrent) return res.status(409).json({ error: 'refresh_in_progress' });
+      if (result.error === 'access_denied') return res.status(403).json({ error: 'access_denied', message: result.message });
+      if (result.error) {
+        return res.status(401).json({ error: result.error === 'reused' ? 'refresh_token_reused' : 'invalid_refresh_token' });
+      }
+      res.json({
+        access_token: result.access_token,
+        expires_in: JWT_TTL_SECONDS,
+        sub: result.claims.sub,
+        email: result.claims.email
+      });
+    });
+
     // Verify endpoint for student backends (or they can verify locally with JWKS)
-    app.post('/check', (req, res) => {
+    // Registered apps pass their client_id so only tokens issued for their audience are accepted;
+    // internal services pass their token-exchange `audience` instead. Without either only
+    // np_access tokens (JWT_AUDIENCE) pass.
+    app.post('/check', rateLimit.limit('token_check'), async (req, res) => {
       const hdr = req.headers.authorization || '';
       const bearer = hdr.startsWith('Bearer ') ? hdr.slice(7) : null;
       const token = bearer || req.cookies?.np_access;
       if (!token) return res.status(401).json({ active: false, reason: 'missing_token' });
 
+      let audience = JWT_AUDIENCE;
+      const clientId = req.body?.client_id || req.query.client_id;
+      const serviceAudience = req.body?.audience || req.query.audience;
+      if (serviceAudience) {
+        if (!tokenExchange.isAudience(String(serviceAudience))) return res.status(400).json({ active: false, reason: 'unknown_audience' });
+        audience = String(serviceAudience);
+      } else if (clientId) {
+        const client = await oidc.getClient(String(clientId)).catch(() => null);
+        if (!client) return res.status(400).json({ active: false, reason: 'unknown_client' });
+        audience = client.audience;
+      }
+
       try {
-        const payload = verifyAccessToken(token);
+        const payload = verifyAccessToken(token, { audience });
+        // A service audience is only ever minted by token exchange, never issued to an app
+        if (serviceAudience && payload.client_id) {
+          return res.status(403).json({ active: false, reason: 'invalid_or_expired' });
+        }
         return res.json({
           active: true,
           sub: payload.sub,
           email: payload.email,
+          username: payload.username || '',
           roles: payload.roles || [],
           groups: payload.groups || [],
           affiliation: payload.affiliation || '',
@@ -468,7 +897,12 @@ const ensureAuthenticated = (req, res, next) => {
           idp: payload.idp || '',
           amr: payload.amr || [],
           exp: payload.exp,
-          kid: JWT_KEY_ID
+          jti: payload.jti || '',
+          sid: payload.sid || '',
+          aud: payload.aud,
+          client_id: payload.client_id || '',
+          scope: payload.scope || '',
+          kid: jwt.decode(token, { complete: true })?.header?.kid || ''
         });
       } catch (e) {
         const msg = String(e).toLowerCase();
@@ -477,36 +911,354 @@ const ensureAuthenticated = (req, res, next) => {
       }
     });
 
-    app.get('/auth/verify', (req, res) => {
+    // Traefik ForwardAuth. X-Forwarded-Host/-Uri name the request being authorized; for
+    // /students/{owner}/{endpoint} routes, services/route-access.js decides who may open it.
+    app.get('/auth/verify', rateLimit.limit('auth_verify'), async (req, res) => {
       const token = req.cookies?.np_access;
+      const forwardedUri = req.get('x-forwarded-uri') || '/';
+      const route = routeAccess.parseStudentRoute(forwardedUri);
+
+      // Browsers are sent to sign in and come back; API clients get a plain 401
+      const wantsHtml = ['GET', 'HEAD'].includes(req.get('x-forwarded-method') || 'GET') && req.accepts(['html', 'json']) === 'html';
+      const unauthenticated = (reason) => {
+        if (!wantsHtml) return res.status(401).send(`Unauthorized: ${reason}`);
+        const proto = req.get('x-forwarded-proto') || new URL(BASE_URL).protocol.replace(':', '');
+        const host = req.get('x-forwarded-host') || new URL(BASE_URL).host;
+        const original = `${proto}://${host}${forwardedUri}`;
+        return res.redirect(`${BASE_URL}/login?returnTo=${encodeURIComponent(original)}`);
+      };
 
-      if (!token) {
-        return res.status(401).send('Unauthorized: Missing token');
+      if (!token) return unauthenticated('Missing token');
+
+      let payload;
+      try {
+        payload = verifyAccessToken(token);
+      } catch (e) {
+        return unauthenticated('Invalid or expired token');
       }
 
+      if (route) {
+        try {
+          const decision = await routeAccess.evaluate(payload, route, { path: forwardedUri, ip: req.ip });
+          if (!decision.allowed) {
+            const message = `/students/${route.owner}/${route.endpoint} is private to its owner${decision.reason === 'not shared' ? ' and the people it is shared with' : ''}.`;
+            return wantsHtml
+              ? res.status(403).render('error', { error: { title: 'No access', message } })
+              : res.status(403).send(`Forbidden: ${message}`);
+          }
+          if (decision.override) res.set('X-Hydra-Override', String(decision.override.id));
+        } catch (e) {
+          console.error('[auth/verify] Route access check failed:', e);
+          return res.status(500).send('Route access check failed');
+        }
+      }
+
+      // Set headers for Traefik to forward to backend
+      res.set('X-Forwarded-User', payload.email || payload.sub);
+      res.set('X-Forwarded-Email', payload.email);
+      res.set('X-Forwarded-Roles', (payload.roles || []).join(','));
+
+      // Return 200 to allow request
+      return res.status(200).send('OK');
+    });
+
+    // JWKS for local verification by student backends
+    app.get('/.well-known/jwks.json', (_req, res) => {
+      res.set('Access-Control-Allow-Origin', '*');
+      const jwks = jwtKeys.getJwks();
+      if (!jwks.keys.length) return res.status(501).json({ error: 'jwks_unavailable' });
+      // Short cache so clients pick up a rotated key well before the old one is dropped
+      res.set('Cache-Control', `public, max-age=${jwtKeys.JWKS_CACHE_SECONDS}`);
+      res.json(jwks);
+    });
+
+    // ----- OpenID Connect provider -----
+    // Apps use any OIDC client library instead of reading np_access themselves.
+    // There is no consent screen: only admin-approved apps (services/oauth-clients.js) can sign users in.
+    // The one exception is the device flow (/device), which can grant dashboard API scopes
+    // and so always asks the user to approve.
+
+    // Browser-based (public) clients call these cross-origin; no cookies are involved
+    function oidcCors(req, res, next) {
+      res.set('Access-Control-Allow-Origin', '*');
+      res.set('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+      res.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+      if (req.method === 'OPTIONS') return res.sendStatus(204);
+      next();
+    }
+    app.options(['/.well-known/openid-configuration', '/oauth/token', '/oauth/device_authorization', '/userinfo', '/revoke'], oidcCors);
+
+    app.get('/.well-known/openid-configuration', oidcCors, (_req, res) => {
+      res.set('Cache-Control', 'public, max-age=3600');
+      res.json(oidc.getDiscoveryDocument());
+    });
+
+    app.get('/authorize', async (req, res) => {
+      let request;
       try {
-        const payload = verifyAccessToken(token);
+        request = await oidc.validateAuthorizeRequest(req.query);
+      } catch (e) {
+        if (!(e instanceof oidc.OidcError)) {
+          console.error('[oidc] Authorize failed:', e);
+          return res.status(500).render('error', { error: { message: 'Authorization failed.' } });
+        }
+        if (!e.redirectUri) return res.status(400).render('error', { error: { message: e.description } });
+        return res.redirect(oidc.buildRedirect(e.redirectUri, { error: e.error, error_description: e.description, state: e.state }));
+      }
+
+      const prompts = request.prompt.split(' ');
+      const claims = currentUserClaims(req);
 
-        // Set headers for Traefik to forward to backend
-        res.set('X-Forwarded-User', payload.email || payload.sub);
-        res.set('X-Forwarded-Email', payload.email);
-        res.set('X-Forwarded-Roles', (payload.roles || []).join(','));
+      if (!claims || prompts.includes('login')) {
+        if (prompts.includes('none')) {
+          return res.redirect(oidc.buildRedirect(request.redirectUri, { error: 'login_required', state: request.state }));
+        }
+        // Come back here without prompt=login once signed in, so the request isn't repeated forever
+        const again = new URL(req.originalUrl, BASE_URL);
+        again.searchParams.delete('prompt');
+        const returnTo = again.pathname + again.search;
+        return res.redirect(claims
+          ? `/login?returnTo=${encodeURIComponent(returnTo)}`
+          : `/token/refresh?returnTo=${encodeURIComponent(returnTo)}`);
+      }
 
-        // Return 200 to allow request
-        return res.status(200).send('OK');
+      try {
+        const code = await oidc.createCode({
+          clientId: request.client.client_id,
+          redirectUri: request.redirectUri,
+          claims,
+          scope: request.scope,
+          nonce: request.nonce,
+          codeChallenge: request.codeChallenge,
+          codeChallengeMethod: request.codeChallengeMethod
+        });
+        console.log(`[oidc] Authorization code issued to ${request.client.client_id} for ${claims.email}`);
+        res.redirect(oidc.buildRedirect(request.redirectUri, { code, state: request.state }));
       } catch (e) {
-        const msg = String(e).toLowerCase();
-        const code = msg.includes('expired') ? 401 : 403;
-        return res.status(code).send('Unauthorized: Invalid or expired token');
+        console.error('[oidc] Could not issue authorization code:', e);
+        res.redirect(oidc.buildRedirect(request.redirectUri, { error: 'server_error', state: request.state }));
       }
     });
 
-    // JWKS for local verification by student backends
-    app.get('/.well-known/jwks.json', (_req, res) => {
-      if (!jwk) return res.status(501).json({ error: 'jwks_unavailable' });
-      res.json({ keys: [jwk] });
+    function sendOAuthError(res, e) {
+      if (!(e instanceof oidc.OidcError)) {
+        console.error('[oidc] Token endpoint failed:', e);
+        return res.status(500).json({ error: 'server_error' });
+      }
+      if (e.status === 401) res.set('WWW-Authenticate', 'Basic realm="hydra"');
+      return res.status(e.status).json({ error: e.error, error_description: e.description });
+    }
+
+    /**
+     * RFC 8693: trade a user's np_access (subject_token) for a short-lived token for one internal
+     * service (services/token-exchange.js). Client authentication is optional; an authenticated
+     * client is recorded as the actor (`act`).
+     */
+    async function exchangeSubjectToken(req) {
+      const hasClientAuth = req.body?.client_id || String(req.headers.authorization || '').startsWith('Basic ');
+      const client = hasClientAuth ? await oidc.authenticateClient(req) : null;
+
+      const { subject_token: subjectToken, subject_token_type: subjectType } = req.body;
+      if (!subjectToken) throw new oidc.OidcError('invalid_request', 'Missing subject_token');
+      if (![tokenExchange.TOKEN_TYPE_ACCESS, tokenExchange.TOKEN_TYPE_JWT].includes(subjectType)) {
+        throw new oidc.OidcError('invalid_request', `subject_token_type must be ${tokenExchange.TOKEN_TYPE_ACCESS} or ${tokenExchange.TOKEN_TYPE_JWT}`);
+      }
+
+      let subject;
+      try {
+        subject = verifyAccessToken(String(subjectToken));
+      } catch {
+        throw new oidc.OidcError('invalid_grant', 'subject_token is invalid or expired');
+      }
+      // Tokens issued to OIDC apps can share the np_access audience; only logins can be exchanged
+      if (subject.client_id) throw new oidc.OidcError('invalid_grant', 'Only Hydra login tokens (np_access) can be exchanged');
+
+      return tokenExchange.exchange(claimsFromAccessToken(subject), req.body, {
+        notAfter: subject.exp,
+        actor: client?.client_id
+      });
+    }
+
+    app.post('/oauth/token', oidcCors, rateLimit.limit('token_issue'), async (req, res) => {
+      res.set('Cache-Control', 'no-store');
+      res.set('Pragma', 'no-cache');
+      const context = { ip: req.ip, userAgent: req.get('user-agent') };
+
+      try {
+        if (req.body?.grant_type === oidc.TOKEN_EXCHANGE_GRANT_TYPE) {
+          return res.json(await exchangeSubjectToken(req));
+        }
+
+        const client = await oidc.authenticateClient(req);
+        const grantType = req.body?.grant_type;
+
+        let claims, scope, nonce, refreshToken;
+        if (grantType === 'authorization_code') {
+          ({ claims, scope, nonce } = await oidc.consumeCode(req.body.code, {
+            clientId: client.client_id,
+            redirectUri: req.body.redirect_uri,
+            codeVerifier: req.body.code_verifier
+          }));
+          if (authSessions.isSessionRevoked(claims.sid)) {
+            throw new oidc.OidcError('invalid_grant', 'The login session has ended');
+          }
+          if (scope.split(' ').includes('offline_access')) {
+            refreshToken = (await refreshTokens.issue({ ...claims, client_id: client.client_id, scope }, context)).token;
+          }
+        } else if (grantType === 'refresh_token') {
+          let next;
+          try {
+            next = await refreshTokens.rotate(req.body.refresh_token, { ...context, clientId: client.client_id });
+          } catch (e) {
+            if (e instanceof refreshTokens.RefreshTokenError) throw new oidc.OidcError('invalid_grant', e.message);
+            throw e;
+          }
+          ({ scope, ...claims } = next.claims);
+          delete claims.client_id;
+          const decision = await checkRefreshPolicy(claims, next.familyId, req.ip);
+          if (!decision.allowed) throw new oidc.OidcError('invalid_grant', decision.message);
+          refreshToken = next.token;
+        } else if (grantType === oidc.DEVICE_GRANT_TYPE) {
+          ({ claims, scope } = await oidc.pollDeviceCode(req.body.device_code, client.client_id));
+          if (authSessions.isSessionRevoked(claims.sid)) {
+            throw new oidc.OidcError('invalid_grant', 'The login session has ended');
+          }
+          if (scope.split(' ').includes('offline_access')) {
+            refreshToken = (await refreshTokens.issue({ ...claims, client_id: client.client_id, scope }, context)).token;
+          }
+          console.log(`[oidc] Device authorization redeemed by ${client.client_id} for ${claims.email}`);
+        } else {
+          throw new oidc.OidcError('unsupported_grant_type', `Supported grants: authorization_code, refresh_token, ${oidc.DEVICE_GRANT_TYPE}, ${oidc.TOKEN_EXCHANGE_GRANT_TYPE}`);
+        }
+
+        // Dashboard API scopes get the API audience so the token is useless to the client's own backend
+        const audience = oidc.hasApiScope(scope) ? oidc.API_AUDIENCE : client.audience;
+        // Apps registered before service audiences were reserved must not impersonate an exchange
+        if (tokenExchange.isAudience(audience)) throw new oidc.OidcError('invalid_client', 'This app\'s audience is reserved; ask an admin to change it');
+        const access_token = signAccessToken(claims, { clientId: client.client_id, scope, audience });
+        const body = {
+          access_token,
+          token_type: 'Bearer',
+          expires_in: JWT_TTL_SECONDS,
+          scope
+        };
+        if (scope.split(' ').includes('openid')) {
+          body.id_token = oidc.signIdToken(claims, { clientId: client.client_id, scope, nonce, accessToken: access_token });
+        }
+        if (refreshToken) body.refresh_token = refreshToken;
+        res.json(body);
+      } catch (e) {
+        sendOAuthError(res, e);
+      }
     });
 
+    // RFC 8628: a CLI asks for a device code, then polls /oauth/token while the user approves at /device
+    app.post('/oauth/device_authorization', oidcCors, rateLimit.limit('token_issue'), async (req, res) => {
+      res.set('Cache-Control', 'no-store');
+      try {
+        const client = await oidc.authenticateClient(req);
+        res.json(await oidc.createDeviceAuthorization(client, req.body?.scope));
+      } catch (e) {
+        sendOAuthError(res, e);
+      }
+    });
+
+    function renderDevice(res, view, status = 200) {
+      res.status(status).render('device', { scopeDescriptions: accessTokens.SCOPES, ...view });
+    }
+
+    app.get('/device', async (req, res) => {
+      const claims = currentUserClaims(req);
+      if (!claims) {
+        return res.redirect(`/token/refresh?returnTo=${encodeURIComponent(req.originalUrl)}`);
+      }
+      const userCode = req.query.user_code;
+      if (!userCode) return renderDevice(res, { user: claims, pending: null, userCode: '' });
+
+      try {
+        const pending = await oidc.getPendingDevice(userCode);
+        if (!pending) {
+          return renderDevice(res, { user: claims, pending: null, userCode, message: 'That code is invalid or has expired. Start again from your terminal.' }, 404);
+        }
+        renderDevice(res, { user: claims, pending, userCode: pending.user_code });
+      } catch (e) {
+        console.error('[oidc] Device lookup failed:', e);
+        res.status(500).render('error', { error: { message: 'Could not look up that code.' } });
+      }
+    });
+
+    app.post('/device', rateLimit.limit('code_entry'), async (req, res) => {
+      const claims = currentUserClaims(req);
+      if (!claims) return res.redirect('/token/refresh?returnTo=/device');
+      const approve = req.body?.action === 'approve';
+
+      try {
+        const pending = await oidc.getPendingDevice(req.body?.user_code);
+        const decided = pending && await oidc.decideDevice(pending.user_code, approve ? claims : null);
+        if (!decided) {
+          return renderDevice(res, { user: claims, pending: null, userCode: '', message: 'That code is invalid or has expired. Start again from your terminal.' }, 404);
+        }
+        console.log(`[oidc] Device code ${pending.user_code} for ${pending.client.client_id} ${approve ? 'approved' : 'denied'} by ${claims.email}`);
+        renderDevice(res, {
+          user: claims,
+          pending: null,
+          userCode: '',
+          done: approve ? 'approved' : 'denied',
+          clientName: pending.client.name
+        });
+      } catch (e) {
+        console.error('[oidc] Device decision failed:', e);
+        res.status(500).render('error', { error: { message: 'Could not record your decision.' } });
+      }
+    });
+
+    // Tokens without a scope are np_access cookies, which already carry the full profile
+    async function userinfo(req, res) {
+      const hdr = req.headers.authorization || '';
+      const token = hdr.startsWith('Bearer ') ? hdr.slice(7) : req.body?.access_token;
+      try {
+        if (!token) throw new Error('missing token');
+        const payload = verifyAccessToken(token, { audience: null });
+        const scope = payload.scope || 'openid profile email groups';
+        res.set('Cache-Control', 'no-store');
+        res.json(oidc.claimsForScope(payload, scope));
+      } catch (e) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        res.status(401).json({ error: 'invalid_token' });
+      }
+    }
+    app.get('/userinfo', oidcCors, userinfo);
+    app.post('/userinfo', oidcCors, userinfo);
+
+    // RFC 7009: always 200 for tokens that are unknown or belong to another client
+    app.post('/revoke', oidcCors, async (req, res) => {
+      try {
+        const client = await oidc.authenticateClient(req);
+        const token = req.body?.token;
+        if (!token) throw new oidc.OidcError('invalid_request', 'Missing token');
+
+        if (jwt.decode(token)) {
+          try {
+            const payload = verifyAccessToken(token, { audience: null });
+            if (payload.client_id === client.client_id) await authSessions.revokeToken(payload, 'oidc_revoke');
+          } catch { /* expired or already revoked */ }
+        } else {
+          await refreshTokens.revokeToken(token, 'oidc_revoke', { clientId: client.client_id });
+        }
+        res.status(200).end();
+      } catch (e) {
+        sendOAuthError(res, e);
+      }
+    });
+
+    // Account creation and password changes proxied to OpenWebUI and n8n
+    app.use([
+      '/dashboard/api/webui/create-account',
+      '/dashboard/api/webui/change-password',
+      '/dashboard/api/n8n/create-user',
+      '/dashboard/api/n8n/change-password'
+    ], rateLimit.limit('passwords'));
+
     // Mount API routes for OpenWebUI account management
     try {
       const webuiApiRouter = require('./routes/webui-api');
@@ -526,7 +1278,13 @@ const ensureAuthenticated = (req, res, next) => {
     // Mount API routes for student containers (behind auth)
     try {
       const containersRouter = require('./routes/containers');
-      app.use('/dashboard/api/containers', ensureAuthenticated, containersRouter);
+      app.use(
+        '/dashboard/api/containers',
+        ensureAuthenticated,
+        guestCohorts.restrictGuests,
+        rateLimit.limit(req => (req.method === 'GET' ? 'container_reads' : 'container_changes')),
+        containersRouter
+      );
     } catch (e) {
       console.warn('[Init] containers routes not mounted:', e?.message || e);
     }
@@ -534,11 +1292,35 @@ const ensureAuthenticated = (req, res, next) => {
     // Mount API routes for resource requests (behind auth)
     try {
       const resourceRequestsRouter = require('./routes/resource-requests');
-      app.use('/dashboard/api/resource-requests', ensureAuthenticated, resourceRequestsRouter);
+      app.use('/dashboard/api/resource-requests', ensureAuthenticated, guestCohorts.restrictGuests, workspaces.select, resourceRequestsRouter);
     } catch (e) {
       console.warn('[Init] resource-requests routes not mounted:', e?.message || e);
     }
 
+    // Mount API routes for the user's own login sessions (behind auth)
+    try {
+      const sessionsApiRouter = require('./routes/sessions-api');
+      app.use('/dashboard/api/sessions', ensureAuthenticated, sessionsApiRouter);
+    } catch (e) {
+      console.warn('[Init] sessions-api routes not mounted:', e?.message || e);
+    }
+
+    // Mount API routes for the user's personal access tokens (behind auth)
+    try {
+      const tokensApiRouter = require('./routes/tokens-api');
+      app.use('/dashboard/api/tokens', ensureAuthenticated, tokensApiRouter);
+    } catch (e) {
+      console.warn('[Init] tokens-api routes not mounted:', e?.message || e);
+    }
+
+    // Mount API routes for the user's own OIDC client apps (behind auth)
+    try {
+      const clientsApiRouter = require('./routes/clients-api');
+      app.use('/dashboard/api/clients', ensureAuthenticated, guestCohorts.restrictGuests, clientsApiRouter);
+    } catch (e) {
+      console.warn('[Init] clients-api routes not mounted:', e?.message || e);
+    }
+
     // Mount admin API routes (behind auth, admin check in router)
     try {
       const adminRouter = require('./routes/admin');
@@ -569,7 +1351,14 @@ const ensureAuthenticated = (req, res, next) => {
     // Mount API routes for server status and metrics (public)
     try {
       const serversApiRouter = require('./routes/servers-api');
-      app.use('/api/servers', serversApiRouter);
+      // Public, but a signed-in viewer's claims decide whether pod details are shown
+      app.use('/api/servers', (req, res, next) => {
+        if (!req.user?.email) {
+          const claims = currentUserClaims(req);
+          if (claims) req.user = claims;
+        }
+        next();
+      }, serversApiRouter);
     } catch (e) {
       console.warn('[Init] servers-api routes not mounted:', e?.message || e);
     }
@@ -583,7 +1372,7 @@ const ensureAuthenticated = (req, res, next) => {
           ws.close();
           return;
         }
-        const username = String(req.user.email).split('@')[0];
+        const username = await users.usernameFor(req.user);
         const nameParam = String(req.params.name || '').trim();
         console.log('[ws] User:', username, 'Container:', nameParam);
         if (!nameParam) {
@@ -613,7 +1402,7 @@ const ensureAuthenticated = (req, res, next) => {
             const pod = await coreApi.readNamespacedPod(nameParam, namespace);
             const labels = pod.body?.metadata?.labels || {};
             console.log('[ws] Pod labels:', JSON.stringify(labels));
-            if (labels['hydra.owner'] !== username) {
+            if (workspaces.ownerOf(labels['hydra.owner']) !== username) {
               console.log('[ws] Owner mismatch:', labels['hydra.owner'], 'vs', username);
               ws.close();
               return;
@@ -690,7 +1479,7 @@ const ensureAuthenticated = (req, res, next) => {
         const container = docker.getContainer(nameParam);
         const info = await container.inspect();
         const labels = info?.Config?.Labels || {};
-        if (labels['hydra.owner'] !== username || labels['hydra.managed_by'] !== 'hydra-saml-auth') {
+        if (workspaces.ownerOf(labels['hydra.owner']) !== username || labels['hydra.managed_by'] !== 'hydra-saml-auth') {
           ws.close();
           return;
         }
@@ -747,18 +1536,17 @@ const ensureAuthenticated = (req, res, next) => {
           return;
         }
 
-        // Admin check
-        const email = req.user.email.toLowerCase();
-        const isFaculty = (req.user.affiliation || '').toLowerCase() === 'faculty';
-        const isEnvWhitelisted = ADMIN_USERS.includes(email);
-        let isDbWhitelisted = false;
-        try {
-          const { isWhitelisted } = require('./services/db-init');
-          isDbWhitelisted = await isWhitelisted(email);
-        } catch (e) { /* ignore */ }
+        if (!(await authz.can(req.user, 'manage_infra'))) {
+          console.warn('[ws-infra] Non-admin access attempt:', req.user.email);
+          ws.close();
+          return;
+        }
 
-        if (!isFaculty && !isEnvWhitelisted && !isDbWhitelisted) {
-          console.warn('[ws-infra] Non-admin access attempt:', email);
+        // A shell in an infra pod needs a recent MFA sign-in; the terminal shows where to get one
+        const stepUpReason = stepUp.check(req.user);
+        if (stepUpReason) {
+          console.warn(`[step-up] ${stepUpReason} for ${req.user.email} on infra terminal ${req.params.name}`);
+          ws.send(Buffer.from(`\r\nThis terminal needs a recent multi-factor sign-in.\r\nSign in again at ${BASE_URL}${stepUp.stepUpUrl('/dashboard')} and reopen it.\r\n`));
           ws.close();
           return;
         }
@@ -837,52 +1625,41 @@ const ensureAuthenticated = (req, res, next) => {
       res.redirect(req.isAuthenticated() ? '/dashboard' : '/login');
     });
 
-    // Admin users list for approval panel
-    const ADMIN_USERS = (process.env.ADMIN_USERS || '').split(',').map(u => u.trim().toLowerCase()).filter(Boolean);
-
-    // ============================================================================
-    // FUTURE: Department-based access restriction (currently DISABLED - all students allowed)
-    // To enable CS-only access later, uncomment and configure:
-    // ============================================================================
-    // const CS_DEPARTMENTS = ['Computer Science', 'CS', 'CIS'];
-    // const ALLOWED_GROUPS = (process.env.ALLOWED_GROUPS || '').split(',').filter(Boolean);
-    //
-    // function isAllowedStudent(user) {
-    //   const dept = (user.department || '').toLowerCase();
-    //   if (CS_DEPARTMENTS.some(d => dept.includes(d.toLowerCase()))) return true;
-    //   const groups = user.groups || [];
-    //   if (ALLOWED_GROUPS.some(g => groups.includes(g))) return true;
-    //   return false;
-    // }
-    //
-    // // Add this check in dashboard route before rendering:
-    // // if (req.user.affiliation === 'student' && !isAllowedStudent(req.user)) {
-    // //   return res.status(403).render('error', { message: 'Access restricted to CS students' });
-    // // }
-    // ============================================================================
-
     app.get('/dashboard', async (req, res) => {
       if (!req.isAuthenticated()) return res.redirect('/login');
       const viewUser = {
         firstName: req.user.given_name || '',
         lastName: req.user.family_name || '',
         email: req.user.email || '',
+        username: await users.usernameFor(req.user),
         displayName: req.user.display_name || req.user.name || req.user.email || '',
         oid: req.user.oid || req.user.id || ''
       };
-      // Admin = faculty affiliation OR in env whitelist OR in database whitelist
-      const isFaculty = (req.user.affiliation || '').toLowerCase() === 'faculty';
-      const isEnvWhitelisted = ADMIN_USERS.includes((req.user.email || '').toLowerCase());
-      // Check database whitelist
-      let isDbWhitelisted = false;
-      try {
-        const { isWhitelisted } = require('./services/db-init');
-        isDbWhitelisted = await isWhitelisted(req.user.email || '');
-      } catch (e) {
-        console.warn('[dashboard] Error checking db whitelist:', e.message);
+      // Admin panels are shown per permission (services/authz.js)
+      const permissions = await authz.getPermissions(req.user);
+      const state = req.impersonator ? req.session.impersonation : null;
+      const workspaceList = await workspaces.list(viewUser.username);
+      const workspace = workspaceList.find(w => w.name === req.session.workspace) || workspaceList[0];
+      res.render('dashboard', {
+        user: viewUser,
+        workspace,
+        workspaces: workspaceList,
+        baseUrl: BASE_URL,
+        isAdmin: permissions.length > 0,
+        permissions,
+        impersonation: state ? { admin: state.act.email, expiresAt: state.expires_at, reason: state.reason } : null
+      });
+    });
+
+    // End "view as" and return to the admin's own dashboard (see services/impersonation.js)
+    app.post('/impersonation/stop', async (req, res) => {
+      const state = req.session?.impersonation;
+      if (state) {
+        delete req.session.impersonation;
+        await impersonation.stop(state, { cause: 'stopped', ip: req.ip });
       }
-      const isAdmin = isFaculty || isEnvWhitelisted || isDbWhitelisted;
-      res.render('dashboard', { user: viewUser, baseUrl: BASE_URL, isAdmin });
+      if (req.accepts(['html', 'json']) === 'json') return res.json({ success: true });
+      res.redirect('/dashboard');
     });
 
     // Cluster status page (public, Bloomberg terminal style)
@@ -890,14 +1667,103 @@ const ensureAuthenticated = (req, res, next) => {
       res.render('servers');
     });
 
-    app.get('/logout', (req, res, next) => {
+    app.get('/logout', async (req, res, next) => {
       const returnTo = sanitizeReturnTo(req.query.returnTo || req.get('referer') || '/dashboard');
       console.log('Logout requested. ReturnTo:', returnTo);
 
-      res.clearCookie('np_access', { domain: COOKIE_DOMAIN, path: '/' });
-      req.logout(err => (err ? next(err) : res.redirect(returnTo)));
+      // Revoke this login server-side so a copied np_access/np_refresh stops working too.
+      // np_refresh isn't sent to /logout (path-scoped), so the sid comes from the session or np_access.
+      const accessPayload = req.cookies?.np_access ? jwt.decode(req.cookies.np_access) : null;
+      const sid = req.user?.sid || accessPayload?.sid || req.session?.refreshFamily;
+      // Guests can't sign in through /login, so they go back to the access code form
+      const guest = guestCohorts.isGuest(req.user || accessPayload);
+
+      // The IdP needs the NameID/SessionIndex of the login; np_access-only requests find it via the sid
+      let samlUser = req.user?.saml || null;
+      if (!samlUser && sid) {
+        const row = await authSessions.getSession(sid).catch(() => null);
+        if (row?.saml_name_id) {
+          samlUser = {
+            nameID: row.saml_name_id,
+            nameIDFormat: row.saml_name_id_format,
+            sessionIndex: row.saml_session_index
+          };
+        }
+      }
+
+      if (sid) {
+        authSessions.revokeSession(sid, { by: req.user?.email || accessPayload?.email || null, reason: 'logout' })
+          .catch(e => console.warn('[logout] Session revoke failed:', e.message));
+      }
+      if (accessPayload?.jti) {
+        authSessions.revokeToken(accessPayload, 'logout')
+          .catch(e => console.warn('[logout] Token revoke failed:', e.message));
+      }
+
+      clearAuthCookies(res);
+      req.logout(async err => {
+        if (err) return next(err);
+        if (guest) return res.redirect('/guest');
+        if (!SAML_SLO_ENABLED || !idpMetadata.getConfig().logoutUrl || !samlUser?.nameID) return res.redirect(returnTo);
+
+        // SP-initiated SLO: the IdP ends its session and sends a LogoutResponse to /logout/callback
+        try {
+          const url = await saml._saml.getLogoutUrlAsync(samlUser, returnTo, {});
+          res.redirect(url);
+        } catch (e) {
+          console.warn('[logout] Could not build SAML LogoutRequest:', e.message);
+          res.redirect(returnTo);
+        }
+      });
     });
 
+    // SAML Single Logout endpoint (HTTP-Redirect and HTTP-POST bindings).
+    // passport.authenticate() can't be used here: its SLO branch calls req.logout() without
+    // a callback, which passport 0.6+ rejects, so the node-saml validators are called directly.
+    async function handleLogoutCallback(req, res) {
+      const query = req.query || {};
+      const body = req.body || {};
+      const relayState = query.RelayState || body.RelayState;
+
+      try {
+        if (query.SAMLRequest || body.SAMLRequest) {
+          // IdP-initiated: the user signed out of another app (or Azure itself)
+          const { profile } = query.SAMLRequest
+            ? await saml._saml.validateRedirectAsync(query, req.originalUrl.split('?')[1] || '')
+            : await saml._saml.validatePostRequestAsync(body);
+
+          const revoked = await authSessions.revokeSamlSessions(profile.nameID, profile.sessionIndex);
+          console.log(`[logout] IdP LogoutRequest for ${profile.nameID}: revoked ${revoked} session(s)`);
+
+          // The request may arrive in a browser that holds a session the IdP didn't list
+          if (req.user?.sid && req.user.saml?.nameID === profile.nameID) {
+            await authSessions.revokeSession(req.user.sid, { by: 'idp', reason: 'saml_slo' });
+          }
+          clearAuthCookies(res);
+
+          const url = await saml._saml.getLogoutResponseUrlAsync(profile, relayState, {});
+          return req.logout(() => res.redirect(url));
+        }
+
+        if (query.SAMLResponse || body.SAMLResponse) {
+          // SP-initiated round trip finished; our side was already revoked by /logout
+          if (query.SAMLResponse) {
+            await saml._saml.validateRedirectAsync(query, req.originalUrl.split('?')[1] || '');
+          } else {
+            await saml._saml.validatePostResponseAsync(body);
+          }
+          return res.redirect(sanitizeReturnTo(relayState || '/'));
+        }
+
+        res.status(400).render('error', { error: { message: 'Missing SAML logout message.' } });
+      } catch (e) {
+        console.warn('[logout] SAML logout message rejected:', e.message);
+        res.status(400).render('error', { error: { message: 'The sign-out request could not be verified.' } });
+      }
+    }
+    app.get(LOGOUT_CALLBACK_PATH, handleLogoutCallback);
+    app.post(LOGOUT_CALLBACK_PATH, handleLogoutCallback);
+
     app.get('/login-failed', (_req, res) => res.status(401).send('Authentication failed.'));
 
     // Health check endpoint for k8s probes
@@ -909,10 +1775,7 @@ const ensureAuthenticated = (req, res, next) => {
       containerReminder.start();
 
       // Admin endpoint to manually trigger reminders (requires admin role)
-      app.post('/api/admin/send-reminders', ensureAuthenticated, async (req, res) => {
-        if (!req.user?.roles?.includes('admin')) {
-          return res.status(403).json({ error: 'Admin access required' });
-        }
+      app.post('/api/admin/send-reminders', ensureAuthenticated, authz.requirePermission('send_reminders'), async (req, res) => {
         try {
           const result = await containerReminder.triggerReminders();
           res.json({ success: true, ...result });
@@ -924,16 +1787,36 @@ const ensureAuthenticated = (req, res, next) => {
       console.warn('[Init] container-reminder service not started:', e?.message || e);
     }
 
+    // Start JWT signing key rotation and IdP metadata refresh
+    jwtKeys.start();
+    idpMetadata.start();
+
     // Initialize database schema for resource management
     try {
       const { initializeSchema, expireOldRequests } = require('./services/db-init');
       await initializeSchema();
       await expireOldRequests();
       console.log('[Init] Database schema initialized');
+      if (DEV_IDP) await devIdp.seedWhitelist();
     } catch (e) {
       console.warn('[Init] Database schema initialization failed:', e?.message || e);
     }
 
+    // Start refresh token / authorization code / access decision / web session / route access log cleanup, guest cohort expiry and revocation cache (need their tables)
+    refreshTokens.start();
+    oidc.start();
+    accessPolicy.start();
+    sessionStore.start();
+    routeAccess.start();
+    guestCohorts.start();
+    // Any Hydra-signed token (np_access or an app's) names its caller; anything else counts by IP
+    rateLimit.start({ verifyToken: token => verifyAccessToken(token, { audience: null }) });
+    try {
+      await authSessions.start();
+    } catch (e) {
+      console.warn('[Init] auth-sessions revocation cache not started:', e?.message || e);
+    }
+
     // Start metrics collection service
     try {
       const metricsCollector = require('./services/metrics-collector');
@@ -952,6 +1835,22 @@ const ensureAuthenticated = (req, res, next) => {
       console.warn('[Init] resource-expiry service not started:', e?.message || e);
     }
 
+    // Start scheduled snapshots of student volumes (Kubernetes mode)
+    try {
+      const volumeSnapshots = require('./services/volume-snapshots');
+      volumeSnapshots.start();
+    } catch (e) {
+      console.warn('[Init] volume-snapshots service not started:', e?.message || e);
+    }
+
+    // Start syncing course rosters from their Azure groups
+    try {
+      const courses = require('./services/courses');
+      courses.start();
+    } catch (e) {
+      console.warn('[Init] courses service not started:', e?.message || e);
+    }
+
     // Start idle pod manager (sleep mode)
     try {
       const idleManager = require('./services/idle-manager');
@@ -968,13 +1867,7 @@ const ensureAuthenticated = (req, res, next) => {
       console.log('[Init] Security monitor started');
 
       // SSE endpoint for container events (admin only)
-      app.get('/dashboard/api/events/containers', ensureAuthenticated, (req, res) => {
-        // Only admins can subscribe to container events (faculty OR whitelist)
-        const isFaculty = (req.user.affiliation || '').toLowerCase() === 'faculty';
-        const isWhitelisted = ADMIN_USERS.includes((req.user.email || '').toLowerCase());
-        if (!isFaculty && !isWhitelisted) {
-          return res.status(403).json({ error: 'Admin access required' });
-        }
+      app.get('/dashboard/api/events/containers', ensureAuthenticated, authz.requirePermission('view_security'), (req, res) => {
 
         // Set up SSE headers - X-Accel-Buffering disables proxy buffering
         res.setHeader('Content-Type', 'text/event-stream');
@@ -1031,7 +1924,7 @@ const ensureAuthenticated = (req, res, next) => {
       console.log(`Server running on ${PORT}`);
       console.log(`Callback URL: ${CALLBACK_URL}`);
       console.log(`SP metadata: ${BASE_URL}/saml/metadata`);
-      console.log(`JWT kid: ${JWT_KEY_ID}  TTL(s): ${JWT_TTL_SECONDS}`);
+      console.log(`JWT kid: ${jwtKeys.getSigningKey().kid}  TTL(s): ${JWT_TTL_SECONDS}`);
 
       // Start auto-reschedule service (moves expired GPU pods back to Hydra)
       const autoReschedule = require('./services/auto-reschedule');
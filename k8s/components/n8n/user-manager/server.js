@@ -38,6 +38,53 @@ const authenticateApiKey = (req, res, next) => {
   next();
 };
 
+// Hydra's token check, reached in-cluster; Hydra sends a token exchanged for this audience on
+// behalf of the user
+const HYDRA_CHECK_URL = process.env.HYDRA_CHECK_URL || 'http://hydra-auth.hydra-system.svc.cluster.local:6969/check';
+const TOKEN_AUDIENCE = process.env.HYDRA_TOKEN_AUDIENCE || 'n8n-user-manager';
+
+const verifyHydraToken = async (token) => {
+  try {
+    const response = await fetch(HYDRA_CHECK_URL, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ audience: TOKEN_AUDIENCE })
+    });
+    const body = await response.json().catch(() => ({}));
+    // Tokens Hydra issued to OAuth client apps never act on a user's account here
+    return response.ok && body.active && body.email && !body.client_id ? body : null;
+  } catch (error) {
+    console.error('Hydra token check failed:', error.message);
+    return null;
+  }
+};
+
+// Hydra user token or API key. A token only acts on its own user's account; a caller sending
+// both still gets in with the key if the token doesn't verify.
+const authenticateUserOrApiKey = async (req, res, next) => {
+  const hdr = req.headers.authorization || '';
+  if (!hdr.startsWith('Bearer ')) return authenticateApiKey(req, res, next);
+
+  const user = await verifyHydraToken(hdr.slice(7));
+  if (!user) {
+    if (req.headers['x-api-key']) return authenticateApiKey(req, res, next);
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Invalid or expired Hydra token'
+    });
+  }
+
+  const email = String(req.params.email || req.body?.email || '').toLowerCase();
+  if (email && email !== String(user.email).toLowerCase()) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'Token is for a different user'
+    });
+  }
+
+  next();
+};
+
 // Health check endpoint (no auth required)
 app.get('/health', async (req, res) => {
   try {
@@ -71,7 +118,7 @@ app.get('/api/users', authenticateApiKey, async (req, res) => {
 });
 
 // Get user by email (auth required)
-app.get('/api/users/:email', authenticateApiKey, async (req, res) => {
+app.get('/api/users/:email', authenticateUserOrApiKey, async (req, res) => {
   try {
     const { email } = req.params;
     
@@ -103,7 +150,7 @@ app.get('/api/users/:email', authenticateApiKey, async (req, res) => {
 });
 
 // Change user password (auth required)
-app.post('/api/users/change-password', authenticateApiKey, async (req, res) => {
+app.post('/api/users/change-password', authenticateUserOrApiKey, async (req, res) => {
   try {
     const { email, newPassword } = req.body;
     
@@ -182,9 +229,9 @@ app.listen(port, '0.0.0.0', () => {
   console.log(`N8N User Manager API running on port ${port}`);
   console.log('Available endpoints:');
   console.log('  GET  /health - Health check (no auth)');
-  console.log('  GET  /api/users - List all users (auth required)');
-  console.log('  GET  /api/users/:email - Get user by email (auth required)');
-  console.log('  POST /api/users/change-password - Change user password (auth required)');
+  console.log('  GET  /api/users - List all users (API key required)');
+  console.log('  GET  /api/users/:email - Get user by email (API key or Hydra token)');
+  console.log('  POST /api/users/change-password - Change user password (API key or Hydra token)');
 });
 
 // Graceful shutdown
@@ -12,21 +12,60 @@ app.use(express.json());
 // Config
 const PORT = parseInt(process.env.OPENWEBUI_API_PORT || process.env.PORT || '7070', 10);
 const API_KEY = process.env.OPENWEBUI_API_KEY || process.env.WEBUI_API_KEY || process.env.API_KEY || '';
+// Hydra's token check, reached in-cluster; Hydra sends a token exchanged for this audience on
+// behalf of the user
+const HYDRA_CHECK_URL = process.env.HYDRA_CHECK_URL || 'http://hydra-auth.hydra-system.svc.cluster.local:6969/check';
+const TOKEN_AUDIENCE = process.env.HYDRA_TOKEN_AUDIENCE || 'openwebui-api';
 
-if (!API_KEY) {
-  console.warn('[openwebui_middleman] WARNING: OPENWEBUI_API_KEY not set. Refusing to start.');
+if (!API_KEY && !process.env.HYDRA_CHECK_URL) {
+  console.warn('[openwebui_middleman] WARNING: neither OPENWEBUI_API_KEY nor HYDRA_CHECK_URL set. Refusing to start.');
   // Hard exit to avoid exposing unauthenticated DB mutators
   process.exit(1);
 }
+if (!API_KEY) {
+  console.warn('[openwebui_middleman] OPENWEBUI_API_KEY not set. Only Hydra user tokens will be accepted.');
+}
 
-// Simple API key auth for all routes
-app.use((req, res, next) => {
+async function verifyHydraToken(token) {
+  try {
+    const response = await fetch(HYDRA_CHECK_URL, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ audience: TOKEN_AUDIENCE })
+    });
+    const body = await response.json().catch(() => ({}));
+    // Tokens Hydra issued to OAuth client apps never act on a user's account here
+    return response.ok && body.active && body.email && !body.client_id ? body : null;
+  } catch (error) {
+    console.error('[openwebui_middleman] Hydra token check failed:', error.message);
+    return null;
+  }
+}
+
+function hasApiKey(req) {
   const provided = req.get('x-api-key') || '';
   const providedBuf = Buffer.from(provided);
   const apiKeyBuf = Buffer.from(API_KEY);
-  if (provided && providedBuf.length === apiKeyBuf.length && crypto.timingSafeEqual(providedBuf, apiKeyBuf)) {
-    return next();
+  return !!(API_KEY && provided && providedBuf.length === apiKeyBuf.length && crypto.timingSafeEqual(providedBuf, apiKeyBuf));
+}
+
+// Every route needs a Hydra user token or the API key. A token only acts on its own user's account;
+// a caller sending both still gets in with the key if the token doesn't verify.
+app.use(async (req, res, next) => {
+  const hdr = req.get('authorization') || '';
+  if (hdr.startsWith('Bearer ')) {
+    const user = await verifyHydraToken(hdr.slice(7));
+    if (user) {
+      const email = String(req.body?.email || '').toLowerCase();
+      if (email && email !== String(user.email).toLowerCase()) {
+        return res.status(403).json({ success: false, message: 'Token is for a different user' });
+      }
+      req.hydraUser = user;
+      return next();
+    }
   }
+
+  if (hasApiKey(req)) return next();
   return res.status(401).json({ success: false, message: 'Unauthorized' });
 });
 
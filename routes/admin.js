@@ -17,45 +17,35 @@ const {
     getSecuritySummary,
     acknowledgeSecurityEvent,
     getWhitelist,
-    isWhitelisted,
     addToWhitelist,
     removeFromWhitelist,
     updateWhitelistEntry
 } = require('../services/db-init');
-
-// Admin users list from environment (supplemented by database whitelist)
-const ADMIN_USERS = (process.env.ADMIN_USERS || '').split(',').map(u => u.trim().toLowerCase()).filter(Boolean);
-
-/**
- * Middleware: Check if user is an admin (faculty OR env whitelist OR db whitelist)
- */
-async function requireAdmin(req, res, next) {
-    if (!req.isAuthenticated?.() || !req.user?.email) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
-
-    const email = req.user.email.toLowerCase();
-    const isFaculty = (req.user.affiliation || '').toLowerCase() === 'faculty';
-    const isEnvWhitelisted = ADMIN_USERS.includes(email);
-
-    // Check database whitelist
-    let isDbWhitelisted = false;
-    try {
-        isDbWhitelisted = await isWhitelisted(email);
-    } catch (e) {
-        console.warn('[admin] Error checking whitelist:', e.message);
-    }
-
-    if (!isFaculty && !isEnvWhitelisted && !isDbWhitelisted) {
-        console.warn(`[admin] Unauthorized access attempt by ${email}`);
-        return res.status(403).json({ error: 'Admin access required' });
-    }
-
-    next();
-}
-
-// Apply admin check to all routes
-router.use(requireAdmin);
+const authz = require('../services/authz');
+const stepUp = require('../services/step-up');
+const users = require('../services/users');
+const workspaces = require('../services/workspaces');
+
+// Staff only (course instructors and TAs too); each section additionally needs its own permission
+// (services/authz.js). Course staff without a staff role pass the courses section, and the
+// route-access section, which checks the student with canFor().
+router.use(authz.requireStaffOrCourseStaff);
+router.use(['/requests', '/quotas', '/stats'], authz.requirePermission('approve_requests'));
+router.use(['/nodes', '/containers', '/migrations'], authz.requirePermission('manage_nodes'));
+router.use('/security', authz.requirePermission('view_security'));
+router.use('/whitelist', authz.requirePermission('manage_whitelist'));
+router.use(['/users', '/web-sessions'], authz.requirePermission('manage_sessions'));
+router.use(['/jwt-keys', '/idp-metadata', '/clients'], authz.requirePermission('manage_auth'));
+router.use('/access-policy', authz.requirePermission('manage_access_policy'));
+// Role changes need a recent MFA sign-in (services/step-up.js)
+router.use('/whitelist', (req, res, next) => (req.method === 'GET' ? next() : stepUp.requireStepUp(req, res, next)));
+router.use('/route-access', authz.requireCoursePermission('access_student_routes'));
+router.use('/impersonation', authz.requirePermission('impersonate'));
+router.use('/guests', authz.requirePermission('manage_guests'));
+router.use('/images', authz.requirePermission('manage_images'));
+router.use('/rate-limits', authz.requirePermission('view_security'));
+// Clearing counters lifts a limit, so it takes more than the read-only security view
+router.use('/rate-limits', (req, res, next) => (req.method === 'GET' ? next() : authz.requirePermission('manage_auth')(req, res, next)));
 
 /**
  * GET /requests
@@ -109,6 +99,12 @@ router.post('/requests/:id/approve', async (req, res) => {
             return res.status(400).json({ error: 'Request is no longer pending' });
         }
 
+        // Granting GPU access needs a recent MFA sign-in (Jupyter execution implies GPU access)
+        if (request.requested_gpu_count > 0 || request.request_type === 'jupyter_execution') {
+            const reason = stepUp.check(req.user);
+            if (reason) return stepUp.sendStepUpRequired(req, res, reason);
+        }
+
         // Update request status
         await updateRequestStatus(id, 'approved', adminEmail, admin_notes);
 
@@ -122,7 +118,7 @@ router.post('/requests/:id/approve', async (req, res) => {
         if (request.request_type === 'jupyter_execution') {
             quotaUpdates.jupyter_execution_approved = true;
             quotaUpdates.gpu_access_approved = true; // Jupyter execution implies GPU access
-            await updateUserQuota(request.username, quotaUpdates);
+            await updateUserQuota(workspaces.ownerOf(request.username), quotaUpdates);
 
             // Send approval email
             try {
@@ -142,7 +138,7 @@ router.post('/requests/:id/approve', async (req, res) => {
         // Handle Jenkins execution requests
         if (request.request_type === 'jenkins_execution') {
             quotaUpdates.jenkins_execution_approved = true;
-            await updateUserQuota(request.username, quotaUpdates);
+            await updateUserQuota(workspaces.ownerOf(request.username), quotaUpdates);
 
             try {
                 const emailNotifications = require('../services/email-notifications');
@@ -180,7 +176,7 @@ router.post('/requests/:id/approve', async (req, res) => {
             quotaUpdates.max_cpus = request.requested_cpus;
         }
 
-        await updateUserQuota(request.username, quotaUpdates);
+        await updateUserQuota(workspaces.ownerOf(request.username), quotaUpdates);
 
         // Update container config
         await updateContainerConfig(request.username, {
@@ -334,6 +330,7 @@ router.get('/quotas', async (req, res) => {
                 gpu_access_approved: !!q.gpu_access_approved,
                 chimera_approved: !!q.chimera_approved,
                 cerberus_approved: !!q.cerberus_approved,
+                max_workspaces: q.max_workspaces ?? null,
                 approved_by: q.approved_by,
                 approved_at: q.approved_at,
                 created_at: q.created_at
@@ -706,14 +703,14 @@ router.get('/whitelist', async (req, res) => {
         const whitelist = await getWhitelist();
 
         // Also include env whitelist for display (marked as source: 'env')
-        const envUsers = ADMIN_USERS.map(email => ({
+        const envUsers = await Promise.all(authz.ADMIN_USERS.map(async email => ({
             email,
-            username: email.split('@')[0],
+            username: (await users.find(email))?.username || users.toUsername(email),
             role: 'admin',
             source: 'env',
             added_by: 'environment',
             created_at: null
-        }));
+        })));
 
         const dbUsers = whitelist.map(w => ({
             id: w.id,
@@ -754,8 +751,10 @@ router.post('/whitelist', async (req, res) => {
             return res.status(400).json({ error: 'Invalid email format' });
         }
 
-        const validRoles = ['admin', 'faculty', 'ta'];
-        const userRole = validRoles.includes(role) ? role : 'admin';
+        const userRole = authz.ROLES.includes(role) ? role : 'admin';
+        if (!(await authz.canGrantRole(req.user, userRole))) {
+            return res.status(403).json({ error: `You cannot grant the ${userRole} role` });
+        }
 
         await addToWhitelist(email, adminEmail, userRole, reason);
 
@@ -780,6 +779,17 @@ router.put('/whitelist/:email', async (req, res) => {
         const { email } = req.params;
         const { role, reason } = req.body;
 
+        if (role !== undefined && !authz.ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${authz.ROLES.join(', ')}` });
+        }
+        const existing = (await getWhitelist()).find(w => w.email === email.toLowerCase());
+        if (existing && !(await authz.canGrantRole(req.user, existing.role))) {
+            return res.status(403).json({ error: `You cannot change a ${existing.role} entry` });
+        }
+        if (role !== undefined && !(await authz.canGrantRole(req.user, role))) {
+            return res.status(403).json({ error: `You cannot grant the ${role} role` });
+        }
+
         const updated = await updateWhitelistEntry(email, { role, reason });
 
         if (!updated) {
@@ -806,6 +816,11 @@ router.delete('/whitelist/:email', async (req, res) => {
     try {
         const { email } = req.params;
 
+        const existing = (await getWhitelist()).find(w => w.email === email.toLowerCase());
+        if (existing && !(await authz.canGrantRole(req.user, existing.role))) {
+            return res.status(403).json({ error: `You cannot remove a ${existing.role} entry` });
+        }
+
         const removed = await removeFromWhitelist(email);
 
         if (!removed) {
@@ -880,4 +895,866 @@ router.get('/whitelist/autocomplete', async (req, res) => {
     }
 });
 
+// ==================== User Sessions ====================
+
+/**
+ * GET /users/:username/sessions
+ * List a user's active login sessions
+ */
+router.get('/users/:username/sessions', async (req, res) => {
+    try {
+        const authSessions = require('../services/auth-sessions');
+        const sessions = await authSessions.listSessions(req.params.username);
+        res.json({ sessions, count: sessions.length });
+    } catch (error) {
+        console.error('[admin] Failed to list sessions:', error);
+        res.status(500).json({ error: 'Failed to retrieve sessions' });
+    }
+});
+
+/**
+ * GET /users/:username/tokens
+ * List a user's personal access tokens (no token values)
+ */
+router.get('/users/:username/tokens', async (req, res) => {
+    try {
+        const accessTokens = require('../services/access-tokens');
+        const tokens = await accessTokens.listTokens(req.params.username);
+        res.json({ tokens, count: tokens.length });
+    } catch (error) {
+        console.error('[admin] Failed to list access tokens:', error);
+        res.status(500).json({ error: 'Failed to retrieve access tokens' });
+    }
+});
+
+/**
+ * POST /users/:username/sessions/revoke
+ * Kill every session and personal access token a user has (incident response).
+ * Tokens stop passing /check immediately.
+ */
+router.post('/users/:username/sessions/revoke', async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { reason } = req.body || {};
+        const authSessions = require('../services/auth-sessions');
+        const revoked = await authSessions.revokeAllSessions(username, {
+            by: req.user.email,
+            reason: reason ? `admin: ${reason}` : 'admin_revoked'
+        });
+
+        const accessTokens = require('../services/access-tokens');
+        const revokedTokens = await accessTokens.revokeAllTokens(username);
+
+        const sessionStore = require('../services/session-store');
+        await sessionStore.purgeSessions({ username });
+
+        console.warn(`[admin] All sessions for ${username} revoked by ${req.user.email}${reason ? ` (${reason})` : ''}`);
+
+        res.json({
+            success: true,
+            revoked,
+            revoked_tokens: revokedTokens,
+            message: `Revoked ${revoked} session(s) and ${revokedTokens} access token(s) for ${username}`
+        });
+    } catch (error) {
+        console.error('[admin] Failed to revoke sessions:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+});
+
+/**
+ * GET /web-sessions
+ * List active browser sessions in the session store (?username= for one user)
+ */
+router.get('/web-sessions', async (req, res) => {
+    try {
+        const sessionStore = require('../services/session-store');
+        const sessions = await sessionStore.listSessions({ username: req.query.username || undefined });
+        res.json({ sessions, count: sessions.length });
+    } catch (error) {
+        console.error('[admin] Failed to list web sessions:', error);
+        res.status(500).json({ error: 'Failed to retrieve web sessions' });
+    }
+});
+
+/**
+ * DELETE /web-sessions/:sid
+ * End one browser session
+ */
+router.delete('/web-sessions/:sid', async (req, res) => {
+    try {
+        const sessionStore = require('../services/session-store');
+        await sessionStore.destroySession(req.params.sid);
+        console.log(`[admin] Web session ${req.params.sid.slice(0, 8)}… purged by ${req.user.email}`);
+        res.json({ success: true, message: 'Session ended' });
+    } catch (error) {
+        console.error('[admin] Failed to purge web session:', error);
+        res.status(500).json({ error: 'Failed to end session' });
+    }
+});
+
+/**
+ * POST /web-sessions/purge
+ * End every browser session, or one user's. Body: { username? }
+ * A valid np_access cookie still signs the user back in; revoke login sessions to lock them out.
+ */
+router.post('/web-sessions/purge', async (req, res) => {
+    try {
+        const { username } = req.body || {};
+        const sessionStore = require('../services/session-store');
+        const purged = await sessionStore.purgeSessions({ username: username || undefined });
+        console.warn(`[admin] ${purged} web session(s)${username ? ` of ${username}` : ''} purged by ${req.user.email}`);
+        res.json({ success: true, purged, message: `Purged ${purged} session(s)` });
+    } catch (error) {
+        console.error('[admin] Failed to purge web sessions:', error);
+        res.status(500).json({ error: 'Failed to purge sessions' });
+    }
+});
+
+// ==================== JWT Signing Keys ====================
+
+/**
+ * GET /jwt-keys
+ * List signing keys in the key ring (no key material)
+ */
+router.get('/jwt-keys', (req, res) => {
+    const jwtKeys = require('../services/jwt-keys');
+    res.json({ keys: jwtKeys.listKeys() });
+});
+
+/**
+ * POST /jwt-keys/rotate
+ * Generate a new signing key; it is published now and signs once cached JWKS copies have expired
+ * (?immediate=true signs with it right away, e.g. after a key leak). The old public key stays
+ * published until its tokens expire.
+ */
+router.post('/jwt-keys/rotate', (req, res) => {
+    try {
+        const jwtKeys = require('../services/jwt-keys');
+        const kid = jwtKeys.rotate({ immediate: req.query.immediate === 'true' });
+        console.log(`[admin] JWT signing key rotated to ${kid} by ${req.user.email}`);
+        res.json({ success: true, kid, keys: jwtKeys.listKeys() });
+    } catch (error) {
+        console.error('[admin] Failed to rotate JWT key:', error);
+        res.status(500).json({ error: 'Failed to rotate signing key' });
+    }
+});
+
+// ==================== IdP Metadata ====================
+
+/**
+ * GET /idp-metadata
+ * Metadata age, source (remote or disk cache), and trusted certificate fingerprints/expiry
+ */
+router.get('/idp-metadata', (req, res) => {
+    const idpMetadata = require('../services/idp-metadata');
+    res.json(idpMetadata.getStatus());
+});
+
+/**
+ * POST /idp-metadata/refresh
+ * Re-download the IdP metadata now (e.g. right after Azure announces a certificate rollover)
+ */
+router.post('/idp-metadata/refresh', async (req, res) => {
+    const idpMetadata = require('../services/idp-metadata');
+    try {
+        const changed = await idpMetadata.refresh();
+        console.log(`[admin] IdP metadata refreshed by ${req.user.email} (changed: ${changed})`);
+        res.json({ success: true, changed, ...idpMetadata.getStatus() });
+    } catch (error) {
+        res.status(502).json({ error: `Metadata refresh failed: ${error.message}`, ...idpMetadata.getStatus() });
+    }
+});
+
+// ==================== OIDC Client Apps ====================
+
+function sendClientError(res, error, fallback) {
+    const oauthClients = require('../services/oauth-clients');
+    if (error instanceof oauthClients.ClientRegistryError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`[admin] ${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+/**
+ * GET /clients
+ * List every registered app (optionally ?owner=username, ?pending=1 for apps awaiting approval)
+ */
+router.get('/clients', async (req, res) => {
+    const oauthClients = require('../services/oauth-clients');
+    try {
+        const clients = await oauthClients.listClients({
+            owner: req.query.owner || undefined,
+            pending: req.query.pending === '1' || req.query.pending === 'true'
+        });
+        res.json({ clients: clients.map(oauthClients.describe), count: clients.length });
+    } catch (error) {
+        sendClientError(res, error, 'Failed to list apps');
+    }
+});
+
+/**
+ * POST /clients
+ * Register an app on behalf of a user (approved right away).
+ * Body: { name, owner?, redirect_uris[], scopes[], audience?, public? }
+ */
+router.post('/clients', async (req, res) => {
+    const oauthClients = require('../services/oauth-clients');
+    try {
+        const { client, client_secret } = await oauthClients.createClient({
+            name: req.body.name,
+            owner: req.body.owner || req.user.username,
+            redirect_uris: req.body.redirect_uris,
+            scopes: req.body.scopes,
+            audience: req.body.audience,
+            public: !!req.body.public
+        }, { enforceLimit: false, approvedBy: req.user.email });
+        console.log(`[admin] App ${client.client_id} (${client.name}) registered for ${client.owner} by ${req.user.email}`);
+        res.status(201).json({ success: true, client: oauthClients.describe(client), client_secret });
+    } catch (error) {
+        sendClientError(res, error, 'Failed to register app');
+    }
+});
+
+/**
+ * PUT /clients/:clientId
+ * Update any app, including disabling it ({ disabled: true }) or approving a
+ * self-registered one ({ approved: true }) so it can sign users in
+ */
+router.put('/clients/:clientId', async (req, res) => {
+    const oauthClients = require('../services/oauth-clients');
+    try {
+        const { name, redirect_uris, scopes, audience, disabled, approved } = req.body;
+        const client = await oauthClients.updateClient(
+            req.params.clientId,
+            { name, redirect_uris, scopes, audience, disabled, approved },
+            { admin: req.user.email }
+        );
+        console.log(`[admin] App ${client.client_id} updated by ${req.user.email}`);
+        res.json({ success: true, client: oauthClients.describe(client) });
+    } catch (error) {
+        sendClientError(res, error, 'Failed to update app');
+    }
+});
+
+/**
+ * POST /clients/:clientId/secret
+ * Rotate an app's client secret (returned once)
+ */
+router.post('/clients/:clientId/secret', async (req, res) => {
+    const oauthClients = require('../services/oauth-clients');
+    try {
+        const client_secret = await oauthClients.rotateSecret(req.params.clientId);
+        console.log(`[admin] Secret of ${req.params.clientId} rotated by ${req.user.email}`);
+        res.json({ success: true, client_secret });
+    } catch (error) {
+        sendClientError(res, error, 'Failed to rotate secret');
+    }
+});
+
+/**
+ * DELETE /clients/:clientId
+ * Delete an app
+ */
+router.delete('/clients/:clientId', async (req, res) => {
+    const oauthClients = require('../services/oauth-clients');
+    try {
+        const removed = await oauthClients.deleteClient(req.params.clientId);
+        if (!removed) return res.status(404).json({ error: 'App not found' });
+        console.log(`[admin] App ${req.params.clientId} deleted by ${req.user.email}`);
+        res.json({ success: true, message: 'App deleted' });
+    } catch (error) {
+        sendClientError(res, error, 'Failed to delete app');
+    }
+});
+
+// ==================== Access Policy ====================
+
+function sendPolicyError(res, error, fallback) {
+    const accessPolicy = require('../services/access-policy');
+    if (error instanceof accessPolicy.AccessPolicyError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`[admin] ${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+/**
+ * GET /access-policy
+ * List rules in evaluation order
+ */
+router.get('/access-policy', async (req, res) => {
+    const accessPolicy = require('../services/access-policy');
+    try {
+        const rules = await accessPolicy.listRules();
+        res.json({ rules, count: rules.length, stages: accessPolicy.STAGES, match_types: accessPolicy.MATCH_TYPES });
+    } catch (error) {
+        sendPolicyError(res, error, 'Failed to list access rules');
+    }
+});
+
+/**
+ * POST /access-policy/rules
+ * Add a rule. Body: { effect, match_type, match_value, stage?, priority?, message?, enabled? }
+ */
+router.post('/access-policy/rules', async (req, res) => {
+    const accessPolicy = require('../services/access-policy');
+    try {
+        const rule = await accessPolicy.createRule(req.body || {}, req.user.email);
+        res.status(201).json({ success: true, rule });
+    } catch (error) {
+        sendPolicyError(res, error, 'Failed to add access rule');
+    }
+});
+
+/**
+ * PUT /access-policy/rules/:id
+ * Change a rule
+ */
+router.put('/access-policy/rules/:id', async (req, res) => {
+    const accessPolicy = require('../services/access-policy');
+    try {
+        const rule = await accessPolicy.updateRule(parseInt(req.params.id, 10), req.body || {}, req.user.email);
+        res.json({ success: true, rule });
+    } catch (error) {
+        sendPolicyError(res, error, 'Failed to update access rule');
+    }
+});
+
+/**
+ * DELETE /access-policy/rules/:id
+ * Delete a rule
+ */
+router.delete('/access-policy/rules/:id', async (req, res) => {
+    const accessPolicy = require('../services/access-policy');
+    try {
+        const removed = await accessPolicy.deleteRule(parseInt(req.params.id, 10), req.user.email);
+        if (!removed) return res.status(404).json({ error: 'Rule not found' });
+        res.json({ success: true, message: 'Rule deleted' });
+    } catch (error) {
+        sendPolicyError(res, error, 'Failed to delete access rule');
+    }
+});
+
+/**
+ * POST /access-policy/test
+ * Dry run: { email, affiliation?, groups?[], stage } -> the decision, without recording it
+ */
+router.post('/access-policy/test', async (req, res) => {
+    const accessPolicy = require('../services/access-policy');
+    try {
+        const { email, affiliation, groups, stage } = req.body || {};
+        if (!email) return res.status(400).json({ error: 'email is required' });
+        if (!accessPolicy.STAGES.includes(stage)) {
+            return res.status(400).json({ error: `stage must be one of: ${accessPolicy.STAGES.join(', ')}` });
+        }
+        const decision = await accessPolicy.decide({ email, affiliation, groups: Array.isArray(groups) ? groups : [] }, stage);
+        res.json(decision);
+    } catch (error) {
+        sendPolicyError(res, error, 'Failed to evaluate access policy');
+    }
+});
+
+/**
+ * GET /access-policy/decisions
+ * Recent decisions (?email=, ?allowed=true|false, ?limit=)
+ */
+router.get('/access-policy/decisions', async (req, res) => {
+    const accessPolicy = require('../services/access-policy');
+    try {
+        const decisions = await accessPolicy.listDecisions({
+            email: req.query.email || undefined,
+            allowed: req.query.allowed === undefined ? undefined : req.query.allowed === 'true',
+            limit: req.query.limit
+        });
+        res.json({ decisions, count: decisions.length });
+    } catch (error) {
+        sendPolicyError(res, error, 'Failed to list access decisions');
+    }
+});
+
+// ==================== Student Route Overrides ====================
+
+function sendRouteAccessError(res, error, fallback) {
+    const routeAccess = require('../services/route-access');
+    if (error instanceof routeAccess.RouteAccessError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`[admin] ${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+/**
+ * GET /route-access/overrides
+ * Overrides, newest first (?active=true for current ones only)
+ */
+router.get('/route-access/overrides', async (req, res) => {
+    const routeAccess = require('../services/route-access');
+    try {
+        // Course instructors and TAs only see their own
+        const own = !(await authz.can(req.user, 'access_student_routes'));
+        const overrides = await routeAccess.listOverrides({
+            activeOnly: req.query.active === 'true',
+            admin: own ? req.user.email : undefined,
+            limit: req.query.limit
+        });
+        res.json({ overrides, count: overrides.length });
+    } catch (error) {
+        sendRouteAccessError(res, error, 'Failed to list route overrides');
+    }
+});
+
+/**
+ * POST /route-access/overrides
+ * Open all of one user's routes to the calling admin. Body: { owner, reason, minutes? }
+ */
+router.post('/route-access/overrides', async (req, res) => {
+    const routeAccess = require('../services/route-access');
+    try {
+        const override = await routeAccess.createOverride(req.user, req.body || {});
+        res.status(201).json({ success: true, override });
+    } catch (error) {
+        sendRouteAccessError(res, error, 'Failed to create route override');
+    }
+});
+
+/**
+ * DELETE /route-access/overrides/:id
+ * End an override early
+ */
+router.delete('/route-access/overrides/:id', async (req, res) => {
+    const routeAccess = require('../services/route-access');
+    try {
+        const own = !(await authz.can(req.user, 'access_student_routes'));
+        const revoked = await routeAccess.revokeOverride(parseInt(req.params.id, 10), req.user.email, {
+            admin: own ? req.user.email : undefined
+        });
+        if (!revoked) return res.status(404).json({ error: 'Override not found or already ended' });
+        res.json({ success: true, message: 'Override ended' });
+    } catch (error) {
+        sendRouteAccessError(res, error, 'Failed to end route override');
+    }
+});
+
+/**
+ * GET /route-access/log
+ * Denied requests and requests let through by an override (?owner=, ?email=, ?limit=)
+ */
+router.get('/route-access/log', async (req, res) => {
+    const routeAccess = require('../services/route-access');
+    try {
+        const own = !(await authz.can(req.user, 'access_student_routes'));
+        const entries = await routeAccess.listLog({
+            owner: req.query.owner || undefined,
+            email: own ? req.user.email : (req.query.email || undefined),
+            limit: req.query.limit
+        });
+        res.json({ entries, count: entries.length });
+    } catch (error) {
+        sendRouteAccessError(res, error, 'Failed to list route access log');
+    }
+});
+
+// ==================== Impersonation ====================
+
+/**
+ * POST /impersonation
+ * View the dashboard as another user. Body: { user (username or email), reason, minutes? }
+ * Stopped with POST /impersonation/stop (outside this router, as the admin).
+ */
+router.post('/impersonation', async (req, res) => {
+    const impersonation = require('../services/impersonation');
+    try {
+        const state = await impersonation.start(req.user, req.body || {}, { ip: req.ip });
+        req.session.impersonation = state;
+        res.status(201).json({
+            success: true,
+            target: state.claims.email,
+            expires_at: state.expires_at,
+            redirect: '/dashboard'
+        });
+    } catch (error) {
+        if (error instanceof impersonation.ImpersonationError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('[admin] Failed to start impersonation:', error);
+        res.status(500).json({ error: 'Failed to start impersonation' });
+    }
+});
+
+/**
+ * GET /impersonation/events
+ * Audit trail of impersonation starts, stops and refused requests (?admin=, ?target=, ?limit=)
+ */
+router.get('/impersonation/events', async (req, res) => {
+    const impersonation = require('../services/impersonation');
+    try {
+        const events = await impersonation.listEvents({
+            admin: req.query.admin || undefined,
+            target: req.query.target || undefined,
+            limit: req.query.limit
+        });
+        res.json({ events, count: events.length });
+    } catch (error) {
+        console.error('[admin] Failed to list impersonation events:', error);
+        res.status(500).json({ error: 'Failed to list impersonation events' });
+    }
+});
+
+
+// ==================== Guest Cohorts ====================
+
+function sendGuestError(res, error, fallback) {
+    const guestCohorts = require('../services/guest-cohorts');
+    if (error instanceof guestCohorts.GuestCohortError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`[admin] ${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+/**
+ * GET /guests/cohorts
+ * Cohorts with guest and redemption counts (?all=true to include ended ones)
+ */
+router.get('/guests/cohorts', async (req, res) => {
+    const guestCohorts = require('../services/guest-cohorts');
+    try {
+        const cohorts = await guestCohorts.listCohorts({ includeEnded: req.query.all === 'true' });
+        res.json({ cohorts, count: cohorts.length, presets: guestCohorts.PRESETS });
+    } catch (error) {
+        sendGuestError(res, error, 'Failed to list guest cohorts');
+    }
+});
+
+/**
+ * POST /guests/cohorts
+ * Create a cohort. Body: { name, ends_at, starts_at?, preset?, count | labels }
+ * The response is the only place the access codes and invite links appear.
+ */
+router.post('/guests/cohorts', async (req, res) => {
+    const guestCohorts = require('../services/guest-cohorts');
+    try {
+        const { cohort, guests } = await guestCohorts.createCohort(req.user, req.body || {});
+        res.status(201).json({ success: true, cohort, guests });
+    } catch (error) {
+        sendGuestError(res, error, 'Failed to create guest cohort');
+    }
+});
+
+/**
+ * GET /guests/cohorts/:id
+ * A cohort and its guests
+ */
+router.get('/guests/cohorts/:id', async (req, res) => {
+    const guestCohorts = require('../services/guest-cohorts');
+    try {
+        const cohort = await guestCohorts.getCohort(parseInt(req.params.id, 10));
+        if (!cohort) return res.status(404).json({ error: 'Cohort not found' });
+        res.json({ cohort });
+    } catch (error) {
+        sendGuestError(res, error, 'Failed to load guest cohort');
+    }
+});
+
+/**
+ * POST /guests/cohorts/:id/guests
+ * Add guests to a running cohort. Body: { count | labels }
+ */
+router.post('/guests/cohorts/:id/guests', async (req, res) => {
+    const guestCohorts = require('../services/guest-cohorts');
+    try {
+        const guests = await guestCohorts.addGuests(parseInt(req.params.id, 10), req.body || {});
+        res.status(201).json({ success: true, guests });
+    } catch (error) {
+        sendGuestError(res, error, 'Failed to add guests');
+    }
+});
+
+/**
+ * POST /guests/:guestId/code
+ * Replace a guest's access code, e.g. after they lost their session; their container is kept
+ */
+router.post('/guests/:guestId/code', async (req, res) => {
+    const guestCohorts = require('../services/guest-cohorts');
+    try {
+        const { code, link } = await guestCohorts.reissueCode(parseInt(req.params.guestId, 10));
+        res.json({ success: true, code, link });
+    } catch (error) {
+        sendGuestError(res, error, 'Failed to issue access code');
+    }
+});
+
+/**
+ * DELETE /guests/cohorts/:id
+ * End a cohort now: its guests are signed out and their containers wiped
+ */
+router.delete('/guests/cohorts/:id', async (req, res) => {
+    const guestCohorts = require('../services/guest-cohorts');
+    try {
+        const removed = await guestCohorts.endCohort(parseInt(req.params.id, 10), req.user.email);
+        res.json({ success: true, message: `Cohort ended; ${removed} guest(s) removed` });
+    } catch (error) {
+        sendGuestError(res, error, 'Failed to end guest cohort');
+    }
+});
+
+
+// ==================== Image Catalog ====================
+
+function sendImageError(res, error, fallback) {
+    const imageCatalog = require('../services/image-catalog');
+    if (error instanceof imageCatalog.ImageCatalogError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`[admin] ${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+/**
+ * GET /images
+ * The catalog, disabled entries included; the built-in default image comes first
+ */
+router.get('/images', async (req, res) => {
+    const imageCatalog = require('../services/image-catalog');
+    try {
+        const images = await imageCatalog.list({ includeDisabled: true });
+        res.json({ images, count: images.length });
+    } catch (error) {
+        sendImageError(res, error, 'Failed to list images');
+    }
+});
+
+/**
+ * POST /images
+ * Add an image. Body: { name, title, image, gpu_image?, description?, allowed_presets?,
+ * allowed_nodes?, allowed_roles?, allowed_groups?, enabled? } (allowed_* are arrays; omitted means any)
+ */
+router.post('/images', async (req, res) => {
+    const imageCatalog = require('../services/image-catalog');
+    try {
+        const image = await imageCatalog.create(req.body || {}, req.user.email);
+        res.status(201).json({ success: true, image });
+    } catch (error) {
+        sendImageError(res, error, 'Failed to add image');
+    }
+});
+
+/**
+ * PUT /images/:name
+ * Change an image; containers on it use a new image reference from their next start
+ */
+router.put('/images/:name', async (req, res) => {
+    const imageCatalog = require('../services/image-catalog');
+    try {
+        const image = await imageCatalog.update(req.params.name, req.body || {}, req.user.email);
+        res.json({ success: true, image });
+    } catch (error) {
+        sendImageError(res, error, 'Failed to update image');
+    }
+});
+
+/**
+ * DELETE /images/:name
+ * Remove an image no container uses (disable it to retire one still in use)
+ */
+router.delete('/images/:name', async (req, res) => {
+    const imageCatalog = require('../services/image-catalog');
+    try {
+        const removed = await imageCatalog.remove(req.params.name, req.user.email);
+        if (!removed) return res.status(404).json({ error: 'Image not found' });
+        res.json({ success: true });
+    } catch (error) {
+        sendImageError(res, error, 'Failed to delete image');
+    }
+});
+
+
+// ==================== Courses ====================
+// Open to course instructors and TAs; services/courses.js checks each course
+
+function sendCourseError(res, error, fallback) {
+    const courses = require('../services/courses');
+    if (error instanceof courses.CourseError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`[admin] ${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+/**
+ * GET /courses
+ * Courses the caller manages or assists, with student counts (?all=true to include archived ones)
+ */
+router.get('/courses', async (req, res) => {
+    const courses = require('../services/courses');
+    try {
+        const list = await courses.listCourses(req.user, { includeArchived: req.query.all === 'true' });
+        res.json({ courses: list, count: list.length, presets: courses.PRESETS });
+    } catch (error) {
+        sendCourseError(res, error, 'Failed to list courses');
+    }
+});
+
+/**
+ * POST /courses
+ * Create a course. Body: { name, title, default_preset?, default_image?, azure_group?,
+ * starter_repo?, starter_files?, instructors?, tas? }; the caller is its instructor by default
+ */
+router.post('/courses', async (req, res) => {
+    const courses = require('../services/courses');
+    try {
+        const course = await courses.createCourse(req.user, req.body || {});
+        res.status(201).json({ success: true, course });
+    } catch (error) {
+        sendCourseError(res, error, 'Failed to create course');
+    }
+});
+
+/**
+ * GET /courses/:name
+ * A course, its roster and any bulk operation in progress
+ */
+router.get('/courses/:name', async (req, res) => {
+    const courses = require('../services/courses');
+    try {
+        res.json({ course: await courses.getCourse(req.user, req.params.name) });
+    } catch (error) {
+        sendCourseError(res, error, 'Failed to load course');
+    }
+});
+
+/**
+ * PUT /courses/:name
+ * Change a course's title, defaults, Azure group or starter content
+ */
+router.put('/courses/:name', async (req, res) => {
+    const courses = require('../services/courses');
+    try {
+        const course = await courses.updateCourse(req.user, req.params.name, req.body || {});
+        res.json({ success: true, course });
+    } catch (error) {
+        sendCourseError(res, error, 'Failed to update course');
+    }
+});
+
+/**
+ * DELETE /courses/:name
+ * Archive a course; its staff lose access to its students, containers are kept
+ */
+router.delete('/courses/:name', async (req, res) => {
+    const courses = require('../services/courses');
+    try {
+        const archived = await courses.archiveCourse(req.user, req.params.name);
+        if (!archived) return res.status(404).json({ error: 'Course not found or already archived' });
+        res.json({ success: true });
+    } catch (error) {
+        sendCourseError(res, error, 'Failed to archive course');
+    }
+});
+
+/**
+ * POST /courses/:name/roster
+ * Add or update members. Body: { csv } (header with an email column, optional role and name
+ * columns) or { members: [{ email, role? }] }; replace: true also drops students missing from it
+ */
+router.post('/courses/:name/roster', async (req, res) => {
+    const courses = require('../services/courses');
+    try {
+        const result = await courses.importRoster(req.user, req.params.name, req.body || {});
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendCourseError(res, error, 'Failed to import roster');
+    }
+});
+
+/**
+ * DELETE /courses/:name/members/:email
+ * Take someone off the roster; their container is kept
+ */
+router.delete('/courses/:name/members/:email', async (req, res) => {
+    const courses = require('../services/courses');
+    try {
+        const removed = await courses.removeMember(req.user, req.params.name, req.params.email);
+        if (!removed) return res.status(404).json({ error: 'Not on this course\'s roster' });
+        res.json({ success: true });
+    } catch (error) {
+        sendCourseError(res, error, 'Failed to remove member');
+    }
+});
+
+/**
+ * POST /courses/:name/sync
+ * Sync the roster from the course's Azure group now (it also syncs every COURSE_SYNC_INTERVAL_MINUTES)
+ */
+router.post('/courses/:name/sync', async (req, res) => {
+    const courses = require('../services/courses');
+    try {
+        const result = await courses.syncRoster(req.user, req.params.name);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        sendCourseError(res, error, 'Failed to sync roster');
+    }
+});
+
+/**
+ * POST /courses/:name/provision
+ * Create the students' containers that don't exist yet, with the course defaults and starter
+ * content. Body: { emails? } to limit it to some students. Poll GET /courses/:name for progress.
+ */
+router.post('/courses/:name/provision', async (req, res) => {
+    const courses = require('../services/courses');
+    try {
+        const operation = await courses.bulk(req.user, req.params.name, 'provision', req.body || {});
+        res.status(202).json({ success: true, operation });
+    } catch (error) {
+        sendCourseError(res, error, 'Failed to provision containers');
+    }
+});
+
+/**
+ * POST /courses/:name/start
+ * Start the students' stopped containers, e.g. before a lab. Body: { emails? }
+ */
+router.post('/courses/:name/start', async (req, res) => {
+    const courses = require('../services/courses');
+    try {
+        const operation = await courses.bulk(req.user, req.params.name, 'start', req.body || {});
+        res.status(202).json({ success: true, operation });
+    } catch (error) {
+        sendCourseError(res, error, 'Failed to start containers');
+    }
+});
+
+
+// ==================== Rate Limits ====================
+
+/**
+ * GET /rate-limits
+ * Budgets per route group, allowed/limited totals since start and the live counters
+ * (?group= to filter, ?limited=true for callers currently over budget)
+ */
+router.get('/rate-limits', (req, res) => {
+    const rateLimit = require('../services/rate-limit');
+    res.json(rateLimit.getStats({
+        group: req.query.group ? String(req.query.group) : undefined,
+        limitedOnly: req.query.limited === 'true'
+    }));
+});
+
+/**
+ * DELETE /rate-limits/:key
+ * Clear a caller's counters (key as listed, e.g. user:jdoe); ?group= limits it to one group.
+ * Needs manage_auth on top of view_security.
+ */
+router.delete('/rate-limits/:key', (req, res) => {
+    const rateLimit = require('../services/rate-limit');
+    const group = req.query.group ? String(req.query.group) : undefined;
+    if (group && !rateLimit.GROUPS[group]) return res.status(400).json({ error: 'Unknown rate limit group' });
+    const cleared = rateLimit.reset(req.params.key, group);
+    console.log(`[admin] ${req.user.email} cleared ${cleared} rate limit counter(s) for ${req.params.key}`);
+    res.json({ success: true, cleared });
+});
+
 module.exports = router;
@@ -0,0 +1,131 @@
+// routes/clients-api.js - Self-service registration of OIDC client apps
+// Students and faculty register their own apps; admins manage every app via /dashboard/api/admin/clients
+// and must approve a new app (or one whose redirect URIs, scopes or audience changed) before it can sign anyone in
+
+const express = require('express');
+const router = express.Router();
+const oauthClients = require('../services/oauth-clients');
+
+/**
+ * Helper: Extract username from authenticated request
+ */
+function getUsername(req) {
+    if (!req.user?.email) {
+        return null;
+    }
+    return req.user.username;
+}
+
+/**
+ * Helper: Load a client owned by the current user (null if missing or someone else's)
+ */
+async function getOwnClient(req) {
+    const client = await oauthClients.getClient(req.params.clientId);
+    return client && client.owner === getUsername(req) ? client : null;
+}
+
+function sendError(res, error, fallback) {
+    if (error instanceof oauthClients.ClientRegistryError) {
+        return res.status(error.status).json({ error: error.message });
+    }
+    console.error(`[clients-api] ${fallback}:`, error);
+    return res.status(500).json({ error: fallback });
+}
+
+/**
+ * GET /
+ * List the current user's apps
+ */
+router.get('/', async (req, res) => {
+    const username = getUsername(req);
+    if (!username) return res.status(401).json({ error: 'Authentication required' });
+
+    try {
+        const clients = await oauthClients.listClients({ owner: username });
+        res.json({ clients: clients.map(oauthClients.describe), count: clients.length });
+    } catch (error) {
+        sendError(res, error, 'Failed to list apps');
+    }
+});
+
+/**
+ * POST /
+ * Register an app. Body: { name, redirect_uris[], scopes[], audience?, public? }
+ * The client secret is only returned in this response; the app works once an admin approves it.
+ */
+router.post('/', async (req, res) => {
+    const username = getUsername(req);
+    if (!username) return res.status(401).json({ error: 'Authentication required' });
+
+    try {
+        const { client, client_secret } = await oauthClients.createClient({
+            name: req.body.name,
+            owner: username,
+            redirect_uris: req.body.redirect_uris,
+            scopes: req.body.scopes,
+            audience: req.body.audience,
+            public: !!req.body.public
+        });
+        console.log(`[clients-api] ${username} registered app ${client.client_id} (${client.name}), awaiting approval`);
+        res.status(201).json({ success: true, client: oauthClients.describe(client), client_secret });
+    } catch (error) {
+        sendError(res, error, 'Failed to register app');
+    }
+});
+
+/**
+ * PUT /:clientId
+ * Update name, redirect URIs, scopes or audience of one of the user's apps.
+ * Changing the redirect URIs, scopes or audience needs a new admin approval.
+ */
+router.put('/:clientId', async (req, res) => {
+    const username = getUsername(req);
+    if (!username) return res.status(401).json({ error: 'Authentication required' });
+
+    try {
+        if (!await getOwnClient(req)) return res.status(404).json({ error: 'App not found' });
+        const { name, redirect_uris, scopes, audience } = req.body;
+        const client = await oauthClients.updateClient(req.params.clientId, { name, redirect_uris, scopes, audience });
+        res.json({ success: true, client: oauthClients.describe(client) });
+    } catch (error) {
+        sendError(res, error, 'Failed to update app');
+    }
+});
+
+/**
+ * POST /:clientId/secret
+ * Rotate the client secret (returned once)
+ */
+router.post('/:clientId/secret', async (req, res) => {
+    const username = getUsername(req);
+    if (!username) return res.status(401).json({ error: 'Authentication required' });
+
+    try {
+        if (!await getOwnClient(req)) return res.status(404).json({ error: 'App not found' });
+        const client_secret = await oauthClients.rotateSecret(req.params.clientId);
+        console.log(`[clients-api] ${username} rotated the secret of ${req.params.clientId}`);
+        res.json({ success: true, client_secret });
+    } catch (error) {
+        sendError(res, error, 'Failed to rotate secret');
+    }
+});
+
+/**
+ * DELETE /:clientId
+ * Delete one of the user's apps
+ */
+router.delete('/:clientId', async (req, res) => {
+    const username = getUsername(req);
+    if (!username) return res.status(401).json({ error: 'Authentication required' });
+
+    try {
+        if (!await getOwnClient(req)) return res.status(404).json({ error: 'App not found' });
+        await oauthClients.deleteClient(req.params.clientId);
+        console.log(`[clients-api] ${username} deleted app ${req.params.clientId}`);
+        res.json({ success: true, message: 'App deleted' });
+    } catch (error) {
+        sendError(res, error, 'Failed to delete app');
+    }
+});
+
+module.exports = router;
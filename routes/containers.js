@@ -13,9 +13,25 @@ const SSH_KEYS_DIR = process.env.SSH_KEYS_DIR || '/app/data/ssh-keys';
 const resourceConfig = require('../config/resources');
 // Runtime configuration for Docker/Kubernetes mode
 const runtimeConfig = require('../config/runtime');
+// Allow/deny rules for who may get a container
+const accessPolicy = require('../services/access-policy');
+// Share lists for private custom routes (checked by /auth/verify)
+const routeAccess = require('../services/route-access');
+// Guests are held to their cohort's preset
+const guestCohorts = require('../services/guest-cohorts');
+// Named workspaces: each request acts on req.workspace.key
+const workspaces = require('../services/workspaces');
+// Snapshots of home volumes (Kubernetes mode)
+const volumeSnapshots = require('../services/volume-snapshots');
+// Download and upload of whole home directories
+const homeArchive = require('../services/home-archive');
+// Course-specific container images students can choose
+const imageCatalog = require('../services/image-catalog');
 
 const router = express.Router();
 
+router.use(workspaces.select);
+
 // Conditional Docker client - only initialize if in Docker mode
 let docker = null;
 if (runtimeConfig.isDocker()) {
@@ -384,10 +400,42 @@ router.post('/init', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const decision = await accessPolicy.evaluate(req.user, 'containers', { ip: req.ip });
+        if (!decision.allowed) {
+            return res.status(403).json({ success: false, message: decision.message });
+        }
+
+        // Guests get their cohort's preset on Hydra, whatever they ask for
+        let guestPreset = null;
+        try {
+            guestPreset = await guestCohorts.presetFor(req.user);
+        } catch (err) {
+            if (err instanceof guestCohorts.GuestCohortError) {
+                return res.status(err.status).json({ success: false, message: err.message });
+            }
+            throw err;
+        }
+
+        const username = req.workspace.key;
         const host = process.env.HOSTNAME || 'hydra.newpaltz.edu';
         const publicBase = (process.env.PUBLIC_STUDENTS_BASE || `https://${host}/students`).replace(/\/$/, '');
 
+        // Image from the catalog: the one asked for, else the container's earlier choice
+        let imageEntry;
+        try {
+            imageEntry = req.body.image
+                ? await imageCatalog.choose(req.user, req.body.image, {
+                    preset: guestPreset ? guestPreset.id : (req.body.preset || 'conservative'),
+                    target_node: guestPreset ? 'hydra' : (req.body.target_node || 'hydra')
+                })
+                : await imageCatalog.entryFor(username);
+        } catch (err) {
+            if (err instanceof imageCatalog.ImageCatalogError) {
+                return res.status(err.status).json({ success: false, message: err.message });
+            }
+            throw err;
+        }
+
         // ========== KUBERNETES MODE ==========
         if (runtimeConfig.isKubernetes()) {
             // Check if container already exists
@@ -402,17 +450,42 @@ router.post('/init', async (req, res) => {
             }
 
             // Fetch user quota for approval flags
-            const { getOrCreateUserQuota } = require('../services/db-init');
-            const quota = await getOrCreateUserQuota(username, req.user.email);
-
-            // Create container using K8s service
-            const result = await k8sContainers.initContainer(username, req.user.email, {
+            const { getOrCreateUserQuota, getOrCreateContainerConfig, updateContainerConfig } = require('../services/db-init');
+            const quota = await getOrCreateUserQuota(req.user.username, req.user.email);
+
+            const resources = guestPreset ? {
+                preset: guestPreset.id,
+                target_node: 'hydra',
+                storage_gb: guestPreset.storage_gb,
+                memory_mb: guestPreset.memory_mb,
+                cpus: guestPreset.cpus,
+                gpu_count: 0
+            } : {
                 preset: req.body.preset || 'conservative',
                 target_node: req.body.target_node || 'hydra',
                 storage_gb: req.body.storage_gb || resourceConfig.defaults.storage_gb,
                 memory_mb: req.body.memory_mb || resourceConfig.defaults.memory_mb,
                 cpus: req.body.cpus || resourceConfig.defaults.cpus,
-                gpu_count: req.body.gpu_count || 0,
+                gpu_count: req.body.gpu_count || 0
+            };
+            if (guestPreset) {
+                // Later starts read the stored config, so keep it at the guest preset too
+                await getOrCreateContainerConfig(username, `student-${username}`);
+                await updateContainerConfig(username, {
+                    current_node: 'hydra',
+                    memory_gb: guestPreset.memory_gb,
+                    cpus: guestPreset.cpus,
+                    storage_gb: guestPreset.storage_gb,
+                    gpu_count: 0,
+                    preset_tier: guestPreset.id
+                });
+            }
+
+            if (req.body.image) await recordImage(username, imageEntry);
+
+            // Create container using K8s service
+            const result = await k8sContainers.initContainer(username, req.user.email, {
+                ...resources,
                 jupyter_approved: !!quota.jupyter_execution_approved,
                 jenkins_approved: true
             });
@@ -485,11 +558,14 @@ router.post('/init', async (req, res) => {
             'hydra.created_at': new Date().toISOString()
         };
 
+        const studentImage = imageCatalog.referenceOf(imageEntry);
+        if (req.body.image) await recordImage(username, imageEntry);
+
         // Check if image exists locally, if not try to pull it
-        const imagePresent = await imageExists(STUDENT_IMAGE);
+        const imagePresent = await imageExists(studentImage);
         if (!imagePresent) {
             try {
-                await pullImage(STUDENT_IMAGE);
+                await pullImage(studentImage);
             } catch (err) {
                 console.error('[containers] Failed to pull student image:', err);
                 return res.status(500).json({
@@ -532,7 +608,7 @@ router.post('/init', async (req, res) => {
         const container = await docker.createContainer({
             name: containerName,
             Hostname: containerName,
-            Image: STUDENT_IMAGE,
+            Image: studentImage,
             Labels: labels,
             Env: [
                 `USERNAME=${username}`,
@@ -546,8 +622,8 @@ router.post('/init', async (req, res) => {
                 NetworkMode: MAIN_NETWORK,
                 RestartPolicy: { Name: 'unless-stopped' },
                 Mounts: mounts,
-                Memory: resourceConfig.memoryToBytes(resourceConfig.defaults.memory_gb),
-                NanoCpus: resourceConfig.cpusToNanoCpus(resourceConfig.defaults.cpus),
+                Memory: resourceConfig.memoryToBytes((guestPreset || resourceConfig.defaults).memory_gb),
+                NanoCpus: resourceConfig.cpusToNanoCpus((guestPreset || resourceConfig.defaults).cpus),
                 // SECURITY WARNING: Privileged mode allows container escape!
                 // This is a CRITICAL SECURITY VULNERABILITY - see docs/SECURITY_VULNERABILITIES.md
                 // TODO: Replace with Sysbox, gVisor, or rootless Docker for safe nested containers
@@ -601,7 +677,7 @@ router.post('/init', async (req, res) => {
         let jenkinsStarted = false;
         try {
             const { getOrCreateUserQuota } = require('../services/db-init');
-            const quota = await getOrCreateUserQuota(username, req.user.email);
+            const quota = await getOrCreateUserQuota(req.user.username, req.user.email);
             if (quota.jupyter_execution_approved) {
                 const exec = await container.exec({
                     Cmd: ['supervisorctl', 'start', 'jupyter'],
@@ -649,7 +725,7 @@ router.get('/ssh-key', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
         const privateKey = await getSSHPrivateKey(username);
 
         if (!privateKey) {
@@ -677,7 +753,7 @@ router.get('/ssh-info', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
         const result = await getStudentContainer(username);
 
         if (!result) {
@@ -714,7 +790,7 @@ router.post('/ssh-key/regenerate', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
         const result = await getStudentContainer(username);
 
         if (!result) {
@@ -807,7 +883,7 @@ router.get('/jupyter-status', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.user.username;
 
         // Get user quota to check approval status
         const { getOrCreateUserQuota } = require('../services/db-init');
@@ -835,7 +911,7 @@ router.post('/jupyter-request', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.user.username;
         const { reason } = req.body;
 
         // Get user quota to check current status
@@ -900,7 +976,7 @@ router.get('/jenkins-status', async (req, res) => {
         if (!req.isAuthenticated?.() || !req.user?.email) {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
-        const username = String(req.user.email).split('@')[0];
+        const username = req.user.username;
         const { getOrCreateUserQuota } = require('../services/db-init');
         const quota = await getOrCreateUserQuota(username, req.user.email);
         return res.json({
@@ -923,7 +999,7 @@ router.post('/jenkins-request', async (req, res) => {
         if (!req.isAuthenticated?.() || !req.user?.email) {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
-        const username = String(req.user.email).split('@')[0];
+        const username = req.user.username;
         const { reason } = req.body;
         const { getOrCreateUserQuota, getUserPendingRequests, createResourceRequest } = require('../services/db-init');
         const quota = await getOrCreateUserQuota(username, req.user.email);
@@ -965,7 +1041,7 @@ router.post('/start', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
 
         // ========== KUBERNETES MODE ==========
         if (runtimeConfig.isKubernetes()) {
@@ -1019,7 +1095,7 @@ router.post('/stop', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
 
         // ========== KUBERNETES MODE ==========
         if (runtimeConfig.isKubernetes()) {
@@ -1056,7 +1132,7 @@ router.post('/restart', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
 
         // ========== KUBERNETES MODE ==========
         if (runtimeConfig.isKubernetes()) {
@@ -1092,7 +1168,7 @@ router.get('/status', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
 
         // ========== KUBERNETES MODE ==========
         if (runtimeConfig.isKubernetes()) {
@@ -1101,7 +1177,7 @@ router.get('/status', async (req, res) => {
             // Get container config for resource info (same as Docker mode)
             const { getOrCreateContainerConfig, getOrCreateUserQuota } = require('../services/db-init');
             const containerConfig = await getOrCreateContainerConfig(username, `student-${username}`);
-            const userQuota = await getOrCreateUserQuota(username, req.user.email);
+            const userQuota = await getOrCreateUserQuota(req.user.username, req.user.email);
 
             // Check if user has approved GPU access to a different node
             let approvedTargetNode = null;
@@ -1161,7 +1237,7 @@ router.get('/status', async (req, res) => {
         // Get container config for resource info
         const { getOrCreateContainerConfig, getOrCreateUserQuota } = require('../services/db-init');
         const containerConfig = await getOrCreateContainerConfig(username, `student-${username}`);
-        const userQuota = await getOrCreateUserQuota(username, req.user.email);
+        const userQuota = await getOrCreateUserQuota(req.user.username, req.user.email);
 
         // Check if user has approved GPU access to a different node
         let approvedTargetNode = null;
@@ -1221,7 +1297,7 @@ router.post('/migrate', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
         const { target_node } = req.body;
 
         if (!target_node || !['hydra', 'chimera', 'cerberus'].includes(target_node)) {
@@ -1230,7 +1306,7 @@ router.post('/migrate', async (req, res) => {
 
         // Get user quota to verify approval
         const { getOrCreateUserQuota, getOrCreateContainerConfig, updateContainerConfig } = require('../services/db-init');
-        const userQuota = await getOrCreateUserQuota(username, req.user.email);
+        const userQuota = await getOrCreateUserQuota(req.user.username, req.user.email);
         const containerConfig = await getOrCreateContainerConfig(username, `student-${username}`);
 
         // Moving to Hydra is always allowed (resource downgrade)
@@ -1417,7 +1493,7 @@ router.get('/services', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
 
         // ========== KUBERNETES MODE ==========
         if (runtimeConfig.isKubernetes()) {
@@ -1523,7 +1599,7 @@ router.post('/services/:service/start', async (req, res) => {
             return res.status(400).json({ success: false, message: 'Invalid service name' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
 
         // ========== KUBERNETES MODE ==========
         if (runtimeConfig.isKubernetes()) {
@@ -1601,7 +1677,7 @@ router.post('/services/:service/stop', async (req, res) => {
             return res.status(400).json({ success: false, message: 'Invalid service name' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
 
         // ========== KUBERNETES MODE ==========
         if (runtimeConfig.isKubernetes()) {
@@ -1674,7 +1750,7 @@ router.get('/routes', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
         const host = 'hydra.newpaltz.edu';
         const publicBase = (process.env.PUBLIC_STUDENTS_BASE || `https://${host}/students`).replace(/\/$/, '');
 
@@ -1776,7 +1852,7 @@ router.post('/routes', async (req, res) => {
             return res.status(400).json({ success: false, message: 'Port is reserved for essential services' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
 
         // ========== KUBERNETES MODE ==========
         if (runtimeConfig.isKubernetes()) {
@@ -1902,7 +1978,7 @@ router.patch('/routes/:endpoint', async (req, res) => {
             return res.status(400).json({ success: false, message: 'Missing "public" boolean field' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
 
         if (runtimeConfig.isKubernetes()) {
             const result = await k8sContainers.updateRoute(username, endpoint, isPublic);
@@ -1916,6 +1992,52 @@ router.patch('/routes/:endpoint', async (req, res) => {
     }
 });
 
+// Who besides the owner may open a private custom route
+// GET /dashboard/api/containers/routes/:endpoint/shares
+router.get('/routes/:endpoint/shares', async (req, res) => {
+    try {
+        if (!req.isAuthenticated?.() || !req.user?.email) {
+            return res.status(401).json({ success: false, message: 'Not authenticated' });
+        }
+
+        const endpoint = String(req.params.endpoint || '').trim().toLowerCase();
+        const username = req.workspace.key;
+        const shares = await routeAccess.getShares(username, endpoint);
+        return res.json({ success: true, endpoint, ownerOnly: RESERVED_ENDPOINTS.includes(endpoint), ...shares });
+    } catch (err) {
+        console.error('[containers] get route shares error:', err);
+        return res.status(500).json({ success: false, message: 'Failed to get route shares' });
+    }
+});
+
+// Replace the share list of a private custom route
+// PUT /dashboard/api/containers/routes/:endpoint/shares { users: [username|email], groups: [Azure group ID] }
+router.put('/routes/:endpoint/shares', async (req, res) => {
+    try {
+        if (!req.isAuthenticated?.() || !req.user?.email) {
+            return res.status(401).json({ success: false, message: 'Not authenticated' });
+        }
+
+        const endpoint = String(req.params.endpoint || '').trim().toLowerCase();
+        if (!/^[a-z0-9-]{1,40}$/.test(endpoint)) {
+            return res.status(400).json({ success: false, message: 'Invalid endpoint name' });
+        }
+
+        const username = req.workspace.key;
+        const shares = await routeAccess.setShares(username, endpoint, {
+            users: req.body?.users ?? [],
+            groups: req.body?.groups ?? []
+        });
+        return res.json({ success: true, endpoint, ...shares });
+    } catch (err) {
+        if (err instanceof routeAccess.RouteAccessError) {
+            return res.status(err.status).json({ success: false, message: err.message });
+        }
+        console.error('[containers] set route shares error:', err);
+        return res.status(500).json({ success: false, message: 'Failed to update route shares' });
+    }
+});
+
 router.delete('/routes/:endpoint', async (req, res) => {
     try {
         if (!req.isAuthenticated?.() || !req.user?.email) {
@@ -1928,12 +2050,14 @@ router.delete('/routes/:endpoint', async (req, res) => {
             return res.status(400).json({ success: false, message: 'Cannot delete reserved endpoint' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
 
         // ========== KUBERNETES MODE ==========
         if (runtimeConfig.isKubernetes()) {
             try {
                 await k8sContainers.removeRoute(username, endpoint);
+                await routeAccess.clearShares(username, endpoint)
+                    .catch(e => console.warn('[containers] Failed to clear route shares:', e.message));
                 return res.json({ success: true });
             } catch (err) {
                 if (err.message.includes('not found')) {
@@ -1986,6 +2110,9 @@ router.delete('/routes/:endpoint', async (req, res) => {
             console.warn('[containers] Failed to persist routes inside container:', e.message);
         }
 
+        await routeAccess.clearShares(username, endpoint)
+            .catch(e => console.warn('[containers] Failed to clear route shares:', e.message));
+
         return res.json({ success: true });
     } catch (err) {
         console.error('[containers] delete route error:', err);
@@ -2001,7 +2128,7 @@ router.post('/discover-services', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
         const host = 'hydra.newpaltz.edu';
         const publicBase = (process.env.PUBLIC_STUDENTS_BASE || `https://${host}/students`).replace(/\/$/, '');
 
@@ -2225,7 +2352,7 @@ router.get('/logs/stream', async (req, res) => {
             return res.status(401).end();
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
 
         // ========== KUBERNETES MODE ==========
         if (runtimeConfig.isKubernetes()) {
@@ -2305,16 +2432,18 @@ router.post('/wipe', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        const username = req.workspace.key;
 
         // ========== KUBERNETES MODE ==========
         if (runtimeConfig.isKubernetes()) {
+            if (!(await snapshotBeforeWipe(username, res))) return;
+
             // Wipe all data and recreate
             await k8sContainers.wipeContainer(username);
 
             // Read quota for proper resource allocation on recreate
             const { getOrCreateUserQuota } = require('../services/db-init');
-            const quota = await getOrCreateUserQuota(username, req.user.email);
+            const quota = await getOrCreateUserQuota(req.user.username, req.user.email);
 
             // Re-initialize container with quota-based config
             const result = await k8sContainers.initContainer(username, req.user.email, {
@@ -2397,11 +2526,13 @@ router.post('/wipe', async (req, res) => {
             'hydra.created_at': new Date().toISOString()
         };
 
+        const studentImage = imageCatalog.referenceOf(await imageCatalog.entryFor(username));
+
         // Check if image exists locally, if not try to pull it
-        const imagePresent = await imageExists(STUDENT_IMAGE);
+        const imagePresent = await imageExists(studentImage);
         if (!imagePresent) {
             try {
-                await pullImage(STUDENT_IMAGE);
+                await pullImage(studentImage);
             } catch (err) {
                 console.error('[containers] Failed to pull student image:', err);
                 return res.status(500).json({
@@ -2434,7 +2565,7 @@ router.post('/wipe', async (req, res) => {
         const newContainer = await docker.createContainer({
             name: containerName,
             Hostname: containerName,
-            Image: STUDENT_IMAGE,
+            Image: studentImage,
             Labels: labels,
             Env: [
                 `USERNAME=${username}`,
@@ -2475,6 +2606,76 @@ router.post('/wipe', async (req, res) => {
     }
 });
 
+/**
+ * Snapshot a volume before it is wiped or destroyed, so the user can roll back
+ * @returns {Promise<boolean>} false if the snapshot failed; a 503 has been sent and nothing may be deleted
+ */
+async function snapshotBeforeWipe(username, res) {
+    try {
+        await volumeSnapshots.protect(username, 'pre-wipe');
+        return true;
+    } catch (err) {
+        console.error(`[containers] Snapshot before wiping ${username} failed:`, err.message);
+        res.status(503).json({ success: false, message: 'Could not snapshot the volume first, so nothing was deleted. Try again later.' });
+        return false;
+    }
+}
+
+/**
+ * Destroy a container and its data volume, routes and SSH target
+ * @param {string} username - Container key (see services/workspaces.js)
+ * @returns {Promise<boolean>} false if there was no container
+ */
+async function destroyContainer(username) {
+    // Kubernetes mode - use K8s container service
+    if (runtimeConfig.isKubernetes()) {
+        try {
+            await k8sContainers.wipeContainer(username);
+            return true;
+        } catch (err) {
+            if (err.statusCode === 404 || err.message?.includes('not found')) {
+                return false;
+            }
+            throw err;
+        }
+    }
+
+    // Docker mode - existing logic
+    const result = await getStudentContainer(username);
+
+    if (!result) {
+        // Clean up Traefik config even if container doesn't exist
+        await deleteTraefikConfig(username);
+        await removeSSHPiperConfig(username);
+        return false;
+    }
+
+    const { container } = result;
+    const volumeName = `hydra-vol-${username}`;
+
+    try {
+        await container.stop({ t: 10 });
+    } catch (_e) { }
+
+    await container.remove({ force: true, v: true });
+
+    // Remove volume
+    try {
+        const volume = docker.getVolume(volumeName);
+        await volume.remove({ force: true });
+    } catch (e) {
+        console.warn('[containers] Failed to remove volume:', e.message);
+    }
+
+    // Delete Traefik config file
+    await deleteTraefikConfig(username);
+
+    // Remove sshpiper config
+    await removeSSHPiperConfig(username);
+
+    return true;
+}
+
 // Delete student container (admin only or self-destruct)
 // DELETE /dashboard/api/containers/destroy
 router.delete('/destroy', async (req, res) => {
@@ -2483,58 +2684,299 @@ router.delete('/destroy', async (req, res) => {
             return res.status(401).json({ success: false, message: 'Not authenticated' });
         }
 
-        const username = String(req.user.email).split('@')[0];
+        if (!(await snapshotBeforeWipe(req.workspace.key, res))) return;
+        const existed = await destroyContainer(req.workspace.key);
+        if (!existed) {
+            return res.json({ success: true, message: 'Container does not exist' });
+        }
+        return res.json({ success: true, message: 'Container and data destroyed' });
+    } catch (err) {
+        console.error('[containers] destroy error:', err);
+        return res.status(500).json({ success: false, message: 'Failed to destroy container' });
+    }
+});
 
-        // Kubernetes mode - use K8s container service
-        if (runtimeConfig.isKubernetes()) {
+// ========================================
+// WORKSPACES
+// ========================================
+
+function sendWorkspaceError(res, err, action) {
+    if (err instanceof workspaces.WorkspaceError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error(`[containers] ${action} error:`, err);
+    return res.status(500).json({ success: false, message: `Failed to ${action}` });
+}
+
+// List the user's workspaces with their container state
+// GET /dashboard/api/containers/workspaces
+router.get('/workspaces', async (req, res) => {
+    try {
+        const username = req.user.username;
+        const [list, max] = await Promise.all([workspaces.list(username), workspaces.maxFor(username)]);
+        const result = await Promise.all(list.map(async (workspace) => {
+            let state = 'none';
             try {
-                await k8sContainers.wipeContainer(username);
-                return res.json({ success: true, message: 'Container and data destroyed' });
-            } catch (err) {
-                if (err.statusCode === 404 || err.message?.includes('not found')) {
-                    return res.json({ success: true, message: 'Container does not exist' });
-                }
-                throw err;
+                const container = await getStudentContainer(workspace.key);
+                if (container) state = container.info.State.Running ? 'running' : 'stopped';
+            } catch (e) {
+                state = 'unknown';
             }
-        }
+            return { ...workspace, state, selected: workspace.key === req.workspace.key };
+        }));
+        return res.json({ success: true, workspaces: result, max, selected: req.workspace.name });
+    } catch (err) {
+        return sendWorkspaceError(res, err, 'list workspaces');
+    }
+});
 
-        // Docker mode - existing logic
-        const result = await getStudentContainer(username);
+// Create a named workspace (its container is created by /init with ?workspace=<name>)
+// POST /dashboard/api/containers/workspaces  { name, description? }
+router.post('/workspaces', async (req, res) => {
+    try {
+        const workspace = await workspaces.create(req.user.username, req.body || {});
+        return res.status(201).json({ success: true, workspace });
+    } catch (err) {
+        return sendWorkspaceError(res, err, 'create workspace');
+    }
+});
 
-        if (!result) {
-            // Clean up Traefik config even if container doesn't exist
-            await deleteTraefikConfig(username);
-            await removeSSHPiperConfig(username);
-            return res.json({ success: true, message: 'Container does not exist' });
+// Make a workspace the dashboard's current one
+// POST /dashboard/api/containers/workspaces/:name/select
+router.post('/workspaces/:name/select', async (req, res) => {
+    try {
+        const workspace = await workspaces.get(req.user.username, req.params.name);
+        if (!workspace) {
+            return res.status(404).json({ success: false, message: 'Workspace not found' });
         }
+        if (workspace.default) {
+            delete req.session.workspace;
+        } else {
+            req.session.workspace = workspace.name;
+        }
+        return res.json({ success: true, workspace });
+    } catch (err) {
+        return sendWorkspaceError(res, err, 'select workspace');
+    }
+});
 
-        const { container } = result;
-        const volumeName = `hydra-vol-${username}`;
+// Delete a named workspace, its container and all of its data
+// DELETE /dashboard/api/containers/workspaces/:name
+router.delete('/workspaces/:name', async (req, res) => {
+    try {
+        const username = req.user.username;
+        const workspace = await workspaces.get(username, req.params.name);
+        if (!workspace) {
+            return res.status(404).json({ success: false, message: 'Workspace not found' });
+        }
+        if (workspace.default) {
+            return res.status(400).json({ success: false, message: 'The default workspace cannot be deleted; wipe it instead' });
+        }
 
-        try {
-            await container.stop({ t: 10 });
-        } catch (_e) { }
+        if (!(await snapshotBeforeWipe(workspace.key, res))) return;
+        await destroyContainer(workspace.key);
+        await routeAccess.clearOwnerShares(workspace.key);
+        await workspaces.remove(username, workspace.name);
+        if (req.session.workspace === workspace.name) {
+            delete req.session.workspace;
+        }
+        return res.json({ success: true });
+    } catch (err) {
+        return sendWorkspaceError(res, err, 'delete workspace');
+    }
+});
 
-        await container.remove({ force: true, v: true });
+// ========================================
+// SNAPSHOTS
+// ========================================
 
-        // Remove volume
-        try {
-            const volume = docker.getVolume(volumeName);
-            await volume.remove({ force: true });
-        } catch (e) {
-            console.warn('[containers] Failed to remove volume:', e.message);
-        }
+function sendSnapshotError(res, err, action) {
+    if (err instanceof volumeSnapshots.SnapshotError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error(`[containers] ${action} error:`, err);
+    return res.status(500).json({ success: false, message: `Failed to ${action}` });
+}
 
-        // Delete Traefik config file
-        await deleteTraefikConfig(username);
+// List the workspace's snapshots and any rollback in progress
+// GET /dashboard/api/containers/snapshots
+router.get('/snapshots', async (req, res) => {
+    try {
+        return res.json({ success: true, ...(await volumeSnapshots.list(req.workspace.key)) });
+    } catch (err) {
+        return sendSnapshotError(res, err, 'list snapshots');
+    }
+});
 
-        // Remove sshpiper config
-        await removeSSHPiperConfig(username);
+// Take a snapshot now; it is pending until the copy is done
+// POST /dashboard/api/containers/snapshots  { label? }
+router.post('/snapshots', async (req, res) => {
+    try {
+        const snapshot = await volumeSnapshots.create(req.workspace.key, { trigger: 'manual', label: req.body?.label });
+        return res.status(202).json({ success: true, snapshot });
+    } catch (err) {
+        return sendSnapshotError(res, err, 'take snapshot');
+    }
+});
 
+// DELETE /dashboard/api/containers/snapshots/:id
+router.delete('/snapshots/:id', async (req, res) => {
+    try {
+        await volumeSnapshots.remove(req.workspace.key, req.params.id);
         return res.json({ success: true });
     } catch (err) {
-        console.error('[containers] destroy error:', err);
-        return res.status(500).json({ success: false, message: 'Failed to destroy container' });
+        return sendSnapshotError(res, err, 'delete snapshot');
+    }
+});
+
+// Browse one directory of a snapshot
+// GET /dashboard/api/containers/snapshots/:id/files?path=projects/web
+router.get('/snapshots/:id/files', async (req, res) => {
+    try {
+        const listing = await volumeSnapshots.browse(req.workspace.key, req.params.id, req.query.path);
+        return res.json({ success: true, ...listing });
+    } catch (err) {
+        return sendSnapshotError(res, err, 'browse snapshot');
+    }
+});
+
+// Copy a file or directory from a snapshot back into the volume
+// POST /dashboard/api/containers/snapshots/:id/restore  { path, to? }
+router.post('/snapshots/:id/restore', async (req, res) => {
+    try {
+        const result = await volumeSnapshots.restore(req.workspace.key, req.params.id, req.body || {});
+        return res.json({ success: true, ...result });
+    } catch (err) {
+        return sendSnapshotError(res, err, 'restore from snapshot');
+    }
+});
+
+// Replace the whole volume with a snapshot; the container restarts. Poll GET /snapshots for progress.
+// POST /dashboard/api/containers/snapshots/:id/rollback
+router.post('/snapshots/:id/rollback', async (req, res) => {
+    try {
+        const operation = await volumeSnapshots.rollback(req.workspace.key, req.params.id);
+        return res.status(202).json({ success: true, operation });
+    } catch (err) {
+        return sendSnapshotError(res, err, 'roll back to snapshot');
+    }
+});
+
+
+// ========================================
+// HOME DIRECTORY EXPORT AND IMPORT
+// ========================================
+
+function sendArchiveError(res, err, action) {
+    if (err instanceof homeArchive.ArchiveError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error(`[containers] ${action} error:`, err);
+    return res.status(500).json({ success: false, message: `Failed to ${action}` });
+}
+
+// Download /home/student as a tar.gz; ?exclude_caches=true leaves out .nvm, .cache, editor extensions, ...
+// GET /dashboard/api/containers/export
+router.get('/export', async (req, res) => {
+    res.set('Content-Type', 'application/gzip');
+    res.attachment(`${req.workspace.key}-home-${new Date().toISOString().slice(0, 10)}.tar.gz`);
+    try {
+        await homeArchive.exportHome(req.workspace.key, res, { excludeCaches: req.query.exclude_caches === 'true' });
+        return res.end();
+    } catch (err) {
+        if (!res.headersSent) {
+            res.removeHeader('Content-Type');
+            res.removeHeader('Content-Disposition');
+            return sendArchiveError(res, err, 'export home directory');
+        }
+        // Part of the archive is out already; cut the download short so it can't pass for complete
+        console.error('[containers] export error:', err.message);
+        return res.destroy();
+    }
+});
+
+// Replace /home/student with an uploaded tar.gz, sent as the raw body (not a form). The upload is
+// checked against the storage quota first; then the old files are snapshotted and the container
+// restarts on a fresh volume. Poll GET /import for progress.
+// POST /dashboard/api/containers/import  (Content-Type: application/gzip)
+router.post('/import', async (req, res) => {
+    try {
+        const contentLength = parseInt(req.get('content-length'), 10) || undefined;
+        const operation = await homeArchive.importHome(req.workspace.key, req, req.user, contentLength);
+        return res.status(202).json({ success: true, operation });
+    } catch (err) {
+        return sendArchiveError(res, err, 'import home directory');
+    }
+});
+
+// The workspace's last import
+// GET /dashboard/api/containers/import
+router.get('/import', async (req, res) => {
+    return res.json({ success: true, operation: homeArchive.importStatus(req.workspace.key) });
+});
+
+// ========================================
+// IMAGES
+// ========================================
+
+function sendImageError(res, err, action) {
+    if (err instanceof imageCatalog.ImageCatalogError) {
+        return res.status(err.status).json({ success: false, message: err.message });
+    }
+    console.error(`[containers] ${action} error:`, err);
+    return res.status(500).json({ success: false, message: `Failed to ${action}` });
+}
+
+// Keep a container's catalog choice; pods resolve it on every start (see services/image-catalog.js)
+async function recordImage(username, entry) {
+    const { getOrCreateContainerConfig, updateContainerConfig } = require('../services/db-init');
+    await getOrCreateContainerConfig(username, `student-${username}`);
+    await updateContainerConfig(username, {
+        catalog_image: entry.name === imageCatalog.DEFAULT ? null : entry.name,
+        image_name: imageCatalog.referenceOf(entry)
+    });
+}
+
+// Images the user may choose, and the one this workspace runs
+// GET /dashboard/api/containers/images
+router.get('/images', async (req, res) => {
+    try {
+        const images = (await imageCatalog.listFor(req.user)).map(({ created_by, created_at, updated_at, ...entry }) => entry);
+        const selected = (await imageCatalog.entryFor(req.workspace.key)).name;
+        return res.json({ success: true, images, selected });
+    } catch (err) {
+        return sendImageError(res, err, 'list images');
+    }
+});
+
+// Switch this workspace to another image. Home files stay; a running pod restarts on the new image.
+// In Docker mode the image is used the next time the container is created (wipe).
+// POST /dashboard/api/containers/image  { image }
+router.post('/image', async (req, res) => {
+    try {
+        const username = req.workspace.key;
+        const { getOrCreateContainerConfig } = require('../services/db-init');
+        const config = await getOrCreateContainerConfig(username, `student-${username}`);
+        const entry = await imageCatalog.choose(req.user, req.body?.image, {
+            preset: config.preset_tier,
+            target_node: config.current_node
+        });
+        await recordImage(username, entry);
+
+        let restarted = false;
+        if (runtimeConfig.isKubernetes()) {
+            const status = await k8sContainers.getContainerStatus(username);
+            if (status.exists) {
+                await k8sContainers.stopContainer(username);
+                await new Promise(resolve => setTimeout(resolve, 2000));
+                await k8sContainers.startContainer(username, req.user.email, await getOrCreateContainerConfig(username, `student-${username}`));
+                restarted = true;
+            }
+        }
+        console.log(`[containers] ${username} switched to image ${entry.name}`);
+        return res.json({ success: true, image: entry.name, restarted });
+    } catch (err) {
+        return sendImageError(res, err, 'switch image');
     }
 });
 
@@ -0,0 +1,87 @@
+// routes/dev-idp.js - HTTP side of the built-in development IdP (services/dev-idp.js)
+// Mounted at /dev-idp only when DEV_IDP=true and NODE_ENV is not production.
+
+const express = require('express');
+const router = express.Router();
+const devIdp = require('../services/dev-idp');
+
+const BASE_URL = process.env.BASE_URL || 'https://hydra.newpaltz.edu';
+
+/**
+ * The SP's AuthnRequest, checked to point back at this Hydra instance
+ */
+function readAuthnRequest(samlRequest) {
+    if (!samlRequest) return { error: 'Missing SAMLRequest. Start at /login.' };
+    let request;
+    try {
+        request = devIdp.parseAuthnRequest(samlRequest);
+    } catch (e) {
+        return { error: `Could not decode SAMLRequest: ${e.message}` };
+    }
+    if (!request.acsUrl || new URL(request.acsUrl).origin !== new URL(BASE_URL).origin) {
+        return { error: `AssertionConsumerServiceURL must be on ${BASE_URL}` };
+    }
+    return { request };
+}
+
+/**
+ * GET /metadata
+ * IdP metadata; index.js loads it directly, this is for inspection
+ */
+router.get('/metadata', (_req, res) => {
+    res.type('application/xml').send(devIdp.getMetadataXml(BASE_URL));
+});
+
+/**
+ * GET /sso
+ * HTTP-Redirect binding: show the persona picker
+ */
+router.get('/sso', (req, res) => {
+    const { request, error } = readAuthnRequest(req.query.SAMLRequest);
+    if (error) return res.status(400).render('error', { error: { title: 'Dev IdP', message: error } });
+    res.render('dev-idp', {
+        personas: devIdp.getPersonas(),
+        samlRequest: req.query.SAMLRequest,
+        relayState: req.query.RelayState || '',
+        // Step-up logins force authentication and ask for an MFA context (services/step-up.js)
+        mfaRequested: request.forceAuthn || request.authnContext.includes(devIdp.AMR_MFA),
+        post: null
+    });
+});
+
+/**
+ * POST /sso
+ * Sign in as the chosen persona and POST the signed response to the ACS
+ */
+router.post('/sso', (req, res) => {
+    const { request, error } = readAuthnRequest(req.body.SAMLRequest);
+    if (error) return res.status(400).render('error', { error: { title: 'Dev IdP', message: error } });
+
+    const persona = devIdp.getPersona(req.body.persona);
+    if (!persona) return res.status(400).render('error', { error: { title: 'Dev IdP', message: 'Unknown persona' } });
+
+    // Groups can be changed per login to exercise access policies
+    const groups = req.body.groups === undefined
+        ? persona.groups
+        : String(req.body.groups).split(',').map(g => g.trim()).filter(Boolean);
+
+    // "Complete MFA" adds Azure's multipleauthn method, like a real second factor would
+    const amr = req.body.mfa === 'on' ? [devIdp.AMR_PASSWORD, devIdp.AMR_MFA] : persona.amr;
+
+    const samlResponse = devIdp.buildResponse({ ...persona, groups, amr }, {
+        id: request.id,
+        acsUrl: request.acsUrl,
+        audience: request.issuer
+    });
+    console.log(`[dev-idp] Signed in as ${persona.email} (groups: ${groups.join(', ') || 'none'}${req.body.mfa === 'on' ? ', MFA' : ''})`);
+
+    res.render('dev-idp', {
+        personas: [],
+        samlRequest: '',
+        relayState: req.body.RelayState || '',
+        mfaRequested: false,
+        post: { action: request.acsUrl, samlResponse }
+    });
+});
+
+module.exports = router;
@@ -4,36 +4,12 @@
 const express = require('express');
 const router = express.Router();
 const infraService = require('../services/k8s-infra');
-const { isWhitelisted } = require('../services/db-init');
-
-const ADMIN_USERS = (process.env.ADMIN_USERS || '').split(',').map(u => u.trim().toLowerCase()).filter(Boolean);
+const authz = require('../services/authz');
+const stepUp = require('../services/step-up');
 
 // ==================== AUTH MIDDLEWARE ====================
 
-async function requireAdmin(req, res, next) {
-  if (!req.isAuthenticated?.() || !req.user?.email) {
-    return res.status(401).json({ error: 'Authentication required' });
-  }
-
-  const email = req.user.email.toLowerCase();
-  const isFaculty = (req.user.affiliation || '').toLowerCase() === 'faculty';
-  const isEnvWhitelisted = ADMIN_USERS.includes(email);
-
-  let isDbWhitelisted = false;
-  try {
-    isDbWhitelisted = await isWhitelisted(email);
-  } catch (e) {
-    console.warn('[infra-api] Error checking whitelist:', e.message);
-  }
-
-  if (!isFaculty && !isEnvWhitelisted && !isDbWhitelisted) {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
-
-  next();
-}
-
-router.use(requireAdmin);
+router.use(authz.requirePermission('manage_infra'));
 
 // ==================== LIST / GET ====================
 
@@ -110,8 +86,8 @@ router.post('/:name/scale', async (req, res) => {
   }
 });
 
-// DELETE /:name — delete service
-router.delete('/:name', async (req, res) => {
+// DELETE /:name — delete service (needs a recent MFA sign-in)
+router.delete('/:name', stepUp.requireStepUp, async (req, res) => {
   try {
     const deletePVC = req.body.deletePVC === true;
     const results = await infraService.deleteService(req.params.name, deletePVC);
@@ -151,7 +127,7 @@ router.post('/deploy/compose', async (req, res) => {
       return res.status(400).json({ error: 'Invalid service name. Use lowercase letters, numbers, and hyphens.' });
     }
 
-    const createdBy = req.user.email.split('@')[0];
+    const createdBy = req.user.username;
     const results = await infraService.deployFromCompose(compose, name, createdBy);
     res.json({ success: true, results });
   } catch (err) {
@@ -168,7 +144,7 @@ router.post('/deploy/manifest', async (req, res) => {
       return res.status(400).json({ error: 'Missing required field: manifests' });
     }
 
-    const createdBy = req.user.email.split('@')[0];
+    const createdBy = req.user.username;
     const results = await infraService.deployFromManifests(manifests, createdBy);
     res.json({ success: true, results });
   } catch (err) {
@@ -191,7 +167,7 @@ router.post('/deploy/github', async (req, res) => {
     }
 
     const serviceName = name || repoUrl.split('/').pop().replace(/\.git$/, '').toLowerCase();
-    const createdBy = req.user.email.split('@')[0];
+    const createdBy = req.user.username;
 
     // Clone repo to temp dir, look for docker-compose.yml or k8s manifests
     const { execSync } = require('child_process');
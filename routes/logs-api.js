@@ -9,6 +9,7 @@ const {
     getUserLogStats,
     subscribeToLogs,
 } = require('../services/activity-logger');
+const users = require('../services/users');
 
 // Ensure authenticated
 function ensureAuthenticated(req, res, next) {
@@ -21,7 +22,7 @@ function ensureAuthenticated(req, res, next) {
 // Get recent logs for the current user
 router.get('/recent', ensureAuthenticated, async (req, res) => {
     try {
-        const username = req.user.email.split('@')[0];
+        const username = await users.usernameFor(req.user);
         const limit = Math.min(parseInt(req.query.limit) || 100, 500);
         const offset = parseInt(req.query.offset) || 0;
 
@@ -36,7 +37,7 @@ router.get('/recent', ensureAuthenticated, async (req, res) => {
 // Get logs by category
 router.get('/category/:category', ensureAuthenticated, async (req, res) => {
     try {
-        const username = req.user.email.split('@')[0];
+        const username = await users.usernameFor(req.user);
         const { category } = req.params;
         const limit = Math.min(parseInt(req.query.limit) || 50, 200);
 
@@ -56,7 +57,7 @@ router.get('/category/:category', ensureAuthenticated, async (req, res) => {
 // Get user's log stats (usage info)
 router.get('/stats', ensureAuthenticated, async (req, res) => {
     try {
-        const username = req.user.email.split('@')[0];
+        const username = await users.usernameFor(req.user);
         const stats = await getUserLogStats(username);
 
         const limit = 100 * 1024 * 1024; // 100MB
@@ -75,7 +76,7 @@ router.get('/stats', ensureAuthenticated, async (req, res) => {
 // Get archived logs
 router.get('/archive/:year', ensureAuthenticated, async (req, res) => {
     try {
-        const username = req.user.email.split('@')[0];
+        const username = await users.usernameFor(req.user);
         const year = parseInt(req.params.year);
         const limit = Math.min(parseInt(req.query.limit) || 100, 500);
         const offset = parseInt(req.query.offset) || 0;
@@ -93,8 +94,8 @@ router.get('/archive/:year', ensureAuthenticated, async (req, res) => {
 });
 
 // Server-Sent Events stream for real-time logs
-router.get('/stream', ensureAuthenticated, (req, res) => {
-    const username = req.user.email.split('@')[0];
+router.get('/stream', ensureAuthenticated, async (req, res) => {
+    const username = await users.usernameFor(req.user);
 
     // Set up SSE
     res.writeHead(200, {
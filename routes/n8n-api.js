@@ -1,6 +1,7 @@
 // routes/n8n-api.js — proxies to n8n API using env credentials
 const express = require('express');
 const axios = require('axios');
+const tokenExchange = require('../services/token-exchange');
 
 const router = express.Router();
 
@@ -15,7 +16,7 @@ if (!N8N_HOST || !N8N_API_KEY) {
 }
 
 if (!N8N_USER_MANAGER_API_KEY) {
-  console.warn('[n8n-api] Missing N8N_USER_MANAGER_API_KEY — password change will not work');
+  console.warn('[n8n-api] Missing N8N_USER_MANAGER_API_KEY — password change needs a user manager that accepts Hydra tokens');
 }
 
 function ensureAuthenticated(req, res, next) {
@@ -110,17 +111,15 @@ router.post('/change-password', ensureAuthenticated, async (req, res) => {
       return res.status(400).json({ success: false, message: 'Password must be at least 8 characters' });
     }
 
-    if (!N8N_USER_MANAGER_API_KEY) {
-      return res.status(500).json({ success: false, message: 'Password change not configured on server' });
-    }
-
     const url = `${N8N_USER_MANAGER_HOST}/n8n-user-manager/api/users/change-password`;
     const { data } = await axios.post(url,
       { email, newPassword },
       {
         headers: {
           'Content-Type': 'application/json',
-          'x-api-key': N8N_USER_MANAGER_API_KEY
+          // The user manager checks the token's email against the body (services/token-exchange.js)
+          Authorization: `Bearer ${tokenExchange.tokenFor(req.user, 'n8n-user-manager')}`,
+          ...(N8N_USER_MANAGER_API_KEY ? { 'x-api-key': N8N_USER_MANAGER_API_KEY } : {})
         }
       }
     );
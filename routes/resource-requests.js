@@ -13,6 +13,8 @@ const {
     getNodeStatus,
     updateRequestStatus
 } = require('../services/db-init');
+const authz = require('../services/authz');
+const workspaces = require('../services/workspaces');
 
 // Import metrics collector for real-time node status
 let metricsCollector;
@@ -37,16 +39,7 @@ function getUsername(req) {
     if (!req.isAuthenticated?.() || !req.user?.email) {
         return null;
     }
-    return String(req.user.email).split('@')[0];
-}
-
-/**
- * Helper: Check if user has admin privileges
- */
-function isAdmin(req) {
-    const adminList = (process.env.ADMIN_USERS || '').split(',').map(u => u.trim().toLowerCase());
-    const email = req.user?.email?.toLowerCase();
-    return adminList.includes(email);
+    return req.user.username;
 }
 
 /**
@@ -247,7 +240,7 @@ router.get('/presets', async (req, res) => {
 
         // Get user's current quota to show what they're approved for
         const quota = await getOrCreateUserQuota(username, req.user.email);
-        const containerConfig = await getOrCreateContainerConfig(username, `student-${username}`);
+        const containerConfig = await getOrCreateContainerConfig(req.workspace.key, `student-${req.workspace.key}`);
 
         // Get real-time node metrics
         const nodeMetrics = await getNodeMetrics();
@@ -363,7 +356,7 @@ router.get('/quota', async (req, res) => {
         }
 
         const quota = await getOrCreateUserQuota(username, req.user.email);
-        const containerConfig = await getOrCreateContainerConfig(username, `student-${username}`);
+        const containerConfig = await getOrCreateContainerConfig(req.workspace.key, `student-${req.workspace.key}`);
 
         res.json({
             quota: {
@@ -406,7 +399,7 @@ router.get('/my', async (req, res) => {
             return res.status(401).json({ error: 'Authentication required' });
         }
 
-        const pendingRequests = await getUserPendingRequests(username);
+        const pendingRequests = await getUserPendingRequests(req.workspace.key);
 
         res.json({
             pending: pendingRequests.map(r => ({
@@ -491,8 +484,8 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ error: `${target_node} does not support GPU allocation` });
         }
 
-        // Check if user already has a pending request
-        const existingRequests = await getUserPendingRequests(username);
+        // Check if this workspace already has a pending request
+        const existingRequests = await getUserPendingRequests(req.workspace.key);
         if (existingRequests.length > 0) {
             return res.status(400).json({
                 error: 'You already have a pending request. Please wait for it to be reviewed or cancel it.',
@@ -501,7 +494,7 @@ router.post('/', async (req, res) => {
         }
 
         // Get current config to determine request type
-        const containerConfig = await getOrCreateContainerConfig(username, `student-${username}`);
+        const containerConfig = await getOrCreateContainerConfig(req.workspace.key, `student-${req.workspace.key}`);
         let requestType = 'new_container';
         if (containerConfig.current_node !== target_node) {
             requestType = 'migration';
@@ -528,9 +521,9 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ error: 'Duration must be between 1 and 365 days' });
         }
 
-        // Create the request
+        // Create the request; it is filed under the workspace's container key
         const requestId = await createResourceRequest({
-            username,
+            username: req.workspace.key,
             email: req.user.email,
             target_node,
             memory_gb: requestedMemory,
@@ -554,7 +547,7 @@ router.post('/', async (req, res) => {
             expireDate.setDate(expireDate.getDate() + requestedDuration);
             const resourcesExpireAt = expireDate.toISOString();
 
-            await updateContainerConfig(username, {
+            await updateContainerConfig(req.workspace.key, {
                 memory_gb: requestedMemory,
                 cpus: requestedCpus,
                 storage_gb: requestedStorage,
@@ -563,7 +556,7 @@ router.post('/', async (req, res) => {
                 resources_expire_at: resourcesExpireAt
             });
 
-            console.log(`[resource-requests] Auto-approved request ${requestId} for ${username} (expires in ${requestedDuration} days)`);
+            console.log(`[resource-requests] Auto-approved request ${requestId} for ${req.workspace.key} (expires in ${requestedDuration} days)`);
 
             return res.json({
                 success: true,
@@ -580,7 +573,7 @@ router.post('/', async (req, res) => {
             const emailNotifications = require('../services/email-notifications');
             await emailNotifications.sendApprovalNotification({
                 id: requestId,
-                username,
+                username: req.workspace.key,
                 email: req.user.email,
                 target_node,
                 requested_memory_gb: requestedMemory,
@@ -596,7 +589,7 @@ router.post('/', async (req, res) => {
             // Don't fail the request if email fails
         }
 
-        console.log(`[resource-requests] Created request ${requestId} for ${username} (requires approval)`);
+        console.log(`[resource-requests] Created request ${requestId} for ${req.workspace.key} (requires approval)`);
 
         res.json({
             success: true,
@@ -630,7 +623,7 @@ router.delete('/:id', async (req, res) => {
         }
 
         // Users can only cancel their own requests (admins can cancel any)
-        if (request.username !== username && !isAdmin(req)) {
+        if (workspaces.ownerOf(request.username) !== username && !(await authz.can(req.user, 'approve_requests'))) {
             return res.status(403).json({ error: 'Not authorized to cancel this request' });
         }
 
@@ -18,48 +18,19 @@ try {
   console.warn('[servers-api] K8s client not available');
 }
 
+const authz = require('../services/authz');
+
 // For disk stats
 const { execSync } = require('child_process');
-const fs = require('fs');
-
-// Polyfill global crypto for jose library (Node.js 18+)
-const { webcrypto } = require('crypto');
-if (!globalThis.crypto) {
-  globalThis.crypto = webcrypto;
-}
-
-// For JWT verification - jose is ESM, need dynamic import
-let joseModule = null;
-let publicKey = null;
-
-(async () => {
-  try {
-    joseModule = await import('jose');
-    const publicKeyPem = fs.readFileSync(process.env.JWT_PUBLIC_KEY_PATH || './jwt-public.pem', 'utf8');
-    publicKey = await joseModule.importSPKI(publicKeyPem, 'RS256');
-  } catch (e) {
-    console.warn('[servers-api] Could not load JWT public key for admin check:', e.message);
-  }
-})();
 
 /**
- * Check if request is from admin/faculty user
+ * Check if the viewer may see pod names and owners (view_pod_details permission).
+ * This router is public; index.js restores req.user from np_access (key ring, audience and
+ * revocation checked) when there is no session.
  */
-async function isAdminRequest(req) {
+async function canViewPodDetails(req) {
   try {
-    const token = req.cookies?.np_access;
-    if (!token || !publicKey || !joseModule) return false;
-
-    const { payload } = await joseModule.jwtVerify(token, publicKey, { algorithms: ['RS256'] });
-    const affiliation = (payload.affiliation || '').toLowerCase();
-    const isFaculty = affiliation === 'faculty';
-
-    // Check admin whitelist (ADMIN_USERS env var from configmap)
-    const adminWhitelist = (process.env.ADMIN_USERS || '').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
-    const email = (payload.email || '').toLowerCase();
-    const isWhitelisted = adminWhitelist.includes(email);
-
-    return isFaculty || isWhitelisted;
+    return req.user?.email ? await authz.can(req.user, 'view_pod_details') : false;
   } catch (e) {
     return false;
   }
@@ -95,7 +66,7 @@ async function getRaidUsage() {
 router.get('/status', async (req, res) => {
   try {
     // Check if user is admin/faculty for sensitive pod info
-    const showPodDetails = await isAdminRequest(req);
+    const showPodDetails = await canViewPodDetails(req);
 
     let serverData;
 
@@ -150,7 +121,7 @@ router.get('/gpu-queue', async (req, res) => {
       return res.status(503).json({ error: 'K8s client unavailable' });
     }
 
-    const isAdmin = await isAdminRequest(req);
+    const isAdmin = await canViewPodDetails(req);
 
     // GPU node definitions
     const gpuNodes = {
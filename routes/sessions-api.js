@@ -0,0 +1,95 @@
+// routes/sessions-api.js - The current user's login sessions
+// Lists active sessions and revokes one or all of them ("log out everywhere")
+
+const express = require('express');
+const router = express.Router();
+const authSessions = require('../services/auth-sessions');
+
+/**
+ * Helper: Extract username from authenticated request
+ */
+function getUsername(req) {
+    if (!req.isAuthenticated?.() || !req.user?.email) {
+        return null;
+    }
+    return req.user.username;
+}
+
+/**
+ * GET /
+ * List the current user's active sessions
+ */
+router.get('/', async (req, res) => {
+    const username = getUsername(req);
+    if (!username) return res.status(401).json({ error: 'Authentication required' });
+
+    try {
+        const sessions = await authSessions.listSessions(username);
+        res.json({
+            sessions: sessions.map(s => ({
+                sid: s.sid,
+                ip_address: s.ip_address,
+                user_agent: s.user_agent,
+                created_at: s.created_at,
+                last_seen_at: s.last_seen_at,
+                expires_at: s.expires_at,
+                current: s.sid === req.user.sid
+            })),
+            count: sessions.length
+        });
+    } catch (error) {
+        console.error('[sessions-api] Failed to list sessions:', error);
+        res.status(500).json({ error: 'Failed to retrieve sessions' });
+    }
+});
+
+/**
+ * DELETE /:sid
+ * Revoke one of the current user's sessions
+ */
+router.delete('/:sid', async (req, res) => {
+    const username = getUsername(req);
+    if (!username) return res.status(401).json({ error: 'Authentication required' });
+
+    try {
+        const session = await authSessions.getSession(req.params.sid);
+        if (!session || session.username !== username) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        await authSessions.revokeSession(session.sid, { by: req.user.email, reason: 'user_revoked' });
+        console.log(`[sessions-api] ${username} revoked session ${session.sid}`);
+
+        res.json({
+            success: true,
+            current: session.sid === req.user.sid,
+            message: 'Session revoked'
+        });
+    } catch (error) {
+        console.error('[sessions-api] Failed to revoke session:', error);
+        res.status(500).json({ error: 'Failed to revoke session' });
+    }
+});
+
+/**
+ * POST /revoke-all
+ * Log out everywhere: revoke every session, including this one
+ */
+router.post('/revoke-all', async (req, res) => {
+    const username = getUsername(req);
+    if (!username) return res.status(401).json({ error: 'Authentication required' });
+
+    try {
+        const revoked = await authSessions.revokeAllSessions(username, { by: req.user.email, reason: 'logout_everywhere' });
+        res.json({
+            success: true,
+            revoked,
+            message: `Signed out of ${revoked} session(s)`
+        });
+    } catch (error) {
+        console.error('[sessions-api] Failed to revoke all sessions:', error);
+        res.status(500).json({ error: 'Failed to revoke sessions' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,76 @@
+// routes/tokens-api.js - The current user's personal access tokens
+// Create, list and revoke scoped tokens for scripting against /dashboard/api
+
+const express = require('express');
+const router = express.Router();
+const accessTokens = require('../services/access-tokens');
+
+/**
+ * Helper: Extract username from authenticated request
+ */
+function getUsername(req) {
+    if (!req.isAuthenticated?.() || !req.user?.email) {
+        return null;
+    }
+    return req.user.username;
+}
+
+/**
+ * GET /
+ * List the current user's tokens and the scopes that can be granted
+ */
+router.get('/', async (req, res) => {
+    const username = getUsername(req);
+    if (!username) return res.status(401).json({ error: 'Authentication required' });
+
+    try {
+        const tokens = await accessTokens.listTokens(username);
+        res.json({ tokens, count: tokens.length, scopes: accessTokens.SCOPES });
+    } catch (error) {
+        console.error('[tokens-api] Failed to list tokens:', error);
+        res.status(500).json({ error: 'Failed to retrieve tokens' });
+    }
+});
+
+/**
+ * POST /
+ * Create a token. Body: { name, scopes[], expires_in_days }
+ * The token is only returned in this response.
+ */
+router.post('/', async (req, res) => {
+    const username = getUsername(req);
+    if (!username) return res.status(401).json({ error: 'Authentication required' });
+
+    try {
+        const { token, info } = await accessTokens.createToken(req.user, req.body || {});
+        console.log(`[tokens-api] ${username} created token ${info.id} (${info.scopes.join(' ')})`);
+        res.status(201).json({ success: true, token, info });
+    } catch (error) {
+        if (error instanceof accessTokens.AccessTokenError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('[tokens-api] Failed to create token:', error);
+        res.status(500).json({ error: 'Failed to create token' });
+    }
+});
+
+/**
+ * DELETE /:id
+ * Revoke one of the current user's tokens
+ */
+router.delete('/:id', async (req, res) => {
+    const username = getUsername(req);
+    if (!username) return res.status(401).json({ error: 'Authentication required' });
+
+    try {
+        const revoked = await accessTokens.revokeToken(username, parseInt(req.params.id, 10));
+        if (!revoked) return res.status(404).json({ error: 'Token not found' });
+        console.log(`[tokens-api] ${username} revoked token ${req.params.id}`);
+        res.json({ success: true, message: 'Token revoked' });
+    } catch (error) {
+        console.error('[tokens-api] Failed to revoke token:', error);
+        res.status(500).json({ error: 'Failed to revoke token' });
+    }
+});
+
+module.exports = router;
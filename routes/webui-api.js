@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const axios = require('axios');
+const tokenExchange = require('../services/token-exchange');
 
 // Config: target backend and API key loaded from env
 const OPENWEBUI_API_BASE = process.env.OPENWEBUI_API_BASE || 'http://open-webui.hydra-infra.svc.cluster.local:7070/openwebui/api';
@@ -17,14 +18,22 @@ function ensureAuthenticated(req, res, next) {
 
 // Validate config at load time
 if (!OPENWEBUI_API_KEY) {
-  console.warn('[webui-api] Missing OPENWEBUI_API_KEY. Requests will fail with 500.');
+  console.warn('[webui-api] Missing OPENWEBUI_API_KEY. Only a middleman that accepts Hydra tokens will answer.');
+}
+
+// Identify the user to the middleman with an exchanged token (services/token-exchange.js);
+// the API key is still sent while deployments migrate off it
+function backendHeaders(req) {
+  const headers = { Authorization: `Bearer ${tokenExchange.tokenFor(req.user, 'openwebui-api')}` };
+  if (OPENWEBUI_API_KEY) headers['x-api-key'] = OPENWEBUI_API_KEY;
+  return headers;
 }
 
 // Check if user exists in OpenWebUI
 router.post('/check-user', ensureAuthenticated, async (req, res) => {
   try {
     const { data } = await axios.post(`${OPENWEBUI_API_BASE}/check-user`, req.body, {
-      headers: { 'x-api-key': OPENWEBUI_API_KEY }
+      headers: backendHeaders(req)
     });
     res.json(data);
   } catch (error) {
@@ -39,7 +48,7 @@ router.post('/check-user', ensureAuthenticated, async (req, res) => {
 router.post('/create-account', ensureAuthenticated, async (req, res) => {
   try {
     const { data } = await axios.post(`${OPENWEBUI_API_BASE}/create-account`, req.body, {
-      headers: { 'x-api-key': OPENWEBUI_API_KEY }
+      headers: backendHeaders(req)
     });
     res.json(data);
   } catch (error) {
@@ -54,7 +63,7 @@ router.post('/create-account', ensureAuthenticated, async (req, res) => {
 router.post('/change-password', ensureAuthenticated, async (req, res) => {
   try {
     const { data } = await axios.post(`${OPENWEBUI_API_BASE}/change-password`, req.body, {
-      headers: { 'x-api-key': OPENWEBUI_API_KEY }
+      headers: backendHeaders(req)
     });
     res.json(data);
   } catch (error) {
@@ -0,0 +1,297 @@
+// services/access-policy.js - Who may sign in and who may get a container
+// Admin-managed allow/deny rules matched on Azure group IDs, affiliation, email domain or
+// an explicit email list. Rules are evaluated at login and at /dashboard/api/containers/init;
+// the first matching rule (lowest priority number) decides, and nothing matching means allow.
+// Every decision is recorded in access_policy_decisions.
+
+const { getDb } = require('../db');
+const authz = require('./authz');
+
+const STAGES = ['login', 'containers'];
+const EFFECTS = ['allow', 'deny'];
+const MATCH_TYPES = ['group', 'affiliation', 'domain', 'email', 'any'];
+const DECISION_RETENTION_DAYS = parseInt(process.env.ACCESS_POLICY_LOG_DAYS || '90', 10);
+const CLEANUP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_MESSAGES = {
+    login: 'Your account is not permitted to use Hydra. If you think this is a mistake, contact the Computer Science department.',
+    containers: 'Your account is not permitted to create a container. If you think this is a mistake, contact the Computer Science department.'
+};
+
+let cleanupInterval = null;
+
+/**
+ * Error raised for invalid rules; message is safe to show to the admin
+ */
+class AccessPolicyError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function toRule(row) {
+    return {
+        id: row.id,
+        effect: row.effect,
+        match_type: row.match_type,
+        match_value: row.match_value,
+        stage: row.stage,
+        priority: row.priority,
+        message: row.message,
+        enabled: !!row.enabled,
+        created_by: row.created_by,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+}
+
+/**
+ * Validate and normalize rule fields (all optional, for updates)
+ */
+function normalizeRule(input) {
+    const rule = {};
+    if (input.effect !== undefined) {
+        if (!EFFECTS.includes(input.effect)) throw new AccessPolicyError(`effect must be one of: ${EFFECTS.join(', ')}`);
+        rule.effect = input.effect;
+    }
+    if (input.match_type !== undefined) {
+        if (!MATCH_TYPES.includes(input.match_type)) throw new AccessPolicyError(`match_type must be one of: ${MATCH_TYPES.join(', ')}`);
+        rule.match_type = input.match_type;
+    }
+    if (input.match_value !== undefined) {
+        const value = String(input.match_value || '').trim().toLowerCase().replace(/^@/, '');
+        rule.match_value = value || null;
+    }
+    if (input.stage !== undefined) {
+        if (![...STAGES, 'all'].includes(input.stage)) throw new AccessPolicyError(`stage must be one of: ${STAGES.join(', ')}, all`);
+        rule.stage = input.stage;
+    }
+    if (input.priority !== undefined) {
+        const priority = parseInt(input.priority, 10);
+        if (!Number.isInteger(priority)) throw new AccessPolicyError('priority must be an integer');
+        rule.priority = priority;
+    }
+    if (input.message !== undefined) {
+        const message = String(input.message || '').trim();
+        if (message.length > 500) throw new AccessPolicyError('message must be at most 500 characters');
+        rule.message = message || null;
+    }
+    if (input.enabled !== undefined) rule.enabled = input.enabled ? 1 : 0;
+    return rule;
+}
+
+function checkMatchValue(rule) {
+    if (rule.match_type !== 'any' && !rule.match_value) {
+        throw new AccessPolicyError(`match_value is required for ${rule.match_type} rules`);
+    }
+}
+
+/**
+ * Whether a rule applies to a user
+ */
+function matches(rule, user) {
+    const email = String(user.email || '').toLowerCase();
+    switch (rule.match_type) {
+        case 'any':
+            return true;
+        case 'email':
+            return email === rule.match_value;
+        case 'domain':
+            return email.endsWith(`@${rule.match_value}`);
+        case 'affiliation':
+            return String(user.affiliation || '').toLowerCase() === rule.match_value;
+        case 'group':
+            return (user.groups || []).some(g => String(g).toLowerCase() === rule.match_value);
+        default:
+            return false;
+    }
+}
+
+/**
+ * List rules in evaluation order
+ */
+async function listRules() {
+    const db = await getDb();
+    const rows = await db.all('SELECT * FROM access_policy_rules ORDER BY priority ASC, id ASC');
+    return rows.map(toRule);
+}
+
+/**
+ * Add a rule
+ * @param {Object} input - { effect, match_type, match_value, stage, priority, message, enabled }
+ * @param {string} createdBy - Admin email
+ * @throws {AccessPolicyError}
+ */
+async function createRule(input, createdBy) {
+    const rule = { stage: 'all', priority: 100, enabled: 1, ...normalizeRule(input) };
+    if (!rule.effect || !rule.match_type) throw new AccessPolicyError('effect and match_type are required');
+    checkMatchValue(rule);
+
+    const db = await getDb();
+    const result = await db.run(
+        `INSERT INTO access_policy_rules (effect, match_type, match_value, stage, priority, message, enabled, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [rule.effect, rule.match_type, rule.match_type === 'any' ? null : rule.match_value, rule.stage, rule.priority, rule.message || null, rule.enabled, createdBy]
+    );
+    console.log(`[access-policy] Rule ${result.lastID} added by ${createdBy}: ${rule.effect} ${rule.match_type} ${rule.match_value || ''} (${rule.stage})`);
+    return toRule(await db.get('SELECT * FROM access_policy_rules WHERE id = ?', [result.lastID]));
+}
+
+/**
+ * Change a rule
+ * @throws {AccessPolicyError}
+ */
+async function updateRule(id, changes, updatedBy) {
+    const db = await getDb();
+    const row = await db.get('SELECT * FROM access_policy_rules WHERE id = ?', [id]);
+    if (!row) throw new AccessPolicyError('Rule not found', 404);
+
+    const updates = normalizeRule(changes);
+    const merged = { ...toRule(row), ...updates };
+    checkMatchValue(merged);
+
+    const fields = Object.keys(updates);
+    if (fields.length === 0) return toRule(row);
+    await db.run(
+        `UPDATE access_policy_rules SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = datetime('now') WHERE id = ?`,
+        [...fields.map(f => updates[f]), id]
+    );
+    console.log(`[access-policy] Rule ${id} updated by ${updatedBy}: ${fields.join(', ')}`);
+    return toRule(await db.get('SELECT * FROM access_policy_rules WHERE id = ?', [id]));
+}
+
+/**
+ * Delete a rule
+ * @returns {Promise<boolean>}
+ */
+async function deleteRule(id, deletedBy) {
+    const db = await getDb();
+    const result = await db.run('DELETE FROM access_policy_rules WHERE id = ?', [id]);
+    if (result.changes > 0) console.log(`[access-policy] Rule ${id} deleted by ${deletedBy}`);
+    return result.changes > 0;
+}
+
+/**
+ * Decide whether a user may pass a stage, without recording anything
+ * @param {Object} user - { email, affiliation, groups }
+ * @param {'login'|'containers'} stage
+ * @returns {Promise<{ allowed: boolean, rule: Object|null, reason: string, message: string|null }>}
+ */
+async function decide(user, stage) {
+    if (!STAGES.includes(stage)) throw new Error(`Unknown access policy stage: ${stage}`);
+
+    // Staff can't lock themselves out with a bad rule
+    if (await authz.isStaff(user)) {
+        return { allowed: true, rule: null, reason: 'staff', message: null };
+    }
+
+    const db = await getDb();
+    const rows = await db.all(
+        `SELECT * FROM access_policy_rules WHERE enabled = 1 AND stage IN (?, 'all')
+         ORDER BY priority ASC, id ASC`,
+        [stage]
+    );
+    const rule = rows.map(toRule).find(r => matches(r, user));
+    if (!rule) return { allowed: true, rule: null, reason: 'no matching rule', message: null };
+
+    const allowed = rule.effect === 'allow';
+    return {
+        allowed,
+        rule,
+        reason: `rule ${rule.id}: ${rule.effect} ${rule.match_type}${rule.match_value ? ` ${rule.match_value}` : ''}`,
+        message: allowed ? null : (rule.message || DEFAULT_MESSAGES[stage])
+    };
+}
+
+/**
+ * Decide and record the decision
+ * @param {Object} user
+ * @param {'login'|'containers'} stage
+ * @param {Object} [context] - { ip, recordAllowed } - recordAllowed: false only records denials
+ *   (token renewals re-check the policy far too often to log every pass)
+ */
+async function evaluate(user, stage, context = {}) {
+    const decision = await decide(user, stage);
+    if (decision.allowed && context.recordAllowed === false) return decision;
+    const email = String(user.email || '').toLowerCase();
+    console.log(`[access-policy] ${decision.allowed ? 'Allowed' : 'Denied'} ${email} at ${stage} (${decision.reason})`);
+    try {
+        const db = await getDb();
+        await db.run(
+            `INSERT INTO access_policy_decisions (email, stage, allowed, rule_id, reason, ip_address)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [email, stage, decision.allowed ? 1 : 0, decision.rule?.id || null, decision.reason, context.ip || null]
+        );
+    } catch (e) {
+        console.warn('[access-policy] Could not record decision:', e.message);
+    }
+    return decision;
+}
+
+/**
+ * Recent decisions, newest first
+ * @param {Object} [filter] - { email, allowed, limit }
+ */
+async function listDecisions({ email, allowed, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (email) { where.push('email = ?'); params.push(String(email).toLowerCase()); }
+    if (allowed !== undefined) { where.push('allowed = ?'); params.push(allowed ? 1 : 0); }
+    const db = await getDb();
+    const rows = await db.all(
+        `SELECT * FROM access_policy_decisions ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY created_at DESC, id DESC LIMIT ?`,
+        [...params, Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000)]
+    );
+    return rows.map(r => ({ ...r, allowed: !!r.allowed }));
+}
+
+async function cleanupDecisions() {
+    try {
+        const db = await getDb();
+        const cutoff = new Date(Date.now() - DECISION_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const result = await db.run("DELETE FROM access_policy_decisions WHERE created_at < datetime(?)", [cutoff]);
+        if (result.changes > 0) console.log(`[access-policy] Pruned ${result.changes} old decision(s)`);
+    } catch (e) {
+        console.error('[access-policy] Cleanup failed:', e.message);
+    }
+}
+
+/**
+ * Start pruning the decision log
+ */
+function start() {
+    if (cleanupInterval) {
+        console.warn('[access-policy] Already running');
+        return;
+    }
+    cleanupDecisions();
+    cleanupInterval = setInterval(cleanupDecisions, CLEANUP_INTERVAL_MS);
+    console.log(`[access-policy] Keeping decisions for ${DECISION_RETENTION_DAYS} days`);
+}
+
+/**
+ * Stop pruning
+ */
+function stop() {
+    if (cleanupInterval) {
+        clearInterval(cleanupInterval);
+        cleanupInterval = null;
+    }
+}
+
+module.exports = {
+    STAGES,
+    MATCH_TYPES,
+    AccessPolicyError,
+    listRules,
+    createRule,
+    updateRule,
+    deleteRule,
+    decide,
+    evaluate,
+    listDecisions,
+    start,
+    stop
+};
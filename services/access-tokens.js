@@ -0,0 +1,208 @@
+// services/access-tokens.js - Personal access tokens for scripting against the dashboard API
+// Tokens are shown once, stored hashed, scoped, expiring and revocable. ensureAuthenticated
+// accepts them as `Authorization: Bearer hpat_...` on the routes their scopes cover.
+
+const crypto = require('crypto');
+const { getDb } = require('../db');
+const users = require('./users');
+
+const TOKEN_PREFIX = 'hpat_';
+const MAX_LIFETIME_DAYS = parseInt(process.env.PAT_MAX_LIFETIME_DAYS || '365', 10);
+const MAX_TOKENS_PER_USER = parseInt(process.env.PAT_MAX_PER_USER || '20', 10);
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000; // Don't write last_used_at on every request
+
+const SCOPES = {
+    'containers:read': 'View container status, services, routes and logs',
+    'containers:write': 'Start, stop, restart and configure your container',
+    'routes:write': 'Add and remove custom port routes',
+    'requests:read': 'View your quota and resource requests',
+    'requests:write': 'Submit and cancel resource requests'
+};
+
+// Which scope a request needs, by API prefix. Anything not listed (sessions, tokens,
+// admin, ...) can't be reached with a personal access token at all.
+const ROUTE_SCOPES = [
+    { prefix: '/dashboard/api/containers/routes', read: 'containers:read', write: 'routes:write' },
+    { prefix: '/dashboard/api/containers', read: 'containers:read', write: 'containers:write' },
+    { prefix: '/dashboard/api/resource-requests', read: 'requests:read', write: 'requests:write' }
+];
+
+/**
+ * Error raised for invalid token requests; message is safe to show to the user
+ */
+class AccessTokenError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isPersonalAccessToken(token) {
+    return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+}
+
+/**
+ * Scope a request needs, or null if personal access tokens may not be used for it
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path (no query string)
+ */
+function requiredScope(method, path) {
+    const entry = ROUTE_SCOPES.find(r => path === r.prefix || path.startsWith(`${r.prefix}/`));
+    if (!entry) return null;
+    return ['GET', 'HEAD'].includes(method) ? entry.read : entry.write;
+}
+
+/**
+ * Public view of a token row (never includes the hash)
+ */
+function toToken(row) {
+    const expired = Date.parse(row.expires_at) <= Date.now();
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.token_prefix,
+        scopes: row.scopes.split(' ').filter(Boolean),
+        created_at: row.created_at,
+        expires_at: row.expires_at,
+        last_used_at: row.last_used_at,
+        last_used_ip: row.last_used_ip,
+        revoked_at: row.revoked_at,
+        status: row.revoked_at ? 'revoked' : expired ? 'expired' : 'active'
+    };
+}
+
+/**
+ * Create a token
+ * @param {Object} user - The creating user; their profile is snapshotted so API calls see the same user
+ * @param {Object} input - { name, scopes[], expires_in_days }
+ * @returns {Promise<{ token: string, info: Object }>} The raw token is only ever returned here
+ * @throws {AccessTokenError}
+ */
+async function createToken(user, { name, scopes, expires_in_days }) {
+    const label = String(name || '').trim();
+    if (!label || label.length > 100) throw new AccessTokenError('Name is required (max 100 characters)');
+
+    const list = Array.from(new Set(Array.isArray(scopes) ? scopes : String(scopes || '').split(/[\s,]+/).filter(Boolean)));
+    if (list.length === 0) throw new AccessTokenError('At least one scope is required');
+    const unknown = list.filter(s => !SCOPES[s]);
+    if (unknown.length) throw new AccessTokenError(`Unknown scope(s): ${unknown.join(', ')}`);
+
+    const days = parseInt(expires_in_days || '30', 10);
+    if (!(days >= 1 && days <= MAX_LIFETIME_DAYS)) {
+        throw new AccessTokenError(`Expiry must be between 1 and ${MAX_LIFETIME_DAYS} days`);
+    }
+
+    const username = await users.usernameFor(user);
+    const db = await getDb();
+    const { count } = await db.get(
+        'SELECT COUNT(*) as count FROM personal_access_tokens WHERE username = ? AND revoked_at IS NULL AND expires_at > ?',
+        [username, new Date().toISOString()]
+    );
+    if (count >= MAX_TOKENS_PER_USER) {
+        throw new AccessTokenError(`You can have at most ${MAX_TOKENS_PER_USER} active tokens`, 409);
+    }
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(30).toString('base64url')}`;
+    const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    const claims = {
+        username,
+        given_name: user.given_name || username,
+        family_name: user.family_name || '',
+        display_name: user.display_name || user.email,
+        affiliation: user.affiliation || '',
+        roles: user.roles || [],
+        groups: user.groups || []
+    };
+    const result = await db.run(
+        `INSERT INTO personal_access_tokens (username, email, name, token_hash, token_prefix, scopes, claims, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [username, user.email, label, hashToken(token), token.slice(0, TOKEN_PREFIX.length + 6), list.join(' '), JSON.stringify(claims), expiresAt]
+    );
+
+    const row = await db.get('SELECT * FROM personal_access_tokens WHERE id = ?', [result.lastID]);
+    return { token, info: toToken(row) };
+}
+
+/**
+ * List a user's tokens (active first)
+ */
+async function listTokens(username) {
+    const db = await getDb();
+    const rows = await db.all(
+        `SELECT * FROM personal_access_tokens WHERE username = ?
+         ORDER BY revoked_at IS NOT NULL, created_at DESC`,
+        [username]
+    );
+    return rows.map(toToken);
+}
+
+/**
+ * Revoke one of a user's tokens
+ * @returns {Promise<boolean>}
+ */
+async function revokeToken(username, id) {
+    const db = await getDb();
+    const result = await db.run(
+        `UPDATE personal_access_tokens SET revoked_at = datetime('now')
+         WHERE id = ? AND username = ? AND revoked_at IS NULL`,
+        [id, username]
+    );
+    return result.changes > 0;
+}
+
+/**
+ * Revoke every token a user holds
+ * @returns {Promise<number>}
+ */
+async function revokeAllTokens(username) {
+    const db = await getDb();
+    const result = await db.run(
+        `UPDATE personal_access_tokens SET revoked_at = datetime('now') WHERE username = ? AND revoked_at IS NULL`,
+        [username]
+    );
+    return result.changes;
+}
+
+/**
+ * Resolve a raw token to its owner, recording last use
+ * @param {string} token - Raw `hpat_` token
+ * @param {Object} [context] - { ip }
+ * @returns {Promise<Object|null>} { id, username, email, scopes, claims } or null if unknown, expired or revoked
+ */
+async function verifyToken(token, context = {}) {
+    if (!isPersonalAccessToken(token)) return null;
+    const db = await getDb();
+    const row = await db.get('SELECT * FROM personal_access_tokens WHERE token_hash = ?', [hashToken(token)]);
+    if (!row || row.revoked_at || Date.parse(row.expires_at) <= Date.now()) return null;
+
+    if (!row.last_used_at || Date.now() - Date.parse(row.last_used_at) > LAST_USED_WRITE_INTERVAL_MS) {
+        db.run(
+            'UPDATE personal_access_tokens SET last_used_at = ?, last_used_ip = ? WHERE id = ?',
+            [new Date().toISOString(), context.ip || null, row.id]
+        ).catch(e => console.warn('[access-tokens] Could not record last use:', e.message));
+    }
+
+    return {
+        id: row.id,
+        username: row.username,
+        email: row.email,
+        scopes: row.scopes.split(' ').filter(Boolean),
+        claims: JSON.parse(row.claims || '{}')
+    };
+}
+
+module.exports = {
+    SCOPES,
+    AccessTokenError,
+    isPersonalAccessToken,
+    requiredScope,
+    createToken,
+    listTokens,
+    revokeToken,
+    revokeAllTokens,
+    verifyToken
+};
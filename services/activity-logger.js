@@ -2,6 +2,7 @@
 // Logs all user activities to SQLite with 100MB per user limit
 
 const { getDb } = require('../db');
+const users = require('./users');
 const { v4: uuidv4 } = require('uuid');
 
 // 100MB per user limit
@@ -317,9 +318,8 @@ function logApiAccess(category, action) {
 
             // Only log if user is authenticated
             if (req.user && req.user.email) {
-                const username = req.user.email.split('@')[0];
-
                 try {
+                    const username = await users.usernameFor(req.user);
                     await logActivity({
                         username,
                         email: req.user.email,
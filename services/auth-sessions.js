@@ -0,0 +1,231 @@
+// services/auth-sessions.js - Login sessions and server-side token revocation
+// Every token carries a jti and the sid of the login it came from; revoking either rejects it.
+// Revocations are cached in memory so verifyAccessToken stays synchronous, and the cache is
+// reloaded periodically so replicas sharing the database converge.
+
+const { getDb } = require('../db');
+const refreshTokens = require('./refresh-tokens');
+const users = require('./users');
+
+const RELOAD_INTERVAL_MS = 30 * 1000;
+
+let revokedSids = new Set();
+let revokedJtis = new Map(); // jti -> expiry (ms)
+let reloadInterval = null;
+
+/**
+ * Record a new login session
+ * @param {Object} user - User claims including sid, email and (for SAML logins) saml.nameID/sessionIndex
+ * @param {Object} [context] - { ip, userAgent }
+ */
+async function createSession(user, context = {}) {
+    if (!user?.sid) return;
+    const db = await getDb();
+    const expiresAt = new Date(Date.now() + refreshTokens.REFRESH_MAX_AGE_SECONDS * 1000).toISOString();
+    await db.run(
+        `INSERT OR IGNORE INTO auth_sessions
+         (sid, username, email, ip_address, user_agent, saml_name_id, saml_name_id_format, saml_session_index, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            user.sid,
+            await users.usernameFor(user),
+            user.email || '',
+            context.ip || null,
+            context.userAgent || null,
+            user.saml?.nameID || null,
+            user.saml?.nameIDFormat || null,
+            user.saml?.sessionIndex || null,
+            expiresAt
+        ]
+    );
+}
+
+/**
+ * Update last-seen info for a session (called on token refresh)
+ */
+async function touchSession(sid, context = {}) {
+    if (!sid) return;
+    const db = await getDb();
+    await db.run(
+        `UPDATE auth_sessions SET last_seen_at = datetime('now'),
+         ip_address = COALESCE(?, ip_address), user_agent = COALESCE(?, user_agent)
+         WHERE sid = ?`,
+        [context.ip || null, context.userAgent || null, sid]
+    );
+}
+
+/**
+ * List a user's sessions that can still be used
+ */
+async function listSessions(username) {
+    const db = await getDb();
+    return db.all(
+        `SELECT sid, username, email, ip_address, user_agent, created_at, last_seen_at, expires_at
+         FROM auth_sessions
+         WHERE username = ? AND revoked_at IS NULL AND expires_at > ?
+         ORDER BY last_seen_at DESC`,
+        [username, new Date().toISOString()]
+    );
+}
+
+/**
+ * Get a single session
+ */
+async function getSession(sid) {
+    const db = await getDb();
+    return db.get('SELECT * FROM auth_sessions WHERE sid = ?', [sid]);
+}
+
+/**
+ * Revoke one session: its refresh family and every access token carrying its sid
+ */
+async function revokeSession(sid, { by = null, reason = 'revoked' } = {}) {
+    const db = await getDb();
+    const result = await db.run(
+        `UPDATE auth_sessions SET revoked_at = datetime('now'), revoked_by = ?, revoked_reason = ?
+         WHERE sid = ? AND revoked_at IS NULL`,
+        [by, reason, sid]
+    );
+    await refreshTokens.revokeFamily(sid, reason);
+    revokedSids.add(sid);
+    return result.changes > 0;
+}
+
+/**
+ * Revoke every session a user has ("log out everywhere")
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeAllSessions(username, { by = null, reason = 'logout_all' } = {}) {
+    const db = await getDb();
+    const sessions = await db.all(
+        'SELECT sid FROM auth_sessions WHERE username = ? AND revoked_at IS NULL',
+        [username]
+    );
+    await db.run(
+        `UPDATE auth_sessions SET revoked_at = datetime('now'), revoked_by = ?, revoked_reason = ?
+         WHERE username = ? AND revoked_at IS NULL`,
+        [by, reason, username]
+    );
+    await refreshTokens.revokeAllForUser(username, reason);
+    sessions.forEach(s => revokedSids.add(s.sid));
+    console.log(`[auth-sessions] Revoked ${sessions.length} session(s) for ${username}${by ? ` by ${by}` : ''}`);
+    return sessions.length;
+}
+
+/**
+ * Revoke the sessions an IdP LogoutRequest refers to (SAML Single Logout).
+ * Without a SessionIndex every session for the NameID is ended.
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+async function revokeSamlSessions(nameID, sessionIndex, { by = 'idp', reason = 'saml_slo' } = {}) {
+    if (!nameID) return 0;
+    const db = await getDb();
+    const sessions = sessionIndex
+        ? await db.all(
+            'SELECT sid FROM auth_sessions WHERE saml_name_id = ? AND saml_session_index = ? AND revoked_at IS NULL',
+            [nameID, sessionIndex]
+        )
+        : await db.all(
+            'SELECT sid FROM auth_sessions WHERE saml_name_id = ? AND revoked_at IS NULL',
+            [nameID]
+        );
+    for (const s of sessions) {
+        await revokeSession(s.sid, { by, reason });
+    }
+    return sessions.length;
+}
+
+/**
+ * Revoke a single access token by jti
+ * @param {Object} payload - Decoded token payload (needs jti and exp)
+ */
+async function revokeToken(payload, reason = 'revoked') {
+    if (!payload?.jti) return false;
+    const expiresAt = new Date((payload.exp || Math.floor(Date.now() / 1000)) * 1000).toISOString();
+    const db = await getDb();
+    await db.run(
+        `INSERT OR IGNORE INTO revoked_tokens (jti, username, expires_at, reason) VALUES (?, ?, ?, ?)`,
+        [payload.jti, await users.usernameFor(payload), expiresAt, reason]
+    );
+    revokedJtis.set(payload.jti, Date.parse(expiresAt));
+    return true;
+}
+
+/**
+ * Check whether a session id has been revoked (synchronous, cache-backed)
+ */
+function isSessionRevoked(sid) {
+    return !!sid && revokedSids.has(sid);
+}
+
+/**
+ * Check whether a verified token payload has been revoked (synchronous, cache-backed)
+ */
+function isRevoked(payload) {
+    if (!payload) return false;
+    if (payload.jti && revokedJtis.has(payload.jti)) return true;
+    return isSessionRevoked(payload.sid);
+}
+
+/**
+ * Reload the revocation cache from the database and prune expired denylist rows
+ */
+async function reload() {
+    try {
+        const db = await getDb();
+        const now = new Date().toISOString();
+        await db.run('DELETE FROM revoked_tokens WHERE expires_at < ?', [now]);
+        await db.run(
+            'DELETE FROM auth_sessions WHERE expires_at < ?',
+            [new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString()]
+        );
+
+        const jtis = await db.all('SELECT jti, expires_at FROM revoked_tokens');
+        // Passport sessions roll, so keep revoked sids until the row itself is cleaned up
+        const sids = await db.all('SELECT sid FROM auth_sessions WHERE revoked_at IS NOT NULL');
+
+        revokedJtis = new Map(jtis.map(r => [r.jti, Date.parse(r.expires_at)]));
+        revokedSids = new Set(sids.map(r => r.sid));
+    } catch (error) {
+        console.error('[auth-sessions] Failed to reload revocations:', error.message);
+    }
+}
+
+/**
+ * Start periodic revocation cache reloads
+ */
+async function start() {
+    if (reloadInterval) {
+        console.warn('[auth-sessions] Already running');
+        return;
+    }
+    await reload();
+    reloadInterval = setInterval(reload, RELOAD_INTERVAL_MS);
+    console.log(`[auth-sessions] Revocation cache loaded (${revokedSids.size} sessions, ${revokedJtis.size} tokens)`);
+}
+
+/**
+ * Stop periodic reloads
+ */
+function stop() {
+    if (reloadInterval) {
+        clearInterval(reloadInterval);
+        reloadInterval = null;
+    }
+}
+
+module.exports = {
+    createSession,
+    touchSession,
+    listSessions,
+    getSession,
+    revokeSession,
+    revokeAllSessions,
+    revokeSamlSessions,
+    revokeToken,
+    isSessionRevoked,
+    isRevoked,
+    reload,
+    start,
+    stop
+};
@@ -0,0 +1,273 @@
+// services/authz.js - Central authorization policy
+// Named permissions granted to the admin/faculty/ta roles. A user's roles come from ADMIN_USERS
+// (admin), their `user_whitelist` row, and a faculty SAML affiliation (faculty). Every admin
+// check in the app goes through can()/requirePermission() instead of recomputing this.
+// Course instructors and TAs (course_members, services/courses.js) reach the courses admin API
+// for their own courses only, and may open route overrides on their own students: checks about
+// one student use canFor().
+
+const { getDb } = require('../db');
+
+const PERMISSIONS = {
+    approve_requests: 'Approve or deny resource requests and edit user quotas',
+    manage_nodes: 'Change node status and migrate containers between nodes',
+    manage_infra: 'Deploy, change and open terminals in infrastructure services',
+    view_pod_details: 'See pod names and owners on the status page',
+    view_security: 'View and acknowledge security events and watch container events',
+    manage_whitelist: 'Grant and revoke admin, faculty and TA roles',
+    manage_sessions: "List and revoke any user's sessions and tokens",
+    manage_auth: 'Rotate signing keys, refresh IdP metadata and manage OIDC client apps',
+    manage_access_policy: 'Edit the rules for who may sign in and get a container',
+    send_reminders: 'Send container reminder emails',
+    impersonate: 'Act as another user for support',
+    access_student_routes: "Open an audited, time-limited override on a student's private routes",
+    manage_guests: 'Create time-boxed guest cohorts and hand out their access codes',
+    manage_images: 'Manage the catalog of container images students can choose',
+    manage_courses: 'Create courses, import their rosters and provision their containers'
+};
+
+const ROLES = ['admin', 'faculty', 'ta'];
+
+const ROLE_PERMISSIONS = {
+    admin: Object.keys(PERMISSIONS),
+    faculty: [
+        'approve_requests', 'manage_nodes', 'manage_infra', 'view_pod_details', 'view_security',
+        'manage_whitelist', 'manage_sessions', 'send_reminders', 'manage_guests', 'manage_images',
+        'manage_courses'
+    ],
+    ta: ['approve_requests', 'view_pod_details', 'view_security']
+};
+
+const COURSE_ROLES = ['instructor', 'ta'];
+
+// Held over the students of a course the user teaches or assists, whatever their global roles.
+// Only students enrolled through the course's Azure group count: staff type in CSV and manual
+// rosters, so those could name anyone. Impersonation is never granted through a course.
+const COURSE_ROLE_PERMISSIONS = {
+    instructor: ['access_student_routes'],
+    ta: ['access_student_routes']
+};
+
+// Roles a holder of each role may hand out through the whitelist
+const GRANTABLE_ROLES = {
+    admin: ROLES,
+    faculty: ['faculty', 'ta'],
+    ta: []
+};
+
+const ADMIN_USERS = (process.env.ADMIN_USERS || '').split(',').map(u => u.trim().toLowerCase()).filter(Boolean);
+
+// Roles resolved for a user object; req.user is rebuilt per request, so this lives one request
+const resolved = new WeakMap();
+const resolvedCourseRoles = new WeakMap();
+
+/**
+ * Roles held by a user
+ * @param {Object} user - req.user, or any object with email and affiliation
+ * @returns {Promise<string[]>} Subset of ROLES, strongest first
+ */
+async function getRoles(user) {
+    if (!user?.email) return [];
+    if (resolved.has(user)) return resolved.get(user);
+
+    const email = String(user.email).toLowerCase();
+    const roles = new Set();
+    if (ADMIN_USERS.includes(email)) roles.add('admin');
+    if ((user.affiliation || '').toLowerCase() === 'faculty') roles.add('faculty');
+    try {
+        const db = await getDb();
+        const row = await db.get('SELECT role FROM user_whitelist WHERE email = ?', [email]);
+        if (row && ROLES.includes(row.role)) roles.add(row.role);
+    } catch (e) {
+        console.warn('[authz] Error checking whitelist:', e.message);
+    }
+
+    const list = ROLES.filter(r => roles.has(r));
+    resolved.set(user, list);
+    return list;
+}
+
+/**
+ * Every permission a user holds through any of their roles
+ * @returns {Promise<string[]>}
+ */
+async function getPermissions(user) {
+    const roles = await getRoles(user);
+    return Object.keys(PERMISSIONS).filter(p => roles.some(r => ROLE_PERMISSIONS[r].includes(p)));
+}
+
+/**
+ * Whether a user holds a permission
+ * @param {Object} user
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {Promise<boolean>}
+ */
+async function can(user, permission) {
+    if (!PERMISSIONS[permission]) throw new Error(`Unknown permission: ${permission}`);
+    return (await getPermissions(user)).includes(permission);
+}
+
+/**
+ * Course roles a user holds in any active course
+ * @returns {Promise<string[]>} Subset of COURSE_ROLES
+ */
+async function getCourseRoles(user) {
+    if (!user?.email) return [];
+    if (resolvedCourseRoles.has(user)) return resolvedCourseRoles.get(user);
+
+    let list = [];
+    try {
+        const db = await getDb();
+        const rows = await db.all(
+            `SELECT DISTINCT m.role FROM course_members m JOIN courses c ON c.id = m.course_id
+             WHERE m.email = ? AND m.role IN ('instructor', 'ta') AND c.archived_at IS NULL`,
+            [String(user.email).toLowerCase()]
+        );
+        list = COURSE_ROLES.filter(r => rows.some(row => row.role === r));
+    } catch (e) {
+        console.warn('[authz] Error checking course roles:', e.message);
+    }
+    resolvedCourseRoles.set(user, list);
+    return list;
+}
+
+/**
+ * Whether a user holds a permission over one student: globally, or as instructor or TA of an
+ * active course the student is enrolled in through its Azure group. Staff are never a course's
+ * students for this.
+ * @param {Object} user
+ * @param {string} permission - Key of PERMISSIONS
+ * @param {string} username - The student's Hydra username (the owner, not a workspace key)
+ * @returns {Promise<boolean>}
+ */
+async function canFor(user, permission, username) {
+    if (await can(user, permission)) return true;
+    if (!username || !(await getCourseRoles(user)).some(r => COURSE_ROLE_PERMISSIONS[r].includes(permission))) {
+        return false;
+    }
+    const db = await getDb();
+    const rows = await db.all(
+        `SELECT DISTINCT staff.role, student.email AS student_email FROM course_members staff
+         JOIN course_members student ON student.course_id = staff.course_id
+         JOIN courses c ON c.id = staff.course_id
+         WHERE staff.email = ? AND staff.role IN ('instructor', 'ta')
+           AND student.username = ? AND student.role = 'student' AND student.source = 'azure'
+           AND c.archived_at IS NULL`,
+        [String(user.email).toLowerCase(), username]
+    );
+    if (!rows.some(row => COURSE_ROLE_PERMISSIONS[row.role]?.includes(permission))) return false;
+    return !(await isStaff({ email: rows[0].student_email }));
+}
+
+/**
+ * Whether a user holds a permission globally or over some course's students
+ */
+async function canForAny(user, permission) {
+    if (await can(user, permission)) return true;
+    return (await getCourseRoles(user)).some(r => COURSE_ROLE_PERMISSIONS[r].includes(permission));
+}
+
+/**
+ * Whether a user holds any staff role (admin, faculty or ta)
+ */
+async function isStaff(user) {
+    return (await getRoles(user)).length > 0;
+}
+
+/**
+ * Whether a user may give someone else a role through the whitelist
+ */
+async function canGrantRole(user, role) {
+    const roles = await getRoles(user);
+    return roles.some(r => GRANTABLE_ROLES[r].includes(role));
+}
+
+/**
+ * Middleware: 401 without a user, 403 unless the user holds one of the permissions.
+ * With no permissions given, any staff role is enough.
+ * @param {...string} permissions
+ */
+function requirePermission(...permissions) {
+    for (const p of permissions) {
+        if (!PERMISSIONS[p]) throw new Error(`Unknown permission: ${p}`);
+    }
+    return async function authorize(req, res, next) {
+        if (!req.user?.email) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        try {
+            const held = await getPermissions(req.user);
+            const allowed = permissions.length
+                ? permissions.some(p => held.includes(p))
+                : (await isStaff(req.user));
+            if (!allowed) {
+                console.warn(`[authz] Denied ${permissions.join('|') || 'staff'} to ${req.user.email} on ${req.method} ${req.originalUrl}`);
+                return res.status(403).json({
+                    error: 'Admin access required',
+                    ...(permissions.length ? { permission: permissions.join(' or ') } : {})
+                });
+            }
+            next();
+        } catch (e) {
+            console.error('[authz] Authorization check failed:', e);
+            res.status(500).json({ error: 'Authorization check failed' });
+        }
+    };
+}
+
+/**
+ * Middleware for any staff role
+ */
+const requireStaff = requirePermission();
+
+/**
+ * Middleware: like requirePermission(permission), but course instructors and TAs holding it over
+ * their students pass too. Handlers behind it must check the student with canFor().
+ */
+function requireCoursePermission(permission) {
+    if (!PERMISSIONS[permission]) throw new Error(`Unknown permission: ${permission}`);
+    return async function authorize(req, res, next) {
+        if (!req.user?.email) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+        try {
+            if (!(await canForAny(req.user, permission))) {
+                console.warn(`[authz] Denied ${permission} to ${req.user.email} on ${req.method} ${req.originalUrl}`);
+                return res.status(403).json({ error: 'Admin access required', permission });
+            }
+            next();
+        } catch (e) {
+            console.error('[authz] Authorization check failed:', e);
+            res.status(500).json({ error: 'Authorization check failed' });
+        }
+    };
+}
+
+/**
+ * Middleware for any staff role, or an instructor or TA of an active course
+ */
+async function requireStaffOrCourseStaff(req, res, next) {
+    if (req.user?.email && (await getCourseRoles(req.user)).length > 0) return next();
+    return requireStaff(req, res, next);
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    ROLE_PERMISSIONS,
+    COURSE_ROLES,
+    COURSE_ROLE_PERMISSIONS,
+    ADMIN_USERS,
+    getRoles,
+    getPermissions,
+    can,
+    getCourseRoles,
+    canFor,
+    canForAny,
+    isStaff,
+    canGrantRole,
+    requirePermission,
+    requireStaff,
+    requireCoursePermission,
+    requireStaffOrCourseStaff
+};
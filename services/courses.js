@@ -0,0 +1,745 @@
+// services/courses.js - Courses: rosters, bulk container provisioning and starter content
+// Staff holding `manage_courses` create a course with a default preset, a default catalog image
+// and optional starter content (a public git repo and/or small text files put in ~/<course name>).
+// The roster is imported from CSV, or synced from an Azure group through Microsoft Graph. Each
+// member gets their Hydra username on import, so containers can be created before the student
+// ever signs in. The course's instructors can then bulk-provision the students' default
+// containers, or bulk-start stopped ones, in the background (Kubernetes mode), each new one
+// only if the access policy's `containers` stage allows that student; starter content
+// is added once per student and never overwrites their files. TAs see their own courses' rosters
+// and container progress. Instructors and TAs may open route overrides on students enrolled
+// through the course's Azure group (COURSE_ROLE_PERMISSIONS in services/authz.js); CSV and manual
+// rosters are typed in by staff, so they grant nothing, and impersonation stays global.
+
+const { Readable, Writable } = require('stream');
+const { getDb } = require('../db');
+const authz = require('./authz');
+const accessPolicy = require('./access-policy');
+const users = require('./users');
+const imageCatalog = require('./image-catalog');
+const k8sClient = require('./k8s-client');
+const runtimeConfig = require('../config/runtime');
+const resourceConfig = require('../config/resources');
+const { getOrCreateUserQuota, getOrCreateContainerConfig, updateContainerConfig } = require('./db-init');
+
+let k8sContainers;
+try {
+    k8sContainers = require('./k8s-containers');
+} catch (e) {
+    console.warn('[courses] k8s-containers not available');
+}
+
+const NAME_PATTERN = /^[a-z][a-z0-9]*(-[a-z0-9]+)*$/;
+const NAME_MAX_LENGTH = 40;
+const EMAIL_PATTERN = /^[^\s@,;"<>]+@[^\s@,;"<>]+\.[^\s@,;"<>]+$/;
+const GROUP_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const REPO_PATTERN = /^https:\/\/[^\s'"`\\]+$/;
+const MEMBER_ROLES = ['student', 'ta', 'instructor'];
+const MAX_ROSTER = parseInt(process.env.COURSE_MAX_ROSTER || '500', 10);
+const STARTER_FILES_MAX_BYTES = 64 * 1024;
+const PROVISION_CONCURRENCY = Math.max(parseInt(process.env.COURSE_PROVISION_CONCURRENCY || '3', 10), 1);
+const SYNC_INTERVAL_MS = parseInt(process.env.COURSE_SYNC_INTERVAL_MINUTES || '360', 10) * 60 * 1000;
+const HOME = '/home/student';
+
+// Presets a course may hand out without approval
+const PRESETS = Object.values(resourceConfig.presets)
+    .filter(p => !p.internal && p.autoApproveOnHydra && p.allowedNodes.includes('hydra'))
+    .map(p => p.id);
+const DEFAULT_PRESET = PRESETS.includes(resourceConfig.defaults.preset) ? resourceConfig.defaults.preset : PRESETS[0];
+
+// Clones the repo unless ~/<course> exists, then writes each file that doesn't exist yet. Files
+// arrive on stdin as "<base64 path> <base64 content>" lines, $3 bytes in all.
+const STARTER_SCRIPT = `set -e
+cd ${HOME}
+if [ -n "$2" ] && [ ! -e "$1" ]; then git clone --quiet -- "$2" "$1"; fi
+mkdir -p "$1"
+head -c "$3" | while read -r name data; do
+    file="$1/$(printf %s "$name" | base64 -d)"
+    if [ ! -e "$file" ]; then
+        mkdir -p "$(dirname "$file")"
+        printf %s "$data" | base64 -d > "$file"
+    fi
+done`;
+
+const operations = new Map(); // course name -> { action, status, total, done, failed, started_at, finished_at, error }
+let syncInterval = null;
+
+/**
+ * Error raised for invalid course requests; message is safe to show to the caller
+ */
+class CourseError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function toCourse(row) {
+    let starterFiles = null;
+    try {
+        starterFiles = row.starter_files ? JSON.parse(row.starter_files) : null;
+    } catch (e) {
+        starterFiles = null;
+    }
+    return { ...row, starter_files: starterFiles };
+}
+
+function normalizeEmail(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+function normalizeStarterFiles(files) {
+    if (files === null || files === '') return null;
+    if (typeof files !== 'object' || Array.isArray(files)) {
+        throw new CourseError('starter_files must be an object of relative path -> text');
+    }
+    let bytes = 0;
+    for (const [file, content] of Object.entries(files)) {
+        const parts = file.split('/');
+        if (!file || file.startsWith('/') || parts.some(p => !p || p === '.' || p === '..') || file.length > 200) {
+            throw new CourseError(`starter_files: ${file || '(empty)'} is not a relative path inside the course folder`);
+        }
+        if (typeof content !== 'string') throw new CourseError(`starter_files: ${file} must be text`);
+        bytes += Buffer.byteLength(content);
+    }
+    if (bytes > STARTER_FILES_MAX_BYTES) {
+        throw new CourseError(`starter_files may hold at most ${STARTER_FILES_MAX_BYTES / 1024} KB; use starter_repo for more`);
+    }
+    return Object.keys(files).length ? JSON.stringify(files) : null;
+}
+
+/**
+ * Validate and normalize course fields (all optional, for updates)
+ */
+async function normalizeCourse(input) {
+    const course = {};
+    if (input.title !== undefined) {
+        const title = String(input.title || '').trim();
+        if (!title || title.length > 120) throw new CourseError('title is required and at most 120 characters');
+        course.title = title;
+    }
+    if (input.azure_group !== undefined) {
+        const group = String(input.azure_group || '').trim().toLowerCase();
+        if (group && !GROUP_PATTERN.test(group)) throw new CourseError('azure_group must be an Azure group object ID');
+        course.azure_group = group || null;
+    }
+    if (input.default_preset !== undefined) {
+        if (!PRESETS.includes(input.default_preset)) throw new CourseError(`default_preset must be one of: ${PRESETS.join(', ')}`);
+        course.default_preset = input.default_preset;
+    }
+    if (input.default_image !== undefined) {
+        const name = input.default_image || null;
+        if (name && name !== imageCatalog.DEFAULT) {
+            const entry = await imageCatalog.get(name);
+            if (!entry || !entry.enabled) throw new CourseError(`Unknown or disabled image: ${name}`);
+            if (entry.allowed_presets && !entry.allowed_presets.includes(course.default_preset || input.default_preset || DEFAULT_PRESET)) {
+                throw new CourseError(`${entry.title} is only available with the ${entry.allowed_presets.join(', ')} preset(s)`);
+            }
+            if (entry.allowed_nodes && !entry.allowed_nodes.includes('hydra')) throw new CourseError(`${entry.title} doesn't run on hydra`);
+        }
+        course.default_image = name === imageCatalog.DEFAULT ? null : name;
+    }
+    if (input.starter_repo !== undefined) {
+        const repo = String(input.starter_repo || '').trim();
+        if (repo && (repo.length > 500 || !REPO_PATTERN.test(repo))) throw new CourseError('starter_repo must be a public https git URL');
+        course.starter_repo = repo || null;
+    }
+    if (input.starter_files !== undefined) course.starter_files = normalizeStarterFiles(input.starter_files);
+    return course;
+}
+
+async function getRow(name) {
+    const db = await getDb();
+    return db.get('SELECT * FROM courses WHERE name = ?', [String(name || '').toLowerCase()]);
+}
+
+async function memberRole(courseId, email) {
+    const db = await getDb();
+    const row = await db.get('SELECT role FROM course_members WHERE course_id = ? AND email = ?', [courseId, normalizeEmail(email)]);
+    return row?.role || null;
+}
+
+/**
+ * Whether a user may change a course, import its roster and provision it
+ */
+async function canManage(user, course) {
+    if (await authz.can(user, 'manage_courses')) return true;
+    return !course.archived_at && (await memberRole(course.id, user.email)) === 'instructor';
+}
+
+/**
+ * Whether a user may see a course and its roster
+ */
+async function canView(user, course) {
+    if (await canManage(user, course)) return true;
+    return !course.archived_at && (await memberRole(course.id, user.email)) === 'ta';
+}
+
+// The course, if the user may see it (or manage it, with `manage`)
+async function load(user, name, { manage = false } = {}) {
+    const row = await getRow(name);
+    if (!row || !(await canView(user, row))) throw new CourseError('Course not found', 404);
+    if (manage && !(await canManage(user, row))) throw new CourseError('Only the course\'s instructors can do that', 403);
+    return row;
+}
+
+// ==================== Rosters ====================
+
+/**
+ * Rows of a CSV file, each an array of trimmed fields; blank lines are skipped
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+    return rows.map(r => r.map(f => f.trim())).filter(r => r.some(Boolean));
+}
+
+/**
+ * Roster entries from CSV: a header row naming an email column (and optionally role and name
+ * columns), or rows of just email[,role]
+ * @returns {{ members: Object[], errors: string[] }}
+ */
+function rosterFromCsv(text) {
+    const rows = parseCsv(String(text || '').replace(/^\uFEFF/, ''));
+    const members = [];
+    const errors = [];
+    if (rows.length === 0) return { members, errors };
+
+    const header = rows[0].map(h => h.toLowerCase());
+    const hasHeader = !header.some(h => h.includes('@'));
+    const column = pattern => (hasHeader ? header.findIndex(h => pattern.test(h)) : -1);
+    const emailColumn = hasHeader ? column(/e-?mail/) : 0;
+    const roleColumn = hasHeader ? column(/^role$/) : 1;
+    const nameColumn = column(/name/);
+    if (emailColumn < 0) return { members, errors: ['The CSV header has no email column'] };
+
+    rows.slice(hasHeader ? 1 : 0).forEach((row, i) => {
+        members.push({
+            email: row[emailColumn],
+            role: row[roleColumn] || undefined,
+            name: nameColumn >= 0 ? row[nameColumn] : undefined,
+            line: i + (hasHeader ? 2 : 1)
+        });
+    });
+    return { members, errors };
+}
+
+async function upsertMember(db, course, { email, username, role, source }) {
+    await db.run(
+        `INSERT INTO course_members (course_id, email, username, role, source) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT(course_id, email) DO UPDATE SET role = excluded.role, username = excluded.username`,
+        [course.id, email, username, role, source]
+    );
+}
+
+/**
+ * Add or update roster entries
+ * @param {Object} user - The caller (req.user)
+ * @param {string} name - Course name
+ * @param {Object} input - { csv } or { members: [{ email, role?, name? }] }; `replace: true` also
+ *   removes students imported the same way who are missing from the list
+ * @returns {Promise<{ added: number, updated: number, removed: number, errors: string[] }>}
+ * @throws {CourseError}
+ */
+async function importRoster(user, name, { csv, members, replace = false } = {}) {
+    const course = await load(user, name, { manage: true });
+    const manager = await authz.can(user, 'manage_courses');
+    const source = csv !== undefined ? 'csv' : 'manual';
+    const parsed = csv !== undefined
+        ? rosterFromCsv(csv)
+        : { members: Array.isArray(members) ? members.map((m, i) => ({ ...m, line: i + 1 })) : [], errors: [] };
+    if (csv === undefined && !Array.isArray(members)) throw new CourseError('Send csv (text) or members (array)');
+
+    const errors = [...parsed.errors];
+    const entries = new Map();
+    for (const m of parsed.members) {
+        const email = normalizeEmail(m.email);
+        const role = String(m.role || 'student').trim().toLowerCase();
+        if (!EMAIL_PATTERN.test(email)) errors.push(`${source === 'csv' ? 'Line' : 'Entry'} ${m.line}: not an email address`);
+        else if (!MEMBER_ROLES.includes(role)) errors.push(`${source === 'csv' ? 'Line' : 'Entry'} ${m.line}: role must be one of ${MEMBER_ROLES.join(', ')}`);
+        else if (role === 'instructor' && !manager) errors.push(`${source === 'csv' ? 'Line' : 'Entry'} ${m.line}: only staff with manage_courses can add instructors`);
+        else entries.set(email, { email, role, name: m.name });
+    }
+
+    const db = await getDb();
+    const existing = await db.all('SELECT email, role, source FROM course_members WHERE course_id = ?', [course.id]);
+    const current = new Map(existing.map(m => [m.email, m]));
+    if (!manager) {
+        for (const email of entries.keys()) {
+            if (current.get(email)?.role === 'instructor') {
+                errors.push(`${email}: only staff with manage_courses can change an instructor`);
+                entries.delete(email);
+            }
+        }
+    }
+    const newCount = [...entries.keys()].filter(e => !current.has(e)).length;
+    if (existing.length + newCount > MAX_ROSTER) throw new CourseError(`A course can have at most ${MAX_ROSTER} members`, 413);
+
+    let added = 0;
+    let updated = 0;
+    for (const entry of entries.values()) {
+        const account = await users.resolve({ email: entry.email, display_name: entry.name || undefined });
+        const before = current.get(entry.email);
+        if (before && before.role === entry.role) continue;
+        await upsertMember(db, course, { email: entry.email, username: account.username, role: entry.role, source });
+        if (before) updated++;
+        else added++;
+    }
+
+    let removed = 0;
+    if (replace) {
+        const gone = existing.filter(m => m.role === 'student' && m.source === source && !entries.has(m.email));
+        for (const m of gone) {
+            await db.run('DELETE FROM course_members WHERE course_id = ? AND email = ?', [course.id, m.email]);
+        }
+        removed = gone.length;
+    }
+    console.log(`[courses] ${course.name} roster from ${source} by ${user.email}: ${added} added, ${updated} updated, ${removed} removed, ${errors.length} error(s)`);
+    return { added, updated, removed, errors };
+}
+
+/**
+ * Take someone off a course's roster; their container is left alone
+ * @returns {Promise<boolean>}
+ */
+async function removeMember(user, name, email) {
+    const course = await load(user, name, { manage: true });
+    const role = await memberRole(course.id, email);
+    if (!role) return false;
+    if (role === 'instructor' && !(await authz.can(user, 'manage_courses'))) {
+        throw new CourseError('Only staff with manage_courses can remove an instructor', 403);
+    }
+    const db = await getDb();
+    await db.run('DELETE FROM course_members WHERE course_id = ? AND email = ?', [course.id, normalizeEmail(email)]);
+    console.log(`[courses] ${normalizeEmail(email)} (${role}) removed from ${course.name} by ${user.email}`);
+    return true;
+}
+
+// ==================== Azure group sync ====================
+
+function graphConfigured() {
+    return !!(process.env.MS_TENANT_ID && process.env.MS_CLIENT_ID && process.env.MS_CLIENT_SECRET);
+}
+
+// Every user in the group, nested groups included (needs GroupMember.Read.All)
+async function fetchGroupMembers(groupId) {
+    const { getGraphToken } = require('./email-notifications');
+    const token = await getGraphToken();
+    const members = [];
+    let url = `https://graph.microsoft.com/v1.0/groups/${groupId}/transitiveMembers/microsoft.graph.user?$select=id,mail,userPrincipalName,displayName&$top=999`;
+    while (url) {
+        const response = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+        if (!response.ok) throw new Error(`Graph returned ${response.status} for group ${groupId}: ${await response.text()}`);
+        const data = await response.json();
+        members.push(...data.value);
+        url = data['@odata.nextLink'] || null;
+    }
+    return members;
+}
+
+async function syncCourse(course) {
+    const members = await fetchGroupMembers(course.azure_group);
+    const db = await getDb();
+    const existing = await db.all('SELECT email, role, source FROM course_members WHERE course_id = ?', [course.id]);
+    const current = new Map(existing.map(m => [m.email, m]));
+    const seen = new Set();
+    let added = 0;
+    for (const m of members) {
+        const email = normalizeEmail(m.mail || m.userPrincipalName);
+        if (!EMAIL_PATTERN.test(email) || seen.has(email)) continue;
+        seen.add(email);
+        // Staff entries and students imported otherwise keep their role and source
+        if (current.has(email)) continue;
+        if (current.size + added >= MAX_ROSTER) {
+            console.warn(`[courses] ${course.name}: group has more than ${MAX_ROSTER} members; the rest were skipped`);
+            break;
+        }
+        const account = await users.resolve({ oid: m.id, email, display_name: m.displayName });
+        await upsertMember(db, course, { email, username: account.username, role: 'student', source: 'azure' });
+        added++;
+    }
+    const gone = existing.filter(m => m.source === 'azure' && !seen.has(m.email));
+    for (const m of gone) {
+        await db.run('DELETE FROM course_members WHERE course_id = ? AND email = ?', [course.id, m.email]);
+    }
+    await db.run(`UPDATE courses SET synced_at = datetime('now') WHERE id = ?`, [course.id]);
+    if (added || gone.length) console.log(`[courses] ${course.name} synced from Azure: ${added} added, ${gone.length} removed`);
+    return { added, removed: gone.length };
+}
+
+/**
+ * Sync a course's roster from its Azure group now
+ * @throws {CourseError}
+ */
+async function syncRoster(user, name) {
+    const course = await load(user, name, { manage: true });
+    if (!course.azure_group) throw new CourseError('This course has no azure_group');
+    if (!graphConfigured()) throw new CourseError('Azure group sync needs MS_TENANT_ID, MS_CLIENT_ID and MS_CLIENT_SECRET', 501);
+    try {
+        return await syncCourse(course);
+    } catch (e) {
+        console.error(`[courses] Sync of ${course.name} failed:`, e.message);
+        throw new CourseError('Could not read the Azure group; check the ID and the app\'s GroupMember.Read.All permission', 502);
+    }
+}
+
+async function syncAll() {
+    try {
+        const db = await getDb();
+        const rows = await db.all('SELECT * FROM courses WHERE azure_group IS NOT NULL AND archived_at IS NULL');
+        for (const course of rows) {
+            await syncCourse(course).catch(e => console.error(`[courses] Sync of ${course.name} failed:`, e.message));
+        }
+    } catch (e) {
+        console.error('[courses] Roster sync failed:', e.message);
+    }
+}
+
+// ==================== Courses ====================
+
+/**
+ * Create a course
+ * @param {Object} creator - req.user; becomes its instructor unless instructors are given
+ * @param {Object} input - { name, title, default_preset?, default_image?, azure_group?, starter_repo?,
+ *   starter_files?, instructors?: string[], tas?: string[] }
+ * @throws {CourseError}
+ */
+async function createCourse(creator, input = {}) {
+    if (!(await authz.can(creator, 'manage_courses'))) throw new CourseError('Not allowed to create courses', 403);
+    const name = String(input.name || '').trim().toLowerCase();
+    if (name.length > NAME_MAX_LENGTH || !NAME_PATTERN.test(name)) {
+        throw new CourseError(`name must be 1-${NAME_MAX_LENGTH} lowercase letters, digits and single dashes, starting with a letter`);
+    }
+    const course = await normalizeCourse({ default_preset: DEFAULT_PRESET, ...input });
+    if (!course.title) throw new CourseError('title is required');
+    if (await getRow(name)) throw new CourseError(`There is already a course named ${name}`, 409);
+
+    const staff = [
+        ...(Array.isArray(input.instructors) && input.instructors.length ? input.instructors : [creator.email]).map(email => ({ email, role: 'instructor' })),
+        ...(Array.isArray(input.tas) ? input.tas : []).map(email => ({ email, role: 'ta' }))
+    ];
+    const invalid = staff.find(s => !EMAIL_PATTERN.test(normalizeEmail(s.email)));
+    if (invalid) throw new CourseError(`${invalid.email} is not an email address`);
+
+    const db = await getDb();
+    const result = await db.run(
+        `INSERT INTO courses (name, title, azure_group, default_preset, default_image, starter_repo, starter_files, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [name, course.title, course.azure_group || null, course.default_preset, course.default_image || null,
+            course.starter_repo || null, course.starter_files || null, creator.email]
+    );
+    const row = await db.get('SELECT * FROM courses WHERE id = ?', [result.lastID]);
+    for (const s of staff) {
+        const email = normalizeEmail(s.email);
+        const account = await users.resolve({ email });
+        await upsertMember(db, row, { email, username: account.username, role: s.role, source: 'manual' });
+    }
+    console.log(`[courses] ${name} created by ${creator.email}`);
+    if (row.azure_group && graphConfigured()) {
+        await syncCourse(row).catch(e => console.error(`[courses] Sync of ${name} failed:`, e.message));
+    }
+    return toCourse(row);
+}
+
+/**
+ * Change a course's settings; new defaults apply to containers provisioned from now on
+ * @throws {CourseError}
+ */
+async function updateCourse(user, name, changes = {}) {
+    const row = await load(user, name, { manage: true });
+    // The Azure group decides whose routes the course's staff may open (authz.canFor())
+    if (changes.azure_group !== undefined && !(await authz.can(user, 'manage_courses'))) {
+        throw new CourseError('Only staff with manage_courses can change the Azure group', 403);
+    }
+    const updates = await normalizeCourse({ default_preset: row.default_preset, ...changes });
+    if (changes.default_preset === undefined) delete updates.default_preset;
+    const fields = Object.keys(updates);
+    if (fields.length === 0) return toCourse(row);
+    const db = await getDb();
+    await db.run(
+        `UPDATE courses SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = datetime('now') WHERE id = ?`,
+        [...fields.map(f => updates[f]), row.id]
+    );
+    console.log(`[courses] ${row.name} updated by ${user.email}: ${fields.join(', ')}`);
+    return toCourse(await getRow(row.name));
+}
+
+/**
+ * Archive a course: its instructors and TAs lose access to it and its students. Containers stay.
+ * @returns {Promise<boolean>}
+ */
+async function archiveCourse(user, name) {
+    const row = await load(user, name, { manage: true });
+    if (!(await authz.can(user, 'manage_courses'))) throw new CourseError('Only staff with manage_courses can archive a course', 403);
+    const db = await getDb();
+    const result = await db.run(`UPDATE courses SET archived_at = datetime('now') WHERE id = ? AND archived_at IS NULL`, [row.id]);
+    if (result.changes > 0) console.log(`[courses] ${row.name} archived by ${user.email}`);
+    return result.changes > 0;
+}
+
+/**
+ * Courses a user may see, with member counts
+ * @param {Object} user - req.user
+ * @param {Object} [options] - { includeArchived }
+ */
+async function listCourses(user, { includeArchived = false } = {}) {
+    const db = await getDb();
+    const all = await authz.can(user, 'manage_courses');
+    const rows = await db.all(
+        `SELECT c.*,
+            (SELECT COUNT(*) FROM course_members m WHERE m.course_id = c.id AND m.role = 'student') AS student_count,
+            (SELECT COUNT(*) FROM course_members m WHERE m.course_id = c.id AND m.role <> 'student') AS staff_count
+         FROM courses c
+         WHERE ${includeArchived ? '1 = 1' : 'c.archived_at IS NULL'}
+           ${all ? '' : `AND c.archived_at IS NULL AND EXISTS (SELECT 1 FROM course_members s
+                WHERE s.course_id = c.id AND s.email = ? AND s.role IN ('instructor', 'ta'))`}
+         ORDER BY c.created_at DESC`,
+        all ? [] : [normalizeEmail(user.email)]
+    );
+    return rows.map(toCourse);
+}
+
+/**
+ * A course with its roster and any bulk operation in progress
+ * @throws {CourseError}
+ */
+async function getCourse(user, name) {
+    const row = await load(user, name);
+    const db = await getDb();
+    const members = await db.all(
+        `SELECT email, username, role, source, provisioned_at, starter_applied_at, last_error, added_at
+         FROM course_members WHERE course_id = ? ORDER BY role DESC, email`,
+        [row.id]
+    );
+    return { ...toCourse(row), members, operation: operations.get(row.name) || null };
+}
+
+// ==================== Provisioning ====================
+
+async function applyStarter(course, member) {
+    const files = course.starter_files ? JSON.parse(course.starter_files) : {};
+    const payload = Buffer.from(Object.entries(files)
+        .map(([file, content]) => `${Buffer.from(file).toString('base64')} ${Buffer.from(content).toString('base64')}\n`)
+        .join(''));
+    let errors = '';
+    const stderr = new Writable({
+        write(chunk, encoding, callback) {
+            errors = (errors + chunk.toString()).slice(-1024);
+            callback();
+        }
+    });
+    const result = await k8sClient.execInPod(
+        `student-${member.username}`,
+        runtimeConfig.k8s.namespace,
+        'student',
+        ['runuser', '-u', 'student', '--', 'sh', '-c', STARTER_SCRIPT, 'sh', course.name, course.starter_repo || '', String(payload.length)],
+        { stderr, stdin: payload.length ? Readable.from([payload]) : null }
+    );
+    if (result.status !== 'Success') throw new Error(`starter content failed: ${errors.trim() || result.message}`);
+}
+
+// Create a roster student's default container from the course defaults
+async function createContainer(course, member) {
+    // The same check as POST /containers/init; a roster row only knows the email and, for
+    // students synced from Azure, the course's group
+    const decision = await accessPolicy.evaluate({
+        email: member.email,
+        username: member.username,
+        groups: member.source === 'azure' && course.azure_group ? [course.azure_group] : []
+    }, 'containers');
+    if (!decision.allowed) throw new Error(decision.message || 'Not allowed to get a container');
+
+    const preset = resourceConfig.presets[course.default_preset] || resourceConfig.presets[DEFAULT_PRESET];
+    const entry = (course.default_image && (await imageCatalog.get(course.default_image))) || (await imageCatalog.get(imageCatalog.DEFAULT));
+    const quota = await getOrCreateUserQuota(member.username, member.email);
+    await getOrCreateContainerConfig(member.username, `student-${member.username}`);
+    await updateContainerConfig(member.username, {
+        current_node: 'hydra',
+        memory_gb: preset.memory_gb,
+        cpus: preset.cpus,
+        storage_gb: preset.storage_gb,
+        gpu_count: 0,
+        preset_tier: preset.id,
+        catalog_image: entry.name === imageCatalog.DEFAULT ? null : entry.name,
+        image_name: imageCatalog.referenceOf(entry)
+    });
+    const result = await k8sContainers.initContainer(member.username, member.email, {
+        preset: preset.id,
+        target_node: 'hydra',
+        storage_gb: preset.storage_gb,
+        memory_mb: preset.memory_mb || preset.memory_gb * 1024,
+        cpus: preset.cpus,
+        gpu_count: 0,
+        jupyter_approved: !!quota.jupyter_execution_approved,
+        jenkins_approved: true
+    });
+    // Jenkins is always available (see POST /containers/init)
+    await k8sContainers.controlService(member.username, 'jenkins', 'start').catch(() => {});
+    return result.ready;
+}
+
+async function provisionMember(course, member, action) {
+    const db = await getDb();
+    const status = await k8sContainers.getContainerStatus(member.username);
+    let running = status.running;
+    if (action === 'provision' && !status.exists && !(await k8sClient.getPVC(`hydra-vol-${member.username}`))) {
+        running = await createContainer(course, member);
+        await db.run(`UPDATE course_members SET provisioned_at = datetime('now') WHERE course_id = ? AND email = ?`, [course.id, member.email]);
+    } else if (action === 'start' && !status.running && (status.exists || (await k8sClient.getPVC(`hydra-vol-${member.username}`)))) {
+        const config = await getOrCreateContainerConfig(member.username, `student-${member.username}`);
+        running = (await k8sContainers.startContainer(member.username, member.email, config)).ready !== false;
+    }
+
+    if (running && !member.starter_applied_at && (course.starter_repo || course.starter_files)) {
+        await applyStarter(course, member);
+        await db.run(`UPDATE course_members SET starter_applied_at = datetime('now') WHERE course_id = ? AND email = ?`, [course.id, member.email]);
+    }
+}
+
+async function runBulk(course, members, action, operation) {
+    const db = await getDb();
+    let next = 0;
+    const worker = async () => {
+        while (next < members.length) {
+            const member = members[next++];
+            try {
+                await provisionMember(course, member, action);
+                await db.run('UPDATE course_members SET last_error = NULL WHERE course_id = ? AND email = ?', [course.id, member.email]);
+            } catch (e) {
+                operation.failed++;
+                console.error(`[courses] ${action} of ${member.username} for ${course.name} failed:`, e.message);
+                await db.run('UPDATE course_members SET last_error = ? WHERE course_id = ? AND email = ?', [String(e.message).slice(0, 500), course.id, member.email])
+                    .catch(() => {});
+            }
+            operation.done++;
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(PROVISION_CONCURRENCY, members.length) }, worker));
+}
+
+/**
+ * Create the default containers of a course's students that have none (`provision`), or start
+ * the stopped ones (`start`), in the background; either adds starter content where it is missing.
+ * Progress is in getCourse().operation and each member's last_error.
+ * @param {Object} user - req.user
+ * @param {string} name - Course name
+ * @param {'provision'|'start'} action
+ * @param {Object} [options] - { emails } to limit it to some students
+ * @throws {CourseError}
+ */
+async function bulk(user, name, action, { emails } = {}) {
+    if (!runtimeConfig.isKubernetes() || !k8sContainers) throw new CourseError('Bulk provisioning needs Kubernetes mode', 501);
+    const row = await load(user, name, { manage: true });
+    if (row.archived_at) throw new CourseError('This course is archived', 409);
+    if (operations.get(row.name)?.status === 'running') throw new CourseError('A bulk operation on this course is already running', 409);
+
+    const db = await getDb();
+    let members = await db.all("SELECT * FROM course_members WHERE course_id = ? AND role = 'student' ORDER BY email", [row.id]);
+    if (Array.isArray(emails)) {
+        const wanted = new Set(emails.map(normalizeEmail));
+        members = members.filter(m => wanted.has(m.email));
+    }
+    if (members.length === 0) throw new CourseError(`No students to ${action}`);
+
+    const operation = {
+        action,
+        status: 'running',
+        total: members.length,
+        done: 0,
+        failed: 0,
+        started_by: user.email,
+        started_at: new Date().toISOString(),
+        finished_at: null,
+        error: null
+    };
+    operations.set(row.name, operation);
+    console.log(`[courses] ${action} of ${members.length} container(s) for ${row.name} started by ${user.email}`);
+
+    runBulk(row, members, action, operation)
+        .then(() => {
+            operation.status = 'done';
+        })
+        .catch(e => {
+            operation.status = 'failed';
+            operation.error = e.message;
+            console.error(`[courses] ${action} for ${row.name} failed:`, e);
+        })
+        .finally(() => {
+            operation.finished_at = new Date().toISOString();
+            console.log(`[courses] ${action} for ${row.name} finished: ${operation.done - operation.failed} ok, ${operation.failed} failed`);
+        });
+    return operation;
+}
+
+/**
+ * Start syncing Azure group rosters
+ */
+function start() {
+    if (syncInterval) {
+        console.warn('[courses] Already running');
+        return;
+    }
+    if (!graphConfigured()) {
+        console.log('[courses] Microsoft Graph is not configured; Azure group rosters will not sync');
+        return;
+    }
+    syncInterval = setInterval(syncAll, SYNC_INTERVAL_MS);
+}
+
+/**
+ * Stop the roster sync
+ */
+function stop() {
+    if (syncInterval) {
+        clearInterval(syncInterval);
+        syncInterval = null;
+    }
+}
+
+module.exports = {
+    PRESETS,
+    MEMBER_ROLES,
+    CourseError,
+    rosterFromCsv,
+    createCourse,
+    updateCourse,
+    archiveCourse,
+    listCourses,
+    getCourse,
+    importRoster,
+    removeMember,
+    syncRoster,
+    bulk,
+    start,
+    stop
+};
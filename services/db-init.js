@@ -3,6 +3,7 @@
 
 const { getDb } = require('../db');
 const resourceConfig = require('../config/resources');
+const users = require('./users');
 
 // SQL schema definitions
 const SCHEMA = `
@@ -128,6 +129,317 @@ CREATE TABLE IF NOT EXISTS user_whitelist (
     created_at TEXT DEFAULT (datetime('now'))
 );
 
+-- Refresh tokens - rotating, revocable refresh tokens for the np_access cookie
+-- Only a SHA-256 hash of each token is stored; a family is one login's chain of rotations
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    token_hash TEXT NOT NULL UNIQUE,
+    family_id TEXT NOT NULL,
+    username TEXT NOT NULL,
+    email TEXT NOT NULL,
+    claims TEXT NOT NULL,
+    ip_address TEXT,
+    user_agent TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    expires_at TEXT NOT NULL,
+    family_expires_at TEXT NOT NULL,
+    used_at TEXT,
+    replaced_by INTEGER,
+    revoked_at TEXT,
+    revoked_reason TEXT
+);
+
+-- Auth sessions - one row per SAML login; the sid is carried in every token minted from it
+-- and doubles as the refresh token family id
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    sid TEXT PRIMARY KEY,
+    username TEXT NOT NULL,
+    email TEXT NOT NULL,
+    ip_address TEXT,
+    user_agent TEXT,
+    saml_name_id TEXT,
+    saml_name_id_format TEXT,
+    saml_session_index TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    last_seen_at TEXT DEFAULT (datetime('now')),
+    expires_at TEXT NOT NULL,
+    revoked_at TEXT,
+    revoked_by TEXT,
+    revoked_reason TEXT
+);
+
+-- Revoked access tokens - individual jti denylist, pruned once the token would have expired
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+    jti TEXT PRIMARY KEY,
+    username TEXT,
+    expires_at TEXT NOT NULL,
+    reason TEXT,
+    revoked_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Personal access tokens - hashed, scoped API tokens for scripting against /dashboard/api
+CREATE TABLE IF NOT EXISTS personal_access_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL,
+    email TEXT NOT NULL,
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    token_prefix TEXT NOT NULL,
+    scopes TEXT NOT NULL,
+    claims TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    expires_at TEXT NOT NULL,
+    last_used_at TEXT,
+    last_used_ip TEXT,
+    revoked_at TEXT
+);
+
+-- OIDC client applications - redirect URI allowlist, allowed scopes and a dedicated token audience
+CREATE TABLE IF NOT EXISTS oauth_clients (
+    client_id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    owner TEXT NOT NULL,
+    client_secret_hash TEXT,
+    redirect_uris TEXT NOT NULL,
+    scopes TEXT NOT NULL,
+    audience TEXT NOT NULL UNIQUE,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now')),
+    disabled_at TEXT,
+    approved_at TEXT, -- NULL until an admin approves a self-registered app
+    approved_by TEXT
+);
+
+-- OIDC authorization codes - single use, short-lived, bound to client, redirect URI and PKCE challenge
+CREATE TABLE IF NOT EXISTS oauth_codes (
+    code_hash TEXT PRIMARY KEY,
+    client_id TEXT NOT NULL,
+    redirect_uri TEXT NOT NULL,
+    claims TEXT NOT NULL,
+    scope TEXT NOT NULL,
+    nonce TEXT,
+    code_challenge TEXT,
+    code_challenge_method TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    expires_at TEXT NOT NULL,
+    used_at TEXT
+);
+
+-- OAuth device authorization (RFC 8628) - a CLI polls with device_code while the user approves user_code at /device
+CREATE TABLE IF NOT EXISTS oauth_device_codes (
+    device_code_hash TEXT PRIMARY KEY,
+    user_code TEXT NOT NULL UNIQUE,
+    client_id TEXT NOT NULL,
+    scope TEXT NOT NULL,
+    status TEXT DEFAULT 'pending', -- pending, approved, denied, used
+    claims TEXT,
+    username TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    decided_at TEXT,
+    last_polled_at TEXT,
+    expires_at TEXT NOT NULL
+);
+
+-- Access policy - admin-managed allow/deny rules evaluated at login and container creation
+-- Rules are checked in priority order (lowest first); the first match decides
+CREATE TABLE IF NOT EXISTS access_policy_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    effect TEXT NOT NULL CHECK(effect IN ('allow', 'deny')),
+    match_type TEXT NOT NULL CHECK(match_type IN ('group', 'affiliation', 'domain', 'email', 'any')),
+    match_value TEXT,
+    stage TEXT DEFAULT 'all' CHECK(stage IN ('login', 'containers', 'all')),
+    priority INTEGER DEFAULT 100,
+    message TEXT, -- Shown to users this rule denies
+    enabled INTEGER DEFAULT 1,
+    created_by TEXT NOT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT
+);
+
+-- Access policy decisions - one row per evaluation, for auditing
+CREATE TABLE IF NOT EXISTS access_policy_decisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT NOT NULL,
+    stage TEXT NOT NULL,
+    allowed INTEGER NOT NULL,
+    rule_id INTEGER,
+    reason TEXT,
+    ip_address TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Web sessions - express-session store (services/session-store.js); expires_at is epoch ms
+CREATE TABLE IF NOT EXISTS web_sessions (
+    sid TEXT PRIMARY KEY,
+    sess TEXT NOT NULL,
+    email TEXT,
+    expires_at INTEGER NOT NULL,
+    updated_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Route shares - who besides the owner may open a private custom route (services/route-access.js)
+CREATE TABLE IF NOT EXISTS route_shares (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner TEXT NOT NULL,
+    endpoint TEXT NOT NULL,
+    share_type TEXT NOT NULL CHECK(share_type IN ('user', 'group')),
+    share_value TEXT NOT NULL, -- Username, or Azure group ID
+    created_at TEXT DEFAULT (datetime('now')),
+    UNIQUE(owner, endpoint, share_type, share_value)
+);
+
+-- Route access overrides - time-limited admin access to all of one user's routes
+CREATE TABLE IF NOT EXISTS route_access_overrides (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    admin_email TEXT NOT NULL,
+    owner TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    revoked_at TEXT,
+    revoked_by TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Route access log - denied requests and requests let through by an override
+CREATE TABLE IF NOT EXISTS route_access_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT NOT NULL,
+    owner TEXT NOT NULL,
+    endpoint TEXT NOT NULL,
+    path TEXT,
+    allowed INTEGER NOT NULL,
+    reason TEXT,
+    override_id INTEGER,
+    ip_address TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Impersonation events - start/stop of admin "view as" sessions and requests refused during them
+CREATE TABLE IF NOT EXISTS impersonation_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    impersonation_id TEXT NOT NULL,
+    admin_email TEXT NOT NULL,
+    target_email TEXT NOT NULL,
+    event TEXT NOT NULL CHECK(event IN ('start', 'stop', 'blocked')),
+    reason TEXT,
+    detail TEXT,
+    ip_address TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Guest cohorts - time-boxed groups of guest accounts for workshops (services/guest-cohorts.js)
+CREATE TABLE IF NOT EXISTS guest_cohorts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    created_by TEXT NOT NULL,
+    preset TEXT NOT NULL,
+    starts_at TEXT NOT NULL,
+    ends_at TEXT NOT NULL,
+    ended_at TEXT, -- Set once the guests have been cleaned up
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Guest accounts - one per participant; code_hash is the unredeemed one-time access code
+CREATE TABLE IF NOT EXISTS guest_accounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cohort_id INTEGER NOT NULL,
+    username TEXT NOT NULL UNIQUE,
+    email TEXT NOT NULL,
+    label TEXT, -- Given by the organizer, e.g. the participant's name
+    display_name TEXT,
+    code_hash TEXT UNIQUE,
+    code_issued_at TEXT DEFAULT (datetime('now')),
+    redeemed_at TEXT,
+    redeemed_ip TEXT,
+    last_login_at TEXT,
+    removed_at TEXT,
+    created_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Users - stable Hydra usernames keyed by Azure object ID (services/users.js)
+CREATE TABLE IF NOT EXISTS users (
+    username TEXT PRIMARY KEY, -- Never changes; names the pod, PVC and quota rows
+    oid TEXT UNIQUE, -- Azure AD object ID; NULL until the user signs in (backfilled rows, guests)
+    email TEXT, -- Current email; updated when it changes in Azure
+    display_name TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT DEFAULT (datetime('now'))
+);
+
+-- Named workspaces beyond each user's default one (services/workspaces.js)
+CREATE TABLE IF NOT EXISTS workspaces (
+    username TEXT NOT NULL,
+    name TEXT NOT NULL, -- Its container key, username--name, names the pod, PVC, routes and SSH user
+    description TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (username, name)
+);
+
+-- Point-in-time copies of student home volumes (services/volume-snapshots.js)
+CREATE TABLE IF NOT EXISTS volume_snapshots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner TEXT NOT NULL, -- Container key: the volume is hydra-vol-<owner>
+    username TEXT NOT NULL,
+    name TEXT NOT NULL UNIQUE, -- VolumeSnapshot name, or the archive file's base name
+    method TEXT NOT NULL, -- 'csi' or 'archive'
+    trigger TEXT NOT NULL, -- 'manual', 'scheduled', 'pre-wipe', 'pre-rollback' or 'pre-import'
+    label TEXT,
+    status TEXT DEFAULT 'pending', -- 'pending', 'ready' or 'failed'
+    storage_class TEXT,
+    size_bytes INTEGER,
+    error TEXT,
+    created_at TEXT DEFAULT (datetime('now')),
+    ready_at TEXT
+);
+
+-- Admin-managed catalog of container images students can choose (services/image-catalog.js)
+CREATE TABLE IF NOT EXISTS container_images (
+    name TEXT PRIMARY KEY, -- Stored in container_configs.catalog_image
+    title TEXT NOT NULL,
+    image TEXT NOT NULL,
+    gpu_image TEXT, -- Used on GPU nodes; NULL uses image there too
+    description TEXT,
+    allowed_presets TEXT, -- JSON arrays; NULL means no restriction
+    allowed_nodes TEXT,
+    allowed_roles TEXT, -- Roles or Azure groups (e.g. a course section) that may choose it
+    allowed_groups TEXT,
+    enabled INTEGER DEFAULT 1,
+    created_by TEXT NOT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT
+);
+
+-- Courses - a roster with default container settings and starter content (services/courses.js)
+CREATE TABLE IF NOT EXISTS courses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE, -- Short code, e.g. cs101-f26; also the starter content's folder in ~
+    title TEXT NOT NULL,
+    azure_group TEXT, -- Object ID of an Azure group whose members are synced in as students
+    default_preset TEXT NOT NULL,
+    default_image TEXT, -- container_images name; NULL for the default image
+    starter_repo TEXT, -- https git URL cloned into ~/<name>
+    starter_files TEXT, -- JSON object of relative path -> text, written into ~/<name>
+    created_by TEXT NOT NULL,
+    created_at TEXT DEFAULT (datetime('now')),
+    updated_at TEXT,
+    synced_at TEXT, -- Last Azure group sync
+    archived_at TEXT
+);
+
+-- Course rosters; instructors and TAs may help the course's students (services/authz.js)
+CREATE TABLE IF NOT EXISTS course_members (
+    course_id INTEGER NOT NULL,
+    email TEXT NOT NULL, -- Lowercase
+    username TEXT NOT NULL, -- Hydra username (services/users.js), allocated on import
+    role TEXT NOT NULL DEFAULT 'student', -- 'student', 'ta' or 'instructor'
+    source TEXT NOT NULL DEFAULT 'manual', -- 'manual', 'csv' or 'azure'
+    provisioned_at TEXT, -- Container created by a bulk provision
+    starter_applied_at TEXT,
+    last_error TEXT, -- From the last bulk operation
+    added_at TEXT DEFAULT (datetime('now')),
+    PRIMARY KEY (course_id, email)
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_requests_username ON resource_requests(username);
 CREATE INDEX IF NOT EXISTS idx_requests_status ON resource_requests(status);
@@ -141,6 +453,26 @@ CREATE INDEX IF NOT EXISTS idx_security_created ON security_events(created_at);
 CREATE INDEX IF NOT EXISTS idx_migration_username ON migration_progress(username);
 CREATE INDEX IF NOT EXISTS idx_migration_status ON migration_progress(status);
 CREATE INDEX IF NOT EXISTS idx_whitelist_email ON user_whitelist(email);
+CREATE INDEX IF NOT EXISTS idx_refresh_family ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_username ON refresh_tokens(username);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_username ON auth_sessions(username);
+CREATE INDEX IF NOT EXISTS idx_pat_username ON personal_access_tokens(username);
+CREATE INDEX IF NOT EXISTS idx_oauth_clients_owner ON oauth_clients(owner);
+CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires ON revoked_tokens(expires_at);
+CREATE INDEX IF NOT EXISTS idx_access_decisions_email ON access_policy_decisions(email);
+CREATE INDEX IF NOT EXISTS idx_access_decisions_created ON access_policy_decisions(created_at);
+CREATE INDEX IF NOT EXISTS idx_web_sessions_expires ON web_sessions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_route_shares_route ON route_shares(owner, endpoint);
+CREATE INDEX IF NOT EXISTS idx_route_overrides_admin ON route_access_overrides(admin_email, owner);
+CREATE INDEX IF NOT EXISTS idx_route_access_log_created ON route_access_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_impersonation_target ON impersonation_events(target_email);
+CREATE INDEX IF NOT EXISTS idx_guest_accounts_cohort ON guest_accounts(cohort_id);
+CREATE INDEX IF NOT EXISTS idx_guest_cohorts_ends ON guest_cohorts(ends_at);
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+CREATE INDEX IF NOT EXISTS idx_volume_snapshots_owner ON volume_snapshots(owner, created_at);
+CREATE INDEX IF NOT EXISTS idx_volume_snapshots_username ON volume_snapshots(username);
+CREATE INDEX IF NOT EXISTS idx_course_members_email ON course_members(email, role);
+CREATE INDEX IF NOT EXISTS idx_course_members_username ON course_members(username);
 `;
 
 // Initial node data from config
@@ -217,6 +549,73 @@ async function runMigrations(db) {
             await db.run("ALTER TABLE container_configs ADD COLUMN sleep_state TEXT DEFAULT 'awake'");
             console.log('[db-init] Migration complete: sleep_state added');
         }
+
+        // SAML NameID / SessionIndex on auth sessions for Single Logout
+        const sessionColumns = await db.all("PRAGMA table_info(auth_sessions)");
+        for (const column of ['saml_name_id', 'saml_name_id_format', 'saml_session_index']) {
+            if (!sessionColumns.some(c => c.name === column)) {
+                console.log(`[db-init] Adding ${column} column to auth_sessions...`);
+                await db.run(`ALTER TABLE auth_sessions ADD COLUMN ${column} TEXT`);
+                console.log(`[db-init] Migration complete: ${column} added`);
+            }
+        }
+        await db.run('CREATE INDEX IF NOT EXISTS idx_auth_sessions_name_id ON auth_sessions(saml_name_id)');
+
+        // Per-user workspace quota; NULL uses resourceConfig.limits.maxContainersPerUser
+        if (!quotaColumns.some(c => c.name === 'max_workspaces')) {
+            console.log('[db-init] Adding max_workspaces column to user_quotas...');
+            await db.run('ALTER TABLE user_quotas ADD COLUMN max_workspaces INTEGER DEFAULT NULL');
+            console.log('[db-init] Migration complete: max_workspaces added');
+        }
+
+        // Image catalog choice per container; NULL is the default student image
+        const imageColumns = await db.all("PRAGMA table_info(container_configs)");
+        if (!imageColumns.some(c => c.name === 'catalog_image')) {
+            console.log('[db-init] Adding catalog_image column to container_configs...');
+            await db.run('ALTER TABLE container_configs ADD COLUMN catalog_image TEXT DEFAULT NULL');
+            console.log('[db-init] Migration complete: catalog_image added');
+        }
+
+        // OIDC apps: self-registered ones can't sign anyone in until an admin approves them.
+        // Existing apps start unapproved too, since nobody reviewed them when they were registered
+        const clientColumns = await db.all("PRAGMA table_info(oauth_clients)");
+        if (!clientColumns.some(c => c.name === 'approved_at')) {
+            console.log('[db-init] Adding approval columns to oauth_clients...');
+            await db.run('ALTER TABLE oauth_clients ADD COLUMN approved_at TEXT DEFAULT NULL');
+            await db.run('ALTER TABLE oauth_clients ADD COLUMN approved_by TEXT DEFAULT NULL');
+            const { count } = await db.get('SELECT COUNT(*) AS count FROM oauth_clients');
+            console.log(`[db-init] Migration complete: approval columns added (${count} existing apps await approval)`);
+        }
+
+        // Users table: register everyone who already has a username (the email prefix) so their
+        // containers and quotas stay theirs; oids come from their most recent login's claims
+        const { count: userCount } = await db.get('SELECT COUNT(*) AS count FROM users');
+        if (userCount === 0) {
+            console.log('[db-init] Backfilling users...');
+            for (const table of ['user_quotas', 'auth_sessions', 'refresh_tokens', 'personal_access_tokens', 'user_whitelist']) {
+                await db.run(
+                    `INSERT OR IGNORE INTO users (username, email)
+                     SELECT username, LOWER(MAX(email)) FROM ${table}
+                     WHERE username IS NOT NULL AND username <> '' GROUP BY username`
+                );
+            }
+            // Named workspaces' rows are keyed username--name (services/workspaces.js)
+            await db.run("INSERT OR IGNORE INTO users (username) SELECT username FROM container_configs WHERE username NOT LIKE '%--%'");
+            const logins = await db.all('SELECT username, claims FROM refresh_tokens ORDER BY id DESC');
+            for (const { username, claims } of logins) {
+                let oid;
+                try {
+                    oid = JSON.parse(claims).oid;
+                } catch (_e) { /* unreadable claims */ }
+                if (!oid) continue;
+                await db.run(
+                    'UPDATE users SET oid = ? WHERE username = ? AND oid IS NULL AND NOT EXISTS (SELECT 1 FROM users WHERE oid = ?)',
+                    [oid, username, oid]
+                );
+            }
+            const { count } = await db.get('SELECT COUNT(*) AS count FROM users');
+            console.log(`[db-init] Migration complete: ${count} users backfilled`);
+        }
     } catch (error) {
         console.warn('[db-init] Migration warning:', error.message);
     }
@@ -324,6 +723,10 @@ async function updateUserQuota(username, updates) {
         fields.push('cerberus_approved = ?');
         values.push(updates.cerberus_approved ? 1 : 0);
     }
+    if (updates.max_workspaces !== undefined) {
+        fields.push('max_workspaces = ?');
+        values.push(updates.max_workspaces === null ? null : parseInt(updates.max_workspaces, 10));
+    }
     if (updates.approved_by !== undefined) {
         fields.push('approved_by = ?');
         values.push(updates.approved_by);
@@ -490,6 +893,10 @@ async function updateContainerConfig(username, updates) {
         fields.push('image_name = ?');
         values.push(updates.image_name);
     }
+    if (updates.catalog_image !== undefined) {
+        fields.push('catalog_image = ?');
+        values.push(updates.catalog_image);
+    }
     if (updates.last_migration_at !== undefined) {
         fields.push('last_migration_at = ?');
         values.push(updates.last_migration_at);
@@ -757,7 +1164,8 @@ async function isWhitelisted(email) {
  */
 async function addToWhitelist(email, addedBy, role = 'admin', reason = null) {
     const db = await getDb();
-    const username = email.split('@')[0];
+    const account = await users.find(email);
+    const username = account ? account.username : users.toUsername(email);
     await db.run(
         `INSERT OR REPLACE INTO user_whitelist (email, username, role, added_by, reason, created_at)
          VALUES (?, ?, ?, ?, ?, datetime('now'))`,
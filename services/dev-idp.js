@@ -0,0 +1,284 @@
+// services/dev-idp.js - Built-in SAML identity provider for local development (DEV_IDP=true)
+// Publishes its own metadata and signs Azure-shaped assertions for test personas, so the real
+// /login -> /login/callback -> JWT path runs without Azure. Refused when NODE_ENV=production.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { execFileSync } = require('child_process');
+const { SignedXml } = require('xml-crypto');
+
+const ENABLED = process.env.DEV_IDP === 'true';
+const KEY_DIR = process.env.DEV_IDP_KEY_DIR || path.join(__dirname, '..', 'data', 'dev-idp');
+const PERSONAS_SOURCE = process.env.DEV_IDP_PERSONAS; // Path to a JSON file, or inline JSON
+const ENTITY_ID = 'hydra-dev-idp';
+const TENANT_ID = '00000000-0000-0000-0000-000000000000';
+const ASSERTION_TTL_MS = 5 * 60 * 1000;
+
+// Azure's amr values for a password sign-in and for completed MFA
+const AMR_PASSWORD = 'http://schemas.microsoft.com/ws/2008/06/identity/authenticationmethod/password';
+const AMR_MFA = 'http://schemas.microsoft.com/claims/multipleauthn';
+
+// Same claim URIs Azure sends (see URI in index.js)
+const CLAIMS = {
+    email: 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress',
+    upn: 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/name',
+    given: 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname',
+    family: 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/surname',
+    affiliation: 'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/eduPersonPrimaryAffiliation',
+    displayName: 'http://schemas.microsoft.com/identity/claims/displayname',
+    tenantId: 'http://schemas.microsoft.com/identity/claims/tenantid',
+    objectId: 'http://schemas.microsoft.com/identity/claims/objectidentifier',
+    idp: 'http://schemas.microsoft.com/identity/claims/identityprovider',
+    groups: 'http://schemas.microsoft.com/ws/2008/06/identity/claims/groups',
+    roles: 'http://schemas.microsoft.com/identity/claims/role',
+    amr: 'http://schemas.microsoft.com/claims/authnmethodsreferences'
+};
+
+// whitelist_role is seeded into user_whitelist so the persona gets that Hydra role (services/authz.js)
+const DEFAULT_PERSONAS = [
+    { id: 'student', email: 'student@example.com', given_name: 'Test', family_name: 'Student', affiliation: 'student', groups: ['dev-students'] },
+    { id: 'student2', email: 'student2@example.com', given_name: 'Second', family_name: 'Student', affiliation: 'student', groups: ['dev-students'] },
+    { id: 'ta', email: 'ta@example.com', given_name: 'Teaching', family_name: 'Assistant', affiliation: 'student', groups: ['dev-students', 'dev-tas'], whitelist_role: 'ta' },
+    { id: 'faculty', email: 'faculty@example.com', given_name: 'Test', family_name: 'Faculty', affiliation: 'faculty', groups: ['dev-faculty'] },
+    { id: 'admin', email: 'admin@example.com', given_name: 'Admin', family_name: 'User', affiliation: 'staff', groups: ['dev-staff'], whitelist_role: 'admin' }
+];
+
+let keys = null;
+let personas = null;
+
+function isEnabled() {
+    return ENABLED;
+}
+
+/**
+ * Throw unless the dev IdP may run here
+ */
+function assertAllowed() {
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('DEV_IDP=true is refused when NODE_ENV=production');
+    }
+}
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Signing key and self-signed certificate, generated with openssl on first use
+ */
+function getKeys() {
+    if (keys) return keys;
+    const keyFile = path.join(KEY_DIR, 'idp-key.pem');
+    const certFile = path.join(KEY_DIR, 'idp-cert.pem');
+    if (!fs.existsSync(keyFile) || !fs.existsSync(certFile)) {
+        fs.mkdirSync(KEY_DIR, { recursive: true });
+        try {
+            execFileSync('openssl', [
+                'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-sha256', '-days', '3650',
+                '-subj', '/CN=Hydra Dev IdP', '-keyout', keyFile, '-out', certFile
+            ], { stdio: 'ignore' });
+        } catch (e) {
+            throw new Error(`Could not generate dev IdP certificate with openssl (${e.message}); put idp-key.pem and idp-cert.pem in ${KEY_DIR}`);
+        }
+        console.log(`[dev-idp] Generated signing certificate in ${KEY_DIR}`);
+    }
+    const certPem = fs.readFileSync(certFile, 'utf8');
+    keys = {
+        privateKeyPem: fs.readFileSync(keyFile, 'utf8'),
+        certBase64: certPem.replace(/-----(BEGIN|END) CERTIFICATE-----/g, '').replace(/\s+/g, '')
+    };
+    return keys;
+}
+
+function normalizePersona(p) {
+    if (!p?.id || !p?.email) throw new Error('Each dev IdP persona needs an id and an email');
+    return {
+        id: String(p.id),
+        email: String(p.email).toLowerCase(),
+        given_name: p.given_name || String(p.id),
+        family_name: p.family_name || '',
+        display_name: p.display_name || `${p.given_name || p.id} ${p.family_name || ''}`.trim(),
+        affiliation: (p.affiliation || 'student').toLowerCase(),
+        groups: Array.isArray(p.groups) ? p.groups.map(String) : [],
+        roles: Array.isArray(p.roles) ? p.roles.map(String) : [],
+        whitelist_role: p.whitelist_role || null,
+        // Stable per email, like an Azure object ID
+        oid: p.oid || crypto.createHash('sha256').update(String(p.email).toLowerCase()).digest('hex')
+            .replace(/^(.{8})(.{4})(.{4})(.{4})(.{12}).*$/, '$1-$2-$3-$4-$5')
+    };
+}
+
+/**
+ * Test personas: DEV_IDP_PERSONAS (file path or JSON array) or the built-in set
+ */
+function getPersonas() {
+    if (personas) return personas;
+    let list = DEFAULT_PERSONAS;
+    if (PERSONAS_SOURCE) {
+        const raw = PERSONAS_SOURCE.trim().startsWith('[') ? PERSONAS_SOURCE : fs.readFileSync(PERSONAS_SOURCE, 'utf8');
+        list = JSON.parse(raw);
+        if (!Array.isArray(list) || list.length === 0) throw new Error('DEV_IDP_PERSONAS must be a non-empty JSON array');
+    }
+    personas = list.map(normalizePersona);
+    return personas;
+}
+
+function getPersona(id) {
+    return getPersonas().find(p => p.id === id) || null;
+}
+
+/**
+ * IdP metadata XML (SSO only; no SLO endpoint, so /logout skips IdP logout)
+ * @param {string} baseUrl - Hydra's BASE_URL; the IdP lives under /dev-idp
+ */
+function getMetadataXml(baseUrl) {
+    const { certBase64 } = getKeys();
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<EntityDescriptor xmlns="urn:oasis:names:tc:SAML:2.0:metadata" entityID="${escapeXml(ENTITY_ID)}">
+  <IDPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol" WantAuthnRequestsSigned="false">
+    <KeyDescriptor use="signing">
+      <KeyInfo xmlns="http://www.w3.org/2000/09/xmldsig#">
+        <X509Data><X509Certificate>${certBase64}</X509Certificate></X509Data>
+      </KeyInfo>
+    </KeyDescriptor>
+    <NameIDFormat>urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress</NameIDFormat>
+    <SingleSignOnService Binding="urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect" Location="${escapeXml(baseUrl)}/dev-idp/sso"/>
+  </IDPSSODescriptor>
+</EntityDescriptor>
+`;
+}
+
+/**
+ * Decode an HTTP-Redirect binding AuthnRequest
+ * @returns {{ id: string|null, issuer: string|null, acsUrl: string|null, forceAuthn: boolean, authnContext: string[] }}
+ */
+function parseAuthnRequest(samlRequest) {
+    const xml = zlib.inflateRawSync(Buffer.from(String(samlRequest), 'base64')).toString('utf8');
+    const attr = name => xml.match(new RegExp(`<(?:\\w+:)?AuthnRequest\\b[^>]*\\s${name}="([^"]*)"`))?.[1] || null;
+    const issuer = xml.match(/<(?:\w+:)?Issuer\b[^>]*>([^<]*)<\/(?:\w+:)?Issuer>/)?.[1] || null;
+    const authnContext = [...xml.matchAll(/<(?:\w+:)?AuthnContextClassRef\b[^>]*>([^<]*)<\/(?:\w+:)?AuthnContextClassRef>/g)].map(m => m[1]);
+    return {
+        id: attr('ID'),
+        issuer,
+        acsUrl: attr('AssertionConsumerServiceURL'),
+        forceAuthn: attr('ForceAuthn') === 'true',
+        authnContext
+    };
+}
+
+function attribute(name, values) {
+    const list = (Array.isArray(values) ? values : [values]).filter(v => v !== undefined && v !== null && v !== '');
+    if (list.length === 0) return '';
+    return `<saml:Attribute Name="${escapeXml(name)}">${list
+        .map(v => `<saml:AttributeValue>${escapeXml(v)}</saml:AttributeValue>`).join('')}</saml:Attribute>`;
+}
+
+function sign(xml, elementName) {
+    const { privateKeyPem, certBase64 } = getKeys();
+    const sig = new SignedXml();
+    sig.signingKey = privateKeyPem;
+    sig.signatureAlgorithm = 'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256';
+    sig.canonicalizationAlgorithm = 'http://www.w3.org/2001/10/xml-exc-c14n#';
+    sig.keyInfoProvider = { getKeyInfo: () => `<X509Data><X509Certificate>${certBase64}</X509Certificate></X509Data>` };
+    sig.addReference(
+        `//*[local-name(.)='${elementName}']`,
+        ['http://www.w3.org/2000/09/xmldsig#enveloped-signature', 'http://www.w3.org/2001/10/xml-exc-c14n#'],
+        'http://www.w3.org/2001/04/xmlenc#sha256'
+    );
+    sig.computeSignature(xml, {
+        prefix: 'ds',
+        location: { reference: `//*[local-name(.)='${elementName}']/*[local-name(.)='Issuer']`, action: 'after' }
+    });
+    return sig.getSignedXml();
+}
+
+/**
+ * Build a signed SAML Response for a persona (assertion and response both signed)
+ * @param {Object} persona - From getPersonas(), optionally with groups overridden
+ * @param {Object} request - { id, acsUrl, audience } from the AuthnRequest and Hydra's config
+ * @returns {string} Base64 SAMLResponse for the HTTP-POST binding
+ */
+function buildResponse(persona, { id: inResponseTo, acsUrl, audience }) {
+    const now = new Date();
+    const issueInstant = now.toISOString();
+    const notBefore = new Date(now.getTime() - 60 * 1000).toISOString();
+    const notOnOrAfter = new Date(now.getTime() + ASSERTION_TTL_MS).toISOString();
+    const responseId = `_${crypto.randomBytes(16).toString('hex')}`;
+    const assertionId = `_${crypto.randomBytes(16).toString('hex')}`;
+    const sessionIndex = `_${crypto.randomBytes(16).toString('hex')}`;
+    const inResponseToAttr = inResponseTo ? ` InResponseTo="${escapeXml(inResponseTo)}"` : '';
+
+    const attributes = [
+        attribute(CLAIMS.email, persona.email),
+        attribute(CLAIMS.upn, persona.email),
+        attribute(CLAIMS.given, persona.given_name),
+        attribute(CLAIMS.family, persona.family_name),
+        attribute(CLAIMS.displayName, persona.display_name),
+        attribute(CLAIMS.affiliation, persona.affiliation),
+        attribute(CLAIMS.tenantId, TENANT_ID),
+        attribute(CLAIMS.objectId, persona.oid),
+        attribute(CLAIMS.idp, ENTITY_ID),
+        attribute(CLAIMS.groups, persona.groups),
+        attribute(CLAIMS.roles, persona.roles),
+        attribute(CLAIMS.amr, persona.amr || [AMR_PASSWORD])
+    ].join('');
+
+    const assertion = `<saml:Assertion xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="${assertionId}" Version="2.0" IssueInstant="${issueInstant}">` +
+        `<saml:Issuer>${escapeXml(ENTITY_ID)}</saml:Issuer>` +
+        '<saml:Subject>' +
+        `<saml:NameID Format="urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress">${escapeXml(persona.email)}</saml:NameID>` +
+        '<saml:SubjectConfirmation Method="urn:oasis:names:tc:SAML:2.0:cm:bearer">' +
+        `<saml:SubjectConfirmationData NotOnOrAfter="${notOnOrAfter}" Recipient="${escapeXml(acsUrl)}"${inResponseToAttr}/>` +
+        '</saml:SubjectConfirmation>' +
+        '</saml:Subject>' +
+        `<saml:Conditions NotBefore="${notBefore}" NotOnOrAfter="${notOnOrAfter}">` +
+        `<saml:AudienceRestriction><saml:Audience>${escapeXml(audience)}</saml:Audience></saml:AudienceRestriction>` +
+        '</saml:Conditions>' +
+        `<saml:AuthnStatement AuthnInstant="${issueInstant}" SessionIndex="${sessionIndex}">` +
+        '<saml:AuthnContext><saml:AuthnContextClassRef>urn:oasis:names:tc:SAML:2.0:ac:classes:PasswordProtectedTransport</saml:AuthnContextClassRef></saml:AuthnContext>' +
+        '</saml:AuthnStatement>' +
+        `<saml:AttributeStatement>${attributes}</saml:AttributeStatement>` +
+        '</saml:Assertion>';
+
+    const response = `<samlp:Response xmlns:samlp="urn:oasis:names:tc:SAML:2.0:protocol" xmlns:saml="urn:oasis:names:tc:SAML:2.0:assertion" ID="${responseId}" Version="2.0" IssueInstant="${issueInstant}" Destination="${escapeXml(acsUrl)}"${inResponseToAttr}>` +
+        `<saml:Issuer>${escapeXml(ENTITY_ID)}</saml:Issuer>` +
+        '<samlp:Status><samlp:StatusCode Value="urn:oasis:names:tc:SAML:2.0:status:Success"/></samlp:Status>' +
+        sign(assertion, 'Assertion') +
+        '</samlp:Response>';
+
+    return Buffer.from(sign(response, 'Response')).toString('base64');
+}
+
+/**
+ * Give personas with a whitelist_role their Hydra role (runs after the schema exists)
+ */
+async function seedWhitelist() {
+    const { getWhitelist, addToWhitelist } = require('./db-init');
+    const existing = await getWhitelist();
+    for (const p of getPersonas().filter(p => p.whitelist_role)) {
+        if (!existing.some(w => w.email === p.email)) {
+            await addToWhitelist(p.email, 'dev-idp', p.whitelist_role, 'Dev IdP persona');
+        }
+    }
+}
+
+module.exports = {
+    ENTITY_ID,
+    AMR_PASSWORD,
+    AMR_MFA,
+    isEnabled,
+    assertAllowed,
+    getPersonas,
+    getPersona,
+    getMetadataXml,
+    parseAuthnRequest,
+    buildResponse,
+    seedWhitelist
+};
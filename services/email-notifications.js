@@ -434,6 +434,7 @@ async function sendMigrationComplete(username, email, fromNode, toNode, success)
 }
 
 module.exports = {
+    getGraphToken,
     sendApprovalNotification,
     sendApprovalResult,
     sendMigrationComplete,
@@ -0,0 +1,451 @@
+// services/guest-cohorts.js - Time-boxed guest accounts for workshops and hackathons
+// Faculty holding `manage_guests` create a cohort with an end time and a number of guests. Each
+// guest gets a one-time access code (also handed out as an invite link); redeeming it at /guest
+// signs the guest in with the same np_access/refresh machinery as a SAML login, with the `guest`
+// role and affiliation. Guests get one restricted preset on Hydra and cannot request more.
+// When the cohort ends its guests' sessions and tokens are revoked and their containers wiped.
+
+const crypto = require('crypto');
+const { getDb } = require('../db');
+const resourceConfig = require('../config/resources');
+const runtimeConfig = require('../config/runtime');
+const authSessions = require('./auth-sessions');
+const accessTokens = require('./access-tokens');
+const users = require('./users');
+const volumeSnapshots = require('./volume-snapshots');
+
+const BASE_URL = process.env.BASE_URL || 'https://hydra.newpaltz.edu';
+const EMAIL_DOMAIN = process.env.GUEST_EMAIL_DOMAIN || 'guest.hydra.newpaltz.edu';
+const MAX_DAYS = parseInt(process.env.GUEST_COHORT_MAX_DAYS || '14', 10);
+const MAX_GUESTS = parseInt(process.env.GUEST_COHORT_MAX_SIZE || '200', 10);
+// Presets a cohort may use; the first is the default
+const PRESETS = (process.env.GUEST_PRESETS || 'minimal,conservative')
+    .split(',').map(p => p.trim()).filter(p => resourceConfig.presets[p]);
+const ROLE = 'guest';
+const CHECK_INTERVAL_MS = 60 * 1000;
+
+// Crockford-style alphabet: no 0/O or 1/I/L to misread off a projector
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 10;
+
+const WRITES = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Refused for guests: anything that would get them more than their cohort's preset
+const BLOCKED = [
+    { methods: WRITES, pattern: /^\/dashboard\/api\/resource-requests(\/|$)/, label: 'request more resources' },
+    { methods: ['POST'], pattern: /^\/dashboard\/api\/containers\/(migrate|jupyter-request|jenkins-request)$/, label: 'move to another node or request services' },
+    // Recreates the container from the user's quota; destroy and create it again instead
+    { methods: ['POST'], pattern: /^\/dashboard\/api\/containers\/wipe$/, label: 'wipe the container (destroy it and create it again instead)' },
+    { methods: ['POST'], pattern: /^\/dashboard\/api\/containers\/workspaces$/, label: 'create more workspaces' },
+    { methods: WRITES, pattern: /^\/dashboard\/api\/clients(\/|$)/, label: 'register apps' }
+];
+
+let checkInterval = null;
+
+/**
+ * Error raised for invalid cohorts or codes; message is safe to show to the caller
+ */
+class GuestCohortError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function hashCode(code) {
+    return crypto.createHash('sha256').update(normalizeCode(code)).digest('hex');
+}
+
+function normalizeCode(code) {
+    return String(code || '').toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+function newCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+function inviteLink(code) {
+    return `${BASE_URL}/guest?code=${encodeURIComponent(code)}`;
+}
+
+function parseTime(value, field) {
+    const time = Date.parse(value);
+    if (!value || !Number.isFinite(time)) throw new GuestCohortError(`${field} must be an ISO date and time`);
+    return time;
+}
+
+/**
+ * Whether a user is a guest (from their claims)
+ */
+function isGuest(user) {
+    return (user?.roles || []).includes(ROLE) || user?.affiliation === ROLE;
+}
+
+// ==================== Cohorts ====================
+
+/**
+ * Create guest accounts in a cohort, returning their codes (never stored in clear)
+ */
+async function createGuests(db, cohort, { count, labels }) {
+    const names = Array.isArray(labels)
+        ? labels.map(l => String(l || '').trim().slice(0, 80))
+        : Array.from({ length: parseInt(count, 10) || 0 }, () => '');
+    if (names.length < 1) throw new GuestCohortError('Give count (number of guests) or labels (one per guest)');
+
+    const existing = await db.get('SELECT COUNT(*) AS n FROM guest_accounts WHERE cohort_id = ?', [cohort.id]);
+    if (existing.n + names.length > MAX_GUESTS) {
+        throw new GuestCohortError(`A cohort can have at most ${MAX_GUESTS} guests`);
+    }
+
+    const guests = [];
+    for (const label of names) {
+        const email = `guest-${cohort.id}-${crypto.randomBytes(3).toString('hex')}@${EMAIL_DOMAIN}`;
+        // Registered up front so the username is reserved before the guest first signs in
+        const { username } = await users.resolve({ email, display_name: label || null });
+        const code = newCode();
+        const result = await db.run(
+            `INSERT INTO guest_accounts (cohort_id, username, email, label, code_hash)
+             VALUES (?, ?, ?, ?, ?)`,
+            [cohort.id, username, email, label || null, hashCode(code)]
+        );
+        guests.push({ id: result.lastID, username, label: label || null, code, link: inviteLink(code) });
+    }
+    return guests;
+}
+
+/**
+ * Create a cohort and its guests
+ * @param {Object} creator - req.user
+ * @param {Object} input - { name, ends_at, starts_at?, preset?, count | labels }
+ * @returns {Promise<{ cohort: Object, guests: Array }>} guests carry their code and invite link; shown once
+ * @throws {GuestCohortError}
+ */
+async function createCohort(creator, { name, starts_at, ends_at, preset, count, labels } = {}) {
+    const title = String(name || '').trim();
+    if (title.length < 3 || title.length > 100) throw new GuestCohortError('name is required (3-100 characters)');
+
+    const start = starts_at ? parseTime(starts_at, 'starts_at') : Date.now();
+    const end = parseTime(ends_at, 'ends_at');
+    if (end <= Math.max(start, Date.now())) throw new GuestCohortError('ends_at must be in the future and after starts_at');
+    if (end - start > MAX_DAYS * 24 * 60 * 60 * 1000) {
+        throw new GuestCohortError(`A cohort can last at most ${MAX_DAYS} days`);
+    }
+
+    const presetId = preset || PRESETS[0];
+    if (!PRESETS.includes(presetId)) throw new GuestCohortError(`preset must be one of: ${PRESETS.join(', ')}`);
+
+    const db = await getDb();
+    const result = await db.run(
+        `INSERT INTO guest_cohorts (name, created_by, preset, starts_at, ends_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [title, String(creator.email).toLowerCase(), presetId, new Date(start).toISOString(), new Date(end).toISOString()]
+    );
+    const cohort = await db.get('SELECT * FROM guest_cohorts WHERE id = ?', [result.lastID]);
+    let guests;
+    try {
+        guests = await createGuests(db, cohort, { count, labels });
+    } catch (e) {
+        await db.run('DELETE FROM guest_cohorts WHERE id = ?', [cohort.id]);
+        throw e;
+    }
+    console.log(`[guest-cohorts] ${creator.email} created cohort ${cohort.id} "${title}" with ${guests.length} guest(s) until ${cohort.ends_at}`);
+    return { cohort, guests };
+}
+
+async function getOpenCohort(db, id) {
+    const cohort = await db.get('SELECT * FROM guest_cohorts WHERE id = ?', [id]);
+    if (!cohort) throw new GuestCohortError('Cohort not found', 404);
+    if (cohort.ended_at) throw new GuestCohortError('This cohort has ended', 409);
+    return cohort;
+}
+
+/**
+ * Add guests to a running cohort
+ * @param {number} id - Cohort id
+ * @param {Object} input - { count | labels }
+ */
+async function addGuests(id, input = {}) {
+    const db = await getDb();
+    const cohort = await getOpenCohort(db, id);
+    return createGuests(db, cohort, input);
+}
+
+/**
+ * Issue a new one-time code for a guest, e.g. one who lost their session or never got theirs.
+ * Their account and container are kept.
+ * @returns {Promise<{ code: string, link: string }>}
+ */
+async function reissueCode(guestId) {
+    const db = await getDb();
+    const guest = await db.get('SELECT * FROM guest_accounts WHERE id = ?', [guestId]);
+    if (!guest || guest.removed_at) throw new GuestCohortError('Guest not found', 404);
+    await getOpenCohort(db, guest.cohort_id);
+
+    const code = newCode();
+    await db.run(
+        `UPDATE guest_accounts SET code_hash = ?, code_issued_at = datetime('now') WHERE id = ?`,
+        [hashCode(code), guest.id]
+    );
+    return { code, link: inviteLink(code) };
+}
+
+/**
+ * Cohorts, newest first, with guest counts
+ * @param {Object} [filter] - { includeEnded }
+ */
+async function listCohorts({ includeEnded = false } = {}) {
+    const db = await getDb();
+    return db.all(
+        `SELECT c.*,
+                COUNT(g.id) AS guests,
+                SUM(CASE WHEN g.redeemed_at IS NOT NULL THEN 1 ELSE 0 END) AS redeemed
+         FROM guest_cohorts c LEFT JOIN guest_accounts g ON g.cohort_id = c.id
+         ${includeEnded ? '' : 'WHERE c.ended_at IS NULL'}
+         GROUP BY c.id
+         ORDER BY c.created_at DESC, c.id DESC`
+    );
+}
+
+/**
+ * One cohort and its guests (without codes)
+ */
+async function getCohort(id) {
+    const db = await getDb();
+    const cohort = await db.get('SELECT * FROM guest_cohorts WHERE id = ?', [id]);
+    if (!cohort) return null;
+    cohort.guests = await db.all(
+        `SELECT id, username, email, label, display_name, code_hash IS NOT NULL AS code_outstanding,
+                code_issued_at, redeemed_at, last_login_at, removed_at
+         FROM guest_accounts WHERE cohort_id = ? ORDER BY id`,
+        [id]
+    );
+    return cohort;
+}
+
+/**
+ * End a cohort now instead of at ends_at, cleaning up its guests right away
+ * @returns {Promise<number>} Number of guests removed
+ */
+async function endCohort(id, by) {
+    const db = await getDb();
+    const cohort = await getOpenCohort(db, id);
+    const now = new Date().toISOString();
+    if (cohort.ends_at > now) {
+        await db.run('UPDATE guest_cohorts SET ends_at = ? WHERE id = ?', [now, cohort.id]);
+    }
+    console.log(`[guest-cohorts] ${by} ended cohort ${cohort.id} early`);
+    return cleanupCohort({ ...cohort, ends_at: now });
+}
+
+// ==================== Sign-in ====================
+
+/**
+ * Redeem an access code. The code stops working once used.
+ * @param {string} code - As typed or from the invite link
+ * @param {Object} [context] - { name (what to call the guest, if the cohort gave no label), ip }
+ * @returns {Promise<Object>} Claims in collectUserFromSaml shape, with a new sid
+ * @throws {GuestCohortError}
+ */
+async function redeem(code, { name, ip } = {}) {
+    const invalid = new GuestCohortError('That code is not valid or has already been used', 401);
+    if (normalizeCode(code).length !== CODE_LENGTH) throw invalid;
+
+    const db = await getDb();
+    const hash = hashCode(code);
+    const guest = await db.get(
+        `SELECT g.*, c.name AS cohort_name, c.starts_at, c.ends_at, c.ended_at
+         FROM guest_accounts g JOIN guest_cohorts c ON c.id = g.cohort_id
+         WHERE g.code_hash = ?`,
+        [hash]
+    );
+    if (!guest || guest.removed_at || guest.ended_at) throw invalid;
+
+    const now = new Date().toISOString();
+    if (guest.starts_at > now) {
+        throw new GuestCohortError(`${guest.cohort_name} opens at ${new Date(guest.starts_at).toUTCString()}`, 403);
+    }
+    if (guest.ends_at <= now) throw new GuestCohortError(`${guest.cohort_name} has ended`, 403);
+
+    const displayName = guest.label || guest.display_name || String(name || '').trim().slice(0, 80) || `Guest ${guest.id}`;
+    // Conditional on the hash so two redemptions of the same code can't both succeed
+    const result = await db.run(
+        `UPDATE guest_accounts
+         SET code_hash = NULL, display_name = ?, redeemed_at = COALESCE(redeemed_at, datetime('now')),
+             redeemed_ip = COALESCE(redeemed_ip, ?), last_login_at = datetime('now')
+         WHERE id = ? AND code_hash = ?`,
+        [displayName, ip || null, guest.id, hash]
+    );
+    if (result.changes !== 1) throw invalid;
+
+    console.log(`[guest-cohorts] ${guest.email} (${displayName}) signed in to cohort ${guest.cohort_id}`);
+    return {
+        sub: guest.email,
+        email: guest.email,
+        username: guest.username,
+        name: guest.email,
+        given_name: displayName,
+        family_name: '',
+        display_name: displayName,
+        tenant_id: '',
+        oid: '',
+        idp: `${BASE_URL}/guest`,
+        groups: [`guest-cohort-${guest.cohort_id}`],
+        affiliation: ROLE,
+        roles: [ROLE],
+        amr: ['otp'],
+        sid: crypto.randomUUID(),
+        auth_time: Math.floor(Date.now() / 1000)
+    };
+}
+
+/**
+ * The preset a guest's container gets, or null when the user isn't a current guest
+ * @param {Object} user - req.user
+ * @returns {Promise<Object|null>} Entry of config/resources presets
+ */
+async function presetFor(user) {
+    if (!isGuest(user)) return null;
+    const db = await getDb();
+    const row = await db.get(
+        `SELECT c.preset FROM guest_accounts g JOIN guest_cohorts c ON c.id = g.cohort_id
+         WHERE g.username = ? AND g.removed_at IS NULL AND c.ended_at IS NULL`,
+        [await users.usernameFor(user)]
+    );
+    if (!row) throw new GuestCohortError('Your guest access has ended', 403);
+    return resourceConfig.presets[row.preset] || resourceConfig.presets[PRESETS[0]];
+}
+
+/**
+ * Why a guest's request is refused, or null when it may go through
+ * @param {string} method
+ * @param {string} path - Full path from the app root
+ */
+function blockedAction(method, path) {
+    // Express routes case-insensitively and ignores a trailing slash, so match the same way
+    const normalized = String(path).toLowerCase().replace(/\/+$/, '');
+    const rule = BLOCKED.find(r => r.methods.includes(method) && r.pattern.test(normalized));
+    return rule ? rule.label : null;
+}
+
+/**
+ * Middleware for routers guests can reach: refuses BLOCKED requests from guests
+ */
+function restrictGuests(req, res, next) {
+    if (!isGuest(req.user)) return next();
+    const blocked = blockedAction(req.method, req.baseUrl + req.path);
+    if (!blocked) return next();
+    console.warn(`[guest-cohorts] Blocked ${req.method} ${req.originalUrl} for ${req.user.email}`);
+    return res.status(403).json({
+        success: false,
+        error: 'guest_restricted',
+        message: `Guest accounts cannot ${blocked}.`
+    });
+}
+
+// ==================== Cleanup ====================
+
+/**
+ * Remove a guest's container and volume (best effort; it may never have been created)
+ */
+async function removeContainer(username) {
+    try {
+        await runtimeConfig.getContainerService().wipeContainer(username);
+    } catch (e) {
+        if (e.statusCode !== 404 && !e.message?.includes('not found')) {
+            console.warn(`[guest-cohorts] Could not remove container for ${username}:`, e.message);
+        }
+    }
+}
+
+/**
+ * Revoke everything a cohort's guests hold and wipe their containers
+ * @returns {Promise<number>} Number of guests removed
+ */
+async function cleanupCohort(cohort) {
+    const db = await getDb();
+    const guests = await db.all(
+        'SELECT id, username FROM guest_accounts WHERE cohort_id = ? AND removed_at IS NULL',
+        [cohort.id]
+    );
+    for (const guest of guests) {
+        try {
+            await authSessions.revokeAllSessions(guest.username, { by: 'guest-cohorts', reason: 'cohort_ended' });
+            await accessTokens.revokeAllTokens(guest.username);
+            await removeContainer(guest.username);
+            await volumeSnapshots.removeAll(guest.username);
+            await db.run('DELETE FROM container_configs WHERE username = ?', [guest.username]);
+            await db.run('DELETE FROM user_quotas WHERE username = ?', [guest.username]);
+            await db.run(
+                `UPDATE guest_accounts SET code_hash = NULL, removed_at = datetime('now') WHERE id = ?`,
+                [guest.id]
+            );
+        } catch (e) {
+            // Left for the next run
+            console.error(`[guest-cohorts] Could not clean up ${guest.username}:`, e.message);
+            return guests.length;
+        }
+    }
+    await db.run(`UPDATE guest_cohorts SET ended_at = datetime('now') WHERE id = ?`, [cohort.id]);
+    console.log(`[guest-cohorts] Cohort ${cohort.id} "${cohort.name}" ended; removed ${guests.length} guest(s)`);
+    return guests.length;
+}
+
+/**
+ * End every cohort whose time is up
+ */
+async function checkExpired() {
+    try {
+        const db = await getDb();
+        const cohorts = await db.all(
+            'SELECT * FROM guest_cohorts WHERE ended_at IS NULL AND ends_at <= ?',
+            [new Date().toISOString()]
+        );
+        for (const cohort of cohorts) {
+            await cleanupCohort(cohort);
+        }
+    } catch (e) {
+        console.error('[guest-cohorts] Expiry check failed:', e.message);
+    }
+}
+
+/**
+ * Start ending cohorts on time
+ */
+function start() {
+    if (checkInterval) {
+        console.warn('[guest-cohorts] Already running');
+        return;
+    }
+    checkExpired();
+    checkInterval = setInterval(checkExpired, CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stop the expiry check
+ */
+function stop() {
+    if (checkInterval) {
+        clearInterval(checkInterval);
+        checkInterval = null;
+    }
+}
+
+module.exports = {
+    PRESETS,
+    GuestCohortError,
+    isGuest,
+    createCohort,
+    addGuests,
+    reissueCode,
+    listCohorts,
+    getCohort,
+    endCohort,
+    redeem,
+    presetFor,
+    blockedAction,
+    restrictGuests,
+    start,
+    stop
+};
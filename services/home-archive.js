@@ -0,0 +1,410 @@
+// services/home-archive.js - Download a workspace's home directory, or replace it with an upload
+// Export streams a tar.gz of /home/student. tar runs in the student container when it is up,
+// otherwise in a short-lived helper pod with the volume mounted read-only (Docker mode needs the
+// container running). Import (Kubernetes only) stages the uploaded tar.gz on local disk and
+// unpacks it here once to hold its real size to the user's storage_gb quota; only then is the
+// volume snapshotted (pre-import) and replaced by a fresh one that the archive is unpacked into.
+// Staging shares this server's disk, so uploads have their own size cap (HOME_IMPORT_MAX_GB)
+// and only HOME_IMPORT_CONCURRENCY imports hold a staged file at once.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const Docker = require('dockerode');
+const k8sClient = require('./k8s-client');
+const runtimeConfig = require('../config/runtime');
+const resourceConfig = require('../config/resources');
+const volumeSnapshots = require('./volume-snapshots');
+const { getOrCreateUserQuota, getOrCreateContainerConfig } = require('./db-init');
+
+let k8sContainers;
+try {
+    k8sContainers = require('./k8s-containers');
+} catch (e) {
+    console.warn('[home-archive] k8s-containers not available');
+}
+
+const docker = runtimeConfig.isDocker() ? new Docker({ socketPath: runtimeConfig.docker.socketPath }) : null;
+
+const STAGING_DIR = process.env.HOME_IMPORT_DIR || path.join(os.tmpdir(), 'hydra-imports');
+const MAX_UPLOAD_GB = parseFloat(process.env.HOME_IMPORT_MAX_GB || '5');
+const MAX_CONCURRENT_IMPORTS = parseInt(process.env.HOME_IMPORT_CONCURRENCY || '2', 10);
+const HOME = '/home/student';
+const GB = 2 ** 30;
+const EXPORT_TIMEOUT_SECONDS = 2 * 60 * 60;
+const HELPER_START_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Left out with ?exclude_caches=true; all of them are downloaded or rebuilt again on demand
+const CACHE_PATHS = [
+    '.cache',
+    '.npm',
+    '.nvm',
+    '.local/share/code-server/extensions',
+    '.local/share/code-server/CachedExtensionVSIXs'
+];
+
+const BUSY = ['uploading', 'running'];
+const operations = new Map(); // owner -> { action, status, bytes, snapshot_id, started_at, finished_at, error }
+
+/**
+ * Error raised for invalid export or import requests; message is safe to show to the caller
+ */
+class ArchiveError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function pvcName(owner) {
+    return `hydra-vol-${owner}`;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// GNU tar exits 1 when a file changed while it was read, which is expected in a running container
+function tarCommand(excludeCaches) {
+    const excludes = excludeCaches ? CACHE_PATHS.map(p => `--exclude=./${p}`) : [];
+    return ['sh', '-c', 'tar "$@"; [ $? -le 1 ]', 'tar', '-czf', '-', '--ignore-failed-read', '-C', HOME, ...excludes, '.'];
+}
+
+// Keeps the last KB written, for error messages
+function tail() {
+    let text = '';
+    const sink = new Writable({
+        write(chunk, encoding, callback) {
+            text = (text + chunk.toString()).slice(-1024);
+            callback();
+        }
+    });
+    sink.text = () => text.trim();
+    return sink;
+}
+
+// Docker exec output without a TTY is framed: 8-byte header (stream type, 3 zero bytes, uint32 length)
+function demuxStdout(stderr) {
+    let pending = Buffer.alloc(0);
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            pending = Buffer.concat([pending, chunk]);
+            while (pending.length >= 8) {
+                const length = pending.readUInt32BE(4);
+                if (pending.length < 8 + length) break;
+                const frame = pending.subarray(8, 8 + length);
+                if (pending[0] === 1) this.push(frame);
+                else stderr.write(frame);
+                pending = pending.subarray(8 + length);
+            }
+            callback();
+        }
+    });
+}
+
+function tooLarge(limit) {
+    return new ArchiveError(`The archive is larger than ${Math.floor(limit / GB)} GB, the most this workspace can hold`, 413);
+}
+
+function uploadTooLarge() {
+    return new ArchiveError(`Uploads are limited to ${MAX_UPLOAD_GB} GB compressed`, 413);
+}
+
+// ==================== Export ====================
+
+function buildExportPodSpec(name, owner) {
+    return {
+        apiVersion: 'v1',
+        kind: 'Pod',
+        metadata: {
+            name,
+            namespace: runtimeConfig.k8s.namespace,
+            labels: {
+                'app.kubernetes.io/name': 'hydra-home-export',
+                'app.kubernetes.io/managed-by': 'hydra-auth',
+                'hydra.owner': owner
+            }
+        },
+        spec: {
+            restartPolicy: 'Never',
+            activeDeadlineSeconds: EXPORT_TIMEOUT_SECONDS,
+            // Only reads the student's files; keep the API token out of reach
+            automountServiceAccountToken: false,
+            securityContext: { runAsUser: 1000, runAsGroup: 1000, fsGroup: 1000 },
+            containers: [{
+                name: 'export',
+                image: runtimeConfig.k8s.studentImage,
+                command: ['sleep', String(EXPORT_TIMEOUT_SECONDS)],
+                volumeMounts: [{ name: 'home', mountPath: HOME, readOnly: true }],
+                resources: {
+                    requests: { memory: '64Mi', cpu: '100m' },
+                    limits: { memory: '512Mi', cpu: '1' }
+                }
+            }],
+            volumes: [{ name: 'home', persistentVolumeClaim: { claimName: pvcName(owner), readOnly: true } }]
+        }
+    };
+}
+
+async function waitForRunning(name) {
+    const startTime = Date.now();
+    while (Date.now() - startTime < HELPER_START_TIMEOUT_MS) {
+        const phase = (await k8sClient.getPod(name))?.status?.phase;
+        if (phase === 'Running') return;
+        if (phase === 'Failed' || phase === 'Succeeded') throw new Error(`Helper pod ${name} exited before the export`);
+        await sleep(1000);
+    }
+    throw new Error(`Helper pod ${name} did not start in time`);
+}
+
+async function execExport(pod, container, output, command) {
+    const errors = tail();
+    const result = await k8sClient.execInPod(pod, runtimeConfig.k8s.namespace, container, command, { stdout: output, stderr: errors });
+    if (result.status !== 'Success') throw new Error(`tar failed in ${pod}: ${errors.text() || result.message}`);
+}
+
+async function exportFromPod(owner, output, command) {
+    if (BUSY.includes(operations.get(owner)?.status)) throw new ArchiveError('An import into this workspace is in progress', 409);
+    const status = await k8sContainers.getContainerStatus(owner);
+    if (status.running) return execExport(`student-${owner}`, 'student', output, command);
+
+    if (!(await k8sClient.getPVC(pvcName(owner)))) throw new ArchiveError('This workspace has no files yet', 404);
+    const name = `home-export-${owner}`;
+    if (await k8sClient.getPod(name)) throw new ArchiveError('A download of this workspace is already running', 409);
+    await k8sClient.createPod(buildExportPodSpec(name, owner));
+    try {
+        await waitForRunning(name);
+        await execExport(name, 'export', output, command);
+    } finally {
+        await k8sClient.deletePod(name, { gracePeriodSeconds: 0 }).catch(() => {});
+    }
+}
+
+async function exportFromDocker(owner, output, command) {
+    const container = docker.getContainer(`student-${owner}`);
+    let info;
+    try {
+        info = await container.inspect();
+    } catch (err) {
+        if (err.statusCode === 404) throw new ArchiveError('This workspace has no container yet', 404);
+        throw err;
+    }
+    if (!info.State.Running) throw new ArchiveError('Start the container to download its files', 409);
+
+    const exec = await container.exec({ Cmd: command, AttachStdout: true, AttachStderr: true });
+    const stream = await exec.start({ hijack: true, stdin: false });
+    const errors = tail();
+    await new Promise((resolve, reject) => {
+        const stdout = demuxStdout(errors);
+        stream.on('error', reject);
+        stdout.on('end', resolve);
+        output.once('close', () => stream.destroy());
+        stream.pipe(stdout).pipe(output, { end: false });
+    });
+    const { ExitCode } = await exec.inspect();
+    if (ExitCode !== 0) throw new Error(`tar failed in student-${owner}: ${errors.text() || `exit code ${ExitCode}`}`);
+}
+
+/**
+ * Write a tar.gz of a workspace's home directory to `output` (which is left open).
+ * ArchiveErrors are thrown before anything is written; a later failure means the output is incomplete.
+ * @param {string} owner - Container key
+ * @param {stream.Writable} output - e.g. the response
+ * @param {Object} [options]
+ * @param {boolean} [options.excludeCaches] - Leave out CACHE_PATHS
+ * @throws {ArchiveError}
+ */
+async function exportHome(owner, output, { excludeCaches = false } = {}) {
+    const command = tarCommand(excludeCaches);
+    if (runtimeConfig.isKubernetes()) {
+        await exportFromPod(owner, output, command);
+    } else {
+        await exportFromDocker(owner, output, command);
+    }
+    console.log(`[home-archive] Exported ${pvcName(owner)}${excludeCaches ? ' (without caches)' : ''}`);
+}
+
+// ==================== Import ====================
+
+// Copy the upload to `file`, refusing more than `limit` bytes or more than MAX_UPLOAD_GB
+async function stage(input, file, limit) {
+    const maxUpload = MAX_UPLOAD_GB * GB;
+    let bytes = 0;
+    await pipeline(
+        input,
+        new Transform({
+            transform(chunk, encoding, callback) {
+                bytes += chunk.length;
+                const error = bytes > limit ? tooLarge(limit) : bytes > maxUpload ? uploadTooLarge() : null;
+                callback(error, chunk);
+            }
+        }),
+        fs.createWriteStream(file, { mode: 0o600 })
+    );
+    return bytes;
+}
+
+// Unpacked size of a staged tar.gz, refusing more than `limit` bytes or anything that is not a tar.gz
+async function measure(file, limit) {
+    let bytes = 0;
+    let header = Buffer.alloc(0);
+    try {
+        await pipeline(
+            fs.createReadStream(file),
+            zlib.createGunzip(),
+            new Writable({
+                write(chunk, encoding, callback) {
+                    if (header.length < 512) header = Buffer.concat([header, chunk]).subarray(0, 512);
+                    bytes += chunk.length;
+                    callback(bytes > limit ? tooLarge(limit) : null);
+                }
+            })
+        );
+    } catch (err) {
+        if (err instanceof ArchiveError) throw err;
+        if (String(err.code).startsWith('Z_')) throw new ArchiveError('The upload is not a .tar.gz archive');
+        throw err;
+    }
+    // ustar and GNU tar headers carry "ustar" at offset 257
+    if (header.length < 512 || header.toString('latin1', 257, 262) !== 'ustar') {
+        throw new ArchiveError('The upload is not a .tar.gz archive');
+    }
+    return bytes;
+}
+
+async function waitForGone(get, name) {
+    for (let i = 0; i < 60; i++) {
+        if (!(await get(name))) return;
+        await sleep(1000);
+    }
+    throw new Error(`${name} was not deleted in time`);
+}
+
+async function runImport(owner, file, size, pvc, email, operation) {
+    // Keep the current files, so the import can be undone with a rollback
+    const snapshot = await volumeSnapshots.protect(owner, 'pre-import');
+    operation.snapshot_id = snapshot?.id || null;
+
+    if ((await k8sContainers.getContainerStatus(owner)).exists) {
+        await k8sContainers.stopContainer(owner);
+        await waitForGone(name => k8sClient.getPod(name), `student-${owner}`);
+    }
+
+    const volume = pvcName(owner);
+    const annotations = pvc.metadata?.annotations || {};
+    await k8sClient.deletePVC(volume);
+    await waitForGone(name => k8sClient.getPVC(name), volume);
+    await k8sClient.createPVC(k8sContainers.buildPVCSpec(
+        owner,
+        parseInt(pvc.spec?.resources?.requests?.storage) || resourceConfig.defaults.storage_gb,
+        pvc.spec?.storageClassName,
+        { email, preset: annotations['hydra.preset'], target_node: annotations['hydra.target-node'] }
+    ));
+
+    // The student pod is the new volume's first user, so the volume is placed on its node
+    const containerConfig = await getOrCreateContainerConfig(owner, `student-${owner}`);
+    const started = await k8sContainers.startContainer(owner, email, containerConfig);
+    if (!started.ready) throw new Error(`The container did not start (${started.status})`);
+
+    const errors = tail();
+    const result = await k8sClient.execInPod(
+        `student-${owner}`,
+        runtimeConfig.k8s.namespace,
+        'student',
+        ['sh', '-c', `head -c ${size} | runuser -u student -- tar -xzf - -C ${HOME}`],
+        { stdin: fs.createReadStream(file), stderr: errors }
+    );
+    if (result.status !== 'Success') throw new Error(`tar failed: ${errors.text() || result.message}`);
+}
+
+/**
+ * Replace a workspace's home directory with an uploaded tar.gz (Kubernetes only). The upload is
+ * checked first: its unpacked size must fit the user's storage_gb quota and the volume. The volume
+ * is then snapshotted, replaced and filled in the background, and the container started; progress
+ * is in importStatus().
+ * @param {string} owner - Container key
+ * @param {stream.Readable} input - The request body
+ * @param {Object} user - { username, email } of the workspace's owner
+ * @param {number} [contentLength] - Refuses oversized uploads before reading them
+ * @throws {ArchiveError}
+ */
+async function importHome(owner, input, { username, email }, contentLength) {
+    if (!runtimeConfig.isKubernetes()) throw new ArchiveError('Importing needs Kubernetes mode', 501);
+    if (contentLength > MAX_UPLOAD_GB * GB) throw uploadTooLarge();
+    const pvc = await k8sClient.getPVC(pvcName(owner));
+    if (!pvc) throw new ArchiveError('Create this workspace\'s container before importing into it', 409);
+
+    const quota = await getOrCreateUserQuota(username, email);
+    const volumeGb = parseInt(pvc.spec?.resources?.requests?.storage) || Infinity;
+    const limit = Math.min(quota.storage_gb, volumeGb) * GB;
+    if (contentLength > limit) throw tooLarge(limit);
+    // Checked and claimed without awaiting in between, so two requests can't both get through
+    if (BUSY.includes(operations.get(owner)?.status)) throw new ArchiveError('An import into this workspace is already in progress', 409);
+    // A rollback also replaces the volume
+    if (volumeSnapshots.isRollingBack(owner)) throw new ArchiveError('A snapshot rollback of this workspace is in progress', 409);
+    const running = [...operations.values()].filter(op => BUSY.includes(op.status)).length;
+    if (running >= MAX_CONCURRENT_IMPORTS) {
+        throw new ArchiveError('Too many imports are running right now. Try again in a few minutes.', 503);
+    }
+
+    const operation = { action: 'import', status: 'uploading', bytes: null, snapshot_id: null, started_at: new Date().toISOString(), finished_at: null, error: null };
+    operations.set(owner, operation);
+    await fs.promises.mkdir(STAGING_DIR, { recursive: true });
+    const file = path.join(STAGING_DIR, `${owner}-${crypto.randomBytes(6).toString('hex')}.tar.gz`);
+    const cleanup = () => fs.promises.unlink(file).catch(() => {});
+
+    let size;
+    try {
+        size = await stage(input, file, limit);
+        operation.bytes = await measure(file, limit);
+    } catch (err) {
+        operations.delete(owner);
+        await cleanup();
+        throw err;
+    }
+
+    operation.status = 'running';
+    console.log(`[home-archive] Importing ${size} bytes (${operation.bytes} unpacked) into ${pvcName(owner)}`);
+    runImport(owner, file, size, pvc, email, operation)
+        .then(() => {
+            operation.status = 'done';
+            console.log(`[home-archive] Imported into ${pvcName(owner)}`);
+        })
+        .catch(e => {
+            operation.status = 'failed';
+            operation.error = e.message;
+            console.error(`[home-archive] Import into ${pvcName(owner)} failed:`, e.message);
+        })
+        .finally(() => {
+            operation.finished_at = new Date().toISOString();
+            cleanup();
+        });
+    return operation;
+}
+
+/**
+ * The workspace's last import, or null
+ */
+function importStatus(owner) {
+    return operations.get(owner) || null;
+}
+
+/**
+ * Whether an import into this workspace is being uploaded or unpacked
+ */
+function isImporting(owner) {
+    return BUSY.includes(operations.get(owner)?.status);
+}
+
+module.exports = {
+    ArchiveError,
+    CACHE_PATHS,
+    exportHome,
+    importHome,
+    importStatus,
+    isImporting
+};
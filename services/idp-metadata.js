@@ -0,0 +1,341 @@
+// services/idp-metadata.js - IdP (Azure) SAML metadata with periodic refresh and certificate rollover
+// Trusts every signing cert the metadata publishes, keeps dropped certs for a grace window,
+// and caches the last good metadata on disk so boot survives a metadata URL outage.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { XMLParser } = require('fast-xml-parser');
+
+const REFRESH_HOURS = parseFloat(process.env.IDP_METADATA_REFRESH_HOURS || '12');
+const CERT_GRACE_HOURS = parseFloat(process.env.IDP_CERT_GRACE_HOURS || '48');
+const CACHE_FILE = process.env.IDP_METADATA_CACHE_FILE || path.join(__dirname, '..', 'data', 'idp-metadata.json');
+const FETCH_TIMEOUT_MS = 15 * 1000;
+
+let metadataUrl = null;
+let current = null;         // { entryPoint, logoutUrl, certificates: [base64] }
+let fetchedAt = null;       // When the metadata in use was downloaded
+let source = null;          // 'remote' | 'cache' | 'static'
+let lastAttemptAt = null;
+let lastError = null;
+let retiredCerts = [];      // [{ cert, removedAt }] - dropped from metadata, still trusted for the grace window
+let refreshInterval = null;
+const listeners = [];
+
+function asArray(v) {
+    if (v === undefined || v === null) return [];
+    return Array.isArray(v) ? v : [v];
+}
+
+/**
+ * Parse IdP metadata XML
+ * @param {string} xml
+ * @returns {{ entryPoint: string, logoutUrl: string | null, certificates: string[] }}
+ *   - entryPoint: The SSO endpoint URL (preferably HTTP-Redirect binding).
+ *   - logoutUrl: The SLO endpoint URL, or null if not present.
+ *   - certificates: Every signing X.509 certificate (base64, no whitespace), in metadata order.
+ * @throws {Error} If required fields are missing
+ */
+function parseMetadata(xml) {
+    const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: '@_' });
+    const md = parser.parse(xml);
+
+    const ed = md['EntityDescriptor'] || md['md:EntityDescriptor'];
+    const idp = ed?.['IDPSSODescriptor'] || ed?.['md:IDPSSODescriptor'];
+    if (!idp) throw new Error('Metadata missing IDPSSODescriptor');
+
+    // SSO endpoint (prefer HTTP-Redirect)
+    const sso = asArray(idp['SingleSignOnService'] || idp['md:SingleSignOnService']);
+    const redirect = sso.find(s => (s['@_Binding'] || '').includes('HTTP-Redirect'));
+    const entryPoint = (redirect || sso[0])?.['@_Location'];
+    if (!entryPoint) throw new Error('Metadata missing SSO Location');
+
+    // Signing certificates - during a rollover Azure publishes the old and new cert side by side
+    const certificates = [];
+    for (const kd of asArray(idp['KeyDescriptor'] || idp['md:KeyDescriptor'])) {
+        if (kd?.['@_use'] && kd['@_use'] !== 'signing') continue;
+        const ki = kd?.['KeyInfo'] || kd?.['ds:KeyInfo'];
+        for (const x of asArray(ki?.['X509Data'] || ki?.['ds:X509Data'])) {
+            for (const raw of asArray(x?.['X509Certificate'] || x?.['ds:X509Certificate'])) {
+                const cert = String(raw).replace(/\s+/g, '');
+                if (cert && !certificates.includes(cert)) certificates.push(cert);
+            }
+        }
+    }
+    if (certificates.length === 0) throw new Error('Metadata missing IdP X509Certificate');
+
+    // Optional SLO
+    const slo = asArray(idp['SingleLogoutService'] || idp['md:SingleLogoutService']);
+    const logoutUrl = slo[0]?.['@_Location'] || null;
+
+    return { entryPoint, logoutUrl, certificates };
+}
+
+/**
+ * Describe a certificate for admin tooling (null fields if it can't be parsed)
+ */
+function describeCert(cert) {
+    try {
+        const x509 = new crypto.X509Certificate(Buffer.from(cert, 'base64'));
+        return {
+            subject: x509.subject,
+            fingerprint_sha256: x509.fingerprint256,
+            fingerprint_sha1: x509.fingerprint,
+            not_before: new Date(x509.validFrom).toISOString(),
+            not_after: new Date(x509.validTo).toISOString(),
+            expired: Date.parse(x509.validTo) < Date.now()
+        };
+    } catch (e) {
+        return { subject: null, fingerprint_sha256: null, fingerprint_sha1: null, not_before: null, not_after: null, expired: false };
+    }
+}
+
+function readCache() {
+    try {
+        return JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8'));
+    } catch {
+        return null;
+    }
+}
+
+function writeCache(xml) {
+    try {
+        fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+        const tmp = `${CACHE_FILE}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({
+            url: metadataUrl,
+            fetched_at: fetchedAt,
+            retired_certs: retiredCerts,
+            xml
+        }, null, 2));
+        fs.renameSync(tmp, CACHE_FILE);
+    } catch (e) {
+        console.warn(`[idp-metadata] Could not write cache ${CACHE_FILE}:`, e.message);
+    }
+}
+
+async function fetchMetadata(url) {
+    const resp = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+    if (!resp.ok) throw new Error(`Metadata fetch failed: ${resp.status}`);
+    return resp.text();
+}
+
+/**
+ * Swap in newly parsed metadata, moving certs that disappeared into the grace list
+ * @returns {boolean} Whether anything relevant to the SAML strategy changed
+ */
+function apply(parsed) {
+    const previous = current;
+    const now = new Date().toISOString();
+
+    if (previous) {
+        for (const cert of previous.certificates) {
+            if (!parsed.certificates.includes(cert) && !retiredCerts.some(r => r.cert === cert)) {
+                retiredCerts.push({ cert, removedAt: now });
+                console.log(`[idp-metadata] Certificate ${describeCert(cert).fingerprint_sha256} removed from metadata; trusted for ${CERT_GRACE_HOURS}h more`);
+            }
+        }
+    }
+    // A cert that comes back is live again; expired grace entries are dropped
+    const cutoff = Date.now() - CERT_GRACE_HOURS * 60 * 60 * 1000;
+    retiredCerts = retiredCerts.filter(r => !parsed.certificates.includes(r.cert) && Date.parse(r.removedAt) > cutoff);
+
+    current = parsed;
+
+    if (!previous) return true;
+    const added = parsed.certificates.filter(c => !previous.certificates.includes(c));
+    for (const cert of added) {
+        console.log(`[idp-metadata] New signing certificate ${describeCert(cert).fingerprint_sha256}`);
+    }
+    return added.length > 0 ||
+        previous.entryPoint !== parsed.entryPoint ||
+        previous.logoutUrl !== parsed.logoutUrl;
+}
+
+function notify() {
+    for (const fn of listeners) {
+        try {
+            fn(getConfig());
+        } catch (e) {
+            console.error('[idp-metadata] Change listener failed:', e.message);
+        }
+    }
+}
+
+/**
+ * Load metadata for boot: the URL first, then the last-known-good cache
+ * @param {string} url - Azure federation metadata URL
+ * @returns {Promise<{ entryPoint: string, logoutUrl: string | null, certificates: string[] }>}
+ * @throws {Error} If neither the URL nor the cache yields usable metadata
+ */
+async function initialize(url) {
+    metadataUrl = url;
+    const cached = readCache();
+    if (cached?.url === url) retiredCerts = cached.retired_certs || [];
+
+    lastAttemptAt = new Date().toISOString();
+    try {
+        const xml = await fetchMetadata(url);
+        const parsed = parseMetadata(xml);
+        fetchedAt = lastAttemptAt;
+        source = 'remote';
+        // Certs in the cached copy but not the new one start their grace period now
+        if (cached?.url === url && cached.xml) {
+            try { current = parseMetadata(cached.xml); } catch { }
+        }
+        apply(parsed);
+        writeCache(xml);
+        lastError = null;
+    } catch (e) {
+        lastError = e.message;
+        if (!cached?.xml || cached.url !== url) throw e;
+        console.warn(`[idp-metadata] ${e.message} — using cached metadata from ${cached.fetched_at}`);
+        apply(parseMetadata(cached.xml));
+        fetchedAt = cached.fetched_at;
+        source = 'cache';
+    }
+
+    return getConfig();
+}
+
+/**
+ * Use metadata that doesn't come from a URL (the built-in dev IdP, services/dev-idp.js).
+ * No cache is written and the periodic refresh stays off.
+ * @param {string} xml - IdP metadata XML
+ * @param {string} label - Shown as the metadata URL in admin tooling
+ */
+function loadStatic(xml, label) {
+    metadataUrl = label;
+    lastAttemptAt = new Date().toISOString();
+    fetchedAt = lastAttemptAt;
+    source = 'static';
+    lastError = null;
+    apply(parseMetadata(xml));
+    return getConfig();
+}
+
+/**
+ * Re-download the metadata; keeps the current config if the download or parse fails
+ * @returns {Promise<boolean>} Whether the config changed
+ */
+async function refresh() {
+    if (!metadataUrl) throw new Error('IdP metadata not initialized');
+    if (source === 'static') return false;
+    lastAttemptAt = new Date().toISOString();
+    try {
+        const xml = await fetchMetadata(metadataUrl);
+        const parsed = parseMetadata(xml);
+        fetchedAt = lastAttemptAt;
+        source = 'remote';
+        lastError = null;
+        const changed = apply(parsed);
+        writeCache(xml);
+        if (changed) {
+            console.log(`[idp-metadata] Metadata changed: ${getCertificates().length} trusted certificate(s)`);
+            notify();
+        }
+        return changed;
+    } catch (e) {
+        lastError = e.message;
+        console.error('[idp-metadata] Refresh failed, keeping last good metadata:', e.message);
+        throw e;
+    }
+}
+
+/**
+ * Certificates SAML responses may be signed with: current metadata plus the grace list.
+ * Expired certificates are left out unless nothing else is available.
+ */
+function getCertificates() {
+    const all = [...(current?.certificates || []), ...retiredCerts.map(r => r.cert)];
+    const valid = all.filter(c => !describeCert(c).expired);
+    return valid.length > 0 ? valid : all;
+}
+
+/**
+ * Current IdP endpoints and trusted certificates
+ */
+function getConfig() {
+    return {
+        entryPoint: current?.entryPoint,
+        logoutUrl: current?.logoutUrl || null,
+        certificates: getCertificates()
+    };
+}
+
+/**
+ * Register a callback for config changes (entry point, SLO URL, or new certificates)
+ */
+function onChange(fn) {
+    listeners.push(fn);
+}
+
+/**
+ * Summary for admin tooling
+ */
+function getStatus() {
+    const trusted = getCertificates();
+    const certs = [
+        ...(current?.certificates || []).map(cert => ({ cert, in_metadata: true, removed_at: null })),
+        ...retiredCerts.map(r => ({ cert: r.cert, in_metadata: false, removed_at: r.removedAt }))
+    ];
+    return {
+        metadata_url: metadataUrl,
+        source,
+        fetched_at: fetchedAt,
+        age_seconds: fetchedAt ? Math.floor((Date.now() - Date.parse(fetchedAt)) / 1000) : null,
+        last_attempt_at: lastAttemptAt,
+        last_error: lastError,
+        refresh_hours: REFRESH_HOURS,
+        cert_grace_hours: CERT_GRACE_HOURS,
+        entry_point: current?.entryPoint || null,
+        logout_url: current?.logoutUrl || null,
+        certificates: certs.map(c => ({
+            ...describeCert(c.cert),
+            in_metadata: c.in_metadata,
+            removed_at: c.removed_at,
+            trusted: trusted.includes(c.cert)
+        }))
+    };
+}
+
+/**
+ * Start the periodic refresh
+ */
+function start() {
+    if (refreshInterval) {
+        console.warn('[idp-metadata] Already running');
+        return;
+    }
+    if (!(REFRESH_HOURS > 0) || source === 'static') {
+        console.log('[idp-metadata] Periodic refresh disabled');
+        return;
+    }
+    console.log(`[idp-metadata] Starting metadata refresh (every ${REFRESH_HOURS}h)`);
+    refreshInterval = setInterval(() => refresh().catch(() => { }), REFRESH_HOURS * 60 * 60 * 1000);
+    refreshInterval.unref?.();
+}
+
+/**
+ * Stop the periodic refresh
+ */
+function stop() {
+    if (refreshInterval) {
+        clearInterval(refreshInterval);
+        refreshInterval = null;
+        console.log('[idp-metadata] Stopped');
+    }
+}
+
+module.exports = {
+    parseMetadata,
+    initialize,
+    loadStatic,
+    refresh,
+    getCertificates,
+    getConfig,
+    onChange,
+    getStatus,
+    start,
+    stop
+};
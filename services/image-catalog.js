@@ -0,0 +1,309 @@
+// services/image-catalog.js - Admin-managed catalog of container images
+// Courses need different toolchains (R, systems programming, web development), so staff holding
+// `manage_images` list images students may choose at /containers/init or switch to later. An
+// entry can be limited to presets and nodes, and to staff roles or Azure groups (a course
+// section). The choice is kept per container in container_configs.catalog_image and resolved to
+// an image reference each time a pod is built, so updating an entry's tag reaches every container
+// on its next start. Containers without a choice, or whose entry was deleted, use the default image.
+
+const { getDb } = require('../db');
+const authz = require('./authz');
+const resourceConfig = require('../config/resources');
+const runtimeConfig = require('../config/runtime');
+
+const DEFAULT = 'default';
+const NAME_PATTERN = /^[a-z][a-z0-9]*(-[a-z0-9]+)*$/;
+const NAME_MAX_LENGTH = 32;
+// registry/repository[:tag][@digest]; anything else would only fail later as ErrImagePull
+const IMAGE_PATTERN = /^[a-z0-9][a-z0-9._\-/:]*[a-z0-9](:[\w][\w.-]{0,127})?(@sha256:[a-f0-9]{64})?$/;
+const LIST_FIELDS = ['allowed_presets', 'allowed_nodes', 'allowed_roles', 'allowed_groups'];
+
+/**
+ * Error raised for invalid catalog entries or choices; message is safe to show to the caller
+ */
+class ImageCatalogError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function parseList(value) {
+    if (!value) return null;
+    try {
+        const list = JSON.parse(value);
+        return Array.isArray(list) && list.length ? list : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function toEntry(row) {
+    const entry = {
+        name: row.name,
+        title: row.title,
+        image: row.image,
+        gpu_image: row.gpu_image,
+        description: row.description,
+        enabled: !!row.enabled,
+        created_by: row.created_by,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+    };
+    for (const field of LIST_FIELDS) entry[field] = parseList(row[field]);
+    return entry;
+}
+
+// The image every container gets without a choice
+function defaultEntry() {
+    const gpuImage = runtimeConfig.isKubernetes() ? runtimeConfig.k8s.gpuStudentImage : null;
+    return {
+        name: DEFAULT,
+        title: 'Hydra student image',
+        image: runtimeConfig.isKubernetes() ? runtimeConfig.k8s.studentImage : resourceConfig.defaults.image,
+        gpu_image: gpuImage,
+        description: 'The standard student container',
+        enabled: true,
+        allowed_presets: null,
+        allowed_nodes: null,
+        allowed_roles: null,
+        allowed_groups: null
+    };
+}
+
+function normalizeList(field, value, allowed) {
+    if (value === null || value === undefined || value === '') return null;
+    if (!Array.isArray(value)) throw new ImageCatalogError(`${field} must be an array or null`);
+    const list = [...new Set(value.map(v => String(v || '').trim()).filter(Boolean))];
+    if (field === 'allowed_groups') {
+        if (list.some(g => g.length > 128)) throw new ImageCatalogError('Group IDs must be at most 128 characters');
+        return list.length ? JSON.stringify(list.map(g => g.toLowerCase())) : null;
+    }
+    const unknown = list.filter(v => !allowed.includes(v));
+    if (unknown.length) throw new ImageCatalogError(`${field} may only contain: ${allowed.join(', ')} (not ${unknown.join(', ')})`);
+    return list.length ? JSON.stringify(list) : null;
+}
+
+/**
+ * Validate and normalize entry fields (all optional, for updates)
+ */
+function normalizeEntry(input) {
+    const entry = {};
+    for (const field of ['image', 'gpu_image']) {
+        if (input[field] === undefined) continue;
+        const value = String(input[field] || '').trim();
+        if (!value && field === 'gpu_image') {
+            entry.gpu_image = null;
+            continue;
+        }
+        if (value.length > 255 || !IMAGE_PATTERN.test(value)) throw new ImageCatalogError(`${field} is not a valid image reference`);
+        entry[field] = value;
+    }
+    if (input.title !== undefined) {
+        const title = String(input.title || '').trim();
+        if (!title || title.length > 80) throw new ImageCatalogError('title is required and at most 80 characters');
+        entry.title = title;
+    }
+    if (input.description !== undefined) {
+        entry.description = input.description === null ? null : String(input.description).trim().slice(0, 500) || null;
+    }
+    if (input.enabled !== undefined) entry.enabled = input.enabled ? 1 : 0;
+
+    const allowed = {
+        allowed_presets: Object.keys(resourceConfig.presets),
+        allowed_nodes: Object.keys(resourceConfig.nodes),
+        allowed_roles: authz.ROLES,
+        allowed_groups: null
+    };
+    for (const field of LIST_FIELDS) {
+        if (input[field] !== undefined) entry[field] = normalizeList(field, input[field], allowed[field]);
+    }
+    return entry;
+}
+
+async function getRow(name) {
+    const db = await getDb();
+    return db.get('SELECT * FROM container_images WHERE name = ?', [name]);
+}
+
+/**
+ * Every catalog entry, the default image first
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDisabled]
+ */
+async function list({ includeDisabled = false } = {}) {
+    const db = await getDb();
+    const rows = await db.all(
+        `SELECT * FROM container_images ${includeDisabled ? '' : 'WHERE enabled = 1'} ORDER BY title, name`
+    );
+    return [defaultEntry(), ...rows.map(toEntry)];
+}
+
+/**
+ * One entry (the default image for 'default' or no name), or null
+ */
+async function get(name) {
+    if (!name || name === DEFAULT) return defaultEntry();
+    const row = await getRow(name);
+    return row ? toEntry(row) : null;
+}
+
+/**
+ * Add an entry
+ * @param {Object} input - { name, title, image, gpu_image?, description?, allowed_presets?, allowed_nodes?, allowed_roles?, allowed_groups?, enabled? }
+ * @param {string} createdBy - Staff email
+ * @throws {ImageCatalogError}
+ */
+async function create(input, createdBy) {
+    const name = String(input.name || '').trim().toLowerCase();
+    if (name === DEFAULT || name.length > NAME_MAX_LENGTH || !NAME_PATTERN.test(name)) {
+        throw new ImageCatalogError(`name must be 1-${NAME_MAX_LENGTH} lowercase letters, digits and single dashes, starting with a letter, and not "${DEFAULT}"`);
+    }
+    const entry = { enabled: 1, ...normalizeEntry(input) };
+    if (!entry.title || !entry.image) throw new ImageCatalogError('title and image are required');
+    if (await getRow(name)) throw new ImageCatalogError(`There is already an image named ${name}`, 409);
+
+    const db = await getDb();
+    await db.run(
+        `INSERT INTO container_images
+         (name, title, image, gpu_image, description, allowed_presets, allowed_nodes, allowed_roles, allowed_groups, enabled, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [name, entry.title, entry.image, entry.gpu_image || null, entry.description || null,
+            entry.allowed_presets || null, entry.allowed_nodes || null, entry.allowed_roles || null, entry.allowed_groups || null,
+            entry.enabled, createdBy]
+    );
+    console.log(`[image-catalog] ${name} (${entry.image}) added by ${createdBy}`);
+    return toEntry(await getRow(name));
+}
+
+/**
+ * Change an entry; containers pick up a new image reference on their next start
+ * @throws {ImageCatalogError}
+ */
+async function update(name, changes, updatedBy) {
+    const row = await getRow(name);
+    if (!row) throw new ImageCatalogError('Image not found', 404);
+
+    const updates = normalizeEntry(changes);
+    const fields = Object.keys(updates);
+    if (fields.length === 0) return toEntry(row);
+    const db = await getDb();
+    await db.run(
+        `UPDATE container_images SET ${fields.map(f => `${f} = ?`).join(', ')}, updated_at = datetime('now') WHERE name = ?`,
+        [...fields.map(f => updates[f]), name]
+    );
+    console.log(`[image-catalog] ${name} updated by ${updatedBy}: ${fields.join(', ')}`);
+    return toEntry(await getRow(name));
+}
+
+/**
+ * Delete an entry nobody uses; disable it instead to keep existing containers on it
+ * @returns {Promise<boolean>}
+ * @throws {ImageCatalogError} 409 while containers still use it
+ */
+async function remove(name, deletedBy) {
+    const db = await getDb();
+    const { count } = await db.get('SELECT COUNT(*) AS count FROM container_configs WHERE catalog_image = ?', [name]);
+    if (count > 0) {
+        throw new ImageCatalogError(`${count} container(s) use this image; disable it instead, or switch them first`, 409);
+    }
+    const result = await db.run('DELETE FROM container_images WHERE name = ?', [name]);
+    if (result.changes > 0) console.log(`[image-catalog] ${name} deleted by ${deletedBy}`);
+    return result.changes > 0;
+}
+
+/**
+ * Why a user may not choose an entry for a container, or null if they may
+ * @param {Object} user - req.user
+ * @param {Object} entry - From get()/list()
+ * @param {Object} [placement] - { preset, target_node } of the container
+ * @returns {Promise<string|null>}
+ */
+async function refusal(user, entry, { preset, target_node: targetNode } = {}) {
+    if (!entry.enabled) return `${entry.title} is no longer offered`;
+    if (entry.allowed_presets && preset && !entry.allowed_presets.includes(preset)) {
+        return `${entry.title} is only available with the ${entry.allowed_presets.join(', ')} preset(s)`;
+    }
+    if (entry.allowed_nodes && !entry.allowed_nodes.includes(targetNode || 'hydra')) {
+        return `${entry.title} only runs on ${entry.allowed_nodes.join(', ')}`;
+    }
+    if (!entry.allowed_roles && !entry.allowed_groups) return null;
+    // Staff who manage the catalog can try any image
+    if (await authz.can(user, 'manage_images')) return null;
+    const roles = await authz.getRoles(user);
+    if (entry.allowed_roles?.some(r => roles.includes(r))) return null;
+    const groups = (user.groups || []).map(g => String(g).toLowerCase());
+    if (entry.allowed_groups?.some(g => groups.includes(g))) return null;
+    return `${entry.title} is limited to particular courses or staff`;
+}
+
+/**
+ * Entries a user may choose from, whatever the placement; preset and node limits are listed
+ * with each entry and checked by choose()
+ */
+async function listFor(user) {
+    const entries = await list();
+    const offered = [];
+    for (const entry of entries) {
+        if (!(await refusal(user, entry))) offered.push(entry);
+    }
+    return offered;
+}
+
+/**
+ * Check a user's choice of image for a container
+ * @param {Object} user - req.user
+ * @param {string} [name] - Catalog entry; the default image when omitted
+ * @param {Object} [placement] - { preset, target_node }
+ * @returns {Promise<Object>} The entry
+ * @throws {ImageCatalogError}
+ */
+async function choose(user, name, placement = {}) {
+    const entry = await get(name);
+    if (!entry) throw new ImageCatalogError(`Unknown image: ${name}`, 404);
+    const reason = await refusal(user, entry, placement);
+    if (reason) throw new ImageCatalogError(reason, 403);
+    return entry;
+}
+
+/**
+ * Image reference for an entry. A GPU container whose entry has no GPU variant gets the default
+ * GPU image: the entry's own image has no CUDA userspace, so the GPU would be unusable in it.
+ */
+function referenceOf(entry, gpu = false) {
+    if (!gpu) return entry.image;
+    if (entry.gpu_image) return entry.gpu_image;
+    const fallback = defaultEntry().gpu_image;
+    if (fallback && entry.name !== DEFAULT) {
+        console.warn(`[image-catalog] ${entry.name} has no GPU image; using the default GPU image ${fallback}`);
+    }
+    return fallback || entry.image;
+}
+
+/**
+ * The entry a container runs, from its recorded choice
+ * @param {string} containerKey - See services/workspaces.js
+ * @returns {Promise<Object>} The default image's entry without a (still existing) choice
+ */
+async function entryFor(containerKey) {
+    const db = await getDb();
+    const row = await db.get('SELECT catalog_image FROM container_configs WHERE username = ?', [containerKey]);
+    if (!row?.catalog_image) return defaultEntry();
+    const entry = await get(row.catalog_image);
+    if (!entry) console.warn(`[image-catalog] ${containerKey} chose ${row.catalog_image}, which is gone; using the default image`);
+    return entry || defaultEntry();
+}
+
+module.exports = {
+    DEFAULT,
+    ImageCatalogError,
+    list,
+    get,
+    create,
+    update,
+    remove,
+    listFor,
+    choose,
+    referenceOf,
+    entryFor
+};
@@ -0,0 +1,209 @@
+// services/impersonation.js - Admin "view as student" sessions
+// An admin holding the `impersonate` permission can take on a user's claims for a limited time
+// to see the dashboard as they do. The state lives in the admin's own express session; index.js
+// swaps req.user for the target's claims, which carry `act` (RFC 8693 actor) and `impersonator`
+// into any token minted from them.
+// Credential-minting endpoints are always refused and destructive ones are refused unless
+// IMPERSONATION_ALLOW_DESTRUCTIVE=true. Every start, stop and refused request is recorded.
+
+const crypto = require('crypto');
+const { getDb } = require('../db');
+const authz = require('./authz');
+const users = require('./users');
+
+const DEFAULT_MINUTES = parseInt(process.env.IMPERSONATION_MINUTES || '30', 10);
+const MAX_MINUTES = 240;
+const ALLOW_DESTRUCTIVE = process.env.IMPERSONATION_ALLOW_DESTRUCTIVE === 'true';
+const ANY = null;
+const WRITES = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Never while impersonating: these would hand the admin the user's credentials or sign-in
+const ALWAYS_BLOCKED = [
+    { methods: ['POST'], pattern: /^\/token$/, label: 'issue an access token' },
+    { methods: ANY, pattern: /^\/(authorize|oauth\/|device)/, label: 'sign in to an app' },
+    { methods: ['GET'], pattern: /^\/dashboard\/api\/containers\/ssh-key$/, label: 'download the SSH private key' },
+    { methods: WRITES, pattern: /^\/dashboard\/api\/(tokens|clients|sessions)(\/|$)/, label: 'change tokens, apps or sessions' },
+    {
+        methods: ['POST'],
+        pattern: /^\/dashboard\/api\/(webui\/(create-account|change-password)|n8n\/(create-user|change-password))$/,
+        label: 'set the OpenWebUI or n8n password'
+    }
+];
+
+// Blocked by default: they destroy the user's data or act inside their container
+const DESTRUCTIVE = [
+    { methods: ['DELETE'], pattern: /^\/dashboard\/api\/containers\/destroy$/, label: 'destroy the container' },
+    { methods: ['POST'], pattern: /^\/dashboard\/api\/containers\/wipe$/, label: 'wipe the container' },
+    { methods: ['DELETE'], pattern: /^\/dashboard\/api\/containers\/workspaces\//, label: 'delete a workspace' },
+    { methods: ['DELETE'], pattern: /^\/dashboard\/api\/containers\/snapshots\//, label: 'delete a snapshot' },
+    { methods: ['POST'], pattern: /^\/dashboard\/api\/containers\/snapshots\/[^/]+\/rollback$/, label: 'roll the volume back' },
+    { methods: ['POST'], pattern: /^\/dashboard\/api\/containers\/import$/, label: 'replace the home directory' },
+    { methods: ['GET'], pattern: /^\/dashboard\/api\/containers\/export$/, label: 'download all files' },
+    { methods: ['POST'], pattern: /^\/dashboard\/api\/containers\/ssh-key\/regenerate$/, label: 'regenerate the SSH key' },
+    { methods: ['DELETE'], pattern: /^\/dashboard\/api\/containers\/routes\//, label: 'delete a route' },
+    { methods: ['POST'], pattern: /^\/dashboard\/api\/containers\/migrate$/, label: 'migrate the container' },
+    { methods: ['POST'], pattern: /^\/dashboard\/api\/containers\/image$/, label: 'switch the container image' },
+    { methods: ANY, pattern: /^\/dashboard\/ws\/containers\//, label: 'open a terminal' }
+];
+
+/**
+ * Error raised when an impersonation can't start; message is safe to show to the admin
+ */
+class ImpersonationError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+async function record(state, event, { detail = null, ip = null } = {}) {
+    try {
+        const db = await getDb();
+        await db.run(
+            `INSERT INTO impersonation_events (impersonation_id, admin_email, target_email, event, reason, detail, ip_address)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [state.id, state.act.email, state.claims.email, event, state.reason, detail, ip]
+        );
+    } catch (e) {
+        console.error('[impersonation] Could not record event:', e.message);
+    }
+}
+
+/**
+ * Claims to present for a user: their most recent login, else a minimal set from the email
+ */
+async function loadClaims(user) {
+    const value = String(user || '').trim().toLowerCase();
+    if (!value) throw new ImpersonationError('user is required (username or email)');
+
+    const account = await users.find(value);
+    if (account) {
+        const db = await getDb();
+        const row = await db.get(
+            'SELECT claims FROM refresh_tokens WHERE username = ? ORDER BY created_at DESC, id DESC LIMIT 1',
+            [account.username]
+        );
+        if (row) {
+            try {
+                const { sid: _sid, jti: _jti, client_id: _clientId, saml: _saml, ...claims } = JSON.parse(row.claims);
+                return { ...claims, username: account.username };
+            } catch (_e) { /* fall through */ }
+        }
+    }
+    const email = account?.email || (value.includes('@') ? value : null);
+    if (!email) {
+        throw new ImpersonationError(`${value} has no recent login; give their full email address instead`, 404);
+    }
+    return {
+        sub: email, email, name: email,
+        given_name: email.split('@')[0], family_name: '', display_name: email,
+        affiliation: '', groups: [], roles: [], amr: [],
+        username: account?.username || await users.usernameFor({ email })
+    };
+}
+
+/**
+ * Begin impersonating a user. The caller stores the returned state in req.session.impersonation.
+ * @param {Object} admin - req.user of the admin
+ * @param {Object} input - { user (username or email), reason, minutes? }
+ * @param {Object} [context] - { ip }
+ * @throws {ImpersonationError}
+ */
+async function start(admin, { user, reason, minutes } = {}, context = {}) {
+    if (!(await authz.can(admin, 'impersonate'))) throw new ImpersonationError('Not allowed to impersonate', 403);
+
+    const why = String(reason || '').trim();
+    if (why.length < 5 || why.length > 500) {
+        throw new ImpersonationError('reason is required (5-500 characters); it is kept in the audit log');
+    }
+    const duration = minutes === undefined ? DEFAULT_MINUTES : parseInt(minutes, 10);
+    if (!Number.isInteger(duration) || duration < 1 || duration > MAX_MINUTES) {
+        throw new ImpersonationError(`minutes must be between 1 and ${MAX_MINUTES}`);
+    }
+
+    const target = await loadClaims(user);
+    const adminEmail = String(admin.email).toLowerCase();
+    if (target.email.toLowerCase() === adminEmail) throw new ImpersonationError('You cannot impersonate yourself');
+    // Staff who can impersonate can't be impersonated, so this never chains into more access
+    if (await authz.can(target, 'impersonate')) throw new ImpersonationError('Admins cannot be impersonated', 403);
+
+    const now = Date.now();
+    const state = {
+        id: crypto.randomUUID(),
+        reason: why,
+        started_at: new Date(now).toISOString(),
+        expires_at: new Date(now + duration * 60 * 1000).toISOString(),
+        act: { sub: admin.sub || adminEmail, email: adminEmail, sid: admin.sid || null },
+        claims: {
+            ...target,
+            sid: null,
+            act: { sub: admin.sub || adminEmail, email: adminEmail },
+            impersonator: adminEmail
+        }
+    };
+    await record(state, 'start', { detail: `${duration} minutes`, ip: context.ip });
+    console.warn(`[impersonation] ${adminEmail} is now viewing as ${target.email} until ${state.expires_at} (${why})`);
+    return state;
+}
+
+/**
+ * End an impersonation
+ * @param {Object} state - req.session.impersonation
+ * @param {Object} [context] - { cause: 'stopped'|'expired'|'logout', ip }
+ */
+async function stop(state, { cause = 'stopped', ip = null } = {}) {
+    await record(state, 'stop', { detail: cause, ip });
+    console.log(`[impersonation] ${state.act.email} stopped viewing as ${state.claims.email} (${cause})`);
+}
+
+function isExpired(state) {
+    return !state?.expires_at || Date.parse(state.expires_at) <= Date.now();
+}
+
+/**
+ * Why a request is refused while impersonating, or null when it may go through
+ * @param {string} method
+ * @param {string} path - req.path at the app level
+ */
+function blockedAction(method, path) {
+    // Express routes case-insensitively and ignores a trailing slash, so /Token/ reaches /token
+    const normalized = String(path).toLowerCase().replace(/\/+$/, '');
+    const rules = ALLOW_DESTRUCTIVE ? ALWAYS_BLOCKED : [...ALWAYS_BLOCKED, ...DESTRUCTIVE];
+    const rule = rules.find(r => (!r.methods || r.methods.includes(method)) && r.pattern.test(normalized));
+    return rule ? rule.label : null;
+}
+
+/**
+ * Record a refused request
+ */
+async function recordBlocked(state, method, path, ip) {
+    console.warn(`[impersonation] Blocked ${method} ${path} for ${state.act.email} as ${state.claims.email}`);
+    await record(state, 'blocked', { detail: `${method} ${path}`, ip });
+}
+
+/**
+ * Audit trail, newest first
+ * @param {Object} [filter] - { admin, target, limit }
+ */
+async function listEvents({ admin, target, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (admin) { where.push('admin_email = ?'); params.push(String(admin).toLowerCase()); }
+    if (target) { where.push('target_email = ?'); params.push(String(target).toLowerCase()); }
+    const db = await getDb();
+    return db.all(
+        `SELECT * FROM impersonation_events ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY created_at DESC, id DESC LIMIT ?`,
+        [...params, Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000)]
+    );
+}
+
+module.exports = {
+    ImpersonationError,
+    start,
+    stop,
+    isExpired,
+    blockedAction,
+    recordBlocked,
+    listEvents
+};
@@ -0,0 +1,306 @@
+// services/jwt-keys.js - JWT signing key ring with scheduled rotation
+// Keeps every public key that may still have live tokens in the JWKS, selects keys by `kid`.
+// A rotated-in key is published JWT_KEY_PUBLISH_LEAD_SECONDS before it signs anything, so apps
+// holding a cached JWKS (JWKS_CACHE_SECONDS) already know it when its first token arrives.
+// Replicas sharing JWT_KEYS_DIR pick up each other's rotations from the manifest.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Key ring directory - PEM files + manifest (mount on the data PVC so keys survive restarts)
+const JWT_KEYS_DIR = process.env.JWT_KEYS_DIR || path.join(__dirname, '..', 'data', 'jwt-keys');
+const MANIFEST_FILE = path.join(JWT_KEYS_DIR, 'keys.json');
+
+// Rotate the active signing key after this many days (0 disables scheduled rotation)
+const ROTATION_DAYS = parseInt(process.env.JWT_KEY_ROTATION_DAYS || '30', 10);
+const CHECK_INTERVAL_MS = 60 * 60 * 1000; // Check every hour
+// How long apps may cache /.well-known/jwks.json (index.js sends it as max-age)
+const JWKS_CACHE_SECONDS = 300;
+const PUBLISH_LEAD_SECONDS = Math.max(
+    parseInt(process.env.JWT_KEY_PUBLISH_LEAD_SECONDS || String(2 * JWKS_CACHE_SECONDS), 10) || 0,
+    JWKS_CACHE_SECONDS
+);
+// A token with an unknown kid re-reads the manifest at most this often (it may be forged)
+const RELOAD_THROTTLE_MS = 10 * 1000;
+
+// Legacy single-key config (imported into the ring so existing tokens stay valid)
+const LEGACY_KEY_ID = process.env.JWT_KEY_ID || 'hydra-key-1';
+const LEGACY_PRIVATE_KEY_FILE = process.env.JWT_PRIVATE_KEY_FILE || null;
+
+let ring = [];              // [{ kid, privateKeyPem, publicKeyPem, jwk, createdAt, activatesAt, retiredAt }]
+let maxTokenLifetimeSec = 900;
+let persistent = true;
+let checkInterval = null;
+let loadedManifestMtime = 0;
+let lastReloadAt = 0;
+
+/**
+ * Build a key ring entry from a private key PEM
+ */
+function buildEntry(kid, privateKeyPem, createdAt, retiredAt = null, activatesAt = createdAt) {
+    const privateKey = crypto.createPrivateKey(privateKeyPem);
+    const publicKey = crypto.createPublicKey(privateKey);
+    let jwk = null;
+    try {
+        jwk = { ...publicKey.export({ format: 'jwk' }), use: 'sig', kid, alg: 'RS256' };
+    } catch {
+        jwk = null;
+    }
+    return {
+        kid,
+        privateKeyPem,
+        publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+        jwk,
+        createdAt,
+        activatesAt,
+        retiredAt
+    };
+}
+
+function newKeyId() {
+    const day = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+    return `hydra-${day}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+function keyFile(kid) {
+    return path.join(JWT_KEYS_DIR, `${kid}.pem`);
+}
+
+/**
+ * Write the manifest and any PEM files not yet on disk
+ */
+function persist() {
+    if (!persistent) return;
+    fs.mkdirSync(JWT_KEYS_DIR, { recursive: true, mode: 0o700 });
+    for (const entry of ring) {
+        if (!fs.existsSync(keyFile(entry.kid))) {
+            fs.writeFileSync(keyFile(entry.kid), entry.privateKeyPem, { mode: 0o600 });
+        }
+    }
+    const manifest = ring.map(e => ({ kid: e.kid, created_at: e.createdAt, activates_at: e.activatesAt, retired_at: e.retiredAt }));
+    const tmp = `${MANIFEST_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ keys: manifest }, null, 2), { mode: 0o600 });
+    fs.renameSync(tmp, MANIFEST_FILE);
+    loadedManifestMtime = fs.statSync(MANIFEST_FILE).mtimeMs;
+}
+
+/**
+ * Read the key ring from disk (returns [] if there is no manifest yet)
+ */
+function readRing() {
+    if (!fs.existsSync(MANIFEST_FILE)) return [];
+    const mtime = fs.statSync(MANIFEST_FILE).mtimeMs;
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8'));
+    loadedManifestMtime = mtime;
+    const entries = [];
+    for (const k of manifest.keys || []) {
+        try {
+            const pem = fs.readFileSync(keyFile(k.kid), 'utf8');
+            entries.push(buildEntry(k.kid, pem, k.created_at, k.retired_at || null, k.activates_at || k.created_at));
+        } catch (e) {
+            console.warn(`[jwt-keys] Skipping key ${k.kid}:`, e.message);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Re-read the ring if another replica changed the manifest since it was loaded
+ * @returns {boolean} Whether the ring was reloaded
+ */
+function syncFromDisk() {
+    if (!persistent) return false;
+    try {
+        if (!fs.existsSync(MANIFEST_FILE) || fs.statSync(MANIFEST_FILE).mtimeMs === loadedManifestMtime) return false;
+        const onDisk = readRing();
+        if (onDisk.length === 0) return false;
+        ring = onDisk;
+        return true;
+    } catch (e) {
+        console.warn('[jwt-keys] Could not reload the key ring:', e.message);
+        return false;
+    }
+}
+
+/**
+ * Generate a new signing key and persist the ring. The new key is published right away but only
+ * takes over signing (and the current key retires) after PUBLISH_LEAD_SECONDS.
+ * @param {Object} [options]
+ * @param {boolean} [options.immediate] - Sign with it right away (no key yet, or a leaked key)
+ * @returns {string} The new kid
+ */
+function rotate({ immediate = false } = {}) {
+    const now = new Date().toISOString();
+    const activatesAt = immediate ? now : new Date(Date.now() + PUBLISH_LEAD_SECONDS * 1000).toISOString();
+    for (const entry of ring) {
+        if (!entry.retiredAt || Date.parse(entry.retiredAt) > Date.parse(activatesAt)) entry.retiredAt = activatesAt;
+    }
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const entry = buildEntry(newKeyId(), privateKey.export({ type: 'pkcs8', format: 'pem' }), now, null, activatesAt);
+    ring.push(entry);
+    pruneExpired();
+    persist();
+    console.log(`[jwt-keys] Rotated signing key, new kid: ${entry.kid}${immediate ? '' : ` (signs from ${activatesAt})`}`);
+    return entry.kid;
+}
+
+/**
+ * Drop retired keys once every token they signed has expired
+ */
+function pruneExpired() {
+    // A retiredAt in the future (the next key isn't signing yet) is always kept
+    const cutoff = Date.now() - maxTokenLifetimeSec * 1000;
+    const keep = ring.filter(e => !e.retiredAt || Date.parse(e.retiredAt) > cutoff);
+    const dropped = ring.filter(e => !keep.includes(e));
+    ring = keep;
+    for (const entry of dropped) {
+        if (persistent) {
+            try { fs.unlinkSync(keyFile(entry.kid)); } catch { }
+        }
+        console.log(`[jwt-keys] Removed expired key ${entry.kid}`);
+    }
+    return dropped.length;
+}
+
+/**
+ * Load (or create) the key ring. Synchronous so index.js can sign tokens right after boot.
+ * @param {Object} options
+ * @param {number} options.maxTokenLifetimeSec - Longest lifetime of a token signed by these keys
+ */
+function initialize(options = {}) {
+    if (options.maxTokenLifetimeSec) maxTokenLifetimeSec = options.maxTokenLifetimeSec;
+
+    try {
+        fs.mkdirSync(JWT_KEYS_DIR, { recursive: true, mode: 0o700 });
+        ring = readRing();
+    } catch (e) {
+        persistent = false;
+        ring = [];
+        console.warn(`[jwt-keys] Key directory ${JWT_KEYS_DIR} unusable (${e.message}) — keys will not survive restart`);
+    }
+
+    // Import the legacy static key so tokens signed with it keep validating
+    if (LEGACY_PRIVATE_KEY_FILE && !ring.some(e => e.kid === LEGACY_KEY_ID)) {
+        const pem = fs.readFileSync(LEGACY_PRIVATE_KEY_FILE, 'utf8');
+        const active = getSigningKey();
+        const entry = buildEntry(LEGACY_KEY_ID, pem, new Date().toISOString(), active ? new Date().toISOString() : null);
+        ring.unshift(entry);
+        console.log(`[jwt-keys] Imported static key ${LEGACY_KEY_ID} from JWT_PRIVATE_KEY_FILE`);
+    }
+
+    if (!getSigningKey()) {
+        rotate({ immediate: true });
+    } else {
+        pruneExpired();
+        persist();
+    }
+
+    if (!persistent) {
+        console.warn('[jwt-keys] Using ephemeral RSA key pair — set JWT_KEYS_DIR to a writable volume for prod.');
+    }
+    console.log(`[jwt-keys] Key ring loaded: active=${getSigningKey().kid}, total=${ring.length}`);
+}
+
+/**
+ * Get the key used to sign new tokens: the newest one that has activated and not yet retired
+ * @returns {{ kid: string, privateKeyPem: string }}
+ */
+function getSigningKey() {
+    const now = Date.now();
+    const active = ring.filter(e => Date.parse(e.activatesAt || e.createdAt) <= now
+        && (!e.retiredAt || Date.parse(e.retiredAt) > now));
+    return active[active.length - 1];
+}
+
+/**
+ * Get the public key PEM for a `kid` (null if unknown or pruned). An unknown kid may have been
+ * rotated in by another replica, so the manifest is checked before giving up.
+ */
+function getPublicKey(kid) {
+    let entry = ring.find(e => e.kid === kid);
+    if (!entry && Date.now() - lastReloadAt > RELOAD_THROTTLE_MS) {
+        lastReloadAt = Date.now();
+        if (syncFromDisk()) entry = ring.find(e => e.kid === kid);
+    }
+    return entry ? entry.publicKeyPem : null;
+}
+
+/**
+ * JWKS document with every key that may still have live tokens, including one about to sign
+ */
+function getJwks() {
+    syncFromDisk();
+    return { keys: ring.map(e => e.jwk).filter(Boolean) };
+}
+
+/**
+ * Summary for admin tooling (no key material)
+ */
+function listKeys() {
+    const signingKid = getSigningKey()?.kid;
+    return ring.map(e => ({
+        kid: e.kid,
+        created_at: e.createdAt,
+        activates_at: e.activatesAt,
+        retired_at: e.retiredAt,
+        signing: e.kid === signingKid
+    }));
+}
+
+/**
+ * Rotate if the active key is older than JWT_KEY_ROTATION_DAYS, and pick up
+ * rotations written by other replicas sharing the key directory
+ */
+function checkRotation() {
+    try {
+        syncFromDisk();
+        const active = getSigningKey();
+        const ageMs = Date.now() - Date.parse(active.activatesAt || active.createdAt);
+        // A key already waiting to take over means the rotation has happened
+        const pending = ring.some(e => Date.parse(e.activatesAt || e.createdAt) > Date.now());
+        if (ROTATION_DAYS > 0 && !pending && ageMs > ROTATION_DAYS * 24 * 60 * 60 * 1000) {
+            rotate();
+        } else if (pruneExpired() > 0) {
+            persist();
+        }
+    } catch (e) {
+        console.error('[jwt-keys] Rotation check failed:', e.message);
+    }
+}
+
+/**
+ * Start the periodic rotation check
+ */
+function start() {
+    if (checkInterval) {
+        console.warn('[jwt-keys] Already running');
+        return;
+    }
+    console.log(`[jwt-keys] Starting key rotation checker (rotate every ${ROTATION_DAYS || '∞'} days)`);
+    checkInterval = setInterval(checkRotation, CHECK_INTERVAL_MS);
+    checkInterval.unref?.();
+}
+
+/**
+ * Stop the periodic rotation check
+ */
+function stop() {
+    if (checkInterval) {
+        clearInterval(checkInterval);
+        checkInterval = null;
+        console.log('[jwt-keys] Stopped');
+    }
+}
+
+module.exports = {
+    JWKS_CACHE_SECONDS,
+    initialize,
+    start,
+    stop,
+    rotate,
+    getSigningKey,
+    getPublicKey,
+    getJwks,
+    listKeys
+};
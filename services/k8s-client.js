@@ -2,8 +2,26 @@
 // Provides a unified interface for K8s operations
 
 const k8s = require('@kubernetes/client-node');
+const stream = require('stream');
 const runtimeConfig = require('../config/runtime');
 
+// Exec stdin is sent as fast as it is read; hold the source back above this many queued bytes
+const EXEC_STDIN_BUFFER = 8 * 1024 * 1024;
+
+function forwardInput(source, input, ws) {
+  source.on('data', (chunk) => {
+    input.write(chunk);
+    if (ws.bufferedAmount <= EXEC_STDIN_BUFFER) return;
+    source.pause();
+    const wait = setInterval(() => {
+      if (ws.bufferedAmount > EXEC_STDIN_BUFFER / 2 && ws.readyState === ws.OPEN) return;
+      clearInterval(wait);
+      source.resume();
+    }, 50);
+  });
+  ws.on('close', () => source.destroy());
+}
+
 class K8sClient {
   constructor() {
     this.kc = new k8s.KubeConfig();
@@ -146,6 +164,45 @@ class K8sClient {
     return response.body;
   }
 
+  // ==================== EXEC OPERATIONS ====================
+
+  // Run a command in a pod's container without a TTY. Resolves with the command's V1Status
+  // ({ status: 'Success' }, or 'Failure' with a message) once it exits.
+  // The connection is paused while `stdout` is full and closed if `stdout` closes early.
+  // `stdin` is forwarded but never closed: the exec protocol can't close stdin without ending the
+  // whole connection, so the command must stop reading by itself (e.g. `head -c <bytes>`).
+  async execInPod(name, namespace, container, command, { stdout = null, stderr = null, stdin = null } = {}) {
+    this.init();
+    const exec = new k8s.Exec(this.kc);
+    let conn = null;
+    let status = null;
+
+    const output = stdout && new stream.Writable({
+      write(chunk, encoding, callback) {
+        if (stdout.write(chunk) || !conn) return callback();
+        conn.pause();
+        stdout.once('drain', () => {
+          conn.resume();
+          callback();
+        });
+      }
+    });
+    const input = stdin && new stream.PassThrough();
+
+    return new Promise((resolve, reject) => {
+      exec.exec(namespace, name, container, command, output, stderr, input, false, (s) => { status = s; })
+        .then((ws) => {
+          conn = ws;
+          ws.on('close', () => (status
+            ? resolve(status)
+            : reject(new Error(`Exec in ${name} was closed before the command finished`))));
+          if (stdout) stdout.once('close', () => ws.close());
+          if (stdin) forwardInput(stdin, input, ws);
+        })
+        .catch(reject);
+    });
+  }
+
   // ==================== PVC OPERATIONS ====================
 
   // Create a PVC
@@ -401,6 +458,58 @@ class K8sClient {
     }
   }
 
+  // ==================== VOLUME SNAPSHOT OPERATIONS ====================
+  // CSI VolumeSnapshots (snapshot.storage.k8s.io) of student PVCs
+
+  // Create a VolumeSnapshot
+  async createVolumeSnapshot(snapshotSpec) {
+    this.init();
+    const namespace = snapshotSpec.metadata?.namespace || this.namespace;
+    return await this.customApi.createNamespacedCustomObject(
+      'snapshot.storage.k8s.io',
+      'v1',
+      namespace,
+      'volumesnapshots',
+      snapshotSpec
+    );
+  }
+
+  // Get a VolumeSnapshot
+  async getVolumeSnapshot(name, namespace = this.namespace) {
+    this.init();
+    try {
+      const response = await this.customApi.getNamespacedCustomObject(
+        'snapshot.storage.k8s.io',
+        'v1',
+        namespace,
+        'volumesnapshots',
+        name
+      );
+      return response.body;
+    } catch (err) {
+      if (err.statusCode === 404) return null;
+      throw err;
+    }
+  }
+
+  // Delete a VolumeSnapshot
+  async deleteVolumeSnapshot(name, namespace = this.namespace) {
+    this.init();
+    try {
+      await this.customApi.deleteNamespacedCustomObject(
+        'snapshot.storage.k8s.io',
+        'v1',
+        namespace,
+        'volumesnapshots',
+        name
+      );
+      return true;
+    } catch (err) {
+      if (err.statusCode === 404) return false;
+      throw err;
+    }
+  }
+
   // ==================== JOB OPERATIONS ====================
   // For migration and one-off tasks
 
@@ -4,6 +4,7 @@
 const k8sClient = require('./k8s-client');
 const runtimeConfig = require('../config/runtime');
 const resourceConfig = require('../config/resources');
+const imageCatalog = require('./image-catalog');
 const crypto = require('crypto');
 const { execSync } = require('child_process');
 const fs = require('fs').promises;
@@ -52,7 +53,8 @@ function buildPodSpec(username, email, config) {
         'hydra.created-at': new Date().toISOString(),
         'hydra.owner-email': email,
         'hydra.preset': config.preset || 'conservative',
-        'hydra.target-node': config.target_node || 'hydra'
+        'hydra.target-node': config.target_node || 'hydra',
+        'hydra.image': config.image_entry?.name || imageCatalog.DEFAULT
       }
     },
     spec: {
@@ -103,7 +105,10 @@ function buildPodSpec(username, email, config) {
       ],
       containers: [{
         name: 'student',
-        image: gpuCount > 0 ? runtimeConfig.k8s.gpuStudentImage : runtimeConfig.k8s.studentImage,
+        // The container's choice from the image catalog (services/image-catalog.js)
+        image: config.image_entry
+          ? imageCatalog.referenceOf(config.image_entry, gpuCount > 0)
+          : (gpuCount > 0 ? runtimeConfig.k8s.gpuStudentImage : runtimeConfig.k8s.studentImage),
         // Use IfNotPresent - images must be imported to RKE2's containerd correctly
         imagePullPolicy: 'IfNotPresent',
         env: [
@@ -761,7 +766,8 @@ async function initContainer(username, email, config = {}) {
 
     // 4. Create pod
     console.log(`[K8s] Creating pod for ${username}`);
-    await k8sClient.createPod(buildPodSpec(username, email, config));
+    const imageEntry = await imageCatalog.entryFor(username);
+    await k8sClient.createPod(buildPodSpec(username, email, { ...config, image_entry: imageEntry }));
 
     // 5. Create service
     const existingService = await k8sClient.getService(`student-${username}`);
@@ -867,7 +873,8 @@ async function startContainer(username, email = '', containerConfig = null) {
     memory_gb: containerConfig?.memory_gb || resourceConfig.defaults.memory_gb,
     memory_mb: containerConfig?.memory_gb ? containerConfig.memory_gb * 1024 : (resourceConfig.defaults.memory_mb || resourceConfig.defaults.memory_gb * 1024),
     cpus: containerConfig?.cpus || resourceConfig.defaults.cpus,
-    gpu_count: containerConfig?.gpu_count || 0
+    gpu_count: containerConfig?.gpu_count || 0,
+    image_entry: await imageCatalog.entryFor(username)
   };
 
   console.log(`[K8s] Starting container for ${username} with config:`, {
@@ -875,7 +882,8 @@ async function startContainer(username, email = '', containerConfig = null) {
     memory_mb: config.memory_mb,
     cpus: config.cpus,
     gpu_count: config.gpu_count,
-    preset: config.preset
+    preset: config.preset,
+    image: config.image_entry.name
   });
 
   try {
@@ -1342,7 +1350,8 @@ async function migrateContainer(username, email, targetNode, config = {}) {
     preset: config.preset || 'gpu_training',
     memory_mb: config.memory_mb || (config.memory_gb ? config.memory_gb * 1024 : 8192),
     cpus: config.cpus || 4,
-    gpu_count: config.gpu_count || nodeConfig.gpuCount || 1
+    gpu_count: config.gpu_count || nodeConfig.gpuCount || 1,
+    image_entry: await imageCatalog.entryFor(username)
   };
 
   // Build pod spec
@@ -0,0 +1,280 @@
+// services/oauth-clients.js - Registry of OIDC client applications
+// Each app has its own redirect URI allowlist, allowed scopes and token audience,
+// so a token issued to one app can't be replayed against another.
+// Apps registered by students and faculty can't sign anyone in until an admin approves them,
+// and changing their redirect URIs, scopes or audience sends them back for approval.
+
+const crypto = require('crypto');
+const { getDb } = require('../db');
+const accessTokens = require('./access-tokens');
+
+const DEFAULT_AUDIENCE = process.env.JWT_AUDIENCE || 'npsites';
+const RESERVED_API_AUDIENCE = 'hydra-api'; // Dashboard API tokens from the device flow
+const MAX_CLIENTS_PER_USER = parseInt(process.env.OAUTH_CLIENTS_PER_USER || '5', 10);
+// OIDC scopes plus the dashboard API scopes (the latter only usable through the device flow)
+const ALL_SCOPES = ['openid', 'profile', 'email', 'groups', 'offline_access', ...Object.keys(accessTokens.SCOPES)];
+const AUDIENCE_PATTERN = /^[a-z0-9][a-z0-9._:/-]{2,127}$/i;
+
+/**
+ * Error raised for invalid registrations; message is safe to show to the user
+ */
+class ClientRegistryError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function newClientId() {
+    return `app-${crypto.randomBytes(8).toString('hex')}`;
+}
+
+function newSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Redirect URIs must be absolute https URLs (http only for localhost) without fragments.
+ * An app without any can only use the device flow.
+ */
+function validateRedirectUris(uris = []) {
+    if (!Array.isArray(uris)) {
+        throw new ClientRegistryError('redirect_uris must be a list');
+    }
+    return uris.map(raw => {
+        let u;
+        try {
+            u = new URL(String(raw));
+        } catch {
+            throw new ClientRegistryError(`Invalid redirect URI: ${raw}`);
+        }
+        const localhost = ['localhost', '127.0.0.1', '[::1]'].includes(u.hostname);
+        if (u.protocol !== 'https:' && !(u.protocol === 'http:' && localhost)) {
+            throw new ClientRegistryError(`Redirect URI must use https: ${raw}`);
+        }
+        if (u.hash) throw new ClientRegistryError(`Redirect URI must not contain a fragment: ${raw}`);
+        return u.toString();
+    });
+}
+
+function validateScopes(scopes) {
+    const list = Array.isArray(scopes) ? scopes : String(scopes || '').split(/\s+/).filter(Boolean);
+    const unknown = list.filter(s => !ALL_SCOPES.includes(s));
+    if (unknown.length) throw new ClientRegistryError(`Unknown scope(s): ${unknown.join(', ')}`);
+    return Array.from(new Set(['openid', ...list]));
+}
+
+async function validateAudience(audience, clientId) {
+    if (!AUDIENCE_PATTERN.test(audience)) {
+        throw new ClientRegistryError('Audience must be 3-128 characters: letters, digits, . _ : / -');
+    }
+    // Internal services (services/token-exchange.js) trust their audience to mean an exchanged
+    // token; required here because token-exchange loads oidc, which loads this module
+    const tokenExchange = require('./token-exchange');
+    if (audience === DEFAULT_AUDIENCE || audience === RESERVED_API_AUDIENCE || tokenExchange.isAudience(audience)) {
+        throw new ClientRegistryError(`Audience "${audience}" is reserved`);
+    }
+    const db = await getDb();
+    const taken = await db.get('SELECT client_id FROM oauth_clients WHERE audience = ? AND client_id != ?', [audience, clientId]);
+    if (taken) throw new ClientRegistryError('Audience is already used by another app', 409);
+    return audience;
+}
+
+/**
+ * Shape a row for API responses and the OIDC layer (secret hash kept internal)
+ */
+function toClient(row) {
+    if (!row) return null;
+    return {
+        client_id: row.client_id,
+        name: row.name,
+        owner: row.owner,
+        public: !row.client_secret_hash,
+        client_secret_hash: row.client_secret_hash,
+        redirect_uris: JSON.parse(row.redirect_uris || '[]'),
+        scopes: (row.scopes || '').split(' ').filter(Boolean),
+        audience: row.audience,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+        disabled_at: row.disabled_at,
+        approved_at: row.approved_at,
+        approved_by: row.approved_by
+    };
+}
+
+/**
+ * Public view of a client (no secret hash)
+ */
+function describe(client) {
+    if (!client) return null;
+    const { client_secret_hash: _hash, ...rest } = client;
+    return rest;
+}
+
+/**
+ * Get a client by id (including disabled ones)
+ */
+async function getClient(clientId) {
+    const db = await getDb();
+    return toClient(await db.get('SELECT * FROM oauth_clients WHERE client_id = ?', [clientId]));
+}
+
+/**
+ * List clients, optionally only those owned by a user or those awaiting approval
+ */
+async function listClients({ owner, pending = false } = {}) {
+    const conditions = [];
+    const params = [];
+    if (owner) {
+        conditions.push('owner = ?'); params.push(owner);
+    }
+    if (pending) conditions.push('approved_at IS NULL');
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const db = await getDb();
+    const rows = await db.all(`SELECT * FROM oauth_clients ${where} ORDER BY created_at DESC`, params);
+    return rows.map(toClient);
+}
+
+/**
+ * Register a client
+ * @param {Object} input - { name, owner, redirect_uris, scopes, audience, public }
+ * @param {Object} [options] - { enforceLimit, approvedBy } (admins register apps already approved)
+ * @returns {Promise<{ client: Object, client_secret: string|null }>} The secret is only ever returned here
+ * @throws {ClientRegistryError}
+ */
+async function createClient(input, { enforceLimit = true, approvedBy = null } = {}) {
+    const name = String(input.name || '').trim();
+    if (!name || name.length > 100) throw new ClientRegistryError('Name is required (max 100 characters)');
+    if (!input.owner) throw new ClientRegistryError('Owner is required');
+
+    const db = await getDb();
+    if (enforceLimit && MAX_CLIENTS_PER_USER > 0) {
+        const { count } = await db.get('SELECT COUNT(*) as count FROM oauth_clients WHERE owner = ?', [input.owner]);
+        if (count >= MAX_CLIENTS_PER_USER) {
+            throw new ClientRegistryError(`You can register at most ${MAX_CLIENTS_PER_USER} apps`, 409);
+        }
+    }
+
+    const clientId = newClientId();
+    const redirectUris = validateRedirectUris(input.redirect_uris);
+    const scopes = validateScopes(input.scopes || ['openid', 'profile', 'email']);
+    const audience = await validateAudience(String(input.audience || clientId).trim(), clientId);
+    const secret = input.public ? null : newSecret();
+
+    await db.run(
+        `INSERT INTO oauth_clients (client_id, name, owner, client_secret_hash, redirect_uris, scopes, audience, approved_at, approved_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            clientId, name, input.owner, secret ? hashSecret(secret) : null, JSON.stringify(redirectUris), scopes.join(' '), audience,
+            approvedBy ? new Date().toISOString() : null, approvedBy
+        ]
+    );
+
+    return { client: await getClient(clientId), client_secret: secret };
+}
+
+/**
+ * Update a client's name, redirect URIs, scopes, audience, disabled flag or approval
+ * @param {Object} [options] - { admin } email of the admin making the change; only admins can
+ *   set `approved`, and only their edits keep an approved app approved
+ * @throws {ClientRegistryError}
+ */
+async function updateClient(clientId, changes, { admin = null } = {}) {
+    const existing = await getClient(clientId);
+    if (!existing) throw new ClientRegistryError('App not found', 404);
+
+    const fields = [];
+    const values = [];
+    if (changes.name !== undefined) {
+        const name = String(changes.name).trim();
+        if (!name || name.length > 100) throw new ClientRegistryError('Name is required (max 100 characters)');
+        fields.push('name = ?'); values.push(name);
+    }
+    let reviewedChanged = false;
+    if (changes.redirect_uris !== undefined) {
+        const redirectUris = JSON.stringify(validateRedirectUris(changes.redirect_uris));
+        reviewedChanged = reviewedChanged || redirectUris !== JSON.stringify(existing.redirect_uris);
+        fields.push('redirect_uris = ?'); values.push(redirectUris);
+    }
+    if (changes.scopes !== undefined) {
+        const scopes = validateScopes(changes.scopes).join(' ');
+        reviewedChanged = reviewedChanged || scopes !== existing.scopes.join(' ');
+        fields.push('scopes = ?'); values.push(scopes);
+    }
+    if (changes.audience !== undefined) {
+        const audience = await validateAudience(String(changes.audience).trim(), clientId);
+        reviewedChanged = reviewedChanged || audience !== existing.audience;
+        fields.push('audience = ?'); values.push(audience);
+    }
+    if (changes.disabled !== undefined) {
+        fields.push('disabled_at = ?'); values.push(changes.disabled ? new Date().toISOString() : null);
+    }
+    if (admin && changes.approved !== undefined) {
+        fields.push('approved_at = ?', 'approved_by = ?');
+        values.push(changes.approved ? new Date().toISOString() : null, changes.approved ? admin : null);
+    } else if (!admin && existing.approved_at && reviewedChanged) {
+        // Where users are sent, what the app may ask for and who accepts its tokens is what the admin reviewed
+        fields.push('approved_at = NULL', 'approved_by = NULL');
+    }
+    if (fields.length === 0) return existing;
+
+    fields.push("updated_at = datetime('now')");
+    const db = await getDb();
+    await db.run(`UPDATE oauth_clients SET ${fields.join(', ')} WHERE client_id = ?`, [...values, clientId]);
+    return getClient(clientId);
+}
+
+/**
+ * Issue a new client secret (the old one stops working immediately)
+ * @returns {Promise<string>} The new secret
+ */
+async function rotateSecret(clientId) {
+    const existing = await getClient(clientId);
+    if (!existing) throw new ClientRegistryError('App not found', 404);
+    if (existing.public) throw new ClientRegistryError('Public apps have no secret');
+    const secret = newSecret();
+    const db = await getDb();
+    await db.run(
+        "UPDATE oauth_clients SET client_secret_hash = ?, updated_at = datetime('now') WHERE client_id = ?",
+        [hashSecret(secret), clientId]
+    );
+    return secret;
+}
+
+/**
+ * Delete a client
+ * @returns {Promise<boolean>}
+ */
+async function deleteClient(clientId) {
+    const db = await getDb();
+    const result = await db.run('DELETE FROM oauth_clients WHERE client_id = ?', [clientId]);
+    return result.changes > 0;
+}
+
+/**
+ * Check a presented secret against the stored hash
+ */
+function verifySecret(client, secret) {
+    if (!client?.client_secret_hash || !secret) return false;
+    const a = Buffer.from(hashSecret(secret));
+    const b = Buffer.from(client.client_secret_hash);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = {
+    ALL_SCOPES,
+    ClientRegistryError,
+    hashSecret,
+    getClient,
+    listClients,
+    createClient,
+    updateClient,
+    rotateSecret,
+    deleteClient,
+    verifySecret,
+    describe
+};
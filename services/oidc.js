@@ -0,0 +1,531 @@
+// services/oidc.js - OpenID Connect provider facade over the SAML login
+// Authorization code flow with PKCE and the RFC 8628 device flow: clients, codes, ID tokens
+// and scope-filtered claims.
+// The HTTP endpoints live in index.js next to /token and /check; access tokens are the
+// same RS256 JWTs as np_access, so /check and the JWKS work for OIDC clients unchanged.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { getDb } = require('../db');
+const jwtKeys = require('./jwt-keys');
+const oauthClients = require('./oauth-clients');
+const accessTokens = require('./access-tokens');
+const users = require('./users');
+
+const ISSUER = process.env.BASE_URL || 'https://hydra.newpaltz.edu';
+const CODE_TTL_SECONDS = 60;
+const ID_TOKEN_TTL_SECONDS = parseInt(process.env.OIDC_ID_TOKEN_TTL_SECONDS || '900', 10);
+
+// Claims released per scope (openid always yields sub)
+const SCOPE_CLAIMS = {
+    openid: ['sub'],
+    profile: ['name', 'given_name', 'family_name', 'preferred_username'],
+    email: ['email', 'email_verified'],
+    groups: ['groups', 'roles', 'affiliation']
+};
+const SUPPORTED_SCOPES = [...Object.keys(SCOPE_CLAIMS), 'offline_access'];
+
+// Dashboard API scopes (services/access-tokens.js). Only the device flow grants them, because
+// it always shows the user an approval screen; tokens carrying them use API_AUDIENCE.
+const API_SCOPES = Object.keys(accessTokens.SCOPES);
+const API_AUDIENCE = 'hydra-api';
+
+// RFC 8628 device authorization
+const DEVICE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:device_code';
+const DEVICE_CODE_TTL_SECONDS = 10 * 60;
+const DEVICE_POLL_INTERVAL_SECONDS = 5;
+const USER_CODE_ALPHABET = 'BCDFGHJKLMNPQRSTVWXZ'; // No vowels (no words), no look-alike digits
+
+// RFC 8693 token exchange for downstream services (services/token-exchange.js)
+const TOKEN_EXCHANGE_GRANT_TYPE = 'urn:ietf:params:oauth:grant-type:token-exchange';
+
+let cleanupInterval = null;
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+/**
+ * OAuth/OIDC protocol error; `error` is the RFC 6749 error code sent to the client
+ */
+class OidcError extends Error {
+    constructor(error, description, status = 400) {
+        super(description || error);
+        this.error = error;
+        this.description = description || error;
+        this.status = status;
+    }
+}
+
+function hash(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const ab = Buffer.from(String(a));
+    const bb = Buffer.from(String(b));
+    return ab.length === bb.length && crypto.timingSafeEqual(ab, bb);
+}
+
+/**
+ * Statically configured clients from OIDC_CLIENTS (JSON array of
+ * { client_id, client_secret?, redirect_uris[], scopes?, audience?, name? }). Clients without a
+ * secret are public and must use PKCE. Everything else lives in the registry (services/oauth-clients.js).
+ */
+function loadStaticClients() {
+    try {
+        const list = JSON.parse(process.env.OIDC_CLIENTS || '[]');
+        return new Map(list.map(c => [c.client_id, {
+            client_id: c.client_id,
+            name: c.name || c.client_id,
+            owner: null,
+            public: !c.client_secret,
+            client_secret_hash: c.client_secret ? oauthClients.hashSecret(c.client_secret) : null,
+            redirect_uris: c.redirect_uris || [],
+            scopes: c.scopes || SUPPORTED_SCOPES,
+            audience: c.audience || c.client_id
+        }]));
+    } catch (e) {
+        console.error('[oidc] OIDC_CLIENTS is not valid JSON:', e.message);
+        return new Map();
+    }
+}
+const staticClients = loadStaticClients();
+
+// Built-in public client for command-line tools (device flow only, no redirect URIs)
+if (!staticClients.has('hydra-cli')) {
+    staticClients.set('hydra-cli', {
+        client_id: 'hydra-cli',
+        name: 'Hydra command line',
+        owner: null,
+        public: true,
+        client_secret_hash: null,
+        redirect_uris: [],
+        scopes: ['openid', 'profile', 'email', 'offline_access', ...API_SCOPES],
+        audience: API_AUDIENCE
+    });
+}
+
+/**
+ * Look up an enabled, admin-approved client by id (static config first, then the registry)
+ * @returns {Promise<Object|null>}
+ */
+async function getClient(clientId) {
+    if (staticClients.has(clientId)) return staticClients.get(clientId);
+    const client = await oauthClients.getClient(clientId);
+    return client && !client.disabled_at && client.approved_at ? client : null;
+}
+
+/**
+ * Authenticate the client at the token/revocation endpoints
+ * (client_secret_basic, client_secret_post, or none for public clients)
+ * @throws {OidcError} invalid_client
+ */
+async function authenticateClient(req) {
+    let clientId = req.body?.client_id;
+    let secret = req.body?.client_secret;
+
+    const hdr = req.headers.authorization || '';
+    if (hdr.startsWith('Basic ')) {
+        const decoded = Buffer.from(hdr.slice(6), 'base64').toString('utf8');
+        const idx = decoded.indexOf(':');
+        clientId = decodeURIComponent(decoded.slice(0, idx));
+        secret = decodeURIComponent(decoded.slice(idx + 1));
+    }
+
+    const client = clientId ? await getClient(clientId) : null;
+    if (!client) throw new OidcError('invalid_client', 'Unknown client', 401);
+    if (!client.public && !oauthClients.verifySecret(client, secret)) {
+        throw new OidcError('invalid_client', 'Client authentication failed', 401);
+    }
+    return client;
+}
+
+/**
+ * Validate an authorization request.
+ * Errors about client_id/redirect_uri must be shown to the user (never redirected);
+ * everything else is reported back to the validated redirect_uri.
+ * @returns {Promise<Object>} { client, redirectUri, scope, state, nonce, codeChallenge, codeChallengeMethod, prompt }
+ * @throws {OidcError} with `redirectUri` set when the error may be redirected
+ */
+async function validateAuthorizeRequest(params) {
+    const client = params.client_id ? await getClient(String(params.client_id)) : null;
+    if (!client) throw new OidcError('invalid_client', 'Unknown client_id');
+
+    const redirectUri = String(params.redirect_uri || '');
+    if (!client.redirect_uris.includes(redirectUri)) {
+        throw new OidcError('invalid_request', 'redirect_uri is not registered for this client');
+    }
+
+    const fail = (error, description) => {
+        const err = new OidcError(error, description);
+        err.redirectUri = redirectUri;
+        err.state = params.state;
+        return err;
+    };
+
+    if (params.response_type !== 'code') {
+        throw fail('unsupported_response_type', 'Only response_type=code is supported');
+    }
+
+    const scopes = String(params.scope || '').split(/\s+/).filter(Boolean);
+    if (!scopes.includes('openid')) throw fail('invalid_scope', 'The openid scope is required');
+    // Scopes the app wasn't registered for are dropped rather than rejected
+    const scope = scopes.filter(s => SUPPORTED_SCOPES.includes(s) && (s === 'openid' || client.scopes.includes(s))).join(' ');
+
+    const codeChallenge = params.code_challenge ? String(params.code_challenge) : null;
+    const codeChallengeMethod = codeChallenge ? String(params.code_challenge_method || 'plain') : null;
+    if (codeChallenge && codeChallengeMethod !== 'S256') {
+        throw fail('invalid_request', 'code_challenge_method must be S256');
+    }
+    if (client.public && !codeChallenge) {
+        throw fail('invalid_request', 'Public clients must use PKCE');
+    }
+
+    return {
+        client,
+        redirectUri,
+        scope,
+        state: params.state,
+        nonce: params.nonce ? String(params.nonce) : null,
+        codeChallenge,
+        codeChallengeMethod,
+        prompt: String(params.prompt || '')
+    };
+}
+
+/**
+ * Build the redirect back to the client with the given query parameters
+ */
+function buildRedirect(redirectUri, params) {
+    const url = new URL(redirectUri);
+    for (const [k, v] of Object.entries(params)) {
+        if (v !== undefined && v !== null) url.searchParams.set(k, v);
+    }
+    return url.toString();
+}
+
+/**
+ * Issue a single-use authorization code
+ * @returns {Promise<string>} The raw code
+ */
+async function createCode({ clientId, redirectUri, claims, scope, nonce, codeChallenge, codeChallengeMethod }) {
+    const code = crypto.randomBytes(32).toString('base64url');
+    const db = await getDb();
+    await db.run(
+        `INSERT INTO oauth_codes
+         (code_hash, client_id, redirect_uri, claims, scope, nonce, code_challenge, code_challenge_method, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            hash(code), clientId, redirectUri, JSON.stringify(claims), scope, nonce || null,
+            codeChallenge || null, codeChallengeMethod || null,
+            new Date(Date.now() + CODE_TTL_SECONDS * 1000).toISOString()
+        ]
+    );
+    return code;
+}
+
+/**
+ * Redeem an authorization code (single use)
+ * @returns {Promise<{ claims: Object, scope: string, nonce: string|null }>}
+ * @throws {OidcError} invalid_grant
+ */
+async function consumeCode(code, { clientId, redirectUri, codeVerifier }) {
+    if (!code) throw new OidcError('invalid_request', 'Missing code');
+    const db = await getDb();
+    const row = await db.get('SELECT * FROM oauth_codes WHERE code_hash = ?', [hash(code)]);
+    if (!row) throw new OidcError('invalid_grant', 'Unknown authorization code');
+
+    const claimed = await db.run(
+        'UPDATE oauth_codes SET used_at = ? WHERE code_hash = ? AND used_at IS NULL',
+        [new Date().toISOString(), row.code_hash]
+    );
+    if (claimed.changes === 0) throw new OidcError('invalid_grant', 'Authorization code already used');
+    if (Date.parse(row.expires_at) <= Date.now()) throw new OidcError('invalid_grant', 'Authorization code expired');
+    if (row.client_id !== clientId) throw new OidcError('invalid_grant', 'Code was issued to another client');
+    if (row.redirect_uri !== redirectUri) throw new OidcError('invalid_grant', 'redirect_uri does not match');
+
+    if (row.code_challenge) {
+        if (!codeVerifier) throw new OidcError('invalid_grant', 'Missing code_verifier');
+        const computed = crypto.createHash('sha256').update(String(codeVerifier)).digest('base64url');
+        if (!safeEqual(computed, row.code_challenge)) throw new OidcError('invalid_grant', 'PKCE verification failed');
+    }
+
+    return {
+        claims: JSON.parse(row.claims),
+        scope: row.scope,
+        nonce: row.nonce
+    };
+}
+
+/**
+ * Claims a client may see for the granted scope
+ * @param {Object} claims - User claims (collectUserFromSaml shape)
+ * @param {string} scope - Space-separated granted scopes
+ */
+function claimsForScope(claims, scope) {
+    const source = {
+        sub: claims.sub,
+        name: claims.display_name || claims.name,
+        given_name: claims.given_name,
+        family_name: claims.family_name,
+        preferred_username: claims.username,
+        email: claims.email,
+        email_verified: !!claims.email,
+        groups: claims.groups || [],
+        roles: claims.roles || [],
+        affiliation: claims.affiliation || ''
+    };
+    const out = {};
+    for (const s of String(scope || '').split(/\s+/)) {
+        for (const key of SCOPE_CLAIMS[s] || []) out[key] = source[key];
+    }
+    return out;
+}
+
+/**
+ * Sign an ID token for a client
+ * @param {Object} claims - User claims
+ * @param {Object} options - { clientId, scope, nonce, accessToken }
+ */
+function signIdToken(claims, { clientId, scope, nonce, accessToken }) {
+    const payload = {
+        ...claimsForScope(claims, scope),
+        sid: claims.sid,
+        auth_time: claims.auth_time,
+        amr: claims.amr && claims.amr.length ? claims.amr : undefined
+    };
+    if (nonce) payload.nonce = nonce;
+    if (accessToken) {
+        // at_hash: left half of the SHA-256 of the access token
+        const digest = crypto.createHash('sha256').update(accessToken).digest();
+        payload.at_hash = digest.subarray(0, digest.length / 2).toString('base64url');
+    }
+    delete payload.sub;
+
+    const { kid, privateKeyPem } = jwtKeys.getSigningKey();
+    return jwt.sign(payload, privateKeyPem, {
+        algorithm: 'RS256',
+        keyid: kid,
+        subject: claims.sub,
+        issuer: ISSUER,
+        audience: clientId,
+        expiresIn: ID_TOKEN_TTL_SECONDS
+    });
+}
+
+/**
+ * Whether a granted scope string includes any dashboard API scope
+ */
+function hasApiScope(scope) {
+    return String(scope || '').split(' ').some(s => API_SCOPES.includes(s));
+}
+
+function newUserCode() {
+    const bytes = crypto.randomBytes(8);
+    const chars = Array.from(bytes, b => USER_CODE_ALPHABET[b % USER_CODE_ALPHABET.length]).join('');
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+/**
+ * Normalize what the user typed (case, spaces, missing dash) to the stored XXXX-XXXX form
+ */
+function normalizeUserCode(input) {
+    const chars = String(input || '').toUpperCase().replace(/[^A-Z]/g, '');
+    return chars.length === 8 ? `${chars.slice(0, 4)}-${chars.slice(4)}` : null;
+}
+
+/**
+ * Start a device authorization (RFC 8628 section 3.1)
+ * @param {Object} client - Authenticated client
+ * @param {string} requestedScope - Space-separated scopes; ones the client isn't registered for are dropped
+ * @returns {Promise<Object>} The device authorization response body
+ */
+async function createDeviceAuthorization(client, requestedScope) {
+    const allowed = [...SUPPORTED_SCOPES, ...API_SCOPES];
+    const scope = String(requestedScope || '').split(/\s+/)
+        .filter(s => allowed.includes(s) && client.scopes.includes(s))
+        .join(' ');
+    if (!scope) throw new OidcError('invalid_scope', 'None of the requested scopes are allowed for this client');
+
+    const deviceCode = crypto.randomBytes(32).toString('base64url');
+    const db = await getDb();
+    let userCode;
+    for (let attempt = 0; attempt < 5; attempt++) {
+        userCode = newUserCode();
+        const clash = await db.get('SELECT 1 FROM oauth_device_codes WHERE user_code = ?', [userCode]);
+        if (!clash) break;
+    }
+
+    await db.run(
+        `INSERT INTO oauth_device_codes (device_code_hash, user_code, client_id, scope, expires_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [hash(deviceCode), userCode, client.client_id, scope, new Date(Date.now() + DEVICE_CODE_TTL_SECONDS * 1000).toISOString()]
+    );
+
+    return {
+        device_code: deviceCode,
+        user_code: userCode,
+        verification_uri: `${ISSUER}/device`,
+        verification_uri_complete: `${ISSUER}/device?user_code=${encodeURIComponent(userCode)}`,
+        expires_in: DEVICE_CODE_TTL_SECONDS,
+        interval: DEVICE_POLL_INTERVAL_SECONDS
+    };
+}
+
+/**
+ * Look up a pending device authorization by the code the user typed
+ * @returns {Promise<Object|null>} { user_code, client, scope, expires_at } or null if unknown/expired/decided
+ */
+async function getPendingDevice(userCode) {
+    const code = normalizeUserCode(userCode);
+    if (!code) return null;
+    const db = await getDb();
+    const row = await db.get('SELECT * FROM oauth_device_codes WHERE user_code = ?', [code]);
+    if (!row || row.status !== 'pending' || Date.parse(row.expires_at) <= Date.now()) return null;
+    const client = await getClient(row.client_id);
+    if (!client) return null;
+    return { user_code: row.user_code, client, scope: row.scope, expires_at: row.expires_at };
+}
+
+/**
+ * Record the user's decision for a device authorization
+ * @param {string} userCode
+ * @param {Object|null} claims - The approving user's claims, or null to deny
+ * @returns {Promise<boolean>} false if the code was no longer pending
+ */
+async function decideDevice(userCode, claims) {
+    const code = normalizeUserCode(userCode);
+    if (!code) return false;
+    const db = await getDb();
+    const result = await db.run(
+        `UPDATE oauth_device_codes SET status = ?, claims = ?, username = ?, decided_at = datetime('now')
+         WHERE user_code = ? AND status = 'pending' AND expires_at > ?`,
+        [
+            claims ? 'approved' : 'denied',
+            claims ? JSON.stringify(claims) : null,
+            claims ? await users.usernameFor(claims) : null,
+            code,
+            new Date().toISOString()
+        ]
+    );
+    return result.changes > 0;
+}
+
+/**
+ * Poll for the outcome of a device authorization (RFC 8628 section 3.4/3.5)
+ * @returns {Promise<{ claims: Object, scope: string }>} once approved (the device code is then used up)
+ * @throws {OidcError} authorization_pending, slow_down, access_denied, expired_token or invalid_grant
+ */
+async function pollDeviceCode(deviceCode, clientId) {
+    if (!deviceCode) throw new OidcError('invalid_request', 'Missing device_code');
+    const db = await getDb();
+    const row = await db.get('SELECT * FROM oauth_device_codes WHERE device_code_hash = ?', [hash(deviceCode)]);
+    if (!row || row.client_id !== clientId) throw new OidcError('invalid_grant', 'Unknown device_code');
+    if (Date.parse(row.expires_at) <= Date.now()) throw new OidcError('expired_token', 'The device code has expired');
+
+    const now = Date.now();
+    const tooFast = row.last_polled_at && now - Date.parse(row.last_polled_at) < DEVICE_POLL_INTERVAL_SECONDS * 1000;
+    await db.run('UPDATE oauth_device_codes SET last_polled_at = ? WHERE device_code_hash = ?', [new Date(now).toISOString(), row.device_code_hash]);
+
+    if (row.status === 'denied') throw new OidcError('access_denied', 'The user denied the request');
+    if (row.status === 'used') throw new OidcError('invalid_grant', 'The device code was already used');
+    if (row.status === 'pending') {
+        if (tooFast) throw new OidcError('slow_down', `Poll at most every ${DEVICE_POLL_INTERVAL_SECONDS} seconds`);
+        throw new OidcError('authorization_pending', 'Waiting for the user to approve');
+    }
+
+    const claimed = await db.run(
+        "UPDATE oauth_device_codes SET status = 'used' WHERE device_code_hash = ? AND status = 'approved'",
+        [row.device_code_hash]
+    );
+    if (claimed.changes === 0) throw new OidcError('invalid_grant', 'The device code was already used');
+    return { claims: JSON.parse(row.claims), scope: row.scope };
+}
+
+/**
+ * OpenID Provider metadata (/.well-known/openid-configuration)
+ */
+function getDiscoveryDocument() {
+    return {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/oauth/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        revocation_endpoint: `${ISSUER}/revoke`,
+        device_authorization_endpoint: `${ISSUER}/oauth/device_authorization`,
+        end_session_endpoint: `${ISSUER}/logout`,
+        jwks_uri: `${ISSUER}/.well-known/jwks.json`,
+        response_types_supported: ['code'],
+        response_modes_supported: ['query'],
+        grant_types_supported: ['authorization_code', 'refresh_token', DEVICE_GRANT_TYPE, TOKEN_EXCHANGE_GRANT_TYPE],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        scopes_supported: [...SUPPORTED_SCOPES, ...API_SCOPES],
+        claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'sid', 'amr', 'at_hash',
+            ...new Set(Object.values(SCOPE_CLAIMS).flat())],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        revocation_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        code_challenge_methods_supported: ['S256']
+    };
+}
+
+/**
+ * Delete expired authorization codes
+ */
+async function cleanupExpired() {
+    try {
+        const db = await getDb();
+        const cutoff = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+        await db.run('DELETE FROM oauth_codes WHERE expires_at < ?', [cutoff]);
+        await db.run('DELETE FROM oauth_device_codes WHERE expires_at < ?', [cutoff]);
+    } catch (error) {
+        console.error('[oidc] Cleanup failed:', error.message);
+    }
+}
+
+/**
+ * Start the periodic cleanup of expired codes
+ */
+function start() {
+    if (cleanupInterval) {
+        console.warn('[oidc] Already running');
+        return;
+    }
+    console.log(`[oidc] OIDC provider ready (${staticClients.size} static client(s))`);
+    cleanupInterval = setInterval(cleanupExpired, CLEANUP_INTERVAL_MS);
+    cleanupInterval.unref?.();
+}
+
+/**
+ * Stop the periodic cleanup
+ */
+function stop() {
+    if (cleanupInterval) {
+        clearInterval(cleanupInterval);
+        cleanupInterval = null;
+    }
+}
+
+module.exports = {
+    SUPPORTED_SCOPES,
+    API_SCOPES,
+    API_AUDIENCE,
+    DEVICE_GRANT_TYPE,
+    TOKEN_EXCHANGE_GRANT_TYPE,
+    ID_TOKEN_TTL_SECONDS,
+    OidcError,
+    getClient,
+    authenticateClient,
+    validateAuthorizeRequest,
+    buildRedirect,
+    createCode,
+    consumeCode,
+    claimsForScope,
+    signIdToken,
+    hasApiScope,
+    createDeviceAuthorization,
+    getPendingDevice,
+    decideDevice,
+    pollDeviceCode,
+    getDiscoveryDocument,
+    start,
+    stop
+};
@@ -0,0 +1,245 @@
+// services/rate-limit.js - Per-route-group request budgets
+// Each group (auth_verify, container_changes, ...) allows `limit` requests per `window` seconds
+// for one caller. The caller is the first identity the group's `by` list finds on the request:
+// the signed-in user, the user a presented token verifies as, or the client IP. A token that
+// doesn't verify counts as nothing, or a new made-up token per request would get a new budget.
+// Counters are fixed windows kept in memory, so they are per process and reset on restart.
+// Responses carry RateLimit-Policy/-Limit/-Remaining/-Reset headers; over budget is a 429.
+
+const ENABLED = process.env.RATE_LIMIT_ENABLED !== 'false';
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const MAX_COUNTERS_LISTED = 200;
+
+// Defaults; RATE_LIMITS (JSON) overrides any of them, e.g. {"container_reads":{"limit":60}}
+const DEFAULT_GROUPS = {
+    // Traefik ForwardAuth runs once per request to a student site, subresources included
+    auth_verify: { limit: 1200, window: 60, by: ['token', 'ip'] },
+    token_check: { limit: 300, window: 60, by: ['token', 'ip'] },
+    token_issue: { limit: 60, window: 60, by: ['user', 'ip'] },
+    // Guest access codes and device user codes are guessable one-time secrets
+    code_entry: { limit: 10, window: 900, by: ['user', 'ip'] },
+    passwords: { limit: 10, window: 900, by: ['user', 'ip'] },
+    // Dashboard polling of /status and friends; each read is a Kubernetes API call
+    container_reads: { limit: 120, window: 60, by: ['user', 'ip'] },
+    container_changes: { limit: 30, window: 60, by: ['user', 'ip'] }
+};
+
+const GROUPS = loadGroups();
+
+const counters = new Map(); // `${group}|${key}` -> { group, key, count, resetAt }
+const totals = new Map(); // group -> { allowed, limited }
+let sweepInterval = null;
+let verifyToken = null; // (token) => payload, throws if the token doesn't verify; set by start()
+
+function loadGroups() {
+    let overrides = {};
+    try {
+        overrides = JSON.parse(process.env.RATE_LIMITS || '{}');
+    } catch (e) {
+        console.error('[rate-limit] Ignoring RATE_LIMITS, not valid JSON:', e.message);
+    }
+    const groups = {};
+    for (const name of new Set([...Object.keys(DEFAULT_GROUPS), ...Object.keys(overrides)])) {
+        const group = { ...DEFAULT_GROUPS[name], ...overrides[name] };
+        const limit = parseInt(group.limit, 10);
+        const window = parseInt(group.window, 10);
+        if (!(limit > 0) || !(window > 0)) {
+            console.error(`[rate-limit] Ignoring group ${name}: limit and window must be positive`);
+            continue;
+        }
+        groups[name] = { limit, window, by: [].concat(group.by || ['user', 'ip']) };
+    }
+    return groups;
+}
+
+function tokenOf(req) {
+    const hdr = req.headers.authorization || '';
+    return hdr.startsWith('Bearer ') ? hdr.slice(7) : req.cookies?.np_access;
+}
+
+/**
+ * The user a request's bearer token or np_access cookie verifies as, or null
+ */
+function tokenUser(req) {
+    const token = tokenOf(req);
+    if (!token || !verifyToken) return null;
+    try {
+        const payload = verifyToken(token);
+        return payload.username || payload.email || payload.sub || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Who a request counts against: `user:<name>` or `ip:<address>`
+ */
+function callerKey(req, by) {
+    for (const kind of by) {
+        if (kind === 'user') {
+            const user = req.user?.username || req.user?.email;
+            if (user) return `user:${String(user).toLowerCase()}`;
+        } else if (kind === 'token') {
+            const user = tokenUser(req);
+            if (user) return `user:${String(user).toLowerCase()}`;
+        } else if (kind === 'ip') {
+            return `ip:${req.ip || 'unknown'}`;
+        }
+    }
+    return 'ip:unknown';
+}
+
+/**
+ * Count one request against a caller's budget
+ * @param {string} group - Key of GROUPS
+ * @param {string} key - From callerKey()
+ * @returns {{ allowed: boolean, limit: number, remaining: number, resetSeconds: number, window: number }}
+ */
+function consume(group, key) {
+    const policy = GROUPS[group];
+    const now = Date.now();
+    const id = `${group}|${key}`;
+    let counter = counters.get(id);
+    if (!counter || counter.resetAt <= now) {
+        counter = { group, key, count: 0, resetAt: now + policy.window * 1000 };
+        counters.set(id, counter);
+    }
+    counter.count++;
+
+    const allowed = counter.count <= policy.limit;
+    const total = totals.get(group) || { allowed: 0, limited: 0 };
+    total[allowed ? 'allowed' : 'limited']++;
+    totals.set(group, total);
+
+    return {
+        allowed,
+        limit: policy.limit,
+        remaining: Math.max(0, policy.limit - counter.count),
+        resetSeconds: Math.max(1, Math.ceil((counter.resetAt - now) / 1000)),
+        window: policy.window
+    };
+}
+
+/**
+ * Middleware enforcing a group's budget
+ * @param {string|Function} group - Group name, or (req) => group name to pick one per request
+ */
+function limit(group) {
+    const pick = typeof group === 'function' ? group : () => group;
+    return (req, res, next) => {
+        const name = pick(req);
+        if (!ENABLED || !GROUPS[name]) return next();
+
+        const key = callerKey(req, GROUPS[name].by);
+        const result = consume(name, key);
+        res.set('RateLimit-Policy', `${result.limit};w=${result.window}`);
+        res.set('RateLimit-Limit', String(result.limit));
+        res.set('RateLimit-Remaining', String(result.remaining));
+        res.set('RateLimit-Reset', String(result.resetSeconds));
+        if (result.allowed) return next();
+
+        // Log the first rejection of each window only; a looping script would flood the log
+        if (counters.get(`${name}|${key}`).count === result.limit + 1) {
+            console.warn(`[rate-limit] ${key} is over the ${name} budget (${result.limit} per ${result.window}s) on ${req.method} ${req.originalUrl}`);
+        }
+        res.set('Retry-After', String(result.resetSeconds));
+        const message = `Too many requests. Try again in ${result.resetSeconds} seconds.`;
+        return req.accepts(['json', 'html']) === 'html'
+            ? res.status(429).render('error', { error: { title: 'Slow down', message } })
+            : res.status(429).json({ success: false, error: 'rate_limited', message, retry_after: result.resetSeconds });
+    };
+}
+
+/**
+ * Policies, totals since start and the live counters (busiest first) for the admin API
+ * @param {Object} [options]
+ * @param {string} [options.group] - Only this group's counters
+ * @param {boolean} [options.limitedOnly] - Only callers currently over budget
+ */
+function getStats({ group, limitedOnly = false } = {}) {
+    const now = Date.now();
+    const live = [...counters.values()]
+        .filter(c => c.resetAt > now && (!group || c.group === group))
+        .map(c => ({
+            group: c.group,
+            key: c.key,
+            count: c.count,
+            limit: GROUPS[c.group].limit,
+            limited: c.count > GROUPS[c.group].limit,
+            resets_at: new Date(c.resetAt).toISOString()
+        }))
+        .filter(c => !limitedOnly || c.limited)
+        .sort((a, b) => b.count / b.limit - a.count / a.limit);
+
+    return {
+        enabled: ENABLED,
+        groups: Object.entries(GROUPS).map(([name, policy]) => ({
+            name,
+            limit: policy.limit,
+            window_seconds: policy.window,
+            by: policy.by,
+            ...(totals.get(name) || { allowed: 0, limited: 0 })
+        })),
+        counters: live.slice(0, MAX_COUNTERS_LISTED),
+        total_counters: live.length
+    };
+}
+
+/**
+ * Clear a caller's counters, e.g. after fixing a script that locked a student out
+ * @param {string} key - e.g. `user:jdoe` or `ip:10.0.0.5`
+ * @param {string} [group] - Only this group; all groups when omitted
+ * @returns {number} Counters cleared
+ */
+function reset(key, group) {
+    let cleared = 0;
+    for (const [id, counter] of counters) {
+        if (counter.key === key && (!group || counter.group === group)) {
+            counters.delete(id);
+            cleared++;
+        }
+    }
+    return cleared;
+}
+
+function sweep() {
+    const now = Date.now();
+    for (const [id, counter] of counters) {
+        if (counter.resetAt <= now) counters.delete(id);
+    }
+}
+
+/**
+ * Start dropping expired counters
+ * @param {Object} [options]
+ * @param {Function} [options.verifyToken] - (token) => payload, throwing when the token is invalid,
+ *   expired or revoked; without it `token` callers fall through to the next kind in `by`
+ */
+function start(options = {}) {
+    verifyToken = options.verifyToken || null;
+    if (sweepInterval) {
+        console.warn('[rate-limit] Already running');
+        return;
+    }
+    if (!ENABLED) console.log('[rate-limit] Disabled (RATE_LIMIT_ENABLED=false)');
+    sweepInterval = setInterval(sweep, SWEEP_INTERVAL_MS);
+}
+
+/**
+ * Stop the sweep
+ */
+function stop() {
+    if (sweepInterval) {
+        clearInterval(sweepInterval);
+        sweepInterval = null;
+    }
+}
+
+module.exports = {
+    GROUPS,
+    limit,
+    getStats,
+    reset,
+    start,
+    stop
+};
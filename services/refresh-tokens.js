@@ -0,0 +1,233 @@
+// services/refresh-tokens.js - Rotating, revocable refresh tokens for the np_access cookie
+// Each refresh rotates the token; presenting an already-rotated token revokes the whole family
+
+const crypto = require('crypto');
+const { getDb } = require('../db');
+const users = require('./users');
+
+// Idle lifetime of a single refresh token, and absolute lifetime of a login (family)
+const REFRESH_TTL_SECONDS = parseInt(process.env.REFRESH_TOKEN_TTL_SECONDS || String(7 * 24 * 60 * 60), 10);
+const REFRESH_MAX_AGE_SECONDS = parseInt(process.env.REFRESH_TOKEN_MAX_AGE_SECONDS || String(30 * 24 * 60 * 60), 10);
+// Two tabs refreshing at once both present the same token; don't treat that as theft
+const REUSE_GRACE_SECONDS = parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS || '10', 10);
+
+let cleanupInterval = null;
+const CLEANUP_INTERVAL_MS = 6 * 60 * 60 * 1000; // Every 6 hours
+
+/**
+ * Error raised when a refresh token cannot be used
+ * code: 'invalid' | 'expired' | 'revoked' | 'reused' | 'concurrent'
+ */
+class RefreshTokenError extends Error {
+    constructor(code, message) {
+        super(message || code);
+        this.code = code;
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function newToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function isoIn(seconds) {
+    return new Date(Date.now() + seconds * 1000).toISOString();
+}
+
+/**
+ * Insert a token row and return the raw token (only ever seen by the client)
+ */
+async function insertToken(db, { familyId, familyExpiresAt, claims, ip, userAgent }) {
+    const token = newToken();
+    const email = claims.email || '';
+    // Logins from before the users table have no username claim; adding it here carries it
+    // into every token rotated from them
+    if (!claims.username) claims.username = await users.usernameFor(claims);
+    const username = claims.username;
+    // Never outlive the family
+    const expiresAt = new Date(Math.min(Date.now() + REFRESH_TTL_SECONDS * 1000, Date.parse(familyExpiresAt))).toISOString();
+
+    const result = await db.run(
+        `INSERT INTO refresh_tokens
+         (token_hash, family_id, username, email, claims, ip_address, user_agent, expires_at, family_expires_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [hashToken(token), familyId, username, email, JSON.stringify(claims), ip || null, userAgent || null, expiresAt, familyExpiresAt]
+    );
+
+    return { token, id: result.lastID, familyId, expiresAt };
+}
+
+/**
+ * Start a new refresh token family for a fresh login
+ * The family id is the login's session id (claims.sid) so revoking the session revokes the family.
+ * Tokens issued to OIDC clients get their own family, `<sid>:<client_id>:<random>`, so revoking one
+ * client's token leaves the browser login alone while revoking the session still reaches it.
+ * @param {Object} claims - User claims (as produced by collectUserFromSaml); client_id binds the token to an OIDC client
+ * @param {Object} [context] - { ip, userAgent }
+ * @returns {Promise<{ token: string, familyId: string, expiresAt: string }>}
+ */
+async function issue(claims, context = {}) {
+    const db = await getDb();
+    const familyId = claims.client_id
+        ? `${claims.sid || crypto.randomUUID()}:${claims.client_id}:${crypto.randomBytes(6).toString('hex')}`
+        : claims.sid || crypto.randomUUID();
+    return insertToken(db, {
+        familyId,
+        familyExpiresAt: isoIn(REFRESH_MAX_AGE_SECONDS),
+        claims,
+        ip: context.ip,
+        userAgent: context.userAgent
+    });
+}
+
+/**
+ * Exchange a refresh token for a new one in the same family
+ * @param {string} token - Raw refresh token
+ * @param {Object} [context] - { ip, userAgent, clientId } - clientId must match the client the token was issued to
+ * @returns {Promise<{ token: string, familyId: string, expiresAt: string, claims: Object }>}
+ * @throws {RefreshTokenError}
+ */
+async function rotate(token, context = {}) {
+    if (!token) throw new RefreshTokenError('invalid', 'Missing refresh token');
+
+    const db = await getDb();
+    const row = await db.get('SELECT * FROM refresh_tokens WHERE token_hash = ?', [hashToken(token)]);
+    if (!row) throw new RefreshTokenError('invalid', 'Unknown refresh token');
+
+    if (row.revoked_at) throw new RefreshTokenError('revoked', 'Refresh token revoked');
+
+    if (row.used_at) {
+        const usedAgoMs = Date.now() - Date.parse(row.used_at);
+        if (usedAgoMs <= REUSE_GRACE_SECONDS * 1000) {
+            throw new RefreshTokenError('concurrent', 'Refresh token was just rotated');
+        }
+        await revokeFamily(row.family_id, 'reuse_detected');
+        console.warn(`[refresh-tokens] Reuse detected for ${row.username} (family ${row.family_id}) — family revoked`);
+        throw new RefreshTokenError('reused', 'Refresh token reuse detected');
+    }
+
+    if (Date.parse(row.expires_at) <= Date.now()) throw new RefreshTokenError('expired', 'Refresh token expired');
+
+    const claims = JSON.parse(row.claims);
+    if ((claims.client_id || null) !== (context.clientId || null)) {
+        throw new RefreshTokenError('invalid', 'Refresh token was issued to another client');
+    }
+
+    // Claim the row first so a concurrent rotation of the same token can't also succeed
+    const claimed = await db.run(
+        `UPDATE refresh_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL AND revoked_at IS NULL`,
+        [new Date().toISOString(), row.id]
+    );
+    if (claimed.changes === 0) throw new RefreshTokenError('concurrent', 'Refresh token was just rotated');
+
+    const next = await insertToken(db, {
+        familyId: row.family_id,
+        familyExpiresAt: row.family_expires_at,
+        claims,
+        ip: context.ip,
+        userAgent: context.userAgent
+    });
+    await db.run('UPDATE refresh_tokens SET replaced_by = ? WHERE id = ?', [next.id, row.id]);
+
+    return { ...next, claims };
+}
+
+/**
+ * Revoke every token in a family (logout, reuse detection).
+ * Revoking a login's family also revokes the OIDC client families derived from it.
+ */
+async function revokeFamily(familyId, reason = 'logout') {
+    if (!familyId) return 0;
+    const db = await getDb();
+    const result = await db.run(
+        `UPDATE refresh_tokens SET revoked_at = datetime('now'), revoked_reason = ?
+         WHERE (family_id = ? OR family_id LIKE ?) AND revoked_at IS NULL`,
+        [reason, familyId, `${familyId}:%`]
+    );
+    return result.changes;
+}
+
+/**
+ * Revoke the family a raw token belongs to
+ * @param {Object} [options] - { clientId } - only revoke if the token was issued to this OIDC client
+ */
+async function revokeToken(token, reason = 'logout', { clientId } = {}) {
+    if (!token) return 0;
+    const db = await getDb();
+    const row = await db.get('SELECT family_id, claims FROM refresh_tokens WHERE token_hash = ?', [hashToken(token)]);
+    if (!row) return 0;
+    if (clientId !== undefined && JSON.parse(row.claims).client_id !== clientId) return 0;
+    return revokeFamily(row.family_id, reason);
+}
+
+/**
+ * Revoke every refresh token a user holds
+ */
+async function revokeAllForUser(username, reason = 'logout_all') {
+    const db = await getDb();
+    const result = await db.run(
+        `UPDATE refresh_tokens SET revoked_at = datetime('now'), revoked_reason = ?
+         WHERE username = ? AND revoked_at IS NULL`,
+        [reason, username]
+    );
+    return result.changes;
+}
+
+/**
+ * Delete rows whose family can no longer be refreshed
+ */
+async function cleanupExpired() {
+    try {
+        const db = await getDb();
+        const result = await db.run(
+            'DELETE FROM refresh_tokens WHERE family_expires_at < ? OR expires_at < ?',
+            [new Date().toISOString(), new Date(Date.now() - REFRESH_TTL_SECONDS * 1000).toISOString()]
+        );
+        if (result.changes > 0) {
+            console.log(`[refresh-tokens] Cleaned up ${result.changes} expired refresh token(s)`);
+        }
+        return result.changes;
+    } catch (error) {
+        console.error('[refresh-tokens] Cleanup failed:', error.message);
+        return 0;
+    }
+}
+
+/**
+ * Start the periodic cleanup of expired tokens
+ */
+function start() {
+    if (cleanupInterval) {
+        console.warn('[refresh-tokens] Already running');
+        return;
+    }
+    cleanupExpired();
+    cleanupInterval = setInterval(cleanupExpired, CLEANUP_INTERVAL_MS);
+}
+
+/**
+ * Stop the periodic cleanup
+ */
+function stop() {
+    if (cleanupInterval) {
+        clearInterval(cleanupInterval);
+        cleanupInterval = null;
+    }
+}
+
+module.exports = {
+    REFRESH_TTL_SECONDS,
+    REFRESH_MAX_AGE_SECONDS,
+    RefreshTokenError,
+    issue,
+    rotate,
+    revokeFamily,
+    revokeToken,
+    revokeAllForUser,
+    cleanupExpired,
+    start,
+    stop
+};
@@ -0,0 +1,372 @@
+// services/route-access.js - Who may open a student's /students/{owner}/{endpoint} routes
+// /auth/verify (Traefik ForwardAuth) asks decide() on every request to a protected route.
+// vscode, jupyter, jenkins and supervisor are owner-only. Private custom routes are open to the
+// owner plus anyone on the route's share list (usernames or Azure groups, e.g. a course section).
+// Admins holding `access_student_routes` can open an audited, time-limited override on a user;
+// course instructors and TAs can do so on their own Azure-enrolled students (authz.canFor()).
+// {owner} is a container key: a user's named workspaces (<username>--<name>) belong to that user.
+
+const { getDb } = require('../db');
+const authz = require('./authz');
+const users = require('./users');
+const workspaces = require('./workspaces');
+
+const OWNER_ONLY_ENDPOINTS = ['vscode', 'jupyter', 'jenkins', 'supervisor'];
+const SHARE_TYPES = ['user', 'group'];
+const MAX_SHARES_PER_ROUTE = 50;
+const OVERRIDE_MAX_MINUTES = parseInt(process.env.ROUTE_OVERRIDE_MAX_MINUTES || '240', 10);
+const OVERRIDE_DEFAULT_MINUTES = Math.min(60, OVERRIDE_MAX_MINUTES);
+const LOG_RETENTION_DAYS = parseInt(process.env.ROUTE_ACCESS_LOG_DAYS || '90', 10);
+const CLEANUP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const SHARE_CACHE_MS = 30 * 1000;
+const LOG_THROTTLE_MS = 60 * 1000; // One log row per user/route/outcome per minute; verify runs on every asset
+
+const shareCache = new Map(); // `${owner}/${endpoint}` -> { shares, at }
+const recentLogs = new Map(); // throttle key -> timestamp
+let cleanupInterval = null;
+
+/**
+ * Error raised for invalid shares or overrides; message is safe to show to the caller
+ */
+class RouteAccessError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Username for admin or share input: usernames as given, emails through the users table
+ */
+async function usernameOf(emailOrUsername) {
+    const value = String(emailOrUsername || '').trim().toLowerCase();
+    if (!value.includes('@')) return value;
+    const user = await users.find(value);
+    return user ? user.username : users.toUsername(value);
+}
+
+/**
+ * Which student route a forwarded request is for
+ * @param {string} uri - X-Forwarded-Uri (path and query as the client sent it)
+ * @returns {{ owner: string, endpoint: string }|null} null for anything outside /students/
+ */
+function parseStudentRoute(uri) {
+    let pathname;
+    try {
+        // Resolves ../ and %2e%2e so /students/me/x/../../them/vscode is judged as /students/them/vscode
+        pathname = new URL(uri || '/', 'http://localhost').pathname;
+    } catch (_e) {
+        return null;
+    }
+    const match = pathname.match(/^\/students\/([^/]+)\/([^/]+)/);
+    if (!match) return null;
+    try {
+        return { owner: decodeURIComponent(match[1]).toLowerCase(), endpoint: decodeURIComponent(match[2]).toLowerCase() };
+    } catch (_e) {
+        return null;
+    }
+}
+
+// ==================== Shares ====================
+
+/**
+ * Share list of one route
+ * @returns {Promise<{ users: string[], groups: string[] }>}
+ */
+async function getShares(owner, endpoint) {
+    const key = `${owner}/${endpoint}`;
+    const cached = shareCache.get(key);
+    if (cached && Date.now() - cached.at < SHARE_CACHE_MS) return cached.shares;
+
+    const db = await getDb();
+    const rows = await db.all(
+        'SELECT share_type, share_value FROM route_shares WHERE owner = ? AND endpoint = ? ORDER BY share_value',
+        [owner, endpoint]
+    );
+    const shares = {
+        users: rows.filter(r => r.share_type === 'user').map(r => r.share_value),
+        groups: rows.filter(r => r.share_type === 'group').map(r => r.share_value)
+    };
+    shareCache.set(key, { shares, at: Date.now() });
+    return shares;
+}
+
+/**
+ * Replace the share list of one of the owner's custom routes
+ * @param {string} owner - Container key (username for the default workspace)
+ * @param {string} endpoint
+ * @param {Object} input - { users: string[] (usernames or emails), groups: string[] (Azure group IDs) }
+ * @throws {RouteAccessError}
+ */
+async function setShares(owner, endpoint, { users: shareUsers = [], groups = [] } = {}) {
+    if (OWNER_ONLY_ENDPOINTS.includes(endpoint)) {
+        throw new RouteAccessError(`/${endpoint} is only ever open to its owner`);
+    }
+    if (!Array.isArray(shareUsers) || !Array.isArray(groups)) {
+        throw new RouteAccessError('users and groups must be arrays');
+    }
+    const userList = [...new Set((await Promise.all(shareUsers.map(usernameOf))).filter(Boolean))].filter(u => u !== workspaces.ownerOf(owner));
+    const groupList = [...new Set(groups.map(g => String(g || '').trim().toLowerCase()).filter(Boolean))];
+    if (userList.some(u => !/^[a-z0-9._-]{1,64}$/.test(u))) {
+        throw new RouteAccessError('users must be usernames or email addresses');
+    }
+    if (groupList.some(g => g.length > 128)) {
+        throw new RouteAccessError('group IDs must be at most 128 characters');
+    }
+    if (userList.length + groupList.length > MAX_SHARES_PER_ROUTE) {
+        throw new RouteAccessError(`A route can be shared with at most ${MAX_SHARES_PER_ROUTE} users and groups`);
+    }
+
+    const db = await getDb();
+    await db.run('DELETE FROM route_shares WHERE owner = ? AND endpoint = ?', [owner, endpoint]);
+    for (const [type, values] of [['user', userList], ['group', groupList]]) {
+        for (const value of values) {
+            await db.run(
+                'INSERT INTO route_shares (owner, endpoint, share_type, share_value) VALUES (?, ?, ?, ?)',
+                [owner, endpoint, type, value]
+            );
+        }
+    }
+    shareCache.delete(`${owner}/${endpoint}`);
+    console.log(`[route-access] ${owner}/${endpoint} shared with ${userList.length} user(s), ${groupList.length} group(s)`);
+    return { users: userList.sort(), groups: groupList.sort() };
+}
+
+/**
+ * Drop a route's share list (when the route is deleted)
+ */
+async function clearShares(owner, endpoint) {
+    const db = await getDb();
+    await db.run('DELETE FROM route_shares WHERE owner = ? AND endpoint = ?', [owner, endpoint]);
+    shareCache.delete(`${owner}/${endpoint}`);
+}
+
+/**
+ * Drop the share lists of all of a container's routes (when a workspace is deleted)
+ */
+async function clearOwnerShares(owner) {
+    const db = await getDb();
+    await db.run('DELETE FROM route_shares WHERE owner = ?', [owner]);
+    for (const key of shareCache.keys()) {
+        if (key.startsWith(`${owner}/`)) shareCache.delete(key);
+    }
+}
+
+// ==================== Admin overrides ====================
+
+/**
+ * Let an admin open every route of one user for a limited time
+ * @param {Object} admin - req.user
+ * @param {Object} input - { owner, reason, minutes? }
+ * @throws {RouteAccessError}
+ */
+async function createOverride(admin, { owner, reason, minutes } = {}) {
+    if (!(await authz.canForAny(admin, 'access_student_routes'))) {
+        throw new RouteAccessError('Not allowed to override route access', 403);
+    }
+    const target = await usernameOf(owner);
+    if (!target) throw new RouteAccessError('owner is required');
+    if (!(await authz.canFor(admin, 'access_student_routes', target))) {
+        throw new RouteAccessError('You can only open routes of students in your own courses', 403);
+    }
+    const why = String(reason || '').trim();
+    if (why.length < 5 || why.length > 500) {
+        throw new RouteAccessError('reason is required (5-500 characters); it is kept in the audit log');
+    }
+    const duration = minutes === undefined ? OVERRIDE_DEFAULT_MINUTES : parseInt(minutes, 10);
+    if (!Number.isInteger(duration) || duration < 1 || duration > OVERRIDE_MAX_MINUTES) {
+        throw new RouteAccessError(`minutes must be between 1 and ${OVERRIDE_MAX_MINUTES}`);
+    }
+
+    const adminEmail = String(admin.email).toLowerCase();
+    const expiresAt = new Date(Date.now() + duration * 60 * 1000).toISOString();
+    const db = await getDb();
+    const result = await db.run(
+        'INSERT INTO route_access_overrides (admin_email, owner, reason, expires_at) VALUES (?, ?, ?, ?)',
+        [adminEmail, target, why, expiresAt]
+    );
+    console.warn(`[route-access] Override ${result.lastID}: ${adminEmail} may open ${target}'s routes until ${expiresAt} (${why})`);
+    return db.get('SELECT * FROM route_access_overrides WHERE id = ?', [result.lastID]);
+}
+
+/**
+ * End an override early
+ * @param {Object} [filter] - { admin } to only end that admin's own override
+ * @returns {Promise<boolean>}
+ */
+async function revokeOverride(id, revokedBy, { admin } = {}) {
+    const db = await getDb();
+    const result = await db.run(
+        `UPDATE route_access_overrides SET revoked_at = datetime('now'), revoked_by = ?
+         WHERE id = ? AND revoked_at IS NULL ${admin ? 'AND admin_email = ?' : ''}`,
+        [revokedBy, id, ...(admin ? [String(admin).toLowerCase()] : [])]
+    );
+    if (result.changes > 0) console.log(`[route-access] Override ${id} revoked by ${revokedBy}`);
+    return result.changes > 0;
+}
+
+/**
+ * Overrides, newest first
+ * @param {Object} [filter] - { activeOnly, admin, limit }
+ */
+async function listOverrides({ activeOnly = false, admin, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (activeOnly) { where.push('revoked_at IS NULL AND expires_at > ?'); params.push(new Date().toISOString()); }
+    if (admin) { where.push('admin_email = ?'); params.push(String(admin).toLowerCase()); }
+    const db = await getDb();
+    const rows = await db.all(
+        `SELECT * FROM route_access_overrides ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY created_at DESC, id DESC LIMIT ?`,
+        [...params, Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000)]
+    );
+    return rows;
+}
+
+async function findActiveOverride(adminEmail, owner) {
+    const db = await getDb();
+    return db.get(
+        `SELECT * FROM route_access_overrides
+         WHERE admin_email = ? AND owner = ? AND revoked_at IS NULL AND expires_at > ?
+         ORDER BY expires_at DESC LIMIT 1`,
+        [adminEmail, owner, new Date().toISOString()]
+    );
+}
+
+// ==================== Decisions ====================
+
+/**
+ * Decide whether a user may open a student route
+ * @param {Object} user - Verified np_access claims ({ email, affiliation, groups })
+ * @param {{ owner: string, endpoint: string }} route
+ * @returns {Promise<{ allowed: boolean, reason: string, override: Object|null }>}
+ */
+async function decide(user, { owner, endpoint }) {
+    const username = await users.usernameFor(user);
+    if (username && username === workspaces.ownerOf(owner)) return { allowed: true, reason: 'owner', override: null };
+
+    if (!OWNER_ONLY_ENDPOINTS.includes(endpoint)) {
+        const shares = await getShares(owner, endpoint);
+        if (shares.users.includes(username)) return { allowed: true, reason: 'shared with user', override: null };
+        const groups = (user.groups || []).map(g => String(g).toLowerCase());
+        const group = shares.groups.find(g => groups.includes(g));
+        if (group) return { allowed: true, reason: `shared with group ${group}`, override: null };
+    }
+
+    const override = await findActiveOverride(String(user.email || '').toLowerCase(), workspaces.ownerOf(owner));
+    if (override && (await authz.canFor(user, 'access_student_routes', workspaces.ownerOf(owner)))) {
+        return { allowed: true, reason: `admin override ${override.id}`, override };
+    }
+
+    return {
+        allowed: false,
+        reason: OWNER_ONLY_ENDPOINTS.includes(endpoint) ? 'owner only' : 'not shared',
+        override: null
+    };
+}
+
+/**
+ * Decide and record denials and override use in route_access_log
+ * @param {Object} user
+ * @param {{ owner: string, endpoint: string }} route
+ * @param {Object} [context] - { path, ip }
+ */
+async function evaluate(user, route, context = {}) {
+    const decision = await decide(user, route);
+    if (decision.allowed && !decision.override) return decision;
+
+    const email = String(user.email || '').toLowerCase();
+    const key = `${email}|${route.owner}|${route.endpoint}|${decision.reason}`;
+    const last = recentLogs.get(key);
+    if (last && Date.now() - last < LOG_THROTTLE_MS) return decision;
+    recentLogs.set(key, Date.now());
+
+    const log = decision.override ? console.warn : console.log;
+    log(`[route-access] ${decision.allowed ? 'Allowed' : 'Denied'} ${email} on ${route.owner}/${route.endpoint} (${decision.reason})`);
+    try {
+        const db = await getDb();
+        await db.run(
+            `INSERT INTO route_access_log (email, owner, endpoint, path, allowed, reason, override_id, ip_address)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [email, route.owner, route.endpoint, String(context.path || '').slice(0, 500), decision.allowed ? 1 : 0,
+                decision.reason, decision.override?.id || null, context.ip || null]
+        );
+    } catch (e) {
+        console.warn('[route-access] Could not record decision:', e.message);
+    }
+    return decision;
+}
+
+/**
+ * Recorded denials and override use, newest first
+ * @param {Object} [filter] - { owner, email, limit }
+ */
+async function listLog({ owner, email, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (owner) { where.push('owner = ?'); params.push(await usernameOf(owner)); }
+    if (email) { where.push('email = ?'); params.push(String(email).toLowerCase()); }
+    const db = await getDb();
+    const rows = await db.all(
+        `SELECT * FROM route_access_log ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY created_at DESC, id DESC LIMIT ?`,
+        [...params, Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000)]
+    );
+    return rows.map(r => ({ ...r, allowed: !!r.allowed }));
+}
+
+async function cleanup() {
+    const now = Date.now();
+    for (const [key, at] of recentLogs) {
+        if (now - at >= LOG_THROTTLE_MS) recentLogs.delete(key);
+    }
+    try {
+        const db = await getDb();
+        const cutoff = new Date(now - LOG_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const result = await db.run('DELETE FROM route_access_log WHERE created_at < datetime(?)', [cutoff]);
+        if (result.changes > 0) console.log(`[route-access] Pruned ${result.changes} old log row(s)`);
+    } catch (e) {
+        console.error('[route-access] Cleanup failed:', e.message);
+    }
+}
+
+/**
+ * Start pruning the access log
+ */
+function start() {
+    if (cleanupInterval) {
+        console.warn('[route-access] Already running');
+        return;
+    }
+    cleanup();
+    cleanupInterval = setInterval(cleanup, CLEANUP_INTERVAL_MS);
+}
+
+/**
+ * Stop pruning
+ */
+function stop() {
+    if (cleanupInterval) {
+        clearInterval(cleanupInterval);
+        cleanupInterval = null;
+    }
+}
+
+module.exports = {
+    OWNER_ONLY_ENDPOINTS,
+    SHARE_TYPES,
+    RouteAccessError,
+    parseStudentRoute,
+    getShares,
+    setShares,
+    clearShares,
+    clearOwnerShares,
+    createOverride,
+    revokeOverride,
+    listOverrides,
+    decide,
+    evaluate,
+    listLog,
+    start,
+    stop
+};
@@ -0,0 +1,206 @@
+// services/session-store.js - Persistent store for express-session
+// The default MemoryStore loses every session on restart and can't be shared between replicas.
+// SESSION_STORE picks the backend: 'sqlite' (default, the db.js database) or 'memory'.
+// Any express-session compatible store can be added to createStore(); admin tooling below only
+// relies on the standard all()/destroy() store methods.
+
+const session = require('express-session');
+const { getDb } = require('../db');
+
+const STORE_TYPE = (process.env.SESSION_STORE || 'sqlite').toLowerCase();
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000; // Matches the session cookie maxAge in index.js
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+let store = null;
+let pruneInterval = null;
+
+function expiryOf(sess) {
+    const expires = sess?.cookie?.expires ? Date.parse(sess.cookie.expires) : NaN;
+    return Number.isFinite(expires) ? expires : Date.now() + DEFAULT_TTL_MS;
+}
+
+/**
+ * express-session store backed by the web_sessions table
+ */
+class SqliteSessionStore extends session.Store {
+    get(sid, cb) {
+        getDb()
+            .then(db => db.get('SELECT sess, expires_at FROM web_sessions WHERE sid = ?', [sid]))
+            .then(row => {
+                if (!row || row.expires_at <= Date.now()) return cb(null, null);
+                cb(null, JSON.parse(row.sess));
+            })
+            .catch(cb);
+    }
+
+    set(sid, sess, cb = () => { }) {
+        const email = sess?.passport?.user?.email || null;
+        getDb()
+            .then(db => db.run(
+                `INSERT INTO web_sessions (sid, sess, email, expires_at, updated_at) VALUES (?, ?, ?, ?, datetime('now'))
+                 ON CONFLICT(sid) DO UPDATE SET sess = excluded.sess, email = excluded.email,
+                    expires_at = excluded.expires_at, updated_at = excluded.updated_at`,
+                [sid, JSON.stringify(sess), email, expiryOf(sess)]
+            ))
+            .then(() => cb(null))
+            .catch(cb);
+    }
+
+    touch(sid, sess, cb = () => { }) {
+        getDb()
+            .then(db => db.run(
+                "UPDATE web_sessions SET expires_at = ?, updated_at = datetime('now') WHERE sid = ?",
+                [expiryOf(sess), sid]
+            ))
+            .then(() => cb(null))
+            .catch(cb);
+    }
+
+    destroy(sid, cb = () => { }) {
+        getDb()
+            .then(db => db.run('DELETE FROM web_sessions WHERE sid = ?', [sid]))
+            .then(() => cb(null))
+            .catch(cb);
+    }
+
+    all(cb) {
+        getDb()
+            .then(db => db.all('SELECT sid, sess FROM web_sessions WHERE expires_at > ?', [Date.now()]))
+            .then(rows => cb(null, Object.fromEntries(rows.map(r => [r.sid, JSON.parse(r.sess)]))))
+            .catch(cb);
+    }
+
+    length(cb) {
+        getDb()
+            .then(db => db.get('SELECT COUNT(*) as count FROM web_sessions WHERE expires_at > ?', [Date.now()]))
+            .then(row => cb(null, row.count))
+            .catch(cb);
+    }
+
+    clear(cb = () => { }) {
+        getDb()
+            .then(db => db.run('DELETE FROM web_sessions'))
+            .then(() => cb(null))
+            .catch(cb);
+    }
+
+    /**
+     * Delete expired sessions
+     * @returns {Promise<number>}
+     */
+    async prune() {
+        const db = await getDb();
+        const result = await db.run('DELETE FROM web_sessions WHERE expires_at <= ?', [Date.now()]);
+        return result.changes;
+    }
+}
+
+/**
+ * Build the configured store
+ */
+function createStore() {
+    switch (STORE_TYPE) {
+        case 'memory':
+            console.warn('[session-store] Using in-memory sessions; they are lost on restart and not shared between replicas');
+            return new session.MemoryStore();
+        case 'sqlite':
+            return new SqliteSessionStore();
+        default:
+            throw new Error(`Unknown SESSION_STORE: ${STORE_TYPE}`);
+    }
+}
+
+/**
+ * The store passed to express-session (created on first use)
+ */
+function getStore() {
+    if (!store) store = createStore();
+    return store;
+}
+
+function call(method, ...args) {
+    return new Promise((resolve, reject) => {
+        getStore()[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+}
+
+/**
+ * Active sessions for admin tooling (optionally one user's)
+ * @param {Object} [filter] - { username }
+ * @returns {Promise<Object[]>} { sid, username, email, login_sid, expires_at }
+ */
+async function listSessions({ username } = {}) {
+    const all = await call('all');
+    const entries = Array.isArray(all) ? all.map(s => [s.id, s]) : Object.entries(all || {});
+    return entries
+        .map(([sid, sess]) => {
+            const user = sess?.passport?.user;
+            return {
+                sid,
+                username: user?.username || null,
+                email: user?.email || null,
+                login_sid: user?.sid || null,
+                expires_at: sess?.cookie?.expires ? new Date(sess.cookie.expires).toISOString() : null
+            };
+        })
+        .filter(s => !username || s.username === username)
+        .sort((a, b) => String(b.expires_at).localeCompare(String(a.expires_at)));
+}
+
+/**
+ * Delete one session
+ */
+async function destroySession(sid) {
+    await call('destroy', sid);
+}
+
+/**
+ * Delete every session, or every session of one user
+ * @param {Object} [filter] - { username }
+ * @returns {Promise<number>} Sessions deleted
+ */
+async function purgeSessions({ username } = {}) {
+    const sessions = await listSessions({ username });
+    for (const s of sessions) {
+        await call('destroy', s.sid);
+    }
+    return sessions.length;
+}
+
+/**
+ * Start pruning expired sessions (SQLite store only)
+ */
+function start() {
+    if (pruneInterval) {
+        console.warn('[session-store] Already running');
+        return;
+    }
+    const current = getStore();
+    if (!(current instanceof SqliteSessionStore)) return;
+    const prune = () => current.prune()
+        .then(n => { if (n > 0) console.log(`[session-store] Pruned ${n} expired session(s)`); })
+        .catch(e => console.error('[session-store] Prune failed:', e.message));
+    prune();
+    pruneInterval = setInterval(prune, PRUNE_INTERVAL_MS);
+    console.log('[session-store] Using SQLite sessions');
+}
+
+/**
+ * Stop pruning
+ */
+function stop() {
+    if (pruneInterval) {
+        clearInterval(pruneInterval);
+        pruneInterval = null;
+    }
+}
+
+module.exports = {
+    SqliteSessionStore,
+    getStore,
+    listSessions,
+    destroySession,
+    purgeSessions,
+    start,
+    stop
+};
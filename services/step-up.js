@@ -0,0 +1,85 @@
+// services/step-up.js - Recent MFA for sensitive admin operations
+// The SAML login copies Azure's `amr` (authentication methods) and the assertion's AuthnInstant
+// (`auth_time`) into the user's claims. Marked operations need an MFA method in `amr` and an
+// authentication newer than STEP_UP_MAX_AGE_MINUTES; otherwise the user is sent to
+// /login/step-up, which asks the IdP for a forced, MFA-class re-authentication.
+
+const ENABLED = process.env.STEP_UP_MFA !== 'false';
+const MAX_AGE_SECONDS = parseInt(process.env.STEP_UP_MAX_AGE_MINUTES || '15', 10) * 60;
+
+// amr values that count as MFA (Azure sends the multipleauthn URI once MFA was done)
+const MFA_AMR_VALUES = (process.env.STEP_UP_AMR_VALUES || 'http://schemas.microsoft.com/claims/multipleauthn,mfa')
+    .split(',').map(v => v.trim()).filter(Boolean);
+
+// RequestedAuthnContext sent with the step-up AuthnRequest
+const AUTHN_CONTEXT = (process.env.STEP_UP_AUTHN_CONTEXT || 'http://schemas.microsoft.com/claims/multipleauthn')
+    .split(',').map(v => v.trim()).filter(Boolean);
+
+const STEP_UP_PATH = '/login/step-up';
+
+function hasMfa(user) {
+    return (user?.amr || []).some(method => MFA_AMR_VALUES.includes(String(method)));
+}
+
+function authAge(user) {
+    const authTime = Number(user?.auth_time);
+    return Number.isFinite(authTime) && authTime > 0 ? Math.floor(Date.now() / 1000) - authTime : Infinity;
+}
+
+/**
+ * What the user still needs before a sensitive operation
+ * @param {Object} user - req.user
+ * @returns {null|'mfa_required'|'reauth_required'} null when the login is recent and used MFA
+ */
+function check(user) {
+    if (!ENABLED) return null;
+    if (!hasMfa(user)) return 'mfa_required';
+    if (authAge(user) > MAX_AGE_SECONDS) return 'reauth_required';
+    return null;
+}
+
+/**
+ * Where to send the browser to step up
+ */
+function stepUpUrl(returnTo = '/dashboard') {
+    return `${STEP_UP_PATH}?returnTo=${encodeURIComponent(returnTo)}`;
+}
+
+/**
+ * Answer a request that needs step-up: browsers navigating are redirected, API callers get
+ * 401 insufficient_user_authentication (RFC 9470) with the URL to send the user to.
+ * @param {string} reason - From check()
+ */
+function sendStepUpRequired(req, res, reason) {
+    const pageLoad = req.method === 'GET' && req.accepts(['json', 'html']) === 'html';
+    const returnTo = pageLoad ? req.originalUrl : (req.get('referer') || '/dashboard');
+    const message = reason === 'mfa_required'
+        ? 'This action needs a sign-in with multi-factor authentication.'
+        : `This action needs a multi-factor sign-in from the last ${Math.round(MAX_AGE_SECONDS / 60)} minutes.`;
+
+    console.warn(`[step-up] ${reason} for ${req.user?.email} on ${req.method} ${req.originalUrl}`);
+    if (pageLoad) return res.redirect(stepUpUrl(returnTo));
+    res.set('WWW-Authenticate', `Bearer error="insufficient_user_authentication", error_description="${message}", max_age=${MAX_AGE_SECONDS}`);
+    return res.status(401).json({ error: 'step_up_required', reason, message, step_up_url: stepUpUrl(returnTo) });
+}
+
+/**
+ * Middleware for operations that need recent MFA
+ */
+function requireStepUp(req, res, next) {
+    const reason = check(req.user);
+    if (!reason) return next();
+    return sendStepUpRequired(req, res, reason);
+}
+
+module.exports = {
+    ENABLED,
+    MAX_AGE_SECONDS,
+    AUTHN_CONTEXT,
+    STEP_UP_PATH,
+    hasMfa,
+    check,
+    stepUpUrl,
+    sendStepUpRequired,
+    requireStepUp
+};
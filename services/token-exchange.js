@@ -0,0 +1,148 @@
+// services/token-exchange.js - RFC 8693 token exchange for Hydra's internal services
+// A user's np_access can be traded at /oauth/token (grant_type token-exchange) for a short-lived
+// JWT whose audience is one downstream service (the OpenWebUI middleman, n8n user-manager, ...)
+// and whose claims are narrowed to what that service needs. Services verify it with the JWKS or
+// POST /check with `audience`, so they can act for a user without a shared API key.
+// The dashboard's own proxies (routes/webui-api.js, routes/n8n-api.js) mint these in-process.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const jwtKeys = require('./jwt-keys');
+const oidc = require('./oidc');
+
+const ISSUER = process.env.BASE_URL || 'https://hydra.newpaltz.edu';
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || 'npsites';
+const TTL_SECONDS = parseInt(process.env.TOKEN_EXCHANGE_TTL_SECONDS || '300', 10);
+
+const TOKEN_TYPE_ACCESS = 'urn:ietf:params:oauth:token-type:access_token';
+const TOKEN_TYPE_JWT = 'urn:ietf:params:oauth:token-type:jwt';
+
+// Downstream audiences and the user claims each may see (sub and sid are always included).
+// TOKEN_EXCHANGE_AUDIENCES (JSON) adds or replaces entries: {"<audience>": {"claims": [...], "ttl": 120}}
+const DEFAULT_AUDIENCES = {
+    'openwebui-api': { claims: ['email', 'username', 'name'] },
+    'n8n-user-manager': { claims: ['email', 'given_name', 'family_name'] },
+    'java-executor': { claims: ['username', 'roles'] },
+    'cs-lab': { claims: ['email', 'username', 'name', 'roles', 'groups', 'affiliation'] }
+};
+const RELEASABLE_CLAIMS = ['email', 'username', 'name', 'given_name', 'family_name', 'roles', 'groups', 'affiliation'];
+
+const AUDIENCES = loadAudiences();
+
+function loadAudiences() {
+    let overrides = {};
+    try {
+        overrides = JSON.parse(process.env.TOKEN_EXCHANGE_AUDIENCES || '{}');
+    } catch (e) {
+        console.error('[token-exchange] Ignoring TOKEN_EXCHANGE_AUDIENCES, not valid JSON:', e.message);
+    }
+    const audiences = {};
+    for (const [name, config] of Object.entries({ ...DEFAULT_AUDIENCES, ...overrides })) {
+        // Exchanged tokens must never be accepted as a login or dashboard API token
+        if (name === JWT_AUDIENCE || name === oidc.API_AUDIENCE) {
+            console.error(`[token-exchange] Ignoring audience ${name}: reserved for Hydra's own tokens`);
+            continue;
+        }
+        audiences[name] = {
+            claims: (config.claims || []).filter(c => RELEASABLE_CLAIMS.includes(c)),
+            ttl: Math.min(parseInt(config.ttl, 10) || TTL_SECONDS, TTL_SECONDS)
+        };
+    }
+    return audiences;
+}
+
+function isAudience(audience) {
+    return Object.prototype.hasOwnProperty.call(AUDIENCES, audience);
+}
+
+/**
+ * Sign a token for one downstream audience
+ * @param {Object} claims - User claims (collectUserFromSaml shape, plus username/sid)
+ * @param {string} audience - Key of AUDIENCES
+ * @param {Object} [options]
+ * @param {number} [options.notAfter] - Epoch seconds the token must not outlive (the subject token's exp)
+ * @param {string} [options.actor] - client_id of the app that asked for the exchange (RFC 8693 `act`);
+ *   an admin viewing as the user (claims.act, services/impersonation.js) is kept as the prior actor
+ * @returns {{ token: string, expiresIn: number }}
+ * @throws {oidc.OidcError} invalid_target for an unknown audience
+ */
+function sign(claims, audience, { notAfter, actor } = {}) {
+    if (!isAudience(audience)) {
+        throw new oidc.OidcError('invalid_target', `Unknown audience. Tokens can be exchanged for: ${Object.keys(AUDIENCES).join(', ')}`);
+    }
+    const source = {
+        email: claims.email,
+        username: claims.username,
+        name: claims.display_name || claims.name,
+        given_name: claims.given_name,
+        family_name: claims.family_name,
+        roles: claims.roles || [],
+        groups: claims.groups || [],
+        affiliation: claims.affiliation || ''
+    };
+    const payload = { sid: claims.sid };
+    for (const key of AUDIENCES[audience].claims) payload[key] = source[key];
+    // Nested per RFC 8693 4.1: the app, then whoever was already acting for the user
+    const act = actor ? { sub: actor, ...(claims.act ? { act: claims.act } : {}) } : claims.act;
+    if (act) payload.act = act;
+
+    const now = Math.floor(Date.now() / 1000);
+    const expiresIn = Math.min(AUDIENCES[audience].ttl, notAfter ? notAfter - now : Infinity);
+    if (expiresIn <= 0) throw new oidc.OidcError('invalid_grant', 'The subject token has expired');
+
+    const { kid, privateKeyPem } = jwtKeys.getSigningKey();
+    const token = jwt.sign(payload, privateKeyPem, {
+        algorithm: 'RS256',
+        keyid: kid,
+        jwtid: crypto.randomUUID(),
+        subject: claims.sub,
+        issuer: ISSUER,
+        audience,
+        expiresIn
+    });
+    return { token, expiresIn };
+}
+
+/**
+ * Handle a token-exchange grant once the subject token has been verified
+ * @param {Object} claims - Claims of the verified subject token
+ * @param {Object} params - The request body: audience (or resource), requested_token_type
+ * @param {Object} [options] - { notAfter, actor } as for sign()
+ * @returns {Object} RFC 8693 section 2.2.1 response body
+ */
+function exchange(claims, params, options = {}) {
+    const requested = params.requested_token_type;
+    if (requested && ![TOKEN_TYPE_ACCESS, TOKEN_TYPE_JWT].includes(requested)) {
+        throw new oidc.OidcError('invalid_request', `requested_token_type must be ${TOKEN_TYPE_ACCESS} or ${TOKEN_TYPE_JWT}`);
+    }
+    const audience = String(params.audience || params.resource || '');
+    if (!audience) throw new oidc.OidcError('invalid_request', 'Missing audience');
+
+    const { token, expiresIn } = sign(claims, audience, options);
+    console.log(`[token-exchange] ${claims.email} -> ${audience}${options.actor ? ` (for ${options.actor})` : ''}`);
+    return {
+        access_token: token,
+        issued_token_type: requested || TOKEN_TYPE_ACCESS,
+        token_type: 'Bearer',
+        expires_in: expiresIn
+    };
+}
+
+/**
+ * Token for calling a downstream service on behalf of the signed-in user (in-process proxies)
+ * @param {Object} user - req.user
+ * @param {string} audience - Key of AUDIENCES
+ * @returns {string}
+ */
+function tokenFor(user, audience) {
+    return sign(user, audience).token;
+}
+
+module.exports = {
+    TOKEN_TYPE_ACCESS,
+    TOKEN_TYPE_JWT,
+    AUDIENCES,
+    isAudience,
+    exchange,
+    tokenFor
+};
@@ -0,0 +1,148 @@
+// services/users.js - Stable Hydra usernames
+// A user's Hydra username names their pod, PVC, routes and quota rows, so it must never change.
+// It is allocated once, the first time someone signs in, and stored against their Azure object ID
+// (`oid`, the JWT `id` claim): a rename in Azure only updates the email on record. New usernames
+// are DNS-safe and unique (smith, smith-2, ...). Rows from before this table existed keep their old
+// email-prefix username and are claimed by email on the owner's next sign-in; rows that only had
+// a username are claimed by a campus address (CAMPUS_EMAIL_DOMAIN) with that prefix.
+// Logins put the username into the claims (`username`); usernameFor() resolves anything else.
+
+const { getDb } = require('../db');
+
+const MAX_LENGTH = 40; // Leaves room for student-, hydra-vol-, -creds etc. within 63-character names
+const MAX_SUFFIX = 1000;
+// Old usernames were the prefix of a campus address; another domain's jdoe@ is someone else
+const CAMPUS_EMAIL_DOMAIN = (process.env.CAMPUS_EMAIL_DOMAIN || 'newpaltz.edu').toLowerCase();
+
+// Resolved usernames are immutable, so they can be cached for the life of the process
+const cache = new Map(); // `oid:${oid}` | `email:${email}` -> username
+
+/**
+ * DNS-safe username derived from an email address
+ */
+function toUsername(email) {
+    const base = String(email || '').split('@')[0]
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9-]+/g, '-')
+        .replace(/-+/g, '-')
+        .slice(0, MAX_LENGTH)
+        .replace(/^-+|-+$/g, '');
+    return base || 'user';
+}
+
+function isUniqueViolation(e) {
+    return e && e.code === 'SQLITE_CONSTRAINT' && /UNIQUE/i.test(e.message || '');
+}
+
+function identity(claims) {
+    return {
+        oid: String(claims?.oid || claims?.id || '').trim() || null,
+        email: String(claims?.email || '').trim().toLowerCase() || null
+    };
+}
+
+function remember(row, { oid, email }) {
+    if (oid) cache.set(`oid:${oid}`, row.username);
+    if (email) cache.set(`email:${email}`, row.username);
+}
+
+/**
+ * Insert a new user under the first free username
+ */
+async function create(db, { oid, email, displayName }) {
+    const base = toUsername(email || oid);
+    for (let n = 1; n <= MAX_SUFFIX; n++) {
+        const username = n === 1 ? base : `${base}-${n}`;
+        try {
+            await db.run(
+                'INSERT INTO users (username, oid, email, display_name) VALUES (?, ?, ?, ?)',
+                [username, oid, email, displayName || null]
+            );
+            if (n > 1) console.log(`[users] ${base} is taken; ${email || oid} is ${username}`);
+            return db.get('SELECT * FROM users WHERE username = ?', [username]);
+        } catch (e) {
+            if (!isUniqueViolation(e)) throw e;
+            // Another request created this oid at the same moment
+            if (oid && /users\.oid/.test(e.message)) return db.get('SELECT * FROM users WHERE oid = ?', [oid]);
+        }
+    }
+    throw new Error(`No free username for ${email || oid}`);
+}
+
+/**
+ * Find or create the user behind a set of claims, recording a changed email
+ * @param {Object} claims - Login claims: oid (or the JWT's id) and email
+ * @returns {Promise<Object>} users row
+ */
+async function resolve(claims) {
+    const { oid, email } = identity(claims);
+    if (!oid && !email) throw new Error('Cannot identify a user without oid or email');
+
+    const db = await getDb();
+    let user = oid ? await db.get('SELECT * FROM users WHERE oid = ?', [oid]) : null;
+
+    if (!user && email) {
+        // With an oid, only rows that have none yet (backfilled ones, guests) can be this user;
+        // claims without one (guests, older tokens) go by email alone
+        user = await db.get(
+            `SELECT * FROM users WHERE email = ? ${oid ? 'AND oid IS NULL' : ''} ORDER BY updated_at DESC LIMIT 1`,
+            [email]
+        )
+            // Backfilled from tables that only had the username
+            || (email.endsWith(`@${CAMPUS_EMAIL_DOMAIN}`) ? await db.get(
+                'SELECT * FROM users WHERE username = ? AND email IS NULL AND oid IS NULL',
+                [email.split('@')[0]]
+            ) : null);
+        if (user && oid) {
+            await db.run(`UPDATE users SET oid = ?, updated_at = datetime('now') WHERE username = ?`, [oid, user.username]);
+            user.oid = oid;
+        }
+    }
+
+    if (!user) {
+        user = await create(db, { oid, email, displayName: claims.display_name });
+        console.log(`[users] New user ${user.username} (${email || oid})`);
+    } else if (email && user.email !== email) {
+        console.log(`[users] ${user.username} changed email from ${user.email || '(none)'} to ${email}`);
+        await db.run(`UPDATE users SET email = ?, updated_at = datetime('now') WHERE username = ?`, [email, user.username]);
+        cache.delete(`email:${user.email}`);
+        user.email = email;
+    }
+
+    remember(user, { oid, email });
+    return user;
+}
+
+/**
+ * The Hydra username for a user: the claim when the login carried one, else looked up
+ * @param {Object} user - req.user, token payload or stored claims
+ * @returns {Promise<string>}
+ */
+async function usernameFor(user) {
+    if (user?.username) return user.username;
+    const { oid, email } = identity(user);
+    const cached = (oid && cache.get(`oid:${oid}`)) || (email && cache.get(`email:${email}`));
+    if (cached) return cached;
+    return (await resolve(user)).username;
+}
+
+/**
+ * Look a user up by username or email (admin input); never creates one
+ * @returns {Promise<Object|null>} users row
+ */
+async function find(value) {
+    const key = String(value || '').trim().toLowerCase();
+    if (!key) return null;
+    const db = await getDb();
+    return key.includes('@')
+        ? db.get('SELECT * FROM users WHERE email = ? ORDER BY updated_at DESC LIMIT 1', [key])
+        : db.get('SELECT * FROM users WHERE username = ?', [key]);
+}
+
+module.exports = {
+    toUsername,
+    resolve,
+    usernameFor,
+    find
+};
@@ -0,0 +1,888 @@
+// services/volume-snapshots.js - Point-in-time snapshots of student home volumes
+// Every hydra-vol-<key> PVC is snapshotted on a schedule and on demand, and wipe/destroy take one
+// first. PVCs on a storage class with CSI snapshot support (the ZFS classes) get a VolumeSnapshot;
+// the rest (hydra-nfs) are tarred by a Job into the shared SNAPSHOT_ARCHIVE_PVC.
+// Browsing and restoring run short helper Jobs that mount the snapshot read-only: a PVC cloned
+// from the VolumeSnapshot, or the archive. Kubernetes mode only.
+
+const path = require('path');
+const { getDb } = require('../db');
+const k8sClient = require('./k8s-client');
+const runtimeConfig = require('../config/runtime');
+const workspaces = require('./workspaces');
+
+let k8sContainers;
+try {
+    k8sContainers = require('./k8s-containers');
+} catch (e) {
+    console.warn('[volume-snapshots] k8s-containers not available');
+}
+
+const ENABLED = process.env.SNAPSHOTS_ENABLED !== 'false';
+const SNAPSHOT_CLASS = process.env.SNAPSHOT_CLASS || 'hydra-zfs';
+const CSI_STORAGE_CLASSES = (process.env.SNAPSHOT_CSI_STORAGE_CLASSES || 'hydra-hot,hydra-warm,hydra-cold,hydra-gpu')
+    .split(',').map(c => c.trim()).filter(Boolean);
+const ARCHIVE_PVC = process.env.SNAPSHOT_ARCHIVE_PVC || 'hydra-snapshot-archive';
+const HELPER_IMAGE = process.env.SNAPSHOT_HELPER_IMAGE || runtimeConfig.k8s.studentImage;
+const SCHEDULE_HOURS = parseInt(process.env.SNAPSHOT_SCHEDULE_HOURS || '24', 10); // 0 turns scheduled snapshots off
+const KEEP_AUTOMATIC = parseInt(process.env.SNAPSHOT_KEEP_AUTOMATIC || '7', 10); // Per volume
+const MAX_MANUAL = parseInt(process.env.SNAPSHOT_MAX_MANUAL || '5', 10); // Per user, all workspaces
+const ORPHAN_DAYS = parseInt(process.env.SNAPSHOT_ORPHAN_DAYS || '30', 10); // Kept after their volume is gone
+
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHEDULED_PER_CHECK = 10; // Spreads the archive Jobs out instead of starting one per student at once
+const PENDING_TIMEOUT_MS = 60 * 60 * 1000;
+const ARCHIVE_TIMEOUT_MS = 30 * 60 * 1000;
+const HELPER_TIMEOUT_MS = 2 * 60 * 1000;
+const PROTECT_TIMEOUT_MS = 3 * 60 * 1000;
+const MAX_LISTED_FILES = 1000;
+
+const AUTOMATIC_TRIGGERS = ['scheduled', 'pre-wipe', 'pre-rollback', 'pre-import'];
+
+// Runs inside the helper image: lists a directory of a snapshot, or copies part of one back into
+// the volume. The snapshot is a mounted directory or a .tar.gz archive. Prints one JSON line.
+const HELPER_SCRIPT = `
+import json, os, shutil, sys, tarfile, time
+mode, source, rel = sys.argv[1], sys.argv[2], sys.argv[3]
+is_tar = source.endswith('.tar.gz')
+extract_args = {'filter': 'data'} if hasattr(tarfile, 'data_filter') else {}
+unsafe_member = getattr(tarfile, 'FilterError', ())
+
+def done(**result):
+    print(json.dumps(result))
+    sys.exit(0)
+
+def inside(root, p):
+    real = os.path.realpath(p)
+    return real == root or real.startswith(root + '/')
+
+def member_name(m):
+    return (m.name[2:] if m.name.startswith('./') else m.name).rstrip('/')
+
+def member_type(m):
+    return 'dir' if m.isdir() else 'link' if m.issym() or m.islnk() else 'file'
+
+if mode == 'list':
+    entries, found = [], rel == ''
+    if is_tar:
+        with tarfile.open(source) as t:
+            for m in t:
+                n = member_name(m)
+                if n == rel and m.isdir():
+                    found = True
+                elif n not in ('', '.') and os.path.dirname(n) == rel:
+                    found = True
+                    entries.append({'name': os.path.basename(n), 'type': member_type(m), 'size': m.size, 'mtime': int(m.mtime)})
+    else:
+        root = os.path.realpath(source)
+        d = os.path.join(root, rel)
+        if not inside(root, d) or not os.path.isdir(d):
+            done(error='not_found')
+        found = True
+        for e in os.scandir(d):
+            st = e.stat(follow_symlinks=False)
+            kind = 'link' if e.is_symlink() else 'dir' if e.is_dir(follow_symlinks=False) else 'file'
+            entries.append({'name': e.name, 'type': kind, 'size': st.st_size, 'mtime': int(st.st_mtime)})
+    if not found:
+        done(error='not_found')
+    entries.sort(key=lambda e: (e['type'] != 'dir', e['name']))
+    done(entries=entries[:LIMIT], truncated=len(entries) > LIMIT)
+
+if mode == 'restore':
+    target = os.path.realpath('/target')
+    dest = os.path.join(target, sys.argv[4])
+    if not inside(target, os.path.dirname(dest)):
+        done(error='bad_target')
+    moved = None
+    if os.path.lexists(dest):
+        moved = dest + '.before-restore-' + time.strftime('%Y%m%d%H%M%S')
+        os.rename(dest, moved)
+    os.makedirs(os.path.dirname(dest), exist_ok=True)
+    count = 0
+    if is_tar:
+        with tarfile.open(source) as t:
+            for m in t:
+                n = member_name(m)
+                if n != rel and not n.startswith(rel + '/'):
+                    continue
+                if m.islnk() or not (m.isfile() or m.isdir() or m.issym()):
+                    continue
+                m.name = os.path.relpath(os.path.join(dest, n[len(rel):].lstrip('/')), target)
+                try:
+                    t.extract(m, target, **extract_args)
+                    count += 1
+                except unsafe_member:
+                    pass
+    else:
+        root = os.path.realpath(source)
+        src = os.path.join(root, rel)
+        if inside(root, os.path.dirname(src)) and os.path.lexists(src):
+            if os.path.isdir(src) and not os.path.islink(src):
+                shutil.copytree(src, dest, symlinks=True)
+                count = 1 + sum(len(dirs) + len(files) for _, dirs, files in os.walk(dest))
+            else:
+                shutil.copy2(src, dest, follow_symlinks=False)
+                count = 1
+    if count == 0:
+        if moved:
+            os.rename(moved, dest)
+        done(error='not_found')
+    done(restored=count, moved_aside=os.path.relpath(moved, target) if moved else None)
+`.replace(/LIMIT/g, String(MAX_LISTED_FILES));
+
+const operations = new Map(); // owner -> { action, snapshot_id, status, started_at, finished_at, error }
+let checkInterval = null;
+let checking = false;
+
+/**
+ * Error raised for invalid snapshot requests; message is safe to show to the caller
+ */
+class SnapshotError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function requireAvailable() {
+    if (!runtimeConfig.isKubernetes()) throw new SnapshotError('Snapshots need Kubernetes mode', 501);
+    if (!ENABLED) throw new SnapshotError('Snapshots are turned off', 503);
+}
+
+function pvcName(owner) {
+    return `hydra-vol-${owner}`;
+}
+
+function archiveFile(row) {
+    return `${row.owner}/${row.name}.tar.gz`;
+}
+
+function stamp() {
+    return new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Bytes in a Kubernetes quantity such as 10Gi or 512M
+ */
+function parseQuantity(value) {
+    const match = String(value || '').match(/^(\d+(?:\.\d+)?)([KMGTP]i?|k)?$/);
+    if (!match) return null;
+    const units = { k: 1e3, K: 1e3, M: 1e6, G: 1e9, T: 1e12, P: 1e15, Ki: 2 ** 10, Mi: 2 ** 20, Gi: 2 ** 30, Ti: 2 ** 40, Pi: 2 ** 50 };
+    return Math.round(parseFloat(match[1]) * (match[2] ? units[match[2]] : 1));
+}
+
+/**
+ * Path inside the volume, relative to /home/student; `..` cannot climb out
+ */
+function normalizePath(input) {
+    const value = String(input || '');
+    if (value.includes('\0')) throw new SnapshotError('Invalid path');
+    const normalized = path.posix.normalize(`/${value}`).replace(/^\/+|\/+$/g, '');
+    return normalized === '.' ? '' : normalized;
+}
+
+function describe(row) {
+    return {
+        id: row.id,
+        method: row.method,
+        trigger: row.trigger,
+        label: row.label,
+        status: row.status,
+        size_bytes: row.size_bytes,
+        error: row.error,
+        created_at: row.created_at,
+        ready_at: row.ready_at
+    };
+}
+
+// ==================== Kubernetes specs ====================
+
+function buildVolumeSnapshotSpec(row) {
+    return {
+        apiVersion: 'snapshot.storage.k8s.io/v1',
+        kind: 'VolumeSnapshot',
+        metadata: {
+            name: row.name,
+            namespace: runtimeConfig.k8s.namespace,
+            labels: {
+                'app.kubernetes.io/name': 'student-snapshot',
+                'app.kubernetes.io/managed-by': 'hydra-auth',
+                'hydra.owner': row.owner,
+                'hydra.snapshot-trigger': row.trigger
+            }
+        },
+        spec: {
+            volumeSnapshotClassName: SNAPSHOT_CLASS,
+            source: { persistentVolumeClaimName: pvcName(row.owner) }
+        }
+    };
+}
+
+// PVC holding a copy of a VolumeSnapshot; ZFS clones are instant and share blocks with the snapshot
+function buildClonePVCSpec(name, row, sizeBytes) {
+    return {
+        apiVersion: 'v1',
+        kind: 'PersistentVolumeClaim',
+        metadata: {
+            name,
+            namespace: runtimeConfig.k8s.namespace,
+            labels: {
+                'app.kubernetes.io/name': 'student-snapshot-view',
+                'app.kubernetes.io/managed-by': 'hydra-auth',
+                'hydra.owner': row.owner
+            }
+        },
+        spec: {
+            accessModes: ['ReadWriteOnce'],
+            storageClassName: row.storage_class,
+            dataSource: { apiGroup: 'snapshot.storage.k8s.io', kind: 'VolumeSnapshot', name: row.name },
+            resources: { requests: { storage: `${Math.max(1, Math.ceil((sizeBytes || 0) / 2 ** 30))}Gi` } }
+        }
+    };
+}
+
+/**
+ * Job running one snapshot task with the given volumes mounted
+ * @param {string} name - Job name
+ * @param {string} owner - Container key
+ * @param {Object} options - { action, command, env, volumes: [{ name, claimName, mountPath, readOnly }], nodeName, deadlineSeconds }
+ */
+function buildJobSpec(name, owner, { action, command, env = {}, volumes, nodeName, deadlineSeconds }) {
+    return {
+        apiVersion: 'batch/v1',
+        kind: 'Job',
+        metadata: {
+            name,
+            namespace: runtimeConfig.k8s.namespace,
+            labels: {
+                'app.kubernetes.io/name': 'hydra-snapshot',
+                'app.kubernetes.io/managed-by': 'hydra-auth',
+                'hydra.owner': owner,
+                'hydra.snapshot-action': action
+            }
+        },
+        spec: {
+            ttlSecondsAfterFinished: 600,
+            backoffLimit: 0,
+            activeDeadlineSeconds: deadlineSeconds,
+            template: {
+                metadata: {
+                    labels: { 'app.kubernetes.io/name': 'hydra-snapshot', 'hydra.owner': owner }
+                },
+                spec: {
+                    restartPolicy: 'Never',
+                    // Snapshot contents are student-controlled (symlinks included); keep the API token out of reach
+                    automountServiceAccountToken: false,
+                    ...(nodeName ? { nodeName } : {}),
+                    securityContext: { runAsUser: 1000, runAsGroup: 1000, fsGroup: 1000 },
+                    containers: [{
+                        name: 'snapshot',
+                        image: HELPER_IMAGE,
+                        command,
+                        env: Object.entries(env).map(([key, value]) => ({ name: key, value: String(value) })),
+                        volumeMounts: volumes.map(v => ({ name: v.name, mountPath: v.mountPath, readOnly: !!v.readOnly })),
+                        resources: {
+                            requests: { memory: '64Mi', cpu: '100m' },
+                            limits: { memory: '512Mi', cpu: '1' }
+                        }
+                    }],
+                    volumes: volumes.map(v => ({
+                        name: v.name,
+                        persistentVolumeClaim: { claimName: v.claimName, readOnly: !!v.readOnly }
+                    }))
+                }
+            }
+        }
+    };
+}
+
+// ==================== Jobs ====================
+
+async function podNode(owner) {
+    const pod = await k8sClient.getPod(`student-${owner}`);
+    return pod?.spec?.nodeName || undefined;
+}
+
+async function jobOutput(name) {
+    const pods = await k8sClient.listPods(`job-name=${name}`);
+    if (!pods.length) return '';
+    const logs = await k8sClient.getPodLogs(pods[0].metadata.name, runtimeConfig.k8s.namespace, undefined, 20);
+    return String(logs || '').trim().split('\n').pop() || '';
+}
+
+/**
+ * Run a helper Job to completion and return the JSON it printed
+ */
+async function runHelper(owner, options) {
+    const name = `snap-${options.action}-${Date.now().toString(36)}`;
+    await k8sClient.createJob(buildJobSpec(name, owner, {
+        ...options,
+        deadlineSeconds: Math.ceil(HELPER_TIMEOUT_MS / 1000)
+    }));
+    try {
+        const result = await k8sClient.waitForJobCompletion(name, runtimeConfig.k8s.namespace, HELPER_TIMEOUT_MS);
+        const output = await jobOutput(name).catch(() => '');
+        if (!result.success) throw new Error(`Snapshot ${options.action} job failed: ${result.error}${output ? ` (${output})` : ''}`);
+        return JSON.parse(output);
+    } finally {
+        await k8sClient.deleteJob(name).catch(() => {});
+    }
+}
+
+/**
+ * Mount a snapshot for a helper Job: run fn(volumes, sourcePath) and clean up after
+ */
+async function withSnapshotMounted(row, fn) {
+    if (row.method === 'archive') {
+        return fn([{ name: 'archive', claimName: ARCHIVE_PVC, mountPath: '/archive', readOnly: true }], `/archive/${archiveFile(row)}`);
+    }
+    const clone = `snapview-${row.id}-${Date.now().toString(36)}`;
+    await k8sClient.createPVC(buildClonePVCSpec(clone, row, row.size_bytes));
+    try {
+        return await fn([{ name: 'snapshot', claimName: clone, mountPath: '/snapshot', readOnly: true }], '/snapshot');
+    } finally {
+        await k8sClient.deletePVC(clone).catch(e => console.warn(`[volume-snapshots] Could not delete ${clone}:`, e.message));
+    }
+}
+
+function archiveJobName(row) {
+    return `snap-${row.id}-archive`;
+}
+
+async function startArchive(row) {
+    const command = [
+        'sh', '-c',
+        // GNU tar exits 1 when files change while being read; the copy is still usable
+        'set -e; mkdir -p "/archive/$OWNER"; rc=0; tar -czf "/archive/$FILE.partial" -C /source . || rc=$?; '
+        + '[ "$rc" -le 1 ]; mv "/archive/$FILE.partial" "/archive/$FILE"; stat -c %s "/archive/$FILE"'
+    ];
+    await k8sClient.createJob(buildJobSpec(archiveJobName(row), row.owner, {
+        action: 'archive',
+        command,
+        env: { OWNER: row.owner, FILE: archiveFile(row) },
+        volumes: [
+            { name: 'source', claimName: pvcName(row.owner), mountPath: '/source', readOnly: true },
+            { name: 'archive', claimName: ARCHIVE_PVC, mountPath: '/archive' }
+        ],
+        nodeName: await podNode(row.owner),
+        deadlineSeconds: Math.ceil(ARCHIVE_TIMEOUT_MS / 1000)
+    }));
+}
+
+// Best effort: a leftover archive file only costs space
+async function deleteArchives(owner, files) {
+    if (!files.length) return;
+    const name = `snap-delete-${Date.now().toString(36)}`;
+    try {
+        await k8sClient.createJob(buildJobSpec(name, owner, {
+            action: 'delete',
+            command: ['sh', '-c', 'cd /archive && rm -f -- "$@"', 'sh', ...files],
+            volumes: [{ name: 'archive', claimName: ARCHIVE_PVC, mountPath: '/archive' }],
+            deadlineSeconds: 300
+        }));
+    } catch (e) {
+        console.warn(`[volume-snapshots] Could not delete archives ${files.join(', ')}:`, e.message);
+    }
+}
+
+// ==================== Snapshot rows ====================
+
+async function getRow(id) {
+    const db = await getDb();
+    return db.get('SELECT * FROM volume_snapshots WHERE id = ?', [id]);
+}
+
+async function getOwned(owner, id) {
+    const row = await getRow(parseInt(id, 10) || 0);
+    if (!row || row.owner !== owner) throw new SnapshotError('Snapshot not found', 404);
+    return row;
+}
+
+async function getReady(owner, id) {
+    const row = await getOwned(owner, id);
+    if (row.status !== 'ready') throw new SnapshotError(`This snapshot is ${row.status}`, 409);
+    return row;
+}
+
+async function setStatus(row, status, { sizeBytes, error } = {}) {
+    const db = await getDb();
+    await db.run(
+        `UPDATE volume_snapshots SET status = ?, size_bytes = COALESCE(?, size_bytes), error = ?,
+         ready_at = CASE WHEN ? = 'ready' THEN datetime('now') ELSE ready_at END WHERE id = ?`,
+        [status, sizeBytes ?? null, error || null, status, row.id]
+    );
+    if (status === 'failed') console.warn(`[volume-snapshots] Snapshot ${row.name} failed: ${error}`);
+}
+
+/**
+ * Move a pending snapshot to ready or failed once its VolumeSnapshot or archive Job is done
+ * @returns {Promise<string>} The snapshot's status afterwards
+ */
+async function settle(row) {
+    if (row.status !== 'pending') return row.status;
+    if (Date.now() - new Date(`${row.created_at}Z`).getTime() > PENDING_TIMEOUT_MS) {
+        await setStatus(row, 'failed', { error: 'Timed out' });
+        if (row.method === 'archive') await k8sClient.deleteJob(archiveJobName(row)).catch(() => {});
+        return 'failed';
+    }
+
+    if (row.method === 'csi') {
+        const snapshot = await k8sClient.getVolumeSnapshot(row.name);
+        if (!snapshot) {
+            await setStatus(row, 'failed', { error: 'VolumeSnapshot is gone' });
+            return 'failed';
+        }
+        if (snapshot.status?.readyToUse) {
+            await setStatus(row, 'ready', { sizeBytes: parseQuantity(snapshot.status.restoreSize) });
+            return 'ready';
+        }
+        if (snapshot.status?.error?.message) {
+            await setStatus(row, 'failed', { error: snapshot.status.error.message });
+            return 'failed';
+        }
+        return 'pending';
+    }
+
+    const job = await k8sClient.getJob(archiveJobName(row));
+    if (!job) {
+        await setStatus(row, 'failed', { error: 'Archive job is gone' });
+        return 'failed';
+    }
+    if (!job.status?.succeeded && !job.status?.failed) return 'pending';
+    const output = await jobOutput(archiveJobName(row)).catch(() => '');
+    if (job.status.succeeded) {
+        await setStatus(row, 'ready', { sizeBytes: parseInt(output, 10) || null });
+    } else {
+        await setStatus(row, 'failed', { error: `Archive job failed${output ? `: ${output.slice(0, 200)}` : ''}` });
+    }
+    await k8sClient.deleteJob(archiveJobName(row)).catch(() => {});
+    return job.status.succeeded ? 'ready' : 'failed';
+}
+
+/**
+ * Remove snapshots: their VolumeSnapshots or archive files, then their rows
+ */
+async function discard(rows) {
+    const db = await getDb();
+    const archives = new Map(); // owner -> files
+    for (const row of rows) {
+        if (row.method === 'csi') {
+            await k8sClient.deleteVolumeSnapshot(row.name).catch(e => console.warn(`[volume-snapshots] Could not delete ${row.name}:`, e.message));
+        } else if (row.status === 'ready') {
+            archives.set(row.owner, [...(archives.get(row.owner) || []), archiveFile(row)]);
+        }
+        await db.run('DELETE FROM volume_snapshots WHERE id = ?', [row.id]);
+    }
+    for (const [owner, files] of archives) await deleteArchives(owner, files);
+}
+
+// ==================== Public API ====================
+
+/**
+ * Start a snapshot of a container's volume; it is `pending` until the snapshot or archive is done
+ * @param {string} owner - Container key
+ * @param {Object} [options] - { trigger: 'manual' | 'scheduled' | 'pre-wipe' | 'pre-rollback' | 'pre-import', label }
+ * @throws {SnapshotError}
+ */
+async function create(owner, { trigger = 'manual', label } = {}) {
+    requireAvailable();
+    const pvc = await k8sClient.getPVC(pvcName(owner));
+    if (!pvc) throw new SnapshotError('This workspace has no volume yet', 404);
+
+    const db = await getDb();
+    const username = workspaces.ownerOf(owner);
+    if (trigger === 'manual') {
+        const { count } = await db.get(
+            "SELECT COUNT(*) AS count FROM volume_snapshots WHERE username = ? AND trigger = 'manual' AND status != 'failed'",
+            [username]
+        );
+        if (count >= MAX_MANUAL) {
+            throw new SnapshotError(`You can keep at most ${MAX_MANUAL} snapshots of your own; delete one first`, 403);
+        }
+    }
+    if (await db.get("SELECT id FROM volume_snapshots WHERE owner = ? AND status = 'pending'", [owner])) {
+        throw new SnapshotError('A snapshot of this workspace is already being taken', 409);
+    }
+
+    const storageClass = pvc.spec?.storageClassName || runtimeConfig.k8s.defaultStorageClass;
+    const method = CSI_STORAGE_CLASSES.includes(storageClass) ? 'csi' : 'archive';
+    const note = label === undefined || label === null ? null : String(label).trim().slice(0, 100) || null;
+    const result = await db.run(
+        `INSERT INTO volume_snapshots (owner, username, name, method, trigger, label, storage_class)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [owner, username, `snap-${owner}-${stamp()}`, method, trigger, note, storageClass]
+    );
+    const row = await getRow(result.lastID);
+
+    try {
+        if (method === 'csi') {
+            await k8sClient.createVolumeSnapshot(buildVolumeSnapshotSpec(row));
+        } else {
+            await startArchive(row);
+        }
+    } catch (e) {
+        await setStatus(row, 'failed', { error: e.message });
+        throw e;
+    }
+    console.log(`[volume-snapshots] ${trigger} snapshot ${row.name} of ${pvcName(owner)} started (${method})`);
+    return describe(row);
+}
+
+/**
+ * Wait until a snapshot is ready
+ * @throws {Error} if it fails or takes longer than timeoutMs
+ */
+async function waitUntilReady(id, timeoutMs) {
+    const startTime = Date.now();
+    while (Date.now() - startTime < timeoutMs) {
+        const row = await getRow(id);
+        const status = await settle(row);
+        if (status === 'ready') return getRow(id);
+        if (status === 'failed') throw new Error(`Snapshot failed: ${(await getRow(id)).error}`);
+        await sleep(2000);
+    }
+    throw new Error('Snapshot did not finish in time');
+}
+
+/**
+ * Snapshot a volume before it is wiped, destroyed or replaced
+ * @returns {Promise<Object|null>} The snapshot, or null when there is nothing to keep (or snapshots are off)
+ * @throws {Error} if the snapshot could not be taken; the caller should not go ahead
+ */
+async function protect(owner, trigger = 'pre-wipe') {
+    if (!runtimeConfig.isKubernetes() || !ENABLED) return null;
+    if (!(await k8sClient.getPVC(pvcName(owner)))) return null;
+    const db = await getDb();
+    // Let a scheduled snapshot that is already running finish instead
+    const pending = await db.get("SELECT id FROM volume_snapshots WHERE owner = ? AND status = 'pending'", [owner]);
+    if (pending) await waitUntilReady(pending.id, PROTECT_TIMEOUT_MS).catch(() => {});
+    const snapshot = await create(owner, { trigger });
+    return describe(await waitUntilReady(snapshot.id, PROTECT_TIMEOUT_MS));
+}
+
+/**
+ * A container's snapshots, newest first, and the rollback in progress if any
+ */
+async function list(owner) {
+    requireAvailable();
+    const db = await getDb();
+    const rows = await db.all('SELECT * FROM volume_snapshots WHERE owner = ? ORDER BY created_at DESC, id DESC', [owner]);
+    for (const row of rows.filter(r => r.status === 'pending')) {
+        row.status = await settle(row).catch(() => row.status);
+    }
+    return {
+        snapshots: rows.map(describe),
+        operation: operations.get(owner) || null,
+        limits: { max_manual: MAX_MANUAL, keep_automatic: KEEP_AUTOMATIC, schedule_hours: SCHEDULE_HOURS }
+    };
+}
+
+/**
+ * Delete one of a container's snapshots
+ * @throws {SnapshotError}
+ */
+async function remove(owner, id) {
+    requireAvailable();
+    const row = await getOwned(owner, id);
+    if (row.status === 'pending') throw new SnapshotError('This snapshot is still being taken', 409);
+    if (isRestoring(row)) throw new SnapshotError('The workspace is being rolled back to this snapshot', 409);
+    await discard([row]);
+    console.log(`[volume-snapshots] Snapshot ${row.name} deleted`);
+}
+
+/**
+ * Delete every snapshot of a container, e.g. when a guest's data is wiped for good
+ * @returns {Promise<number>} Snapshots deleted
+ */
+async function removeAll(owner) {
+    if (!runtimeConfig.isKubernetes()) return 0;
+    const db = await getDb();
+    const rows = await db.all('SELECT * FROM volume_snapshots WHERE owner = ?', [owner]);
+    await discard(rows);
+    if (rows.length) console.log(`[volume-snapshots] Deleted all ${rows.length} snapshot(s) of ${pvcName(owner)}`);
+    return rows.length;
+}
+
+/**
+ * Entries of one directory of a snapshot
+ * @param {string} owner - Container key
+ * @param {number} id - Snapshot id
+ * @param {string} [dirPath] - Relative to /home/student
+ * @returns {Promise<{ path: string, entries: Object[], truncated: boolean }>}
+ */
+async function browse(owner, id, dirPath) {
+    requireAvailable();
+    const row = await getReady(owner, id);
+    const rel = normalizePath(dirPath);
+    const result = await withSnapshotMounted(row, (volumes, source) => runHelper(owner, {
+        action: 'list',
+        command: ['python3', '-c', HELPER_SCRIPT, 'list', source, rel],
+        volumes
+    }));
+    if (result.error) throw new SnapshotError('No such directory in this snapshot', 404);
+    return { path: rel, entries: result.entries, truncated: result.truncated };
+}
+
+/**
+ * Copy a file or directory from a snapshot back into the live volume. Whatever is at the
+ * destination now is kept alongside as <name>.before-restore-<timestamp>.
+ * @param {string} owner - Container key
+ * @param {number} id - Snapshot id
+ * @param {Object} input - { path, to? } relative to /home/student; `to` defaults to `path`
+ * @throws {SnapshotError}
+ */
+async function restore(owner, id, { path: itemPath, to } = {}) {
+    requireAvailable();
+    const row = await getReady(owner, id);
+    const rel = normalizePath(itemPath);
+    if (!rel) throw new SnapshotError('Choose a file or directory; roll back to restore the whole volume');
+    const dest = normalizePath(to || rel);
+    if (!dest) throw new SnapshotError('Invalid destination');
+    if (operations.get(owner)?.status === 'running') throw new SnapshotError('A rollback of this workspace is in progress', 409);
+    if (!(await k8sClient.getPVC(pvcName(owner)))) throw new SnapshotError('This workspace has no volume; roll back instead', 409);
+    if (require('./home-archive').isImporting(owner)) throw new SnapshotError('An import into this workspace is in progress', 409);
+
+    const nodeName = await podNode(owner);
+    const result = await withSnapshotMounted(row, (volumes, source) => runHelper(owner, {
+        action: 'restore',
+        command: ['python3', '-c', HELPER_SCRIPT, 'restore', source, rel, dest],
+        volumes: [...volumes, { name: 'target', claimName: pvcName(owner), mountPath: '/target' }],
+        nodeName
+    }));
+    if (result.error === 'not_found') throw new SnapshotError('No such file or directory in this snapshot', 404);
+    if (result.error) throw new SnapshotError('Invalid destination');
+    console.log(`[volume-snapshots] Restored ${rel} from ${row.name} to ${pvcName(owner)}:${dest}`);
+    return { path: rel, restored_to: dest, entries: result.restored, moved_aside: result.moved_aside };
+}
+
+async function waitForGone(get, name) {
+    for (let i = 0; i < 60; i++) {
+        if (!(await get(name))) return;
+        await sleep(1000);
+    }
+    throw new Error(`${name} was not deleted in time`);
+}
+
+async function runRollback(owner, row) {
+    const volume = pvcName(owner);
+    const pvc = await k8sClient.getPVC(volume);
+    const annotations = pvc?.metadata?.annotations || {};
+    const email = annotations['hydra.owner-email'] || '';
+    const status = await k8sContainers.getContainerStatus(owner);
+
+    // Keep the current state, so a rollback can itself be undone
+    if (pvc) await protect(owner, 'pre-rollback');
+
+    if (status.exists) {
+        await k8sContainers.stopContainer(owner);
+        await waitForGone(name => k8sClient.getPod(name), `student-${owner}`);
+    }
+
+    const storageGb = Math.max(
+        Math.ceil((parseQuantity(pvc?.spec?.resources?.requests?.storage) || 0) / 2 ** 30),
+        Math.ceil((row.size_bytes || 0) / 2 ** 30),
+        1
+    );
+    const spec = k8sContainers.buildPVCSpec(owner, storageGb, row.storage_class, {
+        email,
+        preset: annotations['hydra.preset'],
+        target_node: annotations['hydra.target-node']
+    });
+
+    if (row.method === 'csi') {
+        // A ZFS volume can only be replaced by a clone of its snapshot
+        if (pvc) {
+            await k8sClient.deletePVC(volume);
+            await waitForGone(name => k8sClient.getPVC(name), volume);
+        }
+        spec.spec.dataSource = { apiGroup: 'snapshot.storage.k8s.io', kind: 'VolumeSnapshot', name: row.name };
+        await k8sClient.createPVC(spec);
+    } else {
+        if (!pvc) await k8sClient.createPVC(spec);
+        const name = `snap-rollback-${Date.now().toString(36)}`;
+        await k8sClient.createJob(buildJobSpec(name, owner, {
+            action: 'rollback',
+            command: ['sh', '-c', 'set -e; find /target -mindepth 1 -delete; tar -xzf "/archive/$FILE" -C /target'],
+            env: { FILE: archiveFile(row) },
+            volumes: [
+                { name: 'archive', claimName: ARCHIVE_PVC, mountPath: '/archive', readOnly: true },
+                { name: 'target', claimName: volume, mountPath: '/target' }
+            ],
+            deadlineSeconds: Math.ceil(ARCHIVE_TIMEOUT_MS / 1000)
+        }));
+        const result = await k8sClient.waitForJobCompletion(name, runtimeConfig.k8s.namespace, ARCHIVE_TIMEOUT_MS);
+        await k8sClient.deleteJob(name).catch(() => {});
+        if (!result.success) throw new Error(`Rollback job failed: ${result.error}`);
+    }
+
+    if (status.exists) await k8sContainers.startContainer(owner, email);
+}
+
+/**
+ * Replace a container's whole volume with a snapshot. Runs in the background: the container is
+ * stopped, the current volume is snapshotted (pre-rollback) and replaced, and the container is
+ * started again if it was running. Progress is in list().operation.
+ * @throws {SnapshotError}
+ */
+async function rollback(owner, id) {
+    requireAvailable();
+    const row = await getReady(owner, id);
+    if (await (await getDb()).get("SELECT id FROM volume_snapshots WHERE owner = ? AND status = 'pending'", [owner])) {
+        throw new SnapshotError('Wait for the snapshot in progress to finish', 409);
+    }
+    // An import also replaces hydra-vol-<key>; checked and claimed without awaiting in between.
+    // Required here: home-archive requires this module
+    if (require('./home-archive').isImporting(owner)) throw new SnapshotError('An import into this workspace is in progress', 409);
+    if (operations.get(owner)?.status === 'running') throw new SnapshotError('A rollback of this workspace is already in progress', 409);
+
+    const operation = { action: 'rollback', snapshot_id: row.id, status: 'running', started_at: new Date().toISOString(), finished_at: null, error: null };
+    operations.set(owner, operation);
+    console.log(`[volume-snapshots] Rolling ${pvcName(owner)} back to ${row.name}`);
+    runRollback(owner, row)
+        .then(() => {
+            operation.status = 'done';
+            console.log(`[volume-snapshots] ${pvcName(owner)} rolled back to ${row.name}`);
+        })
+        .catch(e => {
+            operation.status = 'failed';
+            operation.error = e.message;
+            console.error(`[volume-snapshots] Rollback of ${pvcName(owner)} to ${row.name} failed:`, e.message);
+        })
+        .finally(() => {
+            operation.finished_at = new Date().toISOString();
+        });
+    return operation;
+}
+
+/**
+ * Whether a rollback of this workspace is in progress
+ */
+function isRollingBack(owner) {
+    return operations.get(owner)?.status === 'running';
+}
+
+// ==================== Schedule and retention ====================
+
+async function takeScheduled(db, pvcs) {
+    const cutoff = new Date(Date.now() - SCHEDULE_HOURS * 60 * 60 * 1000).toISOString();
+    let started = 0;
+    for (const pvc of pvcs) {
+        const owner = pvc.metadata?.labels?.['hydra.owner'];
+        if (!owner || pvc.metadata.labels['hydra.migration'] || operations.get(owner)?.status === 'running') continue;
+        const last = await db.get(
+            "SELECT MAX(created_at) AS at FROM volume_snapshots WHERE owner = ? AND trigger = 'scheduled' AND status != 'failed'",
+            [owner]
+        );
+        if (last?.at && new Date(`${last.at}Z`).toISOString() > cutoff) continue;
+        try {
+            await create(owner, { trigger: 'scheduled' });
+            if (++started >= SCHEDULED_PER_CHECK) break;
+        } catch (e) {
+            if (e.status !== 409) console.warn(`[volume-snapshots] Scheduled snapshot of ${owner} failed:`, e.message);
+        }
+    }
+    return started;
+}
+
+// Whether a rollback in progress is restoring this snapshot
+function isRestoring(row) {
+    const operation = operations.get(row.owner);
+    return operation?.status === 'running' && operation.snapshot_id === row.id;
+}
+
+// Keep the newest KEEP_AUTOMATIC automatic snapshots per volume; failed ones go after a day,
+// and all of a volume's snapshots ORPHAN_DAYS after the volume itself is gone. The snapshot a
+// rollback is restoring is always kept: its pre-rollback snapshot can push it past the limit.
+async function prune(db, pvcs) {
+    const volumes = new Set(pvcs.map(pvc => pvc.metadata?.labels?.['hydra.owner']));
+    const rows = await db.all(
+        "SELECT * FROM volume_snapshots WHERE status != 'pending' ORDER BY owner, created_at DESC, id DESC"
+    );
+    const now = Date.now();
+    const kept = new Map(); // owner -> ready automatic snapshots kept
+    const expired = rows.filter(row => {
+        const age = now - new Date(`${row.created_at}Z`).getTime();
+        if (row.status === 'failed') return age > DAY_MS;
+        if (isRestoring(row)) return false;
+        if (!volumes.has(row.owner) && !operations.has(row.owner)) return age > ORPHAN_DAYS * DAY_MS;
+        if (!AUTOMATIC_TRIGGERS.includes(row.trigger)) return false;
+        const count = (kept.get(row.owner) || 0) + 1;
+        kept.set(row.owner, count);
+        return count > KEEP_AUTOMATIC;
+    });
+    if (expired.length) {
+        await discard(expired);
+        console.log(`[volume-snapshots] Pruned ${expired.length} snapshot(s)`);
+    }
+}
+
+async function check() {
+    if (checking) return;
+    checking = true;
+    try {
+        const db = await getDb();
+        for (const row of await db.all("SELECT * FROM volume_snapshots WHERE status = 'pending'")) {
+            await settle(row).catch(e => console.warn(`[volume-snapshots] Could not check ${row.name}:`, e.message));
+        }
+        const pvcs = await k8sClient.listPVCs('app.kubernetes.io/name=student-volume');
+        if (SCHEDULE_HOURS > 0) {
+            const started = await takeScheduled(db, pvcs);
+            if (started) console.log(`[volume-snapshots] Started ${started} scheduled snapshot(s)`);
+        }
+        await prune(db, pvcs);
+        for (const [owner, operation] of operations) {
+            if (operation.finished_at && Date.now() - new Date(operation.finished_at).getTime() > PENDING_TIMEOUT_MS) operations.delete(owner);
+        }
+    } catch (e) {
+        console.error('[volume-snapshots] Check failed:', e.message);
+    } finally {
+        checking = false;
+    }
+}
+
+/**
+ * Start scheduled snapshots, status updates and pruning (Kubernetes mode only)
+ */
+function start() {
+    if (checkInterval) {
+        console.warn('[volume-snapshots] Already running');
+        return;
+    }
+    if (!runtimeConfig.isKubernetes() || !ENABLED) {
+        console.log('[volume-snapshots] Not started (needs Kubernetes mode and SNAPSHOTS_ENABLED)');
+        return;
+    }
+    console.log(`[volume-snapshots] Starting (every ${SCHEDULE_HOURS}h per volume, keeping ${KEEP_AUTOMATIC} automatic snapshots)`);
+    check();
+    checkInterval = setInterval(check, CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stop the periodic check
+ */
+function stop() {
+    if (checkInterval) {
+        clearInterval(checkInterval);
+        checkInterval = null;
+    }
+}
+
+module.exports = {
+    SnapshotError,
+    create,
+    protect,
+    list,
+    remove,
+    removeAll,
+    browse,
+    restore,
+    rollback,
+    isRollingBack,
+    start,
+    stop
+};
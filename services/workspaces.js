@@ -0,0 +1,176 @@
+// services/workspaces.js - Named workspaces: several containers per user
+// Every per-container resource is named by a container key: the pod, service and IngressRoute
+// (student-<key>), the PVC (hydra-vol-<key>), routes (/students/<key>/...), the SSH user and the
+// container_configs row. The default workspace's key is the username itself, so containers from
+// before workspaces keep their names; a named workspace's key is <username>--<name>. Usernames
+// never contain "--" (services/users.js), which keeps keys unambiguous.
+// Requests pick a workspace with ?workspace=, the X-Hydra-Workspace header or the dashboard's
+// selection (kept in the session); without one they act on the default workspace.
+
+const { getDb } = require('../db');
+const resourceConfig = require('../config/resources');
+
+const DEFAULT = 'default';
+const SEPARATOR = '--';
+const NAME_MAX_LENGTH = 12;
+const NAME_PATTERN = /^[a-z][a-z0-9]*(-[a-z0-9]+)*$/;
+const MAX_NAME_LENGTH_K8S = 63; // Service names are DNS labels: student-<key>
+
+/**
+ * Error raised for invalid workspace requests; message is safe to show to the caller
+ */
+class WorkspaceError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Container key of one of a user's workspaces
+ */
+function containerKey(username, name = DEFAULT) {
+    return !name || name === DEFAULT ? username : `${username}${SEPARATOR}${name}`;
+}
+
+/**
+ * Split a container key (a pod's hydra.owner label, a /students/<key>/ route) into its parts
+ * @returns {{ username: string, workspace: string }}
+ */
+function parseKey(key) {
+    const value = String(key || '');
+    const at = value.indexOf(SEPARATOR);
+    return at === -1
+        ? { username: value, workspace: DEFAULT }
+        : { username: value.slice(0, at), workspace: value.slice(at + SEPARATOR.length) };
+}
+
+/**
+ * The user a container key belongs to
+ */
+function ownerOf(key) {
+    return parseKey(key).username;
+}
+
+function describe(username, row) {
+    const name = row ? row.name : DEFAULT;
+    return {
+        name,
+        key: containerKey(username, name),
+        default: !row,
+        description: row?.description || null,
+        created_at: row?.created_at || null
+    };
+}
+
+/**
+ * How many workspaces (the default one included) a user may have
+ */
+async function maxFor(username) {
+    const db = await getDb();
+    const quota = await db.get('SELECT max_workspaces FROM user_quotas WHERE username = ?', [username]);
+    return quota?.max_workspaces ?? resourceConfig.limits.maxContainersPerUser;
+}
+
+/**
+ * A user's workspaces, default first
+ */
+async function list(username) {
+    const db = await getDb();
+    const rows = await db.all('SELECT * FROM workspaces WHERE username = ? ORDER BY created_at, name', [username]);
+    return [describe(username, null), ...rows.map(row => describe(username, row))];
+}
+
+/**
+ * One of a user's workspaces, or null if they have none by that name
+ */
+async function get(username, name) {
+    if (!name || name === DEFAULT) return describe(username, null);
+    const db = await getDb();
+    const row = await db.get('SELECT * FROM workspaces WHERE username = ? AND name = ?', [username, name]);
+    return row ? describe(username, row) : null;
+}
+
+/**
+ * Add a named workspace; its container is created by the usual /init
+ * @param {string} username
+ * @param {Object} input - { name, description? }
+ * @throws {WorkspaceError}
+ */
+async function create(username, { name, description } = {}) {
+    const workspace = String(name || '').trim().toLowerCase();
+    if (workspace === DEFAULT) throw new WorkspaceError('Every user already has the default workspace');
+    if (workspace.length > NAME_MAX_LENGTH || !NAME_PATTERN.test(workspace)) {
+        throw new WorkspaceError(`Workspace names are 1-${NAME_MAX_LENGTH} lowercase letters, digits and single dashes, starting with a letter`);
+    }
+    if (`student-${containerKey(username, workspace)}`.length > MAX_NAME_LENGTH_K8S) {
+        throw new WorkspaceError('That name is too long together with your username; choose a shorter one');
+    }
+    const note = description === undefined || description === null ? null : String(description).trim().slice(0, 200) || null;
+
+    const db = await getDb();
+    const existing = await list(username);
+    if (existing.some(w => w.name === workspace)) throw new WorkspaceError(`You already have a workspace named ${workspace}`, 409);
+    const max = await maxFor(username);
+    if (existing.length >= max) {
+        throw new WorkspaceError(`You can have at most ${max} workspace${max === 1 ? '' : 's'}; delete one first`, 403);
+    }
+
+    await db.run('INSERT INTO workspaces (username, name, description) VALUES (?, ?, ?)', [username, workspace, note]);
+    console.log(`[workspaces] ${username} created workspace ${workspace}`);
+    return get(username, workspace);
+}
+
+/**
+ * Forget a named workspace and its container config; the caller destroys the container first
+ * @throws {WorkspaceError}
+ */
+async function remove(username, name) {
+    if (!name || name === DEFAULT) throw new WorkspaceError('The default workspace cannot be deleted; wipe it instead');
+    const workspace = await get(username, name);
+    if (!workspace) throw new WorkspaceError('Workspace not found', 404);
+
+    const db = await getDb();
+    await db.run('DELETE FROM workspaces WHERE username = ? AND name = ?', [username, name]);
+    await db.run('DELETE FROM container_configs WHERE username = ?', [workspace.key]);
+    console.log(`[workspaces] ${username} deleted workspace ${name}`);
+    return workspace;
+}
+
+/**
+ * Middleware: resolve the workspace a request acts on into req.workspace ({ name, key, ... }).
+ * An unknown workspace named explicitly is a 404; a stale dashboard selection falls back to default.
+ * Mount after ensureAuthenticated (needs req.user.username).
+ */
+async function select(req, res, next) {
+    const requested = req.query.workspace || req.get('x-hydra-workspace');
+    const name = String(requested || req.session?.workspace || DEFAULT).trim().toLowerCase();
+    try {
+        let workspace = await get(req.user.username, name);
+        if (!workspace && !requested) {
+            delete req.session.workspace;
+            workspace = await get(req.user.username, DEFAULT);
+        }
+        if (!workspace) {
+            return res.status(404).json({ success: false, error: 'unknown_workspace', message: `You have no workspace named ${name}` });
+        }
+        req.workspace = workspace;
+        next();
+    } catch (err) {
+        next(err);
+    }
+}
+
+module.exports = {
+    DEFAULT,
+    WorkspaceError,
+    containerKey,
+    parseKey,
+    ownerOf,
+    maxFor,
+    list,
+    get,
+    create,
+    remove,
+    select
+};